@@ -0,0 +1,148 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('./json-store');
+
+// Annotations (hotspots) live in a JSON sidecar next to the model: "<id>.annotations.json"
+const ANNOTATIONS_SUFFIX = '.annotations.json';
+
+const MAX_ANNOTATIONS = 500;
+const MAX_TITLE = 200;
+// The body is plain text with a small Markdown subset (see frontend/src/utils/richText.js)
+const MAX_BODY = 10000;
+
+class AnnotationError extends Error {
+  constructor(status, message, errors = []) {
+    super(message);
+    this.name = 'AnnotationError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const annotationsPath = (modelsDir, id) => path.join(modelsDir, `${id}${ANNOTATIONS_SUFFIX}`);
+
+const listAnnotations = (modelsDir, id) => readJson(annotationsPath(modelsDir, id), { annotations: [] }).annotations;
+
+const writeAnnotations = (modelsDir, id, annotations) => {
+  writeJsonAtomic(annotationsPath(modelsDir, id), { annotations });
+};
+
+// { x, y, z } with finite components
+const parseVector = (value) => {
+  if (!value || typeof value !== 'object') return null;
+  const vector = { x: value.x, y: value.y, z: value.z };
+  return Object.values(vector).every(Number.isFinite) ? vector : null;
+};
+
+const normalize = (v) => {
+  const length = Math.hypot(v.x, v.y, v.z);
+  return length > 0 ? { x: v.x / length, y: v.y / length, z: v.z / length } : null;
+};
+
+// Validate client input. With `partial`, omitted fields are left unchanged (used for
+// moves and edits); otherwise position, normal and title are required.
+const validateAnnotation = (input, partial = false) => {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new AnnotationError(400, 'Annotation must be a JSON object');
+  }
+  const allowed = new Set(['position', 'normal', 'title', 'body']);
+  Object.keys(input).forEach(key => {
+    if (!allowed.has(key)) errors.push({ field: key, message: 'Unknown field' });
+  });
+
+  const result = {};
+  if (input.position !== undefined || !partial) {
+    result.position = parseVector(input.position);
+    if (!result.position) errors.push({ field: 'position', message: 'Must be an { x, y, z } point' });
+  }
+  if (input.normal !== undefined || !partial) {
+    const normal = parseVector(input.normal);
+    result.normal = normal && normalize(normal);
+    if (!result.normal) errors.push({ field: 'normal', message: 'Must be a non-zero { x, y, z } vector' });
+  }
+  if (input.title !== undefined || !partial) {
+    if (typeof input.title !== 'string' || !input.title.trim()) {
+      errors.push({ field: 'title', message: 'Required' });
+    } else if (input.title.length > MAX_TITLE) {
+      errors.push({ field: 'title', message: `Must be at most ${MAX_TITLE} characters` });
+    } else {
+      result.title = input.title.trim();
+    }
+  }
+  if (input.body !== undefined && input.body !== null) {
+    if (typeof input.body !== 'string' || input.body.length > MAX_BODY) {
+      errors.push({ field: 'body', message: `Must be a string of at most ${MAX_BODY} characters` });
+    } else {
+      result.body = input.body.trim();
+    }
+  } else if (!partial) {
+    result.body = '';
+  }
+
+  if (errors.length > 0) {
+    throw new AnnotationError(400, 'Invalid annotation', errors);
+  }
+  return result;
+};
+
+const findIndex = (annotations, annotationId) => {
+  const index = annotations.findIndex(annotation => annotation.id === annotationId);
+  if (index === -1) {
+    throw new AnnotationError(404, 'Annotation not found');
+  }
+  return index;
+};
+
+const createAnnotation = (modelsDir, id, input, author = null) => {
+  const annotations = listAnnotations(modelsDir, id);
+  if (annotations.length >= MAX_ANNOTATIONS) {
+    throw new AnnotationError(409, `A model can have at most ${MAX_ANNOTATIONS} annotations`);
+  }
+  const now = new Date().toISOString();
+  const annotation = {
+    id: crypto.randomBytes(8).toString('hex'),
+    ...validateAnnotation(input),
+    image: null,
+    author,
+    createdAt: now,
+    updatedAt: now
+  };
+  writeAnnotations(modelsDir, id, [...annotations, annotation]);
+  return annotation;
+};
+
+// Apply a partial update (move, retitle, edit body). `changes` may also carry an
+// already stored `image` ({ url, width, height } or null); it is not validated here.
+const updateAnnotation = (modelsDir, id, annotationId, input, changes = {}) => {
+  const annotations = listAnnotations(modelsDir, id);
+  const index = findIndex(annotations, annotationId);
+  const annotation = {
+    ...annotations[index],
+    ...(input ? validateAnnotation(input, true) : {}),
+    ...changes,
+    updatedAt: new Date().toISOString()
+  };
+  annotations[index] = annotation;
+  writeAnnotations(modelsDir, id, annotations);
+  return annotation;
+};
+
+// Remove an annotation and return it, so the caller can clean up its image
+const deleteAnnotation = (modelsDir, id, annotationId) => {
+  const annotations = listAnnotations(modelsDir, id);
+  const [removed] = annotations.splice(findIndex(annotations, annotationId), 1);
+  writeAnnotations(modelsDir, id, annotations);
+  return removed;
+};
+
+module.exports = {
+  ANNOTATIONS_SUFFIX,
+  AnnotationError,
+  annotationsPath,
+  listAnnotations,
+  validateAnnotation,
+  createAnnotation,
+  updateAnnotation,
+  deleteAnnotation
+};
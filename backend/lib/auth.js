@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { readJson, writeJsonAtomic } = require('./json-store');
+
+// Roles in increasing order of privilege; each role includes the ones before it
+const ROLES = ['viewer', 'editor', 'admin'];
+const TOKEN_PREFIX = 'arv_';
+
+const defaultTokensFile = () => process.env.AUTH_TOKENS_FILE || path.join(__dirname, '..', 'data', 'tokens.json');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const roleAtLeast = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+const readTokens = (tokensFile = defaultTokensFile()) => readJson(tokensFile, { tokens: [] }).tokens;
+
+const writeTokens = (tokens, tokensFile = defaultTokensFile()) => {
+  fs.mkdirSync(path.dirname(tokensFile), { recursive: true });
+  writeJsonAtomic(tokensFile, { tokens });
+};
+
+// Create a token. Only its SHA-256 is stored, so the plaintext is returned once and never again.
+const issueToken = ({ name, role }, tokensFile = defaultTokensFile()) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const record = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name: name || null,
+    role,
+    hash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  writeTokens([...readTokens(tokensFile), record], tokensFile);
+  return { token, record };
+};
+
+const revokeToken = (id, tokensFile = defaultTokensFile()) => {
+  const tokens = readTokens(tokensFile);
+  const record = tokens.find(t => t.id === id);
+  if (!record) return null;
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    writeTokens(tokens, tokensFile);
+  }
+  return record;
+};
+
+// Express middleware factory. `authenticate` resolves the bearer token (or the
+// `access_token` query parameter, for URLs such as <model-viewer src> that can't send
+// headers) into req.auth = { id, name, role }, or null for anonymous callers.
+// The token file is re-read when it changes, so CLI revocations apply without a restart.
+const createAuth = (tokensFile = defaultTokensFile()) => {
+  let cache = { mtimeMs: null, byHash: new Map() };
+
+  const lookup = (token) => {
+    let mtimeMs = null;
+    try {
+      mtimeMs = fs.statSync(tokensFile).mtimeMs;
+    } catch (e) {
+      // No token file yet: nobody is authenticated
+    }
+    if (mtimeMs !== cache.mtimeMs) {
+      const byHash = new Map();
+      if (mtimeMs !== null) {
+        readTokens(tokensFile).forEach(record => byHash.set(record.hash, record));
+      }
+      cache = { mtimeMs, byHash };
+    }
+    const record = cache.byHash.get(hashToken(token));
+    return record && !record.revokedAt ? record : null;
+  };
+
+  // The { id, name, role } behind a plaintext token, or null
+  const identify = (token) => {
+    const record = token ? lookup(token) : null;
+    return record ? { id: record.id, name: record.name, role: record.role } : null;
+  };
+
+  const authenticate = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    req.auth = identify(match ? match[1] : (typeof req.query.access_token === 'string' ? req.query.access_token : null));
+    next();
+  };
+
+  // Reject callers below `role`: 401 without a valid token, 403 with an insufficient one
+  const requireRole = (role) => (req, res, next) => {
+    if (!req.auth) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!roleAtLeast(req.auth.role, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    next();
+  };
+
+  return { identify, authenticate, requireRole };
+};
+
+module.exports = {
+  ROLES,
+  roleAtLeast,
+  readTokens,
+  issueToken,
+  revokeToken,
+  createAuth
+};
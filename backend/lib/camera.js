@@ -0,0 +1,23 @@
+// Camera values use model-viewer's attribute syntax, e.g. "30deg 75deg 2.5m" for an
+// orbit, "0m 1.2m 0m" for a target and "30deg" for a field of view
+const NUMBER = '-?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[-+]?\\d+)?';
+const ANGLE = `${NUMBER}(?:deg|rad)`;
+const LENGTH = `${NUMBER}(?:m|cm|mm|%)?`;
+
+const CAMERA_PATTERNS = {
+  cameraOrbit: new RegExp(`^(?:${ANGLE}|auto)\\s+(?:${ANGLE}|auto)\\s+(?:${LENGTH}|auto)$`, 'i'),
+  cameraTarget: new RegExp(`^(?:${LENGTH}|auto)\\s+(?:${LENGTH}|auto)\\s+(?:${LENGTH}|auto)$`, 'i'),
+  fieldOfView: new RegExp(`^(?:${ANGLE}|auto)$`, 'i')
+};
+
+const MAX_LENGTH = 100;
+
+// True when `value` is a valid camera attribute for `field` (one of CAMERA_PATTERNS)
+const isCameraValue = (field, value) => typeof value === 'string' &&
+  value.length <= MAX_LENGTH &&
+  CAMERA_PATTERNS[field].test(value.trim());
+
+module.exports = {
+  CAMERA_FIELDS: Object.keys(CAMERA_PATTERNS),
+  isCameraValue
+};
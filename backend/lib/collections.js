@@ -0,0 +1,169 @@
+const path = require('path');
+const fs = require('fs');
+const { readJson, writeJsonAtomic } = require('./json-store');
+
+// Curated collections (exhibits) are stored together in data/collections.json. That file is
+// runtime state; on first use it is created from the seed in data/collections.default.json.
+const defaultCollectionsFile = () => process.env.COLLECTIONS_FILE || path.join(__dirname, '..', 'data', 'collections.json');
+const DEFAULT_SEED_FILE = path.join(__dirname, '..', 'data', 'collections.default.json');
+
+const MAX_TITLE = 200;
+const MAX_DESCRIPTION = 10000;
+const MAX_MODELS = 500;
+
+class CollectionError extends Error {
+  constructor(status, message, errors = []) {
+    super(message);
+    this.name = 'CollectionError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+// "Temples of Jharkhand" -> "temples-of-jharkhand"
+const slugify = (title) => String(title)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80);
+
+// `seedFile` (null for none) supplies the initial collections when `collectionsFile` doesn't exist
+const createCollectionStore = (collectionsFile = defaultCollectionsFile(), seedFile = DEFAULT_SEED_FILE) => {
+  const writeAll = (collections) => {
+    fs.mkdirSync(path.dirname(collectionsFile), { recursive: true });
+    writeJsonAtomic(collectionsFile, { collections });
+  };
+
+  const readAll = () => {
+    const stored = readJson(collectionsFile);
+    if (stored) return stored.collections;
+    const seed = seedFile ? readJson(seedFile, { collections: [] }) : { collections: [] };
+    if (seed.collections.length > 0) writeAll(seed.collections);
+    return seed.collections;
+  };
+
+  // Validate client input; `existing` is the stored collection when updating
+  const validate = (input, existing = null) => {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new CollectionError(400, 'Collection must be a JSON object');
+    }
+    const allowed = new Set(['id', 'title', 'description', 'coverModelId', 'models', 'order']);
+    Object.keys(input).forEach(key => {
+      if (!allowed.has(key)) errors.push({ field: key, message: 'Unknown field' });
+    });
+
+    if (typeof input.title !== 'string' || !input.title.trim()) {
+      errors.push({ field: 'title', message: 'Required' });
+    } else if (input.title.length > MAX_TITLE) {
+      errors.push({ field: 'title', message: `Must be at most ${MAX_TITLE} characters` });
+    }
+    if (input.description !== undefined && input.description !== null &&
+      (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION)) {
+      errors.push({ field: 'description', message: `Must be a string of at most ${MAX_DESCRIPTION} characters` });
+    }
+    const models = input.models === undefined ? [] : input.models;
+    if (!Array.isArray(models) || models.some(id => typeof id !== 'string') || models.length > MAX_MODELS) {
+      errors.push({ field: 'models', message: `Must be an array of at most ${MAX_MODELS} model ids` });
+    }
+    if (input.coverModelId !== undefined && input.coverModelId !== null && typeof input.coverModelId !== 'string') {
+      errors.push({ field: 'coverModelId', message: 'Must be a model id' });
+    }
+    if (input.order !== undefined && !Number.isFinite(input.order)) {
+      errors.push({ field: 'order', message: 'Must be a number' });
+    }
+    if (errors.length > 0) {
+      throw new CollectionError(400, 'Invalid collection', errors);
+    }
+
+    const uniqueModels = Array.isArray(models) ? [...new Set(models)] : [];
+    return {
+      title: input.title.trim(),
+      description: input.description ? input.description.trim() : null,
+      // The cover defaults to the first model
+      coverModelId: input.coverModelId || uniqueModels[0] || null,
+      models: uniqueModels,
+      order: input.order !== undefined ? input.order : existing ? existing.order : null
+    };
+  };
+
+  const list = () => [...readAll()].sort((a, b) => a.order - b.order || a.title.localeCompare(b.title));
+
+  const get = (id) => readAll().find(c => c.id === id) || null;
+
+  const create = (input) => {
+    const collections = readAll();
+    const fields = validate(input);
+    const id = input.id ? slugify(input.id) : slugify(fields.title);
+    if (!id) {
+      throw new CollectionError(400, 'Invalid collection', [{ field: 'id', message: 'Could not derive an id' }]);
+    }
+    if (collections.some(c => c.id === id)) {
+      throw new CollectionError(409, `A collection with id "${id}" already exists`);
+    }
+    const now = new Date().toISOString();
+    const collection = {
+      id,
+      ...fields,
+      order: fields.order !== null ? fields.order : collections.reduce((max, c) => Math.max(max, c.order), 0) + 1,
+      createdAt: now,
+      updatedAt: now
+    };
+    writeAll([...collections, collection]);
+    return collection;
+  };
+
+  const update = (id, input) => {
+    const collections = readAll();
+    const index = collections.findIndex(c => c.id === id);
+    if (index === -1) throw new CollectionError(404, 'Collection not found');
+    // The id is fixed once created
+    const rest = { ...(input || {}) };
+    delete rest.id;
+    const updated = {
+      ...collections[index],
+      ...validate(rest, collections[index]),
+      updatedAt: new Date().toISOString()
+    };
+    collections[index] = updated;
+    writeAll(collections);
+    return updated;
+  };
+
+  const remove = (id) => {
+    const collections = readAll();
+    if (!collections.some(c => c.id === id)) throw new CollectionError(404, 'Collection not found');
+    writeAll(collections.filter(c => c.id !== id));
+  };
+
+  // Keep memberships pointing at a model after it is renamed
+  const renameModel = (oldId, newId) => {
+    const collections = readAll();
+    let changed = false;
+    collections.forEach(collection => {
+      if (collection.models.includes(oldId)) {
+        collection.models = collection.models.map(id => (id === oldId ? newId : id));
+        changed = true;
+      }
+      if (collection.coverModelId === oldId) {
+        collection.coverModelId = newId;
+        changed = true;
+      }
+    });
+    if (changed) writeAll(collections);
+  };
+
+  // Ids of the collections a model belongs to
+  const collectionsForModel = (modelId) => readAll()
+    .filter(c => c.models.includes(modelId))
+    .map(c => c.id);
+
+  return { list, get, create, update, remove, renameModel, collectionsForModel };
+};
+
+module.exports = {
+  CollectionError,
+  createCollectionStore
+};
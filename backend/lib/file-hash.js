@@ -0,0 +1,28 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Content hashes cached per path; an entry is reused while mtime and size are unchanged
+const hashCache = new Map();
+
+// SHA-256 of a file's contents (hex). A `known` { hash, size, mtimeMs } record from the precompress
+// manifest when its recorded size/mtime still match, which avoids reading the file.
+const getFileHash = async (filePath, stat, known = null) => {
+  if (known && known.hash && known.size === stat.size && known.mtimeMs === stat.mtimeMs) {
+    return known.hash;
+  }
+  const cached = hashCache.get(filePath);
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+    return cached.hash;
+  }
+
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  const digest = hash.digest('hex');
+  hashCache.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, hash: digest });
+  return digest;
+};
+
+module.exports = {
+  getFileHash
+};
@@ -0,0 +1,94 @@
+// Low-level helpers for the binary glTF (GLB) container.
+// Spec: https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html#glb-file-format-specification
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_VERSION = 2;
+const HEADER_LENGTH = 12;
+const CHUNK_HEADER_LENGTH = 8;
+const CHUNK_TYPE_JSON = 0x4e4f534a; // 'JSON'
+const CHUNK_TYPE_BIN = 0x004e4942; // 'BIN\0'
+
+class GlbFormatError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'GlbFormatError';
+    this.code = code;
+  }
+}
+
+// Check the 12-byte header and the chunk layout of a GLB buffer.
+// Returns the parsed JSON chunk and the BIN chunk (if any) or throws a GlbFormatError.
+function parseGlb(buffer) {
+  if (!buffer || buffer.length < HEADER_LENGTH) {
+    throw new GlbFormatError('GLB_TOO_SHORT', 'File is too short to contain a GLB header');
+  }
+
+  const magic = buffer.readUInt32LE(0);
+  if (magic !== GLB_MAGIC) {
+    throw new GlbFormatError('GLB_INVALID_MAGIC', 'File does not start with the glTF magic bytes');
+  }
+
+  const version = buffer.readUInt32LE(4);
+  if (version !== GLB_VERSION) {
+    throw new GlbFormatError('GLB_UNSUPPORTED_VERSION', `Unsupported GLB version ${version}; only version 2 is supported`);
+  }
+
+  const length = buffer.readUInt32LE(8);
+  if (length !== buffer.length) {
+    throw new GlbFormatError('GLB_LENGTH_MISMATCH', `Header declares ${length} bytes but the file has ${buffer.length}`);
+  }
+
+  let offset = HEADER_LENGTH;
+  let json = null;
+  let bin = null;
+  let chunkIndex = 0;
+
+  while (offset < length) {
+    if (offset + CHUNK_HEADER_LENGTH > length) {
+      throw new GlbFormatError('GLB_CHUNK_TOO_SHORT', `Chunk ${chunkIndex} header is truncated`);
+    }
+    const chunkLength = buffer.readUInt32LE(offset);
+    const chunkType = buffer.readUInt32LE(offset + 4);
+    const dataStart = offset + CHUNK_HEADER_LENGTH;
+    const dataEnd = dataStart + chunkLength;
+
+    if (chunkLength % 4 !== 0) {
+      throw new GlbFormatError('GLB_CHUNK_LENGTH_UNALIGNED', `Chunk ${chunkIndex} length is not a multiple of 4`);
+    }
+    if (dataEnd > length) {
+      throw new GlbFormatError('GLB_CHUNK_TOO_LONG', `Chunk ${chunkIndex} extends past the end of the file`);
+    }
+
+    if (chunkIndex === 0) {
+      // The first chunk must always be JSON
+      if (chunkType !== CHUNK_TYPE_JSON) {
+        throw new GlbFormatError('GLB_UNEXPECTED_FIRST_CHUNK', 'First chunk must be of type JSON');
+      }
+      try {
+        json = JSON.parse(buffer.toString('utf8', dataStart, dataEnd));
+      } catch (e) {
+        throw new GlbFormatError('GLB_INVALID_JSON', `JSON chunk could not be parsed: ${e.message}`);
+      }
+    } else if (chunkType === CHUNK_TYPE_BIN) {
+      if (chunkIndex !== 1) {
+        throw new GlbFormatError('GLB_UNEXPECTED_BIN_CHUNK', 'BIN chunk must directly follow the JSON chunk');
+      }
+      bin = buffer.subarray(dataStart, dataEnd);
+    }
+    // Unknown chunk types are allowed by the spec and skipped
+
+    offset = dataEnd;
+    chunkIndex += 1;
+  }
+
+  if (!json) {
+    throw new GlbFormatError('GLB_MISSING_JSON', 'GLB does not contain a JSON chunk');
+  }
+
+  return { version, length, json, bin };
+}
+
+module.exports = {
+  GlbFormatError,
+  parseGlb
+};
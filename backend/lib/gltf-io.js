@@ -0,0 +1,25 @@
+const { NodeIO } = require('@gltf-transform/core');
+const { ALL_EXTENSIONS } = require('@gltf-transform/extensions');
+const draco3d = require('draco3dgltf');
+
+let ioPromise = null;
+
+// The Draco WASM modules are expensive to instantiate, so share one NodeIO per process
+const getIO = () => {
+  if (!ioPromise) {
+    ioPromise = Promise.all([
+      draco3d.createDecoderModule(),
+      draco3d.createEncoderModule()
+    ]).then(([decoder, encoder]) => new NodeIO()
+      .registerExtensions(ALL_EXTENSIONS)
+      .registerDependencies({
+        'draco3d.decoder': decoder,
+        'draco3d.encoder': encoder
+      }));
+  }
+  return ioPromise;
+};
+
+module.exports = {
+  getIO
+};
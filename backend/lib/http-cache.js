@@ -0,0 +1,98 @@
+// Conditional request and byte-range helpers (RFC 9110 sections 13 and 14)
+
+// Parse an entity-tag list header ("a", W/"b", *) into opaque tags
+const parseETagList = (header) => {
+  if (!header) return [];
+  return header.split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
+const stripWeak = (tag) => tag.replace(/^W\//, '');
+
+// If-None-Match uses the weak comparison function
+const noneMatch = (header, etag) => {
+  const tags = parseETagList(header);
+  return tags.includes('*') || tags.some(tag => stripWeak(tag) === stripWeak(etag));
+};
+
+// True when the client's cached copy is still valid and a 304 should be sent
+const isNotModified = (req, etag, lastModified) => {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    // If-Modified-Since is ignored when If-None-Match is present
+    return noneMatch(ifNoneMatch, etag);
+  }
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+  if (!Number.isNaN(ifModifiedSince)) {
+    // HTTP dates have one-second resolution
+    return Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+  }
+  return false;
+};
+
+// If-Range: the Range header only applies when the validator still matches.
+// Entity tags use the strong comparison; dates must match Last-Modified exactly.
+const ifRangeMatches = (req, etag, lastModified) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  const value = ifRange.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    return !value.startsWith('W/') && value === etag;
+  }
+  const date = Date.parse(value);
+  return !Number.isNaN(date) && Math.floor(lastModified.getTime() / 1000) * 1000 === date;
+};
+
+// Refuse pathological headers with hundreds of tiny ranges
+const MAX_RANGES = 32;
+
+// Parse "bytes=0-99,200-,-500" against a representation of `size` bytes.
+// Returns null when the header should be ignored (not a bytes range or malformed),
+// an empty array when no range is satisfiable, otherwise sorted, merged { start, end } ranges.
+const parseRangeHeader = (header, size) => {
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header || '');
+  if (!match) return null;
+
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    let start;
+    let end;
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const suffix = parseInt(parts[2], 10);
+      if (suffix === 0) continue;
+      start = Math.max(0, size - suffix);
+      end = size - 1;
+    } else {
+      start = parseInt(parts[1], 10);
+      const last = parts[2] === '' ? Infinity : parseInt(parts[2], 10);
+      if (last < start) return null;
+      end = Math.min(last, size - 1);
+    }
+    if (start < size) ranges.push({ start, end });
+  }
+
+  // Coalesce overlapping or adjacent ranges
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  ranges.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  });
+  return merged;
+};
+
+module.exports = {
+  isNotModified,
+  ifRangeMatches,
+  parseRangeHeader
+};
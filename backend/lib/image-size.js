@@ -0,0 +1,55 @@
+// Read pixel dimensions from the header of an encoded image without decoding it.
+// Supports the formats glTF allows for embedded images: PNG, JPEG, WebP and KTX2.
+function readImageSize(buf, mimeType) {
+  if (!buf || buf.length < 24) return null;
+
+  // PNG: width/height live in the IHDR chunk right after the signature
+  if (buf.readUInt32BE(0) === 0x89504e47) {
+    return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+
+  // JPEG: walk the markers until a start-of-frame segment
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buf.length) {
+      if (buf[offset] !== 0xff) return null;
+      const marker = buf[offset + 1];
+      const segmentLength = buf.readUInt16BE(offset + 2);
+      const isSof = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isSof) {
+        return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + segmentLength;
+    }
+    return null;
+  }
+
+  // WebP: RIFF container with a VP8, VP8L or VP8X chunk
+  if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buf.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ' && buf.length >= 30) {
+      return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L' && buf.length >= 25) {
+      const bits = buf.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X' && buf.length >= 30) {
+      return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  // KTX2: identifier followed by vkFormat, typeSize, pixelWidth, pixelHeight
+  if (mimeType === 'image/ktx2' || buf.toString('ascii', 1, 4) === 'KTX') {
+    if (buf.length >= 28) {
+      return { width: buf.readUInt32LE(20), height: buf.readUInt32LE(24) };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  readImageSize
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getIO } = require('./gltf-io');
+
+// FBX is converted with FBX2glTF (Autodesk FBX SDK based), shipped as a native binary by
+// the fbx2gltf package. Textures are looked up next to the .fbx, so bundles are extracted
+// to a temporary directory by lib/model-import before this runs.
+
+// Give up on files the converter chokes on instead of holding the import queue forever
+const CONVERT_TIMEOUT_MS = 5 * 60 * 1000;
+
+const converterPath = () => {
+  const binary = os.type() === 'Windows_NT' ? 'FBX2glTF.exe' : 'FBX2glTF';
+  const tool = path.join(path.dirname(require.resolve('fbx2gltf')), 'bin', os.type(), binary);
+  if (!fs.existsSync(tool)) {
+    throw new Error(`FBX conversion is not available on ${os.type()}`);
+  }
+  // npm doesn't always preserve the executable bit of packaged binaries
+  try {
+    fs.accessSync(tool, fs.constants.X_OK);
+  } catch (e) {
+    fs.chmodSync(tool, 0o755);
+  }
+  return tool;
+};
+
+const runConverter = (args) => new Promise((resolve, reject) => {
+  const child = spawn(converterPath(), args);
+  let output = '';
+  child.stdout.on('data', (data) => { output += data; });
+  child.stderr.on('data', (data) => { output += data; });
+  const timer = setTimeout(() => child.kill('SIGKILL'), CONVERT_TIMEOUT_MS);
+  child.on('error', (err) => {
+    clearTimeout(timer);
+    reject(err);
+  });
+  child.on('close', (code, signal) => {
+    clearTimeout(timer);
+    if (code === 0) return resolve(output);
+    const reason = signal ? `was stopped (${signal})` : `exited with code ${code}`;
+    reject(new Error(`FBX converter ${reason}: ${output.trim().split('\n').slice(-3).join(' ')}`));
+  });
+});
+
+// Convert the .fbx at fbxPath and read the result as a glTF-Transform document.
+// Converter warnings are appended to `warnings`.
+const importFbx = async (fbxPath, { warnings }) => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fbx-import-'));
+  try {
+    const output = await runConverter([
+      '--binary',
+      '--input', fbxPath,
+      '--output', path.join(outDir, 'model')
+    ]);
+    output.split('\n')
+      .map(line => line.trim())
+      .filter(line => /^warning/i.test(line))
+      .forEach(line => warnings.push(line.replace(/^warning:?\s*/i, 'FBX: ')));
+
+    const io = await getIO();
+    return io.read(path.join(outDir, 'model.glb'));
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+    // The FBX SDK unpacks embedded media into a .fbm directory next to the input
+    fs.rmSync(fbxPath.replace(/\.fbx$/i, '.fbm'), { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  importFbx
+};
@@ -0,0 +1,307 @@
+const path = require('path');
+const { TextureInfo } = require('@gltf-transform/core');
+const { srgbToLinear, computeVertexNormals, addPrimitive } = require('./mesh-builder');
+const { createTextureLoader } = require('./import-textures');
+
+// Wavefront OBJ + MTL importer. Each object (`o`, or `g` when a file has no objects)
+// becomes a node and mesh, with one primitive per material. Polygons are triangulated as
+// fans; lines, points and free-form geometry are skipped with a warning.
+
+const DEFAULT_MATERIAL = '';
+
+// Split into logical lines, joining "\" continuations and dropping comments
+const logicalLines = (text) => text
+  .replace(/\\\r?\n/g, ' ')
+  .split(/\r?\n/)
+  .map(line => line.replace(/#.*$/, '').trim())
+  .filter(Boolean);
+
+// Number of arguments each texture map option takes (MTL spec); -o/-s/-t take 1 to 3
+const MAP_OPTION_ARGS = {
+  '-blendu': 1, '-blendv': 1, '-bm': 1, '-boost': 1, '-cc': 1, '-clamp': 1,
+  '-imfchan': 1, '-mm': 2, '-texres': 1, '-type': 1, '-o': 3, '-s': 3, '-t': 3
+};
+
+// "map_Bump -bm 0.5 textures/normal map.png" -> { file, options: { bm: ['0.5'] } }
+const parseMapArgs = (args) => {
+  const options = {};
+  let i = 0;
+  while (i < args.length && args[i].startsWith('-') && MAP_OPTION_ARGS[args[i]] !== undefined) {
+    const name = args[i].slice(1);
+    const values = [];
+    i++;
+    while (values.length < MAP_OPTION_ARGS[`-${name}`] && i < args.length - 1 && (values.length === 0 || !Number.isNaN(Number(args[i])))) {
+      values.push(args[i++]);
+    }
+    options[name] = values;
+  }
+  return { file: args.slice(i).join(' '), options };
+};
+
+const parseMtl = (text) => {
+  const materials = new Map();
+  let current = null;
+  logicalLines(text).forEach(line => {
+    const [keyword, ...args] = line.split(/\s+/);
+    const key = keyword.toLowerCase();
+    if (key === 'newmtl') {
+      current = { name: args.join(' '), maps: {} };
+      materials.set(current.name, current);
+      return;
+    }
+    if (!current) return;
+    const numbers = args.map(Number);
+    switch (key) {
+      case 'kd': current.diffuse = numbers.slice(0, 3); break;
+      case 'ke': current.emissive = numbers.slice(0, 3); break;
+      case 'ns': current.shininess = numbers[0]; break;
+      case 'd': current.opacity = numbers[numbers.length - 1]; break;
+      case 'tr': current.opacity = 1 - numbers[0]; break;
+      case 'pr': current.roughness = numbers[0]; break;
+      case 'pm': current.metallic = numbers[0]; break;
+      case 'map_kd': case 'map_ke': case 'map_d': case 'map_pr': case 'map_pm':
+        current.maps[key.slice(4)] = parseMapArgs(args);
+        break;
+      case 'map_bump': case 'bump': case 'norm': case 'map_kn':
+        current.maps.normal = parseMapArgs(args);
+        break;
+      default:
+        break;
+    }
+  });
+  return materials;
+};
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+const isFiniteList = (list, length) => Array.isArray(list) && list.length >= length && list.slice(0, length).every(Number.isFinite);
+
+// Approximate PBR parameters for a Phong-style MTL material. Explicit Pr/Pm (the PBR
+// extension to MTL) win; otherwise roughness is derived from the specular exponent.
+const createMaterial = async (doc, def, loadTexture, warnings) => {
+  const material = doc.createMaterial(def.name || 'Default');
+  const { maps } = def;
+
+  const opacity = Number.isFinite(def.opacity) ? clamp01(def.opacity) : 1;
+  const diffuse = isFiniteList(def.diffuse, 3) ? def.diffuse.map(clamp01) : [0.8, 0.8, 0.8];
+  // A diffuse map replaces Kd rather than tinting it, which is what most exporters expect
+  const baseColor = maps.kd ? [1, 1, 1] : diffuse.map(srgbToLinear);
+  material.setBaseColorFactor([...baseColor, opacity]);
+
+  const roughness = Number.isFinite(def.roughness)
+    ? def.roughness
+    : Number.isFinite(def.shininess) ? Math.sqrt(2 / (Math.max(0, def.shininess) + 2)) : 1;
+  material.setRoughnessFactor(clamp01(roughness));
+  material.setMetallicFactor(Number.isFinite(def.metallic) ? clamp01(def.metallic) : 0);
+
+  if (isFiniteList(def.emissive, 3) && def.emissive.some(v => v > 0)) {
+    material.setEmissiveFactor(def.emissive.map(v => srgbToLinear(clamp01(v))));
+  }
+
+  const attach = async (map, set) => {
+    if (!map || !map.file) return null;
+    const texture = await loadTexture(map.file);
+    if (!texture) return null;
+    set(texture);
+    return texture;
+  };
+  const wrapFor = (map) => (map.options.clamp && map.options.clamp[0] === 'on'
+    ? TextureInfo.WrapMode.CLAMP_TO_EDGE
+    : TextureInfo.WrapMode.REPEAT);
+
+  if (await attach(maps.kd, texture => material.setBaseColorTexture(texture))) {
+    material.getBaseColorTextureInfo().setWrapS(wrapFor(maps.kd)).setWrapT(wrapFor(maps.kd));
+  }
+  if (maps.ke && await attach(maps.ke, texture => material.setEmissiveTexture(texture))) {
+    if (!isFiniteList(def.emissive, 3)) material.setEmissiveFactor([1, 1, 1]);
+  }
+  if (await attach(maps.normal, texture => material.setNormalTexture(texture))) {
+    const scale = maps.normal.options.bm ? Number(maps.normal.options.bm[0]) : 1;
+    if (Number.isFinite(scale)) material.setNormalScale(scale);
+  }
+  if (maps.pr || maps.pm) {
+    warnings.push(`Material "${def.name}": separate roughness/metallic maps are not converted`);
+  }
+
+  if (opacity < 1) {
+    material.setAlphaMode('BLEND');
+  }
+  if (maps.d) {
+    // glTF reads alpha from the base color texture, so only a map_d that is the same
+    // image as map_Kd can be honored
+    if (maps.kd && maps.d.file === maps.kd.file) {
+      material.setAlphaMode('BLEND');
+    } else {
+      warnings.push(`Material "${def.name}": separate opacity maps are not converted`);
+    }
+  }
+  return material;
+};
+
+// Parse OBJ text into the document. `resolveFile(ref)` returns { name, data } for files
+// referenced by mtllib / map_* statements, or null.
+const importObj = async (doc, scene, text, { resolveFile, warnings }) => {
+  const positions = [];
+  const colors = [];
+  const uvs = [];
+  const normals = [];
+  let hasColors = true;
+  const mtlFiles = [];
+
+  // groups: name -> Map(material -> corners[]), a corner being [v, vt, vn] (0-based, -1 if absent)
+  const groups = new Map();
+  let usesObjects = false;
+  let groupName = 'default';
+  let materialName = DEFAULT_MATERIAL;
+  const skipped = new Set();
+
+  const cornersFor = () => {
+    if (!groups.has(groupName)) groups.set(groupName, new Map());
+    const byMaterial = groups.get(groupName);
+    if (!byMaterial.has(materialName)) byMaterial.set(materialName, []);
+    return byMaterial.get(materialName);
+  };
+
+  const resolveIndex = (token, count) => {
+    if (token === undefined || token === '') return -1;
+    const index = parseInt(token, 10);
+    if (Number.isNaN(index) || index === 0) return -1;
+    return index < 0 ? count + index : index - 1;
+  };
+
+  logicalLines(text).forEach(line => {
+    const parts = line.split(/\s+/);
+    const keyword = parts[0];
+    switch (keyword) {
+      case 'v':
+        positions.push(Number(parts[1]) || 0, Number(parts[2]) || 0, Number(parts[3]) || 0);
+        // "v x y z r g b" is a widespread extension for vertex colors
+        if (parts.length >= 7) {
+          colors.push(srgbToLinear(Number(parts[4]) || 0), srgbToLinear(Number(parts[5]) || 0), srgbToLinear(Number(parts[6]) || 0));
+        } else {
+          hasColors = false;
+        }
+        break;
+      case 'vt':
+        uvs.push(Number(parts[1]) || 0, Number(parts[2]) || 0);
+        break;
+      case 'vn':
+        normals.push(Number(parts[1]) || 0, Number(parts[2]) || 0, Number(parts[3]) || 0);
+        break;
+      case 'f': {
+        const corners = parts.slice(1).map(ref => {
+          const [v, vt, vn] = ref.split('/');
+          return [
+            resolveIndex(v, positions.length / 3),
+            resolveIndex(vt, uvs.length / 2),
+            resolveIndex(vn, normals.length / 3)
+          ];
+        });
+        if (corners.length < 3 || corners.some(corner => corner[0] < 0 || corner[0] >= positions.length / 3)) {
+          skipped.add('invalid faces');
+          break;
+        }
+        const target = cornersFor();
+        for (let i = 1; i + 1 < corners.length; i++) {
+          target.push(corners[0], corners[i], corners[i + 1]);
+        }
+        break;
+      }
+      case 'o':
+        usesObjects = true;
+        groupName = parts.slice(1).join(' ') || 'default';
+        break;
+      case 'g':
+        if (!usesObjects) groupName = parts.slice(1).join(' ') || 'default';
+        break;
+      case 'usemtl':
+        materialName = parts.slice(1).join(' ');
+        break;
+      case 'mtllib':
+        mtlFiles.push(parts.slice(1).join(' '));
+        break;
+      case 'l':
+      case 'p':
+        skipped.add('lines and points');
+        break;
+      case 'curv':
+      case 'curv2':
+      case 'surf':
+        skipped.add('free-form curves and surfaces');
+        break;
+      default:
+        break;
+    }
+  });
+  skipped.forEach(what => warnings.push(`OBJ ${what} were skipped`));
+
+  const materialDefs = new Map();
+  mtlFiles.forEach(ref => {
+    const file = resolveFile(ref);
+    if (!file) {
+      warnings.push(`Material library "${ref}" was not found`);
+      return;
+    }
+    parseMtl(file.data.toString('utf8')).forEach((def, name) => materialDefs.set(name, def));
+  });
+
+  const loadTexture = createTextureLoader(doc, resolveFile, warnings);
+  const materials = new Map();
+  const missingMaterials = new Set();
+  const materialFor = (name) => {
+    if (!materials.has(name)) {
+      let def = materialDefs.get(name);
+      if (!def) {
+        if (name !== DEFAULT_MATERIAL) missingMaterials.add(name);
+        def = { name: name || 'Default', maps: {} };
+      }
+      materials.set(name, createMaterial(doc, def, loadTexture, warnings));
+    }
+    return materials.get(name);
+  };
+
+  hasColors = hasColors && colors.length > 0;
+  for (const [name, byMaterial] of groups) {
+    const mesh = doc.createMesh(name);
+    for (const [material, corners] of byMaterial) {
+      if (corners.length === 0) continue;
+      const withUvs = corners.every(corner => corner[1] >= 0 && corner[1] < uvs.length / 2);
+      const withNormals = corners.every(corner => corner[2] >= 0 && corner[2] < normals.length / 3);
+
+      // OBJ indexes positions, UVs and normals separately; glTF needs one index per vertex
+      const vertexIds = new Map();
+      const data = { positions: [], indices: [] };
+      if (withUvs) data.uvs = [];
+      if (withNormals) data.normals = [];
+      if (hasColors) data.colors = [];
+      corners.forEach(([v, vt, vn]) => {
+        const key = `${v}/${withUvs ? vt : ''}/${withNormals ? vn : ''}`;
+        let index = vertexIds.get(key);
+        if (index === undefined) {
+          index = vertexIds.size;
+          vertexIds.set(key, index);
+          data.positions.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]);
+          // glTF UVs have their origin top-left, OBJ bottom-left
+          if (withUvs) data.uvs.push(uvs[vt * 2], 1 - uvs[vt * 2 + 1]);
+          if (withNormals) data.normals.push(normals[vn * 3], normals[vn * 3 + 1], normals[vn * 3 + 2]);
+          if (hasColors) data.colors.push(colors[v * 3], colors[v * 3 + 1], colors[v * 3 + 2]);
+        }
+        data.indices.push(index);
+      });
+      if (!withNormals) {
+        data.normals = computeVertexNormals(data.positions, data.indices);
+      }
+      addPrimitive(doc, mesh, data, await materialFor(material));
+    }
+    if (mesh.listPrimitives().length > 0) {
+      scene.addChild(doc.createNode(name).setMesh(mesh));
+    } else {
+      mesh.dispose();
+    }
+  }
+  missingMaterials.forEach(name => warnings.push(`Material "${name}" is not defined in any material library; a default material was used`));
+};
+
+module.exports = {
+  importObj,
+  parseMtl
+};
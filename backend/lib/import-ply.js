@@ -0,0 +1,225 @@
+const { Primitive } = require('@gltf-transform/core');
+const { srgbToLinear, computeVertexNormals, addPrimitive } = require('./mesh-builder');
+const { createTextureLoader } = require('./import-textures');
+
+// Stanford PLY importer (ASCII and binary, either endianness). Reads vertex positions,
+// normals, colors and UVs, and polygon faces (triangulated as fans). Per-corner UVs
+// ("texcoord" face lists, as written by MeshLab) split vertices so each corner keeps its
+// own UV. A file without faces is imported as a point cloud.
+
+class PlyFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlyFormatError';
+  }
+}
+
+// Scalar types and their DataView readers / byte sizes
+const TYPES = {
+  char: ['getInt8', 1], int8: ['getInt8', 1],
+  uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+  short: ['getInt16', 2], int16: ['getInt16', 2],
+  ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+  int: ['getInt32', 4], int32: ['getInt32', 4],
+  uint: ['getUint32', 4], uint32: ['getUint32', 4],
+  float: ['getFloat32', 4], float32: ['getFloat32', 4],
+  double: ['getFloat64', 8], float64: ['getFloat64', 8]
+};
+
+// Integer color channels are scaled to 0..1 by their type's maximum
+const COLOR_SCALE = { uchar: 255, uint8: 255, ushort: 65535, uint16: 65535 };
+
+const parseHeader = (buf) => {
+  const end = buf.indexOf('end_header');
+  if (buf.toString('latin1', 0, 3) !== 'ply' || end < 0) {
+    throw new PlyFormatError('Not a PLY file');
+  }
+  let bodyStart = end + 'end_header'.length;
+  if (buf[bodyStart] === 0x0d) bodyStart++;
+  if (buf[bodyStart] === 0x0a) bodyStart++;
+
+  const header = { format: null, elements: [], comments: [], bodyStart };
+  buf.toString('latin1', 0, end).split(/\r?\n/).forEach(line => {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === 'format') {
+      header.format = parts[1];
+    } else if (parts[0] === 'comment' || parts[0] === 'obj_info') {
+      header.comments.push(parts.slice(1).join(' '));
+    } else if (parts[0] === 'element') {
+      header.elements.push({ name: parts[1], count: parseInt(parts[2], 10) || 0, properties: [] });
+    } else if (parts[0] === 'property' && header.elements.length > 0) {
+      const element = header.elements[header.elements.length - 1];
+      const property = parts[1] === 'list'
+        ? { name: parts[4], list: true, countType: parts[2], type: parts[3] }
+        : { name: parts[2], list: false, type: parts[1] };
+      if (!TYPES[property.type] || (property.list && !TYPES[property.countType])) {
+        throw new PlyFormatError(`Unsupported PLY property type in "${line.trim()}"`);
+      }
+      element.properties.push(property);
+    }
+  });
+  if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(header.format)) {
+    throw new PlyFormatError(`Unsupported PLY format "${header.format}"`);
+  }
+  return header;
+};
+
+// Returns read() -> next scalar, for either encoding
+const createReader = (buf, header) => {
+  if (header.format === 'ascii') {
+    const tokens = buf.toString('latin1', header.bodyStart).split(/\s+/).filter(Boolean);
+    let index = 0;
+    return () => {
+      if (index >= tokens.length) throw new PlyFormatError('PLY file is truncated');
+      return Number(tokens[index++]);
+    };
+  }
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const littleEndian = header.format === 'binary_little_endian';
+  let offset = header.bodyStart;
+  return (type) => {
+    const [getter, size] = TYPES[type];
+    if (offset + size > buf.length) throw new PlyFormatError('PLY file is truncated');
+    const value = view[getter](offset, littleEndian);
+    offset += size;
+    return value;
+  };
+};
+
+const PROPERTY_ALIASES = {
+  x: 'x', y: 'y', z: 'z',
+  nx: 'nx', ny: 'ny', nz: 'nz',
+  red: 'r', green: 'g', blue: 'b', alpha: 'a',
+  diffuse_red: 'r', diffuse_green: 'g', diffuse_blue: 'b', diffuse_alpha: 'a',
+  r: 'r', g: 'g', b: 'b', a: 'a',
+  u: 'u', v: 'v', s: 'u', t: 'v', texture_u: 'u', texture_v: 'v', texture_s: 'u', texture_t: 'v'
+};
+
+const importPly = async (doc, scene, buf, { name, resolveFile, warnings }) => {
+  const header = parseHeader(buf);
+  const read = createReader(buf, header);
+
+  const vertexElement = header.elements.find(element => element.name === 'vertex');
+  if (!vertexElement) {
+    throw new PlyFormatError('PLY file has no vertex element');
+  }
+  const roles = new Set(vertexElement.properties.map(p => PROPERTY_ALIASES[p.name]).filter(Boolean));
+  const hasNormals = ['nx', 'ny', 'nz'].every(role => roles.has(role));
+  const hasColors = ['r', 'g', 'b'].every(role => roles.has(role));
+  const hasAlpha = hasColors && roles.has('a');
+  const hasUvs = roles.has('u') && roles.has('v');
+
+  const vertexCount = vertexElement.count;
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = hasNormals ? new Float32Array(vertexCount * 3) : null;
+  const colorSize = hasAlpha ? 4 : 3;
+  const colors = hasColors ? new Float32Array(vertexCount * colorSize) : null;
+  const uvs = hasUvs ? new Float32Array(vertexCount * 2) : null;
+
+  const indices = [];
+  let cornerUvs = null;
+
+  // Elements are stored in header order; unknown elements are read and discarded
+  header.elements.forEach(element => {
+    for (let i = 0; i < element.count; i++) {
+      const values = {};
+      element.properties.forEach(property => {
+        if (property.list) {
+          const count = read(property.countType);
+          const list = new Array(count);
+          for (let k = 0; k < count; k++) list[k] = read(property.type);
+          values[property.name] = list;
+        } else {
+          values[property.name] = read(property.type);
+        }
+      });
+
+      if (element === vertexElement) {
+        element.properties.forEach(property => {
+          const role = PROPERTY_ALIASES[property.name];
+          const value = values[property.name];
+          if (role === 'x' || role === 'y' || role === 'z') {
+            positions[i * 3 + 'xyz'.indexOf(role)] = value;
+          } else if (normals && (role === 'nx' || role === 'ny' || role === 'nz')) {
+            normals[i * 3 + ['nx', 'ny', 'nz'].indexOf(role)] = value;
+          } else if (colors && 'rgba'.includes(role) && (role !== 'a' || hasAlpha)) {
+            const scaled = value / (COLOR_SCALE[property.type] || 1);
+            colors[i * colorSize + 'rgba'.indexOf(role)] = role === 'a' ? scaled : srgbToLinear(scaled);
+          } else if (uvs && (role === 'u' || role === 'v')) {
+            // glTF UVs have their origin top-left, PLY bottom-left
+            uvs[i * 2 + (role === 'u' ? 0 : 1)] = role === 'v' ? 1 - value : value;
+          }
+        });
+      } else if (element.name === 'face') {
+        const polygon = values.vertex_indices || values.vertex_index;
+        if (!polygon || polygon.length < 3) continue;
+        const texcoord = values.texcoord;
+        for (let k = 1; k + 1 < polygon.length; k++) {
+          indices.push(polygon[0], polygon[k], polygon[k + 1]);
+          if (texcoord && texcoord.length >= polygon.length * 2) {
+            if (!cornerUvs) cornerUvs = [];
+            [0, k, k + 1].forEach(corner => cornerUvs.push(texcoord[corner * 2], 1 - texcoord[corner * 2 + 1]));
+          }
+        }
+      }
+    }
+  });
+
+  const invalid = indices.findIndex(index => index < 0 || index >= vertexCount);
+  if (invalid >= 0) {
+    throw new PlyFormatError(`PLY face references vertex ${indices[invalid]}, but there are only ${vertexCount}`);
+  }
+
+  const material = doc.createMaterial('Default')
+    .setBaseColorFactor(hasColors ? [1, 1, 1, 1] : [0.8, 0.8, 0.8, 1])
+    .setRoughnessFactor(0.8)
+    .setMetallicFactor(0);
+  if (hasAlpha) material.setAlphaMode('BLEND');
+
+  const textureComment = header.comments.find(comment => /^TextureFile\s+/i.test(comment));
+  if (textureComment && (hasUvs || cornerUvs)) {
+    const texture = await createTextureLoader(doc, resolveFile, warnings)(textureComment.replace(/^TextureFile\s+/i, ''));
+    if (texture) {
+      material.setBaseColorTexture(texture).setBaseColorFactor([1, 1, 1, 1]);
+    }
+  }
+
+  const mesh = doc.createMesh(name);
+  if (indices.length === 0) {
+    warnings.push('PLY file has no faces; it was imported as a point cloud');
+    addPrimitive(doc, mesh, { positions, normals, colors, mode: Primitive.Mode.POINTS }, material);
+  } else if (cornerUvs && cornerUvs.length === indices.length * 2) {
+    // Each triangle corner becomes its own vertex so it can carry its own UV
+    const data = {
+      positions: new Float32Array(indices.length * 3),
+      normals: normals ? new Float32Array(indices.length * 3) : null,
+      colors: colors ? new Float32Array(indices.length * colorSize) : null,
+      uvs: cornerUvs
+    };
+    indices.forEach((index, corner) => {
+      data.positions.set(positions.subarray(index * 3, index * 3 + 3), corner * 3);
+      if (normals) data.normals.set(normals.subarray(index * 3, index * 3 + 3), corner * 3);
+      if (colors) data.colors.set(colors.subarray(index * colorSize, (index + 1) * colorSize), corner * colorSize);
+    });
+    if (!data.normals) {
+      const smooth = computeVertexNormals(positions, indices);
+      data.normals = new Float32Array(indices.length * 3);
+      indices.forEach((index, corner) => data.normals.set(smooth.subarray(index * 3, index * 3 + 3), corner * 3));
+    }
+    addPrimitive(doc, mesh, data, material);
+  } else {
+    addPrimitive(doc, mesh, {
+      positions,
+      normals: normals || computeVertexNormals(positions, indices),
+      colors,
+      uvs,
+      indices
+    }, material);
+  }
+  scene.addChild(doc.createNode(name).setMesh(mesh));
+};
+
+module.exports = {
+  PlyFormatError,
+  importPly
+};
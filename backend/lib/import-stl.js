@@ -0,0 +1,112 @@
+const { addPrimitive } = require('./mesh-builder');
+
+// STL importer (binary and ASCII). STL has no shared vertices, so every facet gets its
+// own three vertices with the facet normal; the weld step in lib/model-import merges the
+// ones that end up identical. Per-facet colors in the Materialise Magics convention
+// ("COLOR=" in the header) become vertex colors.
+
+const BINARY_HEADER_SIZE = 80;
+const BINARY_FACET_SIZE = 50;
+
+const isBinaryStl = (buf) => {
+  if (buf.length < BINARY_HEADER_SIZE + 4) return false;
+  const facets = buf.readUInt32LE(BINARY_HEADER_SIZE);
+  if (buf.length === BINARY_HEADER_SIZE + 4 + facets * BINARY_FACET_SIZE) return true;
+  // Some exporters write "solid" into binary headers too, so only trust it when the
+  // size doesn't match and the text actually parses as ASCII
+  return !/^\s*solid[\s\S]*facet/.test(buf.toString('latin1', 0, Math.min(buf.length, 1024)));
+};
+
+// Use the facet normal from the file, or the geometric one when it's missing or zero
+const facetNormal = (p, n) => {
+  if (n.some(v => v !== 0) && n.every(Number.isFinite)) {
+    const length = Math.hypot(n[0], n[1], n[2]);
+    return [n[0] / length, n[1] / length, n[2] / length];
+  }
+  const e1 = [p[3] - p[0], p[4] - p[1], p[5] - p[2]];
+  const e2 = [p[6] - p[0], p[7] - p[1], p[8] - p[2]];
+  const c = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+  const length = Math.hypot(c[0], c[1], c[2]);
+  return length > 0 ? c.map(v => v / length) : [0, 1, 0];
+};
+
+const parseBinary = (buf, warnings) => {
+  const count = buf.readUInt32LE(BINARY_HEADER_SIZE);
+  const available = Math.floor((buf.length - BINARY_HEADER_SIZE - 4) / BINARY_FACET_SIZE);
+  if (available < count) {
+    warnings.push(`STL file is truncated: ${count - available} of ${count} facets are missing`);
+  }
+  const facets = Math.min(count, available);
+
+  const header = buf.toString('latin1', 0, BINARY_HEADER_SIZE);
+  const colorIndex = header.indexOf('COLOR=');
+  let defaultColor = null;
+  if (colorIndex >= 0 && colorIndex + 10 <= BINARY_HEADER_SIZE) {
+    defaultColor = [0, 1, 2].map(i => buf[colorIndex + 6 + i] / 255);
+  }
+
+  const positions = new Float32Array(facets * 9);
+  const normals = new Float32Array(facets * 9);
+  const colors = defaultColor ? new Float32Array(facets * 9) : null;
+  for (let f = 0; f < facets; f++) {
+    const offset = BINARY_HEADER_SIZE + 4 + f * BINARY_FACET_SIZE;
+    const n = [0, 1, 2].map(i => buf.readFloatLE(offset + i * 4));
+    const p = [];
+    for (let i = 0; i < 9; i++) p.push(buf.readFloatLE(offset + 12 + i * 4));
+    const normal = facetNormal(p, n);
+    positions.set(p, f * 9);
+    for (let v = 0; v < 3; v++) normals.set(normal, f * 9 + v * 3);
+
+    if (colors) {
+      // Bit 15 clear means the facet has its own 5-5-5 color (stored as RGB in Magics files)
+      const packed = buf.readUInt16LE(offset + 48);
+      const color = packed & 0x8000
+        ? defaultColor
+        : [packed & 0x1f, (packed >> 5) & 0x1f, (packed >> 10) & 0x1f].map(c => c / 31);
+      for (let v = 0; v < 3; v++) colors.set(color, f * 9 + v * 3);
+    }
+  }
+  return { positions, normals, colors };
+};
+
+const parseAscii = (text) => {
+  const positions = [];
+  const normals = [];
+  const facetPattern = /facet\s+normal\s+(\S+)\s+(\S+)\s+(\S+)([\s\S]*?)endfacet/g;
+  const vertexPattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  let facet;
+  while ((facet = facetPattern.exec(text)) !== null) {
+    const p = [];
+    let vertex;
+    vertexPattern.lastIndex = 0;
+    while ((vertex = vertexPattern.exec(facet[4])) !== null) {
+      p.push(Number(vertex[1]), Number(vertex[2]), Number(vertex[3]));
+    }
+    if (p.length !== 9 || !p.every(Number.isFinite)) continue;
+    const normal = facetNormal(p, [Number(facet[1]), Number(facet[2]), Number(facet[3])]);
+    positions.push(...p);
+    normals.push(...normal, ...normal, ...normal);
+  }
+  return { positions, normals, colors: null };
+};
+
+const importStl = async (doc, scene, buf, { name, warnings }) => {
+  const { positions, normals, colors } = isBinaryStl(buf)
+    ? parseBinary(buf, warnings)
+    : parseAscii(buf.toString('latin1'));
+
+  const material = doc.createMaterial('Default')
+    .setBaseColorFactor([0.8, 0.8, 0.8, 1])
+    .setRoughnessFactor(0.6)
+    .setMetallicFactor(0);
+  const mesh = doc.createMesh(name);
+  if (positions.length > 0) {
+    addPrimitive(doc, mesh, { positions, normals, colors }, material);
+  }
+  scene.addChild(doc.createNode(name).setMesh(mesh));
+  warnings.push('STL files carry no materials or units; a default material was applied and coordinates were kept as-is');
+};
+
+module.exports = {
+  importStl
+};
@@ -0,0 +1,58 @@
+const path = require('path');
+const sharp = require('sharp');
+const { decodeTga } = require('./tga');
+
+// glTF embeds PNG and JPEG as-is; anything else sharp (or lib/tga) can decode is
+// re-encoded as PNG so the output stays within the core spec
+const embeddableType = (buf) => {
+  if (buf.length >= 8 && buf.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  return null;
+};
+
+const toPng = (file) => {
+  const input = path.extname(file.name).toLowerCase() === '.tga'
+    ? (({ width, height, data }) => sharp(data, { raw: { width, height, channels: 4 } }))(decodeTga(file.data))
+    : sharp(file.data);
+  return input.png().toBuffer();
+};
+
+// Returns load(ref) -> Promise<Texture | null> for image files referenced by a model.
+// `resolveFile(ref)` returns { name, data } or null; each file becomes one texture
+// however many materials use it. Missing or undecodable images are reported in `warnings`.
+const createTextureLoader = (doc, resolveFile, warnings) => {
+  const textures = new Map();
+
+  const loadTexture = async (ref) => {
+    const file = resolveFile(ref);
+    if (!file) {
+      warnings.push(`Texture "${ref}" was not found`);
+      return null;
+    }
+    let image = file.data;
+    let mimeType = embeddableType(image);
+    if (!mimeType) {
+      try {
+        image = await toPng(file);
+        mimeType = 'image/png';
+      } catch (err) {
+        warnings.push(`Texture "${ref}" could not be decoded and was skipped (${err.message})`);
+        return null;
+      }
+    }
+    return doc.createTexture(path.basename(file.name))
+      .setImage(image)
+      .setMimeType(mimeType);
+  };
+
+  return (ref) => {
+    if (!textures.has(ref)) {
+      textures.set(ref, loadTexture(ref));
+    }
+    return textures.get(ref);
+  };
+};
+
+module.exports = {
+  createTextureLoader
+};
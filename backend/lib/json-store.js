@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+
+// Read a JSON file, returning `fallback` when it doesn't exist
+const readJson = (filePath, fallback = null) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+};
+
+// Write JSON through a temp file + rename so readers never see a partial document
+const writeJsonAtomic = (filePath, data) => {
+  const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmpPath, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(tmpPath, filePath);
+};
+
+module.exports = {
+  readJson,
+  writeJsonAtomic
+};
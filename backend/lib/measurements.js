@@ -0,0 +1,161 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('./json-store');
+
+// Saved measurements live in a JSON sidecar next to the model: "<id>.measurements.json".
+// A measurement is a straight line between two surface points in model coordinates. The
+// sidecar also holds the model's scale: how many real-world metres one model unit is, and
+// the unit lengths are shown in. Distances are computed by the client.
+const MEASUREMENTS_SUFFIX = '.measurements.json';
+
+const MAX_MEASUREMENTS = 500;
+const MAX_LABEL = 200;
+const UNITS = ['m', 'cm', 'mm', 'ft', 'in'];
+const DEFAULT_SCALE = { factor: 1, unit: 'm' };
+
+class MeasurementError extends Error {
+  constructor(status, message, errors = []) {
+    super(message);
+    this.name = 'MeasurementError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const measurementsPath = (modelsDir, id) => path.join(modelsDir, `${id}${MEASUREMENTS_SUFFIX}`);
+
+// { scale: { factor, unit }, measurements: [...] }
+const readMeasurements = (modelsDir, id) => {
+  const stored = readJson(measurementsPath(modelsDir, id), {});
+  return {
+    scale: { ...DEFAULT_SCALE, ...stored.scale },
+    measurements: stored.measurements || []
+  };
+};
+
+const writeMeasurements = (modelsDir, id, document) => {
+  writeJsonAtomic(measurementsPath(modelsDir, id), document);
+};
+
+const parsePoint = (value) => {
+  if (!value || typeof value !== 'object') return null;
+  const point = { x: value.x, y: value.y, z: value.z };
+  return Object.values(point).every(Number.isFinite) ? point : null;
+};
+
+// Validate client input: { label, points: [{ x, y, z }, { x, y, z }] }. With `partial`,
+// only the label can be changed.
+const validateMeasurement = (input, partial = false) => {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new MeasurementError(400, 'Measurement must be a JSON object');
+  }
+  const allowed = new Set(partial ? ['label'] : ['label', 'points']);
+  Object.keys(input).forEach(key => {
+    if (!allowed.has(key)) errors.push({ field: key, message: 'Unknown field' });
+  });
+
+  const result = {};
+  if (!partial) {
+    const points = Array.isArray(input.points) ? input.points.map(parsePoint) : [];
+    if (points.length !== 2 || points.some(point => !point)) {
+      errors.push({ field: 'points', message: 'Must be two { x, y, z } points' });
+    } else {
+      result.points = points;
+    }
+  }
+  if (input.label !== undefined && input.label !== null) {
+    if (typeof input.label !== 'string' || input.label.length > MAX_LABEL) {
+      errors.push({ field: 'label', message: `Must be a string of at most ${MAX_LABEL} characters` });
+    } else {
+      result.label = input.label.trim();
+    }
+  } else if (!partial) {
+    result.label = '';
+  }
+
+  if (errors.length > 0) {
+    throw new MeasurementError(400, 'Invalid measurement', errors);
+  }
+  return result;
+};
+
+const validateScale = (input) => {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new MeasurementError(400, 'Scale must be a JSON object');
+  }
+  if (!Number.isFinite(input.factor) || input.factor <= 0) {
+    errors.push({ field: 'factor', message: 'Must be a positive number' });
+  }
+  if (!UNITS.includes(input.unit)) {
+    errors.push({ field: 'unit', message: `Must be one of: ${UNITS.join(', ')}` });
+  }
+  if (errors.length > 0) {
+    throw new MeasurementError(400, 'Invalid scale', errors);
+  }
+  return { factor: input.factor, unit: input.unit };
+};
+
+const findIndex = (measurements, measurementId) => {
+  const index = measurements.findIndex(measurement => measurement.id === measurementId);
+  if (index === -1) {
+    throw new MeasurementError(404, 'Measurement not found');
+  }
+  return index;
+};
+
+const createMeasurement = (modelsDir, id, input, author = null) => {
+  const document = readMeasurements(modelsDir, id);
+  if (document.measurements.length >= MAX_MEASUREMENTS) {
+    throw new MeasurementError(409, `A model can have at most ${MAX_MEASUREMENTS} measurements`);
+  }
+  const now = new Date().toISOString();
+  const measurement = {
+    id: crypto.randomBytes(8).toString('hex'),
+    ...validateMeasurement(input),
+    author,
+    createdAt: now,
+    updatedAt: now
+  };
+  writeMeasurements(modelsDir, id, { ...document, measurements: [...document.measurements, measurement] });
+  return measurement;
+};
+
+// Relabel a measurement; its points are fixed once saved
+const updateMeasurement = (modelsDir, id, measurementId, input) => {
+  const document = readMeasurements(modelsDir, id);
+  const index = findIndex(document.measurements, measurementId);
+  const measurement = {
+    ...document.measurements[index],
+    ...validateMeasurement(input, true),
+    updatedAt: new Date().toISOString()
+  };
+  document.measurements[index] = measurement;
+  writeMeasurements(modelsDir, id, document);
+  return measurement;
+};
+
+const deleteMeasurement = (modelsDir, id, measurementId) => {
+  const document = readMeasurements(modelsDir, id);
+  const [removed] = document.measurements.splice(findIndex(document.measurements, measurementId), 1);
+  writeMeasurements(modelsDir, id, document);
+  return removed;
+};
+
+const setScale = (modelsDir, id, input) => {
+  const document = readMeasurements(modelsDir, id);
+  const scale = validateScale(input);
+  writeMeasurements(modelsDir, id, { ...document, scale });
+  return scale;
+};
+
+module.exports = {
+  MEASUREMENTS_SUFFIX,
+  MeasurementError,
+  readMeasurements,
+  createMeasurement,
+  updateMeasurement,
+  deleteMeasurement,
+  setScale
+};
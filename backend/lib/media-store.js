@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readImageSize } = require('./image-size');
+
+// User supplied media (annotation images, tour narration and the like) lives outside the models
+// directory under media/<kind>/ with random file names, so a model rename never
+// has to touch it. Files are served read-only from /media.
+const defaultMediaDir = () => process.env.MEDIA_DIR || path.join(__dirname, '..', 'media');
+
+const IMAGE_TYPES = [
+  { mimeType: 'image/png', ext: 'png', test: buf => buf.readUInt32BE(0) === 0x89504e47 },
+  { mimeType: 'image/jpeg', ext: 'jpg', test: buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimeType: 'image/webp', ext: 'webp', test: buf => buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+// Sniff PNG / JPEG / WebP from the content rather than trusting the upload's MIME type.
+// Returns { mimeType, ext, width, height } or null.
+const detectImage = (buf) => {
+  if (!buf || buf.length < 24) return null;
+  const type = IMAGE_TYPES.find(candidate => candidate.test(buf));
+  if (!type) return null;
+  const size = readImageSize(buf, type.mimeType);
+  return size ? { mimeType: type.mimeType, ext: type.ext, ...size } : null;
+};
+
+const AUDIO_TYPES = [
+  { mimeType: 'audio/mpeg', ext: 'mp3', test: buf => buf.toString('ascii', 0, 3) === 'ID3' || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0) },
+  { mimeType: 'audio/ogg', ext: 'ogg', test: buf => buf.toString('ascii', 0, 4) === 'OggS' },
+  { mimeType: 'audio/wav', ext: 'wav', test: buf => buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WAVE' },
+  { mimeType: 'audio/mp4', ext: 'm4a', test: buf => buf.toString('ascii', 4, 8) === 'ftyp' },
+  { mimeType: 'audio/webm', ext: 'webm', test: buf => buf.readUInt32BE(0) === 0x1a45dfa3 }
+];
+
+// Sniff MP3 / Ogg / WAV / MP4 (AAC) / WebM audio; returns { mimeType, ext } or null
+const detectAudio = (buf) => {
+  if (!buf || buf.length < 12) return null;
+  const type = AUDIO_TYPES.find(candidate => candidate.test(buf));
+  return type ? { mimeType: type.mimeType, ext: type.ext } : null;
+};
+
+const createMediaStore = (mediaDir = defaultMediaDir()) => {
+  // Store `buffer` as a new file of the given kind; returns its public URL path
+  const save = (kind, buffer, ext) => {
+    const dir = path.join(mediaDir, kind);
+    fs.mkdirSync(dir, { recursive: true });
+    const file = `${crypto.randomBytes(12).toString('hex')}.${ext}`;
+    const tmpPath = path.join(dir, `.${file}.${process.pid}.tmp`);
+    fs.writeFileSync(tmpPath, buffer);
+    fs.renameSync(tmpPath, path.join(dir, file));
+    return `/media/${kind}/${file}`;
+  };
+
+  // Remove a file previously returned by save(); unknown URLs are ignored
+  const remove = (url) => {
+    const match = /^\/media\/([a-z-]+)\/([a-f0-9]+\.[a-z0-9]+)$/.exec(url || '');
+    if (match) {
+      fs.rmSync(path.join(mediaDir, match[1], match[2]), { force: true });
+    }
+  };
+
+  return { dir: mediaDir, save, remove };
+};
+
+module.exports = {
+  detectImage,
+  detectAudio,
+  createMediaStore
+};
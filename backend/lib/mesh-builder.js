@@ -0,0 +1,92 @@
+const { Document, Primitive } = require('@gltf-transform/core');
+
+// Helpers shared by the OBJ / STL / PLY importers: they parse into flat typed arrays and
+// hand them to addPrimitive, which wraps them in glTF-Transform accessors.
+
+const createImportDocument = () => {
+  const doc = new Document();
+  doc.createBuffer();
+  const scene = doc.createScene();
+  doc.getRoot().setDefaultScene(scene);
+  return { doc, scene };
+};
+
+// Vertex colors in OBJ and PLY files are sRGB; glTF expects COLOR_0 in linear space
+const srgbToLinear = (c) => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+
+// Area-weighted smooth normals for an indexed triangle list
+const computeVertexNormals = (positions, indices) => {
+  const normals = new Float32Array(positions.length);
+  for (let i = 0; i + 2 < indices.length; i += 3) {
+    const a = indices[i] * 3;
+    const b = indices[i + 1] * 3;
+    const c = indices[i + 2] * 3;
+    const e1x = positions[b] - positions[a];
+    const e1y = positions[b + 1] - positions[a + 1];
+    const e1z = positions[b + 2] - positions[a + 2];
+    const e2x = positions[c] - positions[a];
+    const e2y = positions[c + 1] - positions[a + 1];
+    const e2z = positions[c + 2] - positions[a + 2];
+    // Unnormalized cross product: its length is twice the triangle area
+    const nx = e1y * e2z - e1z * e2y;
+    const ny = e1z * e2x - e1x * e2z;
+    const nz = e1x * e2y - e1y * e2x;
+    [a, b, c].forEach(v => {
+      normals[v] += nx;
+      normals[v + 1] += ny;
+      normals[v + 2] += nz;
+    });
+  }
+  for (let i = 0; i < normals.length; i += 3) {
+    const length = Math.hypot(normals[i], normals[i + 1], normals[i + 2]);
+    if (length > 0) {
+      normals[i] /= length;
+      normals[i + 1] /= length;
+      normals[i + 2] /= length;
+    } else {
+      normals[i + 1] = 1;
+    }
+  }
+  return normals;
+};
+
+const accessor = (doc, type, array) => doc.createAccessor()
+  .setType(type)
+  .setArray(array)
+  .setBuffer(doc.getRoot().listBuffers()[0]);
+
+// Add a primitive to `mesh`. data: { positions, normals, uvs, colors (3 or 4 components),
+// indices, mode } as flat arrays; everything but positions is optional.
+const addPrimitive = (doc, mesh, data, material = null) => {
+  const vertexCount = data.positions.length / 3;
+  const prim = doc.createPrimitive()
+    .setMode(data.mode === undefined ? Primitive.Mode.TRIANGLES : data.mode)
+    .setAttribute('POSITION', accessor(doc, 'VEC3', Float32Array.from(data.positions)));
+
+  if (data.normals) {
+    prim.setAttribute('NORMAL', accessor(doc, 'VEC3', Float32Array.from(data.normals)));
+  }
+  if (data.uvs) {
+    prim.setAttribute('TEXCOORD_0', accessor(doc, 'VEC2', Float32Array.from(data.uvs)));
+  }
+  if (data.colors) {
+    const size = data.colors.length / vertexCount;
+    prim.setAttribute('COLOR_0', accessor(doc, size === 4 ? 'VEC4' : 'VEC3', Float32Array.from(data.colors)));
+  }
+  if (data.indices) {
+    const IndexArray = vertexCount > 65535 ? Uint32Array : Uint16Array;
+    prim.setIndices(accessor(doc, 'SCALAR', IndexArray.from(data.indices)));
+  }
+  if (material) {
+    prim.setMaterial(material);
+  }
+  mesh.addPrimitive(prim);
+  return prim;
+};
+
+module.exports = {
+  createImportDocument,
+  srgbToLinear,
+  computeVertexNormals,
+  addPrimitive
+};
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+
+// Suffix used for Draco re-encoded variants written by scripts/optimize-models.js
+const OPTIMIZED_SUFFIX = '-optimized-draco';
+
+const isGlbFile = (file) => file.toLowerCase().endsWith('.glb');
+
+const isOptimizedFile = (file) => file.toLowerCase().endsWith(`${OPTIMIZED_SUFFIX}.glb`);
+
+// Texture resolutions (longest side, px) of the downscaled variants built by
+// lib/texture-variants, largest first
+const TEXTURE_RESOLUTIONS = [2048, 1024, 512];
+
+const TEXTURE_VARIANT_PATTERN = /\.tex(\d+)\.glb$/i;
+
+const isTextureVariantFile = (file) => TEXTURE_VARIANT_PATTERN.test(file);
+
+// Simplified meshes built by lib/model-lods, from level 1 (closest to the original) to
+// the coarsest level
+const LOD_LEVELS = [1, 2, 3];
+
+const LOD_PATTERN = /\.lod(\d+)\.glb$/i;
+
+const isLodFile = (file) => LOD_PATTERN.test(file);
+
+// "Palamu Fort-optimized-draco.glb" / "Palamu Fort.tex1024.glb" / "Palamu Fort.lod2.glb"
+// -> "Palamu Fort"
+const canonicalModelId = (file) => {
+  if (isTextureVariantFile(file)) return file.replace(TEXTURE_VARIANT_PATTERN, '');
+  if (isLodFile(file)) return file.replace(LOD_PATTERN, '');
+  const base = file.replace(/\.glb$/i, '');
+  return isOptimizedFile(file) ? base.slice(0, -OPTIMIZED_SUFFIX.length) : base;
+};
+
+const optimizedFileName = (id) => `${id}${OPTIMIZED_SUFFIX}.glb`;
+
+const textureVariantFileName = (id, resolution) => `${id}.tex${resolution}.glb`;
+
+const lodFileName = (id, level) => `${id}.lod${level}.glb`;
+
+// iOS Quick Look variant built by lib/usdz
+const usdzFileName = (id) => `${id}.usdz`;
+
+// Poster images stored by lib/model-posters: every width in POSTER_WIDTHS (largest first)
+// in each of POSTER_FORMATS
+const POSTER_WIDTHS = [1024, 512, 256];
+const POSTER_FORMATS = ['webp', 'png'];
+
+const posterFileName = (id, width, format) => `${id}.poster${width}.${format}`;
+
+// Formats converted to GLB on upload by lib/model-import. A .zip bundles one model with
+// the material and texture files it references; a zipped .gltf is stored as a package
+// (see below) unless it is packed into a GLB.
+const IMPORT_EXTENSIONS = ['.obj', '.stl', '.ply', '.fbx', '.gltf', '.zip'];
+
+const isImportableFile = (file) => IMPORT_EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+// The original upload of a converted model and its conversion report
+const importSourceFileName = (id, ext) => `${id}.source${ext}`;
+const importReportFileName = (id) => `${id}.import.json`;
+const importFileNames = (id) => [
+  ...IMPORT_EXTENSIONS.map(ext => importSourceFileName(id, ext)),
+  importReportFileName(id)
+];
+
+// Names ending like a derived file of another model ("X.tex1024", "X.lod2",
+// "X-optimized-draco", "X.poster512") would be folded into or clash with that model's files
+const RESERVED_NAME_PATTERN = new RegExp(`(\\.(tex|lod|poster)\\d+|${OPTIMIZED_SUFFIX})$`, 'i');
+
+// Turn a client supplied name into a safe file name inside modelsDir, or null
+const sanitizeModelFileName = (rawName) => {
+  const base = path.basename(String(rawName || ''))
+    .replace(/\.(glb|gltf|obj|stl|ply|fbx|zip)$/i, '')
+    .replace(/[^\w\s().-]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[.\s]+/, '')
+    .trim();
+  return base && !RESERVED_NAME_PATTERN.test(base) ? `${base}.glb` : null;
+};
+
+// Multi-file glTF packages are stored as a directory per model: models/<id>/ holds exactly
+// one .gltf at its root plus the buffers and images it references (lib/model-packages)
+const findPackageEntry = (dir) => {
+  let files;
+  try {
+    files = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return null;
+  }
+  const entries = files.filter(file => file.isFile() && file.name.toLowerCase().endsWith('.gltf'));
+  return entries.length === 1 ? entries[0].name : null;
+};
+
+// Every file of a package as "<id>/<relative path>", without .gz/.br siblings
+const packageFiles = (modelsDir, id) => {
+  const walk = (relDir) => fs.readdirSync(path.join(modelsDir, relDir), { withFileTypes: true })
+    .flatMap(file => {
+      const rel = `${relDir}/${file.name}`;
+      if (file.isDirectory()) return walk(rel);
+      return file.isFile() && !/\.(gz|br)$/i.test(file.name) ? [rel] : [];
+    });
+  return walk(id);
+};
+
+// Total size in bytes of a package's files
+const packageSize = (modelsDir, id) => packageFiles(modelsDir, id)
+  .reduce((sum, file) => sum + fs.statSync(path.join(modelsDir, file)).size, 0);
+
+const isPackageDir = (modelsDir, name) => !name.startsWith('.')
+  && findPackageEntry(path.join(modelsDir, name)) !== null;
+
+const mtimeOf = (filePath) => {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch (e) {
+    return null;
+  }
+};
+
+// An optimized variant only counts while it is at least as new as its source
+const isOptimizedUpToDate = (modelsDir, id) => {
+  const optimizedMtime = mtimeOf(path.join(modelsDir, optimizedFileName(id)));
+  if (optimizedMtime === null) return false;
+  const sourceMtime = mtimeOf(path.join(modelsDir, `${id}.glb`));
+  return sourceMtime === null || optimizedMtime >= sourceMtime;
+};
+
+// Texture variants that are at least as new as the file they were built from, as
+// [{ resolution, file }], largest first
+const listTextureVariants = (modelsDir, entry) => {
+  const sourceMtime = mtimeOf(path.join(modelsDir, entry.file));
+  return TEXTURE_RESOLUTIONS
+    .map(resolution => ({ resolution, file: textureVariantFileName(entry.id, resolution) }))
+    .filter(variant => {
+      const mtime = mtimeOf(path.join(modelsDir, variant.file));
+      return mtime !== null && (sourceMtime === null || mtime >= sourceMtime);
+    });
+};
+
+// LOD files that are at least as new as the file they were built from, as
+// [{ level, file }], finest first
+const listLods = (modelsDir, entry) => {
+  const sourceMtime = mtimeOf(path.join(modelsDir, entry.file));
+  return LOD_LEVELS
+    .map(level => ({ level, file: lodFileName(entry.id, level) }))
+    .filter(lod => {
+      const mtime = mtimeOf(path.join(modelsDir, lod.file));
+      return mtime !== null && (sourceMtime === null || mtime >= sourceMtime);
+    });
+};
+
+// Posters that are at least as new as the model's source, as [{ width, format, file }],
+// largest first. A Draco-optimized variant looks the same, so it doesn't make them stale.
+const listPosters = (modelsDir, entry) => {
+  const sourceMtime = mtimeOf(path.join(modelsDir, entry.sourceFile || entry.file));
+  return POSTER_WIDTHS
+    .flatMap(width => POSTER_FORMATS.map(format => ({ width, format, file: posterFileName(entry.id, width, format) })))
+    .filter(poster => {
+      const mtime = mtimeOf(path.join(modelsDir, poster.file));
+      return mtime !== null && (sourceMtime === null || mtime >= sourceMtime);
+    });
+};
+
+// Group the GLB files and glTF packages in modelsDir into one entry per model.
+// Each entry names the file that should be served (the optimized variant when it is
+// current) and the original source file, if present.
+const listModelFiles = (modelsDir) => {
+  const files = fs.readdirSync(modelsDir, { withFileTypes: true });
+  const ids = [];
+  const seen = new Set();
+  const add = (id) => {
+    if (!seen.has(id)) {
+      seen.add(id);
+      ids.push(id);
+    }
+  };
+  files.forEach(file => {
+    if (file.isFile() && isGlbFile(file.name)) {
+      add(canonicalModelId(file.name));
+    } else if (file.isDirectory() && isPackageDir(modelsDir, file.name)) {
+      add(file.name);
+    }
+  });
+  return ids
+    .map(id => resolveModelFile(modelsDir, id))
+    .filter(Boolean);
+};
+
+// Whether `name` (a model id or file name from a URL) names an entry directly inside
+// modelsDir: no path separators or NUL bytes, and not hidden (.versions etc.)
+const isSafeModelName = (modelsDir, name) => {
+  if (typeof name !== 'string' || !name || name.startsWith('.') || /[/\\\0]/.test(name)) return false;
+  const root = path.resolve(modelsDir);
+  return path.dirname(path.resolve(root, name)) === root;
+};
+
+// Resolve a model id to { id, file, sourceFile, optimized, package }, or null when it doesn't
+// exist. For packages, `file` is the .gltf inside the package directory and `package` is true.
+const resolveModelFile = (modelsDir, id) => {
+  if (!isSafeModelName(modelsDir, id)) return null;
+  const sourceFile = `${id}.glb`;
+  const hasSource = fs.existsSync(path.join(modelsDir, sourceFile));
+
+  if (isOptimizedUpToDate(modelsDir, id)) {
+    return { id, file: optimizedFileName(id), sourceFile: hasSource ? sourceFile : null, optimized: true };
+  }
+  if (hasSource) {
+    return { id, file: sourceFile, sourceFile, optimized: /-optimized/i.test(id) };
+  }
+  const packageEntry = findPackageEntry(path.join(modelsDir, id));
+  if (packageEntry) {
+    return { id, file: `${id}/${packageEntry}`, sourceFile: null, optimized: false, package: true };
+  }
+  return null;
+};
+
+// Files derived from a model's source GLB. They are invalidated, archived and renamed
+// together with the source (see lib/model-versions).
+const derivedFileNames = (id) => {
+  const optimized = optimizedFileName(id);
+  return [
+    `${id}.glb.gz`,
+    `${id}.glb.br`,
+    optimized,
+    `${optimized}.gz`,
+    `${optimized}.br`,
+    usdzFileName(id),
+    ...[
+      ...TEXTURE_RESOLUTIONS.map(resolution => textureVariantFileName(id, resolution)),
+      ...LOD_LEVELS.map(level => lodFileName(id, level))
+    ].flatMap(file => [file, `${file}.gz`, `${file}.br`]),
+    ...POSTER_WIDTHS.flatMap(width => POSTER_FORMATS.map(format => posterFileName(id, width, format)))
+  ];
+};
+
+// The source GLB (or package directory) followed by whichever derived and import files
+// currently exist. Import files describe where this version of the model came from, so
+// they are versioned with it.
+const modelArtifacts = (modelsDir, id) => [`${id}.glb`, id, ...derivedFileNames(id), ...importFileNames(id)]
+  .filter(file => fs.existsSync(path.join(modelsDir, file)));
+
+module.exports = {
+  OPTIMIZED_SUFFIX,
+  isGlbFile,
+  isOptimizedFile,
+  canonicalModelId,
+  optimizedFileName,
+  usdzFileName,
+  TEXTURE_RESOLUTIONS,
+  isTextureVariantFile,
+  textureVariantFileName,
+  listTextureVariants,
+  LOD_LEVELS,
+  isLodFile,
+  lodFileName,
+  listLods,
+  POSTER_WIDTHS,
+  POSTER_FORMATS,
+  posterFileName,
+  listPosters,
+  IMPORT_EXTENSIONS,
+  isImportableFile,
+  importSourceFileName,
+  importReportFileName,
+  importFileNames,
+  sanitizeModelFileName,
+  findPackageEntry,
+  packageFiles,
+  packageSize,
+  listModelFiles,
+  isSafeModelName,
+  resolveModelFile,
+  derivedFileNames,
+  modelArtifacts
+};
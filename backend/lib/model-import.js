@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger } = require('@gltf-transform/core');
+const { dedup, prune, weld } = require('@gltf-transform/functions');
+const { getIO } = require('./gltf-io');
+const { readJson, writeJsonAtomic } = require('./json-store');
+const { ZipFormatError, readZip } = require('./zip');
+const { createImportDocument } = require('./mesh-builder');
+const { importObj } = require('./import-obj');
+const { importStl } = require('./import-stl');
+const { PlyFormatError, importPly } = require('./import-ply');
+const { importFbx } = require('./import-fbx');
+const { MAX_BUNDLE_MB } = require('./model-packages');
+const { importSourceFileName, importReportFileName } = require('./model-files');
+
+// Converts OBJ (+MTL), STL, PLY, FBX and glTF uploads to GLB. A .zip upload must contain
+// exactly one model file plus whatever it references (MTL files, buffers, textures); zipped
+// glTF only ends up here when it is packed into a GLB (see lib/model-packages). The original upload
+// is kept next to the GLB as <id>.source.<ext>, and <id>.import.json records the format
+// and any conversion warnings (see /api/models/:id/stats).
+
+const FORMATS = {
+  '.obj': 'obj',
+  '.stl': 'stl',
+  '.ply': 'ply',
+  '.fbx': 'fbx',
+  '.gltf': 'gltf'
+};
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = 422;
+  }
+}
+
+// Look up files referenced by the model: exact relative path first, then ignoring case,
+// then by file name anywhere in the bundle (exporters often write absolute paths).
+const createResolver = (entries, modelName) => {
+  const baseDir = path.posix.dirname(modelName);
+  return (ref) => {
+    const cleaned = String(ref).trim().replace(/^["']|["']$/g, '').replace(/\\/g, '/');
+    const wanted = path.posix.normalize(path.posix.join(baseDir, cleaned)).toLowerCase();
+    const base = path.posix.basename(cleaned).toLowerCase();
+    return entries.find(entry => entry.name === path.posix.join(baseDir, cleaned))
+      || entries.find(entry => entry.name.toLowerCase() === wanted)
+      || entries.find(entry => path.posix.basename(entry.name).toLowerCase() === base)
+      || null;
+  };
+};
+
+// Pick the model file out of a zip bundle
+const bundleModel = (entries) => {
+  const models = entries.filter(entry => FORMATS[path.posix.extname(entry.name).toLowerCase()]
+    && !entry.name.startsWith('__MACOSX/'));
+  if (models.length === 0) {
+    throw new ImportError(`The zip contains no model file (expected one of ${Object.keys(FORMATS).join(', ')})`);
+  }
+  if (models.length > 1) {
+    throw new ImportError(`The zip contains more than one model file: ${models.map(m => m.name).join(', ')}`);
+  }
+  return models[0];
+};
+
+// FBX and glTF are read from disk, with their textures and buffers next to them, so the
+// bundle is written to a temporary directory and `read(modelPath)` runs there
+const readExtracted = async (model, entries, read) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-import-'));
+  try {
+    // readZip rejects entries that would escape `dir`
+    entries.forEach(entry => {
+      const target = path.join(dir, entry.name);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, entry.data);
+    });
+    return await read(path.join(dir, model.name));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+// Convert the upload at srcPath (originally named originalName) and write a GLB to outPath.
+// Resolves with { format, originalName, warnings }; unreadable input rejects with ImportError.
+const importModel = async (srcPath, originalName, outPath) => {
+  const ext = path.extname(originalName).toLowerCase();
+  const buffer = fs.readFileSync(srcPath);
+  const warnings = [];
+
+  let entries;
+  let model;
+  if (ext === '.zip') {
+    try {
+      entries = readZip(buffer, { maxSize: MAX_BUNDLE_MB * 1024 * 1024 });
+    } catch (err) {
+      if (err instanceof ZipFormatError) throw new ImportError(err.message);
+      throw err;
+    }
+    model = bundleModel(entries);
+  } else if (FORMATS[ext]) {
+    model = { name: path.basename(originalName), data: buffer };
+    entries = [model];
+  } else {
+    throw new ImportError(`Unsupported model format "${ext || originalName}"`);
+  }
+
+  const format = FORMATS[path.posix.extname(model.name).toLowerCase()];
+  const name = path.posix.basename(model.name).replace(/\.[^.]+$/, '');
+  const resolveFile = createResolver(entries, model.name);
+
+  let doc;
+  try {
+    if (format === 'fbx') {
+      doc = await readExtracted(model, entries, modelPath => importFbx(modelPath, { warnings }));
+    } else if (format === 'gltf') {
+      doc = await readExtracted(model, entries, async (modelPath) => (await getIO()).read(modelPath));
+    } else {
+      const created = createImportDocument();
+      doc = created.doc;
+      const context = { name, resolveFile, warnings };
+      if (format === 'obj') {
+        await importObj(doc, created.scene, model.data.toString('utf8'), context);
+      } else if (format === 'stl') {
+        await importStl(doc, created.scene, model.data, context);
+      } else {
+        await importPly(doc, created.scene, model.data, context);
+      }
+    }
+  } catch (err) {
+    if (err instanceof PlyFormatError) throw new ImportError(err.message);
+    if (format === 'fbx' || format === 'gltf') throw new ImportError(err.message);
+    throw err;
+  }
+
+  const primitiveCount = doc.getRoot().listMeshes()
+    .reduce((sum, mesh) => sum + mesh.listPrimitives().length, 0);
+  if (primitiveCount === 0) {
+    throw new ImportError(`No geometry found in ${model.name}`);
+  }
+  if (ext !== '.zip' && warnings.some(warning => / was not found$/.test(warning))) {
+    warnings.push('Upload a .zip with the model, its material files and textures to keep them');
+  }
+
+  doc.setLogger(new Logger(Logger.Verbosity.WARN));
+  await doc.transform(weld(), dedup(), prune());
+  const io = await getIO();
+  fs.writeFileSync(outPath, Buffer.from(await io.writeBinary(doc)));
+  return { format, originalName: path.basename(originalName), warnings };
+};
+
+// Store the original upload and the conversion report next to an imported model. Both are
+// written through temp files, so readers never see a partial source.
+const saveImportRecord = (modelsDir, id, srcPath, result) => {
+  const ext = path.extname(result.originalName).toLowerCase();
+  const sourceFile = importSourceFileName(id, ext);
+  const tmpPath = path.join(modelsDir, `.${sourceFile}.${process.pid}.tmp`);
+  fs.copyFileSync(srcPath, tmpPath);
+  fs.renameSync(tmpPath, path.join(modelsDir, sourceFile));
+
+  const record = {
+    format: result.format,
+    originalName: result.originalName,
+    sourceFile,
+    size: fs.statSync(path.join(modelsDir, sourceFile)).size,
+    convertedAt: new Date().toISOString(),
+    warnings: result.warnings
+  };
+  writeJsonAtomic(path.join(modelsDir, importReportFileName(id)), record);
+  return record;
+};
+
+// The conversion report of an imported model, or null for models uploaded as GLB
+const readImportRecord = (modelsDir, id) => readJson(path.join(modelsDir, importReportFileName(id)), null);
+
+module.exports = {
+  ImportError,
+  importModel,
+  saveImportRecord,
+  readImportRecord
+};
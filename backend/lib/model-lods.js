@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger, Primitive } = require('@gltf-transform/core');
+const { cloneDocument, prune, simplify, weld } = require('@gltf-transform/functions');
+const { getIO } = require('./gltf-io');
+const { fitTextures } = require('./texture-variants');
+const { LOD_LEVELS, resolveModelFile, lodFileName, listLods } = require('./model-files');
+
+// Simplified versions of each model for gallery previews and for showing something while
+// the full model downloads. "<id>.lod<level>.glb" keeps the scene graph and materials,
+// with meshes simplified by meshoptimizer towards `ratio` of the original triangles.
+// Simplification stops early once the error would exceed `error` (relative to the mesh
+// size), so detailed areas of a scan are not flattened just to reach the ratio. Coarser
+// levels also get smaller textures, since they are only shown small or briefly.
+const LOD_SETTINGS = {
+  1: { ratio: 0.5, error: 0.001, textureResolution: null },
+  2: { ratio: 0.2, error: 0.005, textureResolution: 1024 },
+  3: { ratio: 0.05, error: 0.02, textureResolution: 512 }
+};
+
+// A level is only kept if it has at most this fraction of the previous level's triangles;
+// otherwise the error budget stopped it and it would be a near copy
+const MIN_REDUCTION = 0.75;
+
+// meshoptimizer is an ES module with a WASM build, loaded on first use
+let simplifierPromise = null;
+const getSimplifier = () => {
+  if (!simplifierPromise) {
+    simplifierPromise = import('meshoptimizer').then(async ({ MeshoptSimplifier }) => {
+      await MeshoptSimplifier.ready;
+      return MeshoptSimplifier;
+    });
+  }
+  return simplifierPromise;
+};
+
+const TRIANGLE_MODES = [Primitive.Mode.TRIANGLES, Primitive.Mode.TRIANGLE_STRIP, Primitive.Mode.TRIANGLE_FAN];
+
+const countTriangles = (doc) => doc.getRoot().listMeshes()
+  .flatMap(mesh => mesh.listPrimitives())
+  .reduce((sum, prim) => {
+    if (!TRIANGLE_MODES.includes(prim.getMode())) return sum;
+    const indices = prim.getIndices();
+    const count = indices ? indices.getCount() : prim.getAttribute('POSITION').getCount();
+    return sum + (prim.getMode() === Primitive.Mode.TRIANGLES ? Math.floor(count / 3) : Math.max(0, count - 2));
+  }, 0);
+
+// Build the LODs of the GLB or .gltf at srcPath into modelsDir. Every level is simplified
+// from the original so errors don't accumulate. Resolves with
+// { sourceTriangles, written: [{ level, file, triangles }], warnings }.
+const buildLods = async (srcPath, modelsDir, id) => {
+  const io = await getIO();
+  const simplifier = await getSimplifier();
+  const source = await io.read(srcPath);
+  source.setLogger(new Logger(Logger.Verbosity.WARN));
+  const sourceTriangles = countTriangles(source);
+  const warnings = [];
+
+  const written = [];
+  let previousTriangles = sourceTriangles;
+  for (const level of LOD_LEVELS) {
+    const { ratio, error, textureResolution } = LOD_SETTINGS[level];
+    const doc = cloneDocument(source);
+    await doc.transform(weld(), simplify({ simplifier, ratio, error }), prune());
+    const triangles = countTriangles(doc);
+    if (triangles > previousTriangles * MIN_REDUCTION) {
+      warnings.push(`Level ${level} skipped: the error budget stopped simplification at ${triangles} of ${sourceTriangles} triangles`);
+      continue;
+    }
+    if (textureResolution) {
+      await fitTextures(doc, textureResolution);
+    }
+
+    const file = lodFileName(id, level);
+    const tmpPath = path.join(modelsDir, `.${file}.${process.pid}.tmp`);
+    fs.writeFileSync(tmpPath, Buffer.from(await io.writeBinary(doc)));
+    fs.renameSync(tmpPath, path.join(modelsDir, file));
+    written.push({ level, file, triangles });
+    previousTriangles = triangles;
+  }
+  return { sourceTriangles, written, warnings };
+};
+
+// Simplification is CPU and memory heavy: run one model at a time and share in-flight work
+let queue = Promise.resolve();
+const inFlight = new Map();
+// Sources (by mtime) that could not be simplified, so they aren't read again on every event
+const noLodsPossible = new Map();
+
+// Make sure a model's LODs are current. Resolves with
+// { generated, lods: [{ level, file }], warnings }.
+const ensureLods = (modelsDir, id, { force = false } = {}) => {
+  const key = `${modelsDir}\0${id}`;
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const run = async () => {
+    const entry = resolveModelFile(modelsDir, id);
+    if (!entry) {
+      throw new Error(`Model "${id}" not found`);
+    }
+    const srcPath = path.join(modelsDir, entry.file);
+    const srcMtime = fs.statSync(srcPath).mtimeMs;
+    const current = listLods(modelsDir, entry);
+    const existing = LOD_LEVELS.filter(level => fs.existsSync(path.join(modelsDir, lodFileName(id, level))));
+    const isCurrent = current.length > 0
+      ? current.length === existing.length
+      : noLodsPossible.get(key) === srcMtime;
+    if (!force && isCurrent) {
+      return { generated: false, lods: current, warnings: [] };
+    }
+
+    const { written, warnings } = await buildLods(srcPath, modelsDir, id);
+    // Drop levels the new source doesn't get
+    existing
+      .filter(level => !written.some(lod => lod.level === level))
+      .forEach(level => {
+        const file = path.join(modelsDir, lodFileName(id, level));
+        [file, `${file}.gz`, `${file}.br`].forEach(stale => fs.rmSync(stale, { force: true }));
+      });
+    if (written.length === 0) {
+      noLodsPossible.set(key, srcMtime);
+    }
+    return { generated: written.length > 0, lods: written, warnings };
+  };
+
+  const promise = queue.then(run, run);
+  queue = promise.catch(() => {});
+  inFlight.set(key, promise);
+  const clear = () => inFlight.delete(key);
+  promise.then(clear, clear);
+  return promise;
+};
+
+module.exports = {
+  LOD_SETTINGS,
+  buildLods,
+  ensureLods
+};
@@ -0,0 +1,108 @@
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./json-store');
+
+// Metadata lives in a JSON sidecar next to the model: "<id>.meta.json"
+const METADATA_SUFFIX = '.meta.json';
+
+const STRING_FIELDS = {
+  title: 200,
+  description: 10000,
+  category: 100,
+  origin: 200,
+  creator: 200,
+  attribution: 1000
+};
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 50;
+
+const EMPTY_METADATA = {
+  title: null,
+  description: null,
+  category: null,
+  tags: [],
+  origin: null,
+  creator: null,
+  attribution: null,
+  // Private models are hidden from anonymous callers
+  private: false
+};
+
+class MetadataValidationError extends Error {
+  constructor(errors) {
+    super('Invalid model metadata');
+    this.name = 'MetadataValidationError';
+    this.errors = errors;
+  }
+}
+
+const metadataPath = (modelsDir, id) => path.join(modelsDir, `${id}${METADATA_SUFFIX}`);
+
+const readMetadata = (modelsDir, id) => ({
+  ...EMPTY_METADATA,
+  ...readJson(metadataPath(modelsDir, id), {})
+});
+
+// Check a client supplied metadata document and normalise it (trimmed strings,
+// empty strings -> null, de-duplicated tags). Throws MetadataValidationError.
+const validateMetadata = (input) => {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new MetadataValidationError([{ field: null, message: 'Metadata must be a JSON object' }]);
+  }
+
+  const allowed = new Set([...Object.keys(STRING_FIELDS), 'tags', 'private']);
+  Object.keys(input).forEach(key => {
+    if (!allowed.has(key)) errors.push({ field: key, message: 'Unknown field' });
+  });
+
+  const result = { ...EMPTY_METADATA };
+  Object.entries(STRING_FIELDS).forEach(([field, maxLength]) => {
+    const value = input[field];
+    if (value === undefined || value === null) return;
+    if (typeof value !== 'string') {
+      errors.push({ field, message: 'Must be a string' });
+    } else if (value.length > maxLength) {
+      errors.push({ field, message: `Must be at most ${maxLength} characters` });
+    } else {
+      result[field] = value.trim() || null;
+    }
+  });
+
+  if (input.tags !== undefined && input.tags !== null) {
+    if (!Array.isArray(input.tags) || input.tags.some(tag => typeof tag !== 'string')) {
+      errors.push({ field: 'tags', message: 'Must be an array of strings' });
+    } else if (input.tags.length > MAX_TAGS) {
+      errors.push({ field: 'tags', message: `At most ${MAX_TAGS} tags are allowed` });
+    } else if (input.tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      errors.push({ field: 'tags', message: `Tags must be at most ${MAX_TAG_LENGTH} characters` });
+    } else {
+      result.tags = [...new Set(input.tags.map(tag => tag.trim()).filter(Boolean))];
+    }
+  }
+
+  if (input.private !== undefined && input.private !== null) {
+    if (typeof input.private !== 'boolean') {
+      errors.push({ field: 'private', message: 'Must be a boolean' });
+    } else {
+      result.private = input.private;
+    }
+  }
+
+  if (errors.length > 0) throw new MetadataValidationError(errors);
+  return result;
+};
+
+const writeMetadata = (modelsDir, id, input) => {
+  const metadata = validateMetadata(input);
+  writeJsonAtomic(metadataPath(modelsDir, id), metadata);
+  return metadata;
+};
+
+module.exports = {
+  METADATA_SUFFIX,
+  MetadataValidationError,
+  metadataPath,
+  readMetadata,
+  validateMetadata,
+  writeMetadata
+};
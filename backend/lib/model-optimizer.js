@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { draco } = require('@gltf-transform/functions');
+const { getIO } = require('./gltf-io');
+const { isGlbFile, isOptimizedFile, isTextureVariantFile, isLodFile, optimizedFileName } = require('./model-files');
+
+// Quantization bits per attribute type. Higher values keep more precision at the cost of size.
+const DEFAULT_QUANTIZATION = {
+  position: 14,
+  normal: 10,
+  texcoord: 12,
+  color: 8,
+  generic: 12
+};
+
+// Re-encode the meshes of one GLB with Draco and write "<name>-optimized-draco.glb" next to it.
+// Resolves with a summary; files whose optimized variant is newer than the source are skipped
+// unless options.force is set.
+const optimizeModel = async (srcPath, options = {}) => {
+  const quantization = { ...DEFAULT_QUANTIZATION, ...(options.quantization || {}) };
+  const dir = path.dirname(srcPath);
+  const id = path.basename(srcPath).replace(/\.glb$/i, '');
+  const outPath = path.join(dir, optimizedFileName(id));
+  const srcStat = fs.statSync(srcPath);
+
+  if (!options.force && fs.existsSync(outPath) && fs.statSync(outPath).mtimeMs >= srcStat.mtimeMs) {
+    return {
+      source: srcPath,
+      output: outPath,
+      skipped: true,
+      originalSize: srcStat.size,
+      optimizedSize: fs.statSync(outPath).size
+    };
+  }
+
+  const io = await getIO();
+  const document = await io.read(srcPath);
+  await document.transform(draco({
+    method: options.method || 'edgebreaker',
+    quantizePosition: quantization.position,
+    quantizeNormal: quantization.normal,
+    quantizeTexcoord: quantization.texcoord,
+    quantizeColor: quantization.color,
+    quantizeGeneric: quantization.generic
+  }));
+  const glb = await io.writeBinary(document);
+
+  // Write to a temp file and rename so the listing never picks up a partial file
+  const tmpPath = path.join(dir, `.${path.basename(outPath)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmpPath, glb);
+  fs.renameSync(tmpPath, outPath);
+
+  return {
+    source: srcPath,
+    output: outPath,
+    skipped: false,
+    originalSize: srcStat.size,
+    optimizedSize: glb.byteLength
+  };
+};
+
+// Optimize every source GLB in a directory, one at a time to keep memory bounded.
+// Errors are collected per file so one broken model doesn't stop the batch.
+const optimizeModels = async (modelsDir, options = {}) => {
+  const files = fs.readdirSync(modelsDir)
+    .filter(file => isGlbFile(file) && !isOptimizedFile(file) && !isTextureVariantFile(file) && !isLodFile(file));
+
+  const results = [];
+  for (const file of files) {
+    const srcPath = path.join(modelsDir, file);
+    try {
+      const result = await optimizeModel(srcPath, options);
+      results.push(result);
+      if (options.onResult) options.onResult(result);
+    } catch (error) {
+      const result = { source: srcPath, error };
+      results.push(result);
+      if (options.onResult) options.onResult(result);
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  DEFAULT_QUANTIZATION,
+  optimizeModel,
+  optimizeModels
+};
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { getIO } = require('./gltf-io');
+const { ZipFormatError, readZip } = require('./zip');
+const { validateGltf } = require('./model-validation');
+
+// Multi-file glTF packages: a zipped .gltf with external buffers and images is stored as a
+// directory, models/<id>/, with the .gltf at its root (see lib/model-files), and its files
+// are served individually under /models/<id>/v<version>/...
+
+// Uncompressed size limit for zip uploads, so a small upload can't expand without bound
+const MAX_BUNDLE_MB = parseInt(process.env.MAX_BUNDLE_MB, 10) || 1024;
+
+// Content types for package resources; anything else is served as octet-stream
+const RESOURCE_TYPES = {
+  '.gltf': 'model/gltf+json',
+  '.bin': 'application/octet-stream',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ktx2': 'image/ktx2'
+};
+
+const resourceContentType = (file) => RESOURCE_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+
+// JSON and geometry compress well; images are already compressed
+const isCompressibleResource = (file) => /\.(gltf|bin)$/i.test(file);
+
+class PackageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PackageError';
+    this.status = 422;
+  }
+}
+
+// Absolute path of a file inside the package directory, or null if relPath leaves it
+const resolvePackagePath = (dir, relPath) => {
+  const resolved = path.resolve(dir, relPath);
+  return resolved.startsWith(`${path.resolve(dir)}${path.sep}`) ? resolved : null;
+};
+
+// Resolve a URI from the .gltf to a path inside the package, or null if it points elsewhere
+const resolveResource = (dir, uri) => {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(uri)) return null;
+  try {
+    return resolvePackagePath(dir, decodeURIComponent(uri));
+  } catch (e) {
+    return null;
+  }
+};
+
+// Extract the zip at zipPath into destDir if it is a glTF package and return { entry, files }:
+// the .gltf's name and the number of files written. The .gltf's folder becomes the package
+// root; files outside it, hidden files and .gz/.br files are left out. Returns null when the
+// zip contains no .gltf or can't be read, leaving it to lib/model-import.
+const extractPackage = (zipPath, destDir) => {
+  let entries;
+  try {
+    entries = readZip(fs.readFileSync(zipPath), { maxSize: MAX_BUNDLE_MB * 1024 * 1024 });
+  } catch (err) {
+    if (err instanceof ZipFormatError) return null;
+    throw err;
+  }
+  const candidates = entries.filter(entry => !entry.name.startsWith('__MACOSX/'));
+  const gltfs = candidates.filter(entry => entry.name.toLowerCase().endsWith('.gltf'));
+  if (gltfs.length === 0) return null;
+  if (gltfs.length > 1) {
+    throw new PackageError(`The zip contains more than one .gltf file: ${gltfs.map(entry => entry.name).join(', ')}`);
+  }
+
+  const root = path.posix.dirname(gltfs[0].name);
+  const prefix = root === '.' ? '' : `${root}/`;
+  const files = candidates.filter(entry => entry.name.startsWith(prefix)
+    && !entry.name.slice(prefix.length).split('/').some(part => part.startsWith('.'))
+    && !/\.(gz|br)$/i.test(entry.name));
+
+  fs.mkdirSync(destDir, { recursive: true });
+  files.forEach(entry => {
+    const target = path.join(destDir, entry.name.slice(prefix.length));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, entry.data);
+  });
+  return { entry: path.posix.basename(gltfs[0].name), files: files.length };
+};
+
+// Run the glTF validator over a package; every buffer and image must be inside it
+const validatePackage = (dir, entry) => validateGltf(
+  fs.readFileSync(path.join(dir, entry)),
+  async (uri) => {
+    const resolved = resolveResource(dir, uri);
+    if (!resolved) {
+      throw new Error(`Resource outside the package: ${uri}`);
+    }
+    return fs.promises.readFile(resolved);
+  }
+);
+
+// Pack a package into a single self-contained GLB at outPath
+const packPackage = async (dir, entry, outPath) => {
+  const io = await getIO();
+  const doc = await io.read(path.join(dir, entry));
+  fs.writeFileSync(outPath, Buffer.from(await io.writeBinary(doc)));
+};
+
+module.exports = {
+  MAX_BUNDLE_MB,
+  PackageError,
+  resourceContentType,
+  isCompressibleResource,
+  resolvePackagePath,
+  extractPackage,
+  validatePackage,
+  packPackage
+};
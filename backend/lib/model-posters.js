@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { detectImage } = require('./media-store');
+const { POSTER_WIDTHS, POSTER_FORMATS, posterFileName } = require('./model-files');
+
+// Poster images shown while a model loads. A client renders a framed screenshot of the
+// model and uploads it; it is stored next to the model as "<id>.poster<width>.<format>"
+// at every width in POSTER_WIDTHS that the screenshot covers, as WebP and as PNG.
+// Posters are derived files, so replacing the model archives them with the old version
+// (see lib/model-versions) and the next client to render the new one uploads fresh ones.
+
+// Larger screenshots are rejected rather than decoded
+const MAX_POSTER_SIDE = 4096;
+
+class PosterError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = 'PosterError';
+    this.status = status;
+  }
+}
+
+const ENCODERS = {
+  webp: (image) => image.webp({ quality: 82 }),
+  png: (image) => image.png({ compressionLevel: 9, palette: true })
+};
+
+const removePosterFile = (modelsDir, id, width, format) => {
+  fs.rmSync(path.join(modelsDir, posterFileName(id, width, format)), { force: true });
+};
+
+// Store the screenshot in `buffer` (PNG, JPEG or WebP) as the posters of model `id`,
+// replacing any previous ones. Resolves with [{ width, format, file }], largest first.
+const savePoster = async (modelsDir, id, buffer) => {
+  const image = detectImage(buffer);
+  if (!image) {
+    throw new PosterError('Poster must be a PNG, JPEG or WebP image', 415);
+  }
+  if (Math.max(image.width, image.height) > MAX_POSTER_SIDE) {
+    throw new PosterError(`Poster must be at most ${MAX_POSTER_SIDE} px on its longest side`);
+  }
+  const widths = POSTER_WIDTHS.filter(width => width <= image.width);
+  if (widths.length === 0) {
+    throw new PosterError(`Poster must be at least ${Math.min(...POSTER_WIDTHS)} px wide`);
+  }
+
+  const written = [];
+  for (const width of widths) {
+    for (const format of POSTER_FORMATS) {
+      const file = posterFileName(id, width, format);
+      const tmpPath = path.join(modelsDir, `.${file}.${process.pid}.tmp`);
+      await ENCODERS[format](sharp(buffer).resize({ width })).toFile(tmpPath);
+      fs.renameSync(tmpPath, path.join(modelsDir, file));
+      written.push({ width, format, file });
+    }
+  }
+  // A smaller screenshot than last time doesn't cover the largest widths any more
+  POSTER_WIDTHS
+    .filter(width => !widths.includes(width))
+    .forEach(width => POSTER_FORMATS.forEach(format => removePosterFile(modelsDir, id, width, format)));
+  return written;
+};
+
+// Delete every poster of model `id`
+const removePosters = (modelsDir, id) => {
+  POSTER_WIDTHS.forEach(width => POSTER_FORMATS.forEach(format => removePosterFile(modelsDir, id, width, format)));
+};
+
+module.exports = {
+  PosterError,
+  savePoster,
+  removePosters
+};
@@ -0,0 +1,162 @@
+// Search, filtering, sorting and cursor pagination over model descriptors for GET /api/models
+
+const SORT_FIELDS = {
+  name: (model) => ((model.metadata && model.metadata.title) || model.id).toLowerCase(),
+  size: (model) => model.size,
+  date: (model) => new Date(model.modified).getTime()
+};
+const MAX_LIMIT = 100;
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+// Query params may be repeated (?tag=a&tag=b) or comma separated (?tag=a,b)
+const toList = (value) => {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+const searchableText = (model) => {
+  const metadata = model.metadata || {};
+  return [
+    model.id,
+    model.name,
+    metadata.title,
+    metadata.description,
+    metadata.category,
+    metadata.origin,
+    metadata.creator,
+    ...(metadata.tags || [])
+  ].filter(Boolean).join(' ').toLowerCase();
+};
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== 2) throw new Error('bad cursor');
+    return values;
+  } catch (e) {
+    throw new QueryError('Invalid cursor');
+  }
+};
+
+// Parse and validate the query string into normalised options
+const parseModelQuery = (query) => {
+  const options = {
+    terms: String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean),
+    categories: toList(query.category),
+    tags: toList(query.tag),
+    optimized: null,
+    sort: 'name',
+    descending: false,
+    limit: null,
+    cursor: null
+  };
+
+  if (query.optimized !== undefined) {
+    if (query.optimized !== 'true' && query.optimized !== 'false') {
+      throw new QueryError('optimized must be "true" or "false"');
+    }
+    options.optimized = query.optimized === 'true';
+  }
+
+  if (query.sort !== undefined) {
+    // "-size" sorts descending
+    const sort = String(query.sort);
+    options.descending = sort.startsWith('-');
+    options.sort = sort.replace(/^-/, '');
+    if (!SORT_FIELDS[options.sort]) {
+      throw new QueryError(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new QueryError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    options.limit = limit;
+  }
+
+  if (query.cursor !== undefined) {
+    options.cursor = decodeCursor(query.cursor);
+  }
+
+  return options;
+};
+
+// Apply parsed options to a list of descriptors.
+// Returns { items, total, nextCursor } where total counts every match across all pages.
+const queryModels = (models, options) => {
+  const matches = models.filter(model => {
+    const metadata = model.metadata || {};
+    if (options.optimized !== null && model.optimized !== options.optimized) return false;
+    if (options.categories.length > 0 &&
+      !options.categories.includes(String(metadata.category || '').toLowerCase())) return false;
+    if (options.tags.length > 0) {
+      const tags = (metadata.tags || []).map(tag => tag.toLowerCase());
+      if (!options.tags.every(tag => tags.includes(tag))) return false;
+    }
+    if (options.terms.length > 0) {
+      const text = searchableText(model);
+      if (!options.terms.every(term => text.includes(term))) return false;
+    }
+    return true;
+  });
+
+  // Sort by the requested key with the id as a tie-breaker so the order is total,
+  // which lets the cursor be the (key, id) pair of the last item on the page.
+  const keyOf = SORT_FIELDS[options.sort];
+  const direction = options.descending ? -1 : 1;
+  const compareKeys = (keyA, idA, keyB, idB) => {
+    if (keyA < keyB) return -direction;
+    if (keyA > keyB) return direction;
+    return idA < idB ? -1 : idA > idB ? 1 : 0;
+  };
+  matches.sort((a, b) => compareKeys(keyOf(a), a.id, keyOf(b), b.id));
+
+  let start = 0;
+  if (options.cursor) {
+    const [cursorKey, cursorId] = options.cursor;
+    start = matches.findIndex(model => compareKeys(keyOf(model), model.id, cursorKey, cursorId) > 0);
+    if (start === -1) start = matches.length;
+  }
+
+  const end = options.limit ? start + options.limit : matches.length;
+  const items = matches.slice(start, end);
+  const last = items[items.length - 1];
+  const nextCursor = end < matches.length && last ? encodeCursor([keyOf(last), last.id]) : null;
+
+  return { items, total: matches.length, nextCursor };
+};
+
+// Distinct categories and tags with counts, for building filter UIs
+const modelFacets = (models) => {
+  const count = (values) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()]
+      .map(([name, total]) => ({ name, count: total }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  };
+  return {
+    categories: count(models.map(m => m.metadata && m.metadata.category).filter(Boolean)),
+    tags: count(models.flatMap(m => (m.metadata && m.metadata.tags) || []))
+  };
+};
+
+module.exports = {
+  QueryError,
+  parseModelQuery,
+  queryModels,
+  modelFacets
+};
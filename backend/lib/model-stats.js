@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const { parseGlb } = require('./glb');
+const { readImageSize } = require('./image-size');
+
+// Primitive modes from the glTF spec
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+// Stats are cached per file path and invalidated when the mtime or size changes
+const statsCache = new Map();
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// 4x4 column-major matrix product a * b
+const multiply = (a, b) => {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) {
+        sum += a[k * 4 + row] * b[col * 4 + k];
+      }
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+};
+
+// Compose a column-major matrix from glTF translation / rotation (quaternion) / scale
+const composeTRS = (t = [0, 0, 0], r = [0, 0, 0, 1], s = [1, 1, 1]) => {
+  const [x, y, z, w] = r;
+  const [sx, sy, sz] = s;
+  const x2 = x + x, y2 = y + y, z2 = z + z;
+  const xx = x * x2, xy = x * y2, xz = x * z2;
+  const yy = y * y2, yz = y * z2, zz = z * z2;
+  const wx = w * x2, wy = w * y2, wz = w * z2;
+  return [
+    (1 - (yy + zz)) * sx, (xy + wz) * sx, (xz - wy) * sx, 0,
+    (xy - wz) * sy, (1 - (xx + zz)) * sy, (yz + wx) * sy, 0,
+    (xz + wy) * sz, (yz - wx) * sz, (1 - (xx + yy)) * sz, 0,
+    t[0], t[1], t[2], 1
+  ];
+};
+
+const nodeMatrix = (node) => (
+  Array.isArray(node.matrix) && node.matrix.length === 16
+    ? node.matrix
+    : composeTRS(node.translation, node.rotation, node.scale)
+);
+
+const transformPoint = (m, p) => [
+  m[0] * p[0] + m[4] * p[1] + m[8] * p[2] + m[12],
+  m[1] * p[0] + m[5] * p[1] + m[9] * p[2] + m[13],
+  m[2] * p[0] + m[6] * p[1] + m[10] * p[2] + m[14]
+];
+
+const countTriangles = (mode, count) => {
+  if (mode === MODE_TRIANGLES) return Math.floor(count / 3);
+  if (mode === MODE_TRIANGLE_STRIP || mode === MODE_TRIANGLE_FAN) return Math.max(0, count - 2);
+  return 0;
+};
+
+// Compute the world-space bounding box of the default scene from POSITION accessor min/max.
+// Each primitive's local box is transformed corner by corner, which gives a conservative
+// box when nodes are rotated.
+const computeBounds = (json) => {
+  const nodes = json.nodes || [];
+  const meshes = json.meshes || [];
+  const accessors = json.accessors || [];
+  const scenes = json.scenes || [];
+  const scene = scenes[json.scene || 0];
+  const roots = scene ? scene.nodes || [] : nodes.map((_, i) => i);
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  const visit = (nodeIndex, parentMatrix, depth) => {
+    const node = nodes[nodeIndex];
+    if (!node || depth > 256) return;
+    const world = multiply(parentMatrix, nodeMatrix(node));
+
+    const mesh = node.mesh !== undefined ? meshes[node.mesh] : null;
+    if (mesh) {
+      (mesh.primitives || []).forEach(primitive => {
+        const accessor = accessors[primitive.attributes && primitive.attributes.POSITION];
+        if (!accessor || !Array.isArray(accessor.min) || !Array.isArray(accessor.max)) return;
+        const [x0, y0, z0] = accessor.min;
+        const [x1, y1, z1] = accessor.max;
+        [
+          [x0, y0, z0], [x1, y0, z0], [x0, y1, z0], [x0, y0, z1],
+          [x1, y1, z0], [x1, y0, z1], [x0, y1, z1], [x1, y1, z1]
+        ].forEach(corner => {
+          const p = transformPoint(world, corner);
+          for (let i = 0; i < 3; i++) {
+            if (p[i] < min[i]) min[i] = p[i];
+            if (p[i] > max[i]) max[i] = p[i];
+          }
+        });
+      });
+    }
+
+    (node.children || []).forEach(child => visit(child, world, depth + 1));
+  };
+
+  roots.forEach(root => visit(root, IDENTITY, 0));
+
+  if (!Number.isFinite(min[0])) return null;
+  const size = max.map((v, i) => v - min[i]);
+  const center = max.map((v, i) => (v + min[i]) / 2);
+  return { min, max, size, center };
+};
+
+// Build the statistics report from a parsed GLB (JSON + BIN chunk). For .gltf files
+// `readUri(uri)` returns the bytes of an external or data: image, or null.
+const computeStats = (json, bin, readUri = () => null) => {
+  const meshes = json.meshes || [];
+  const accessors = json.accessors || [];
+  const bufferViews = json.bufferViews || [];
+
+  let primitiveCount = 0;
+  let triangleCount = 0;
+  let vertexCount = 0;
+  meshes.forEach(mesh => {
+    (mesh.primitives || []).forEach(primitive => {
+      primitiveCount += 1;
+      const mode = primitive.mode === undefined ? MODE_TRIANGLES : primitive.mode;
+      const position = accessors[primitive.attributes && primitive.attributes.POSITION];
+      const indices = primitive.indices !== undefined ? accessors[primitive.indices] : null;
+      const positionCount = position ? position.count : 0;
+      vertexCount += positionCount;
+      triangleCount += countTriangles(mode, indices ? indices.count : positionCount);
+    });
+  });
+
+  const images = (json.images || []).map((image, index) => {
+    let size = null;
+    const view = image.bufferView !== undefined ? bufferViews[image.bufferView] : null;
+    if (view && bin) {
+      const start = view.byteOffset || 0;
+      size = readImageSize(bin.subarray(start, start + view.byteLength), image.mimeType);
+    } else if (image.uri) {
+      const data = readUri(image.uri);
+      size = data && readImageSize(data, image.mimeType);
+    }
+    return {
+      index,
+      name: image.name || null,
+      mimeType: image.mimeType || null,
+      width: size ? size.width : null,
+      height: size ? size.height : null
+    };
+  });
+
+  const materials = (json.materials || []).map((material, index) => {
+    const pbr = material.pbrMetallicRoughness || {};
+    return {
+      index,
+      name: material.name || null,
+      alphaMode: material.alphaMode || 'OPAQUE',
+      doubleSided: Boolean(material.doubleSided),
+      hasBaseColorTexture: Boolean(pbr.baseColorTexture),
+      hasMetallicRoughnessTexture: Boolean(pbr.metallicRoughnessTexture),
+      hasNormalTexture: Boolean(material.normalTexture),
+      hasOcclusionTexture: Boolean(material.occlusionTexture),
+      hasEmissiveTexture: Boolean(material.emissiveTexture),
+      extensions: Object.keys(material.extensions || {})
+    };
+  });
+
+  const animations = (json.animations || []).map((animation, index) => {
+    let duration = 0;
+    (animation.samplers || []).forEach(sampler => {
+      const input = accessors[sampler.input];
+      if (input && Array.isArray(input.max)) {
+        duration = Math.max(duration, input.max[0]);
+      }
+    });
+    return {
+      index,
+      name: animation.name || null,
+      channels: (animation.channels || []).length,
+      duration
+    };
+  });
+
+  return {
+    generator: (json.asset && json.asset.generator) || null,
+    meshes: meshes.length,
+    primitives: primitiveCount,
+    triangles: triangleCount,
+    vertices: vertexCount,
+    nodes: (json.nodes || []).length,
+    materials,
+    textures: {
+      count: (json.textures || []).length,
+      images
+    },
+    animations,
+    extensionsUsed: json.extensionsUsed || [],
+    extensionsRequired: json.extensionsRequired || [],
+    bounds: computeBounds(json)
+  };
+};
+
+// Images of a .gltf are data: URIs or files relative to it (never outside its directory)
+const createUriReader = (dir) => (uri) => {
+  try {
+    const dataUri = /^data:[^,]*;base64,(.*)$/.exec(uri);
+    if (dataUri) return Buffer.from(dataUri[1], 'base64');
+    const resolved = path.resolve(dir, decodeURIComponent(uri));
+    return resolved.startsWith(`${path.resolve(dir)}${path.sep}`) ? fs.readFileSync(resolved) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Return stats for a GLB or .gltf on disk, reusing the cached result while the file is unchanged
+const getModelStats = (filePath) => {
+  const stat = fs.statSync(filePath);
+  const cached = statsCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return cached.stats;
+  }
+
+  let stats;
+  if (filePath.toLowerCase().endsWith('.gltf')) {
+    const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    stats = computeStats(json, null, createUriReader(path.dirname(filePath)));
+  } else {
+    const { json, bin } = parseGlb(fs.readFileSync(filePath));
+    stats = computeStats(json, bin);
+  }
+  statsCache.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, stats });
+  return stats;
+};
+
+module.exports = {
+  computeStats,
+  getModelStats
+};
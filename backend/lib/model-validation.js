@@ -0,0 +1,68 @@
+const validator = require('gltf-validator');
+const { parseGlb, GlbFormatError } = require('./glb');
+
+// gltf-validator severities: 0 = error, 1 = warning, 2 = info, 3 = hint
+const SEVERITY_NAMES = ['error', 'warning', 'info', 'hint'];
+
+// Turn a gltf-validator result into { valid, report }
+function summarize(result) {
+  const issues = (result.issues.messages || []).map(msg => ({
+    code: msg.code,
+    message: msg.message,
+    severity: SEVERITY_NAMES[msg.severity] || 'info',
+    pointer: msg.pointer || null
+  }));
+
+  return {
+    valid: result.issues.numErrors === 0,
+    report: {
+      validatorVersion: result.validatorVersion,
+      numErrors: result.issues.numErrors,
+      numWarnings: result.issues.numWarnings,
+      truncated: Boolean(result.issues.truncated),
+      issues
+    }
+  };
+}
+
+// Validate a GLB buffer: first the container (magic, version, chunk layout),
+// then the full glTF validator. Resolves with { valid, report } where report is
+// a structured summary that can be sent straight back to API clients.
+async function validateGlb(buffer) {
+  try {
+    parseGlb(buffer);
+  } catch (err) {
+    if (!(err instanceof GlbFormatError)) throw err;
+    return {
+      valid: false,
+      report: {
+        numErrors: 1,
+        numWarnings: 0,
+        issues: [{ code: err.code, message: err.message, severity: 'error', pointer: null }]
+      }
+    };
+  }
+
+  const result = await validator.validateBytes(new Uint8Array(buffer), {
+    maxIssues: 100,
+    // Uploaded GLBs must be self-contained
+    externalResourceFunction: (uri) => Promise.reject(new Error(`External resource not allowed: ${uri}`))
+  });
+
+  return summarize(result);
+}
+
+// Validate a .gltf JSON buffer whose buffers and images are external files.
+// `readResource(uri)` resolves with the referenced file's bytes.
+async function validateGltf(buffer, readResource) {
+  const result = await validator.validateBytes(new Uint8Array(buffer), {
+    maxIssues: 100,
+    externalResourceFunction: (uri) => readResource(uri).then(data => new Uint8Array(data))
+  });
+  return summarize(result);
+}
+
+module.exports = {
+  validateGlb,
+  validateGltf
+};
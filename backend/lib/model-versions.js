@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./json-store');
+const { modelArtifacts, optimizedFileName, importFileNames, resolveModelFile, packageSize } = require('./model-files');
+const { METADATA_SUFFIX } = require('./model-metadata');
+const { ANNOTATIONS_SUFFIX } = require('./annotations');
+const { TOURS_SUFFIX } = require('./tours');
+const { SNAPSHOTS_SUFFIX } = require('./snapshots');
+const { MEASUREMENTS_SUFFIX } = require('./measurements');
+
+// Previous versions are kept under models/.versions/<id>/<version>/ together with their
+// derived files; models/.versions/<id>/history.json tracks the current version number.
+const VERSIONS_DIR = '.versions';
+
+class VersionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'VersionError';
+    this.status = status;
+  }
+}
+
+const historyDir = (modelsDir, id) => path.join(modelsDir, VERSIONS_DIR, id);
+const historyPath = (modelsDir, id) => path.join(historyDir(modelsDir, id), 'history.json');
+const versionDir = (modelsDir, id, version) => path.join(historyDir(modelsDir, id), String(version));
+
+// Model-level sidecars (metadata, annotations, tours, snapshots, measurements). They are not versioned: they survive
+// replacements, are parked in the history directory on delete and move with a rename.
+const sidecarFileNames = (id) => [
+  `${id}${METADATA_SUFFIX}`,
+  `${id}${ANNOTATIONS_SUFFIX}`,
+  `${id}${TOURS_SUFFIX}`,
+  `${id}${SNAPSHOTS_SUFFIX}`,
+  `${id}${MEASUREMENTS_SUFFIX}`
+];
+
+// Models without a history are on version 1
+const readHistory = (modelsDir, id) => readJson(historyPath(modelsDir, id), {
+  id,
+  current: 1,
+  deleted: false,
+  versions: []
+});
+
+const writeHistory = (modelsDir, id, history) => {
+  fs.mkdirSync(historyDir(modelsDir, id), { recursive: true });
+  writeJsonAtomic(historyPath(modelsDir, id), history);
+};
+
+const hasHistory = (modelsDir, id) => fs.existsSync(historyPath(modelsDir, id));
+
+const currentVersion = (modelsDir, id) => readHistory(modelsDir, id).current;
+
+const nextVersion = (history) => Math.max(history.current, ...history.versions.map(v => v.version)) + 1;
+
+// Files archived before a rename keep their old name: the names `file` (named for the
+// current id) may have in the history directory
+const historicalNames = (history, id, file) => [
+  file,
+  ...(history.previousIds || []).map(oldId => oldId + file.slice(id.length))
+];
+
+// Name under which `file` was archived in the `archived` version, or null
+const archivedFileName = (history, archived, id, file) =>
+  historicalNames(history, id, file).find(name => (archived.files || []).includes(name)) || null;
+
+// Move the current source GLB (or package directory) and all derived files into the archive
+// for `history.current`
+const archiveCurrent = (modelsDir, id, history, reason) => {
+  const files = modelArtifacts(modelsDir, id);
+  if (files.length === 0) return;
+  const entry = resolveModelFile(modelsDir, id);
+  const stat = entry ? fs.statSync(path.join(modelsDir, entry.sourceFile || entry.file)) : null;
+  const size = entry && entry.package ? packageSize(modelsDir, id) : stat && stat.size;
+
+  const dir = versionDir(modelsDir, id, history.current);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  files.forEach(file => fs.renameSync(path.join(modelsDir, file), path.join(dir, file)));
+
+  history.versions = history.versions.filter(v => v.version !== history.current);
+  history.versions.push({
+    version: history.current,
+    size: stat ? size : null,
+    modified: stat ? stat.mtime : null,
+    archivedAt: new Date().toISOString(),
+    reason,
+    files
+  });
+  history.versions.sort((a, b) => a.version - b.version);
+};
+
+// Replace a model with an already validated GLB file or glTF package directory. The previous
+// version and its derived files are archived, so nothing stale (.br/.gz, optimized variant)
+// keeps serving.
+const replaceModel = (modelsDir, id, newFilePath) => {
+  const history = readHistory(modelsDir, id);
+  archiveCurrent(modelsDir, id, history, 'replaced');
+  history.current = nextVersion(history);
+  history.deleted = false;
+  const isPackage = fs.statSync(newFilePath).isDirectory();
+  fs.renameSync(newFilePath, path.join(modelsDir, isPackage ? id : `${id}.glb`));
+  writeHistory(modelsDir, id, history);
+  return history.current;
+};
+
+// Delete a model. Its files are archived so the deletion can be undone with a restore.
+const deleteModel = (modelsDir, id) => {
+  const history = readHistory(modelsDir, id);
+  archiveCurrent(modelsDir, id, history, 'deleted');
+  sidecarFileNames(id).forEach(file => {
+    if (fs.existsSync(path.join(modelsDir, file))) {
+      fs.renameSync(path.join(modelsDir, file), path.join(historyDir(modelsDir, id), file));
+    }
+  });
+  history.deleted = true;
+  writeHistory(modelsDir, id, history);
+};
+
+// Restore an archived version as a new current version (the archive itself is kept)
+const restoreVersion = (modelsDir, id, version) => {
+  const history = readHistory(modelsDir, id);
+  const archived = history.versions.find(v => v.version === version);
+  if (!archived) {
+    throw new VersionError(404, `Version ${version} not found`);
+  }
+
+  // Only the source (GLB or package directory), the optimized variant and import files are
+  // copied back; .gz/.br siblings are rebuilt by the precompress step. The source goes first
+  // so the optimized copy stays newer than it. Files archived before a rename keep their old
+  // names and are restored under the current id.
+  const dir = versionDir(modelsDir, id, version);
+  const restores = [`${id}.glb`, id, optimizedFileName(id), ...importFileNames(id)]
+    .map(file => [archivedFileName(history, archived, id, file), file])
+    .filter(([from]) => from && fs.existsSync(path.join(dir, from)));
+  // Check before the live files are archived, so a broken version can't take the model down
+  const hasSource = restores.some(([, file]) => file === `${id}.glb` || file === id);
+  if (!hasSource) {
+    throw new VersionError(409, `Version ${version} has no model file to restore`);
+  }
+
+  if (!history.deleted) {
+    archiveCurrent(modelsDir, id, history, 'restored-over');
+  }
+
+  restores.forEach(([from, file]) => {
+    const tmp = path.join(modelsDir, `.${file}.${process.pid}.tmp`);
+    fs.cpSync(path.join(dir, from), tmp, { recursive: true });
+    fs.renameSync(tmp, path.join(modelsDir, file));
+  });
+
+  if (history.deleted) {
+    // Sidecars parked by a delete keep the name they had then
+    sidecarFileNames(id).forEach(file => {
+      const backup = historicalNames(history, id, file)
+        .map(name => path.join(historyDir(modelsDir, id), name))
+        .find(candidate => fs.existsSync(candidate));
+      if (backup) fs.renameSync(backup, path.join(modelsDir, file));
+    });
+  }
+
+  history.current = nextVersion(history);
+  history.deleted = false;
+  history.restoredFrom = version;
+  writeHistory(modelsDir, id, history);
+  return history.current;
+};
+
+// Rename a model: the source, derived files, sidecars and version history move together
+const renameModel = (modelsDir, id, newId) => {
+  const taken = Boolean(resolveModelFile(modelsDir, newId)) || hasHistory(modelsDir, newId);
+  if (taken) {
+    throw new VersionError(409, `A model named "${newId}" already exists`);
+  }
+
+  const renames = [...modelArtifacts(modelsDir, id), ...sidecarFileNames(id)]
+    .filter(file => fs.existsSync(path.join(modelsDir, file)))
+    .map(file => [file, newId + file.slice(id.length)]);
+  // Move derived files before the source so the listing never shows the new id without its GLB
+  renames.reverse().forEach(([from, to]) => {
+    fs.renameSync(path.join(modelsDir, from), path.join(modelsDir, to));
+  });
+
+  if (fs.existsSync(historyDir(modelsDir, id))) {
+    fs.renameSync(historyDir(modelsDir, id), historyDir(modelsDir, newId));
+    // Archived files keep the old names; record the mapping so they can still be served
+    const history = readHistory(modelsDir, newId);
+    history.id = newId;
+    history.previousIds = [...(history.previousIds || []), id];
+    writeHistory(modelsDir, newId, history);
+  }
+};
+
+// Version list for the API: archived versions plus the live one (if not deleted)
+const listVersions = (modelsDir, id) => {
+  const history = readHistory(modelsDir, id);
+  const versions = history.versions.map(v => ({ ...v, current: false }));
+  const entry = resolveModelFile(modelsDir, id);
+  if (!history.deleted && entry) {
+    const stat = fs.statSync(path.join(modelsDir, entry.sourceFile || entry.file));
+    const size = entry.package ? packageSize(modelsDir, id) : stat.size;
+    versions.push({ version: history.current, size, modified: stat.mtime, current: true });
+  }
+  return { id, current: history.deleted ? null : history.current, deleted: history.deleted, versions };
+};
+
+// Path of a file belonging to an archived version, or null
+const archivedFilePath = (modelsDir, id, version, file) => {
+  const history = readHistory(modelsDir, id);
+  const archived = history.versions.find(v => v.version === version);
+  const name = archived && archivedFileName(history, archived, id, file);
+  return name ? path.join(versionDir(modelsDir, id, version), name) : null;
+};
+
+module.exports = {
+  VERSIONS_DIR,
+  VersionError,
+  hasHistory,
+  currentVersion,
+  replaceModel,
+  deleteModel,
+  restoreVersion,
+  renameModel,
+  listVersions,
+  archivedFilePath
+};
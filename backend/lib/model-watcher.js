@@ -0,0 +1,70 @@
+const fs = require('fs');
+const { listModelFiles } = require('./model-files');
+
+// Wait this long after the last filesystem event before rescanning, so a burst of
+// events (write + rename + sidecar update) produces a single change set
+const DEBOUNCE_MS = 250;
+
+// Watch modelsDir and report model-added / model-updated / model-removed events.
+// `describe` turns a resolved entry (see model-files) into the public descriptor;
+// a model counts as updated whenever its descriptor changes.
+const watchModels = (modelsDir, { describe, onEvent }) => {
+  const snapshot = () => {
+    const models = new Map();
+    listModelFiles(modelsDir).forEach(entry => {
+      try {
+        const model = describe(entry);
+        models.set(model.id, { model, signature: JSON.stringify(model) });
+      } catch (e) {
+        // The file disappeared between listing and stat; the next scan will catch up
+      }
+    });
+    return models;
+  };
+
+  let current = snapshot();
+  let timer = null;
+
+  const rescan = () => {
+    timer = null;
+    let next;
+    try {
+      next = snapshot();
+    } catch (err) {
+      console.error('Model watcher rescan failed:', err);
+      return;
+    }
+
+    next.forEach(({ model, signature }, id) => {
+      const previous = current.get(id);
+      if (!previous) {
+        onEvent({ type: 'model-added', model });
+      } else if (previous.signature !== signature) {
+        onEvent({ type: 'model-updated', model });
+      }
+    });
+    current.forEach(({ model }, id) => {
+      if (!next.has(id)) {
+        onEvent({ type: 'model-removed', model });
+      }
+    });
+    current = next;
+  };
+
+  const watcher = fs.watch(modelsDir, { persistent: false }, () => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(rescan, DEBOUNCE_MS);
+  });
+  watcher.on('error', (err) => console.error('Model watcher error:', err));
+
+  return {
+    close: () => {
+      if (timer) clearTimeout(timer);
+      watcher.close();
+    }
+  };
+};
+
+module.exports = {
+  watchModels
+};
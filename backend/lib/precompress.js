@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { readJson, writeJsonAtomic } = require('./json-store');
+const { isGlbFile, findPackageEntry, packageFiles } = require('./model-files');
+const { isCompressibleResource } = require('./model-packages');
+
+// Records, per model file, the content hash and the settings its .gz/.br siblings were built with
+const MANIFEST_NAME = 'precompress-manifest.json';
+
+const DEFAULT_OPTIONS = {
+  concurrency: 2,
+  brotliQuality: parseInt(process.env.BROTLI_QUALITY, 10) || 11,
+  gzipLevel: parseInt(process.env.GZIP_LEVEL, 10) || zlib.constants.Z_BEST_COMPRESSION,
+  force: false
+};
+
+const manifestPath = (modelsDir) => path.join(modelsDir, MANIFEST_NAME);
+
+// GLB files plus the .gltf/.bin files of glTF packages, relative to modelsDir
+const listCompressibleFiles = (modelsDir) => fs.readdirSync(modelsDir, { withFileTypes: true })
+  .flatMap(file => {
+    if (file.isFile() && isGlbFile(file.name)) return [file.name];
+    if (file.isDirectory() && !file.name.startsWith('.') && findPackageEntry(path.join(modelsDir, file.name))) {
+      return packageFiles(modelsDir, file.name).filter(isCompressibleResource);
+    }
+    return [];
+  });
+
+const readManifest = (modelsDir) => readJson(manifestPath(modelsDir), { version: 1, files: {} });
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+// Compress src into dest through a temp file so clients never get a partial sibling
+const compressTo = async (src, dest, createStream) => {
+  const tmp = path.join(path.dirname(dest), `.${path.basename(dest)}.${process.pid}.tmp`);
+  try {
+    await pipeline(fs.createReadStream(src), createStream(), fs.createWriteStream(tmp));
+    fs.renameSync(tmp, dest);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+  return fs.statSync(dest).size;
+};
+
+const isEntryCurrent = (entry, hash, srcPath, options) => (
+  entry &&
+  entry.hash === hash &&
+  entry.gzip && entry.gzip.level === options.gzipLevel &&
+  entry.brotli && entry.brotli.quality === options.brotliQuality &&
+  fs.existsSync(`${srcPath}.gz`) &&
+  fs.existsSync(`${srcPath}.br`)
+);
+
+// Build .gz and .br siblings for one file. Returns the new manifest entry and whether work was done.
+const precompressFile = async (modelsDir, file, previousEntry, options) => {
+  const srcPath = path.join(modelsDir, file);
+  const stat = fs.statSync(srcPath);
+  const hash = await hashFile(srcPath);
+
+  if (!options.force && isEntryCurrent(previousEntry, hash, srcPath, options)) {
+    return { entry: previousEntry, skipped: true };
+  }
+
+  // Drop stale siblings first so the server falls back to the identity file meanwhile
+  fs.rmSync(`${srcPath}.gz`, { force: true });
+  fs.rmSync(`${srcPath}.br`, { force: true });
+
+  const gzipSize = await compressTo(srcPath, `${srcPath}.gz`, () => zlib.createGzip({ level: options.gzipLevel }));
+  const brotliSize = await compressTo(srcPath, `${srcPath}.br`, () => zlib.createBrotliCompress({
+    params: {
+      [zlib.constants.BROTLI_PARAM_QUALITY]: options.brotliQuality,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: stat.size
+    }
+  }));
+
+  return {
+    skipped: false,
+    entry: {
+      hash,
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      gzip: { size: gzipSize, level: options.gzipLevel },
+      brotli: { size: brotliSize, quality: options.brotliQuality },
+      updatedAt: new Date().toISOString()
+    }
+  };
+};
+
+// Runs are serialised within the process so concurrent ingests can't clobber the manifest
+let queue = Promise.resolve();
+
+// Precompress the given files (default: every GLB and package resource in modelsDir) with at most
+// `options.concurrency` files in flight. Manifest entries for files that no longer
+// exist are pruned along with their orphaned siblings.
+// Resolves with one result per file: { file, skipped, entry } or { file, error }.
+const precompressModels = (modelsDir, files = null, userOptions = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...userOptions };
+  const run = async () => {
+    const manifest = readManifest(modelsDir);
+    const allFiles = listCompressibleFiles(modelsDir);
+    const targets = files ? files.filter(file => allFiles.includes(file)) : allFiles;
+
+    Object.keys(manifest.files).forEach(file => {
+      if (!allFiles.includes(file)) {
+        delete manifest.files[file];
+        fs.rmSync(path.join(modelsDir, `${file}.gz`), { force: true });
+        fs.rmSync(path.join(modelsDir, `${file}.br`), { force: true });
+      }
+    });
+
+    const results = [];
+    let next = 0;
+    const worker = async () => {
+      while (next < targets.length) {
+        const file = targets[next++];
+        let result;
+        try {
+          const { entry, skipped } = await precompressFile(modelsDir, file, manifest.files[file], options);
+          manifest.files[file] = entry;
+          result = { file, skipped, entry };
+        } catch (error) {
+          result = { file, error };
+        }
+        results.push(result);
+        if (options.onResult) options.onResult(result);
+      }
+    };
+    const workerCount = Math.max(1, Math.min(options.concurrency, targets.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    writeJsonAtomic(manifestPath(modelsDir), manifest);
+    return results;
+  };
+
+  const result = queue.then(run);
+  queue = result.catch(() => {});
+  return result;
+};
+
+module.exports = {
+  MANIFEST_NAME,
+  DEFAULT_OPTIONS,
+  readManifest,
+  precompressModels
+};
@@ -0,0 +1,25 @@
+// Fixed-window rate limiting by key (for example the client IP). Counts live in memory,
+// so they reset when the server restarts; that is enough to stop one client from
+// hammering an endpoint that doesn't need a token.
+const createRateLimiter = ({ max, windowMs }) => {
+  const windows = new Map();
+
+  // Record one attempt for `key`; false once it has used up its `max` attempts this window
+  const take = (key, now = Date.now()) => {
+    // Drop finished windows so the map doesn't grow with every client ever seen
+    windows.forEach((window, windowKey) => {
+      if (now - window.start >= windowMs) windows.delete(windowKey);
+    });
+    const window = windows.get(key) || { start: now, count: 0 };
+    windows.set(key, window);
+    if (window.count >= max) return false;
+    window.count += 1;
+    return true;
+  };
+
+  return { take };
+};
+
+module.exports = {
+  createRateLimiter
+};
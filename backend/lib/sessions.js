@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { CAMERA_FIELDS, isCameraValue } = require('./camera');
+
+// Shared viewing sessions over WebSocket. One client presents (selected model and
+// camera); everyone else in the room follows. Protocol messages are JSON objects
+// with a `type`:
+//
+//   client -> server                          server -> client
+//   session:create                            session:joined   { code, clientId, role, presenterId, participants, state }
+//   session:join     { code }                 session:state    { state, from }
+//   session:leave                             session:presence { presenterId, participants }
+//   session:state    { modelId, cameraOrbit,  session:left
+//                      cameraTarget, fieldOfView }
+//   session:handoff  { to }                   error            { code, message }
+//   ping                                      pong
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const HEARTBEAT_MS = 30000;
+const MAX_ROOM_SIZE = 200;
+
+class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+const checkString = (value, field, maxLength) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw new ProtocolError('INVALID_FIELD', `Invalid ${field}`);
+  }
+  return value.trim();
+};
+
+const checkCamera = (value, field) => {
+  if (value === undefined || value === null) return null;
+  if (!isCameraValue(field, value)) {
+    throw new ProtocolError('INVALID_FIELD', `Invalid ${field}`);
+  }
+  return value.trim();
+};
+
+// Validate the presenter's view state; omitted fields keep their previous value
+const parseViewState = (message) => {
+  const state = {};
+  if ('modelId' in message) state.modelId = checkString(message.modelId, 'modelId', 300);
+  CAMERA_FIELDS.forEach(field => {
+    if (field in message) state[field] = checkCamera(message[field], field);
+  });
+  if (Object.keys(state).length === 0) {
+    throw new ProtocolError('EMPTY_STATE', 'session:state must include at least one field');
+  }
+  return state;
+};
+
+const send = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+const createSessionHub = () => {
+  const rooms = new Map(); // code -> { code, presenterId, members: Map<clientId, ws>, state }
+
+  const newCode = () => {
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    } while (rooms.has(code));
+    return code;
+  };
+
+  const presence = (room) => ({
+    type: 'session:presence',
+    presenterId: room.presenterId,
+    participants: [...room.members.keys()]
+  });
+
+  const broadcastRoom = (room, message, exceptId = null) => {
+    room.members.forEach((ws, clientId) => {
+      if (clientId !== exceptId) send(ws, message);
+    });
+  };
+
+  const joinRoom = (ws, room) => {
+    if (room.members.size >= MAX_ROOM_SIZE) {
+      throw new ProtocolError('ROOM_FULL', 'Session is full');
+    }
+    room.members.set(ws.clientId, ws);
+    ws.room = room;
+    // Late joiners get a full snapshot of the current view
+    send(ws, {
+      type: 'session:joined',
+      code: room.code,
+      clientId: ws.clientId,
+      role: room.presenterId === ws.clientId ? 'presenter' : 'follower',
+      presenterId: room.presenterId,
+      participants: [...room.members.keys()],
+      state: room.state
+    });
+    broadcastRoom(room, presence(room), ws.clientId);
+  };
+
+  const leaveRoom = (ws) => {
+    const room = ws.room;
+    if (!room) return;
+    room.members.delete(ws.clientId);
+    ws.room = null;
+    if (room.members.size === 0) {
+      rooms.delete(room.code);
+      return;
+    }
+    // Hand the presenter role to the longest-connected follower
+    if (room.presenterId === ws.clientId) {
+      room.presenterId = room.members.keys().next().value;
+    }
+    broadcastRoom(room, presence(room));
+  };
+
+  const requirePresenter = (ws) => {
+    if (!ws.room) throw new ProtocolError('NOT_IN_SESSION', 'Join a session first');
+    if (ws.room.presenterId !== ws.clientId) {
+      throw new ProtocolError('NOT_PRESENTER', 'Only the presenter can do that');
+    }
+    return ws.room;
+  };
+
+  const handlers = {
+    ping: (ws) => send(ws, { type: 'pong' }),
+
+    'session:create': (ws) => {
+      leaveRoom(ws);
+      const room = { code: newCode(), presenterId: ws.clientId, members: new Map(), state: {} };
+      rooms.set(room.code, room);
+      joinRoom(ws, room);
+    },
+
+    'session:join': (ws, message) => {
+      const code = String(message.code || '').trim().toUpperCase();
+      const room = rooms.get(code);
+      if (!room) throw new ProtocolError('UNKNOWN_SESSION', 'No session with that code');
+      if (ws.room !== room) {
+        leaveRoom(ws);
+        joinRoom(ws, room);
+      }
+    },
+
+    'session:leave': (ws) => {
+      leaveRoom(ws);
+      send(ws, { type: 'session:left' });
+    },
+
+    'session:state': (ws, message) => {
+      const room = requirePresenter(ws);
+      room.state = { ...room.state, ...parseViewState(message), updatedAt: Date.now() };
+      broadcastRoom(room, { type: 'session:state', state: room.state, from: ws.clientId }, ws.clientId);
+    },
+
+    'session:handoff': (ws, message) => {
+      const room = requirePresenter(ws);
+      if (!room.members.has(message.to)) {
+        throw new ProtocolError('UNKNOWN_PARTICIPANT', 'That participant is not in the session');
+      }
+      room.presenterId = message.to;
+      broadcastRoom(room, presence(room));
+    }
+  };
+
+  const handleConnection = (ws) => {
+    ws.clientId = crypto.randomBytes(8).toString('hex');
+    ws.room = null;
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (data) => {
+      ws.isAlive = true;
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (e) {
+        return send(ws, { type: 'error', code: 'INVALID_JSON', message: 'Messages must be JSON' });
+      }
+      const handler = message && typeof message === 'object' ? handlers[message.type] : null;
+      if (!handler) {
+        return send(ws, { type: 'error', code: 'UNKNOWN_TYPE', message: 'Unknown message type' });
+      }
+      try {
+        handler(ws, message);
+      } catch (err) {
+        if (err instanceof ProtocolError) {
+          return send(ws, { type: 'error', code: err.code, message: err.message });
+        }
+        console.error('Session message failed:', err);
+        send(ws, { type: 'error', code: 'INTERNAL', message: 'Internal error' });
+      }
+    });
+
+    ws.on('close', () => leaveRoom(ws));
+  };
+
+  // Drop connections that stopped answering WebSocket pings
+  const startHeartbeat = (wss) => {
+    const timer = setInterval(() => {
+      wss.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, HEARTBEAT_MS);
+    timer.unref();
+    wss.on('close', () => clearInterval(timer));
+  };
+
+  return { handleConnection, startHeartbeat };
+};
+
+module.exports = {
+  createSessionHub
+};
@@ -0,0 +1,128 @@
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { readJson, writeJsonAtomic } = require('./json-store');
+const { CAMERA_FIELDS, isCameraValue } = require('./camera');
+
+// Snapshot gallery: images rendered in the viewer (optionally marked up) and uploaded by
+// signed-in users. The list lives in a JSON sidecar next to the model, "<id>.snapshots.json";
+// the image and a thumbnail are stored with lib/media-store.
+const SNAPSHOTS_SUFFIX = '.snapshots.json';
+
+const MAX_SNAPSHOTS = 200;
+const MAX_CAPTION = 500;
+// Snapshots can be rendered above screen resolution, but not beyond what browsers can draw
+const MAX_SNAPSHOT_SIDE = 8192;
+const THUMBNAIL_WIDTH = 480;
+
+class SnapshotError extends Error {
+  constructor(status, message, errors = []) {
+    super(message);
+    this.name = 'SnapshotError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const snapshotsPath = (modelsDir, id) => path.join(modelsDir, `${id}${SNAPSHOTS_SUFFIX}`);
+
+// Newest first
+const listSnapshots = (modelsDir, id) => readJson(snapshotsPath(modelsDir, id), { snapshots: [] }).snapshots;
+
+const writeSnapshots = (modelsDir, id, snapshots) => {
+  writeJsonAtomic(snapshotsPath(modelsDir, id), { snapshots });
+};
+
+// Validate the text fields sent with an upload (multipart fields are strings):
+// an optional caption and the camera the snapshot was taken from
+const validateSnapshotFields = (input = {}) => {
+  const errors = [];
+  const result = { caption: '', camera: null };
+  if (input.caption !== undefined) {
+    if (typeof input.caption !== 'string' || input.caption.length > MAX_CAPTION) {
+      errors.push({ field: 'caption', message: `Must be at most ${MAX_CAPTION} characters` });
+    } else {
+      result.caption = input.caption.trim();
+    }
+  }
+  CAMERA_FIELDS.forEach(field => {
+    const value = input[field];
+    if (value === undefined || value === '') return;
+    if (!isCameraValue(field, value)) {
+      errors.push({ field, message: 'Invalid camera value' });
+    } else {
+      result.camera = { ...result.camera, [field]: value.trim() };
+    }
+  });
+  if (errors.length > 0) {
+    throw new SnapshotError(400, 'Invalid snapshot', errors);
+  }
+  return result;
+};
+
+// Check the uploaded image (as detected by lib/media-store) before anything is stored
+const checkSnapshotImage = (image) => {
+  if (!image) {
+    throw new SnapshotError(415, 'Snapshot must be a PNG, JPEG or WebP image');
+  }
+  if (Math.max(image.width, image.height) > MAX_SNAPSHOT_SIDE) {
+    throw new SnapshotError(422, `Snapshot must be at most ${MAX_SNAPSHOT_SIDE} px on its longest side`);
+  }
+};
+
+// WebP thumbnail for the gallery, keeping transparency. Resolves with { buffer, width, height }.
+const makeThumbnail = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+};
+
+// Record a stored snapshot: `image` and `thumbnail` are { url, width, height }, `fields` comes
+// from validateSnapshotFields and `author` is the uploader's { id, name }
+const createSnapshot = (modelsDir, id, { image, thumbnail, fields, author }) => {
+  const snapshots = listSnapshots(modelsDir, id);
+  if (snapshots.length >= MAX_SNAPSHOTS) {
+    throw new SnapshotError(409, `A model can have at most ${MAX_SNAPSHOTS} snapshots`);
+  }
+  const snapshot = {
+    id: crypto.randomBytes(8).toString('hex'),
+    image,
+    thumbnail,
+    caption: fields.caption,
+    camera: fields.camera,
+    author: author.name,
+    authorId: author.id,
+    createdAt: new Date().toISOString()
+  };
+  writeSnapshots(modelsDir, id, [snapshot, ...snapshots]);
+  return snapshot;
+};
+
+// Remove a snapshot and return it, so the caller can clean up its files. `canRemove` decides
+// for the stored record (uploaders may remove their own, editors any).
+const deleteSnapshot = (modelsDir, id, snapshotId, canRemove) => {
+  const snapshots = listSnapshots(modelsDir, id);
+  const index = snapshots.findIndex(snapshot => snapshot.id === snapshotId);
+  if (index === -1) {
+    throw new SnapshotError(404, 'Snapshot not found');
+  }
+  if (!canRemove(snapshots[index])) {
+    throw new SnapshotError(403, 'Only the uploader or an editor can delete this snapshot');
+  }
+  const [removed] = snapshots.splice(index, 1);
+  writeSnapshots(modelsDir, id, snapshots);
+  return removed;
+};
+
+module.exports = {
+  SNAPSHOTS_SUFFIX,
+  SnapshotError,
+  listSnapshots,
+  validateSnapshotFields,
+  checkSnapshotImage,
+  makeThumbnail,
+  createSnapshot,
+  deleteSnapshot
+};
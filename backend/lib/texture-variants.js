@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { compressTexture } = require('@gltf-transform/functions');
+const { getIO } = require('./gltf-io');
+const { readImageSize } = require('./image-size');
+const {
+  TEXTURE_RESOLUTIONS,
+  resolveModelFile,
+  textureVariantFileName,
+  listTextureVariants
+} = require('./model-files');
+
+// Downscaled texture variants of each model, so phones and slow connections don't have
+// to download 4K textures. For every resolution in TEXTURE_RESOLUTIONS that is smaller
+// than the model's largest texture, "<id>.tex<resolution>.glb" holds the same scene with
+// every texture fitted within resolution x resolution. Geometry is left as it is. The
+// client picks a variant from the model's `textureVariants` (see server.js).
+
+// Images sharp can resize; KTX2 (Basis) textures are kept as they are
+const RESIZABLE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/avif'];
+
+// Longest side of a texture, or null when its header can't be read
+const textureSize = (texture) => {
+  const size = readImageSize(Buffer.from(texture.getImage()), texture.getMimeType());
+  return size ? Math.max(size.width, size.height) : null;
+};
+
+const resizableTextures = (doc) => doc.getRoot().listTextures()
+  .filter(texture => RESIZABLE_TYPES.includes(texture.getMimeType()));
+
+// Scale every texture of `doc` larger than `resolution` down to fit within it (in place)
+const fitTextures = async (doc, resolution) => {
+  for (const texture of resizableTextures(doc)) {
+    const size = textureSize(texture);
+    if (size !== null && size <= resolution) continue;
+    await compressTexture(texture, { encoder: sharp, resize: [resolution, resolution] });
+  }
+};
+
+// Build the variants of the GLB or .gltf at srcPath into modelsDir. Each resolution is
+// downscaled from the previous one, largest first, so the source is only read once.
+// Resolves with { written: [{ resolution, file }], warnings }.
+const buildTextureVariants = async (srcPath, modelsDir, id) => {
+  const io = await getIO();
+  const doc = await io.read(srcPath);
+  const warnings = doc.getRoot().listTextures()
+    .filter(texture => !RESIZABLE_TYPES.includes(texture.getMimeType()))
+    .map(texture => `Texture "${texture.getName() || texture.getURI()}" (${texture.getMimeType()}) is kept at full size`);
+  const largest = Math.max(0, ...resizableTextures(doc).map(texture => textureSize(texture) || 0));
+
+  const written = [];
+  for (const resolution of TEXTURE_RESOLUTIONS.filter(r => r < largest)) {
+    await fitTextures(doc, resolution);
+    const file = textureVariantFileName(id, resolution);
+    const tmpPath = path.join(modelsDir, `.${file}.${process.pid}.tmp`);
+    fs.writeFileSync(tmpPath, Buffer.from(await io.writeBinary(doc)));
+    fs.renameSync(tmpPath, path.join(modelsDir, file));
+    written.push({ resolution, file });
+  }
+  return { written, warnings };
+};
+
+// Resizing 4K textures is CPU and memory heavy: run one model at a time and share
+// in-flight work
+let queue = Promise.resolve();
+const inFlight = new Map();
+// Sources (by mtime) found to need no variants, so they aren't read again on every event
+const noVariantsNeeded = new Map();
+
+// Make sure a model's texture variants are current. Resolves with
+// { generated, variants: [{ resolution, file }], warnings }.
+const ensureTextureVariants = (modelsDir, id, { force = false } = {}) => {
+  const key = `${modelsDir}\0${id}`;
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const run = async () => {
+    const entry = resolveModelFile(modelsDir, id);
+    if (!entry) {
+      throw new Error(`Model "${id}" not found`);
+    }
+    // Built from the served file, so Draco-optimized models stay Draco-compressed
+    const srcPath = path.join(modelsDir, entry.file);
+    const srcMtime = fs.statSync(srcPath).mtimeMs;
+    const current = listTextureVariants(modelsDir, entry);
+    const existing = TEXTURE_RESOLUTIONS.filter(resolution => (
+      fs.existsSync(path.join(modelsDir, textureVariantFileName(id, resolution)))
+    ));
+    const isCurrent = current.length > 0
+      ? current.length === existing.length
+      : noVariantsNeeded.get(key) === srcMtime;
+    if (!force && isCurrent) {
+      return { generated: false, variants: current, warnings: [] };
+    }
+
+    const { written, warnings } = await buildTextureVariants(srcPath, modelsDir, id);
+    // Drop variants the new source no longer needs (its textures got smaller)
+    existing
+      .filter(resolution => !written.some(variant => variant.resolution === resolution))
+      .forEach(resolution => {
+        const file = path.join(modelsDir, textureVariantFileName(id, resolution));
+        [file, `${file}.gz`, `${file}.br`].forEach(stale => fs.rmSync(stale, { force: true }));
+      });
+    if (written.length === 0) {
+      noVariantsNeeded.set(key, srcMtime);
+    }
+    return { generated: written.length > 0, variants: written, warnings };
+  };
+
+  const promise = queue.then(run, run);
+  queue = promise.catch(() => {});
+  inFlight.set(key, promise);
+  const clear = () => inFlight.delete(key);
+  promise.then(clear, clear);
+  return promise;
+};
+
+module.exports = {
+  fitTextures,
+  buildTextureVariants,
+  ensureTextureVariants
+};
@@ -0,0 +1,92 @@
+// Decoder for Truevision TGA, the texture format many OBJ/MTL exporters still emit and
+// the one common format sharp can't read. Handles 24/32-bit true-color and 8-bit
+// grayscale images, raw or run-length encoded; color-mapped images are rejected.
+const TYPE_TRUE_COLOR = 2;
+const TYPE_GRAYSCALE = 3;
+const TYPE_RLE_TRUE_COLOR = 10;
+const TYPE_RLE_GRAYSCALE = 11;
+const HEADER_SIZE = 18;
+
+// Buffer -> { width, height, data } with data as top-down RGBA bytes
+const decodeTga = (buf) => {
+  if (buf.length < HEADER_SIZE) {
+    throw new Error('TGA file is truncated');
+  }
+  const idLength = buf[0];
+  const colorMapType = buf[1];
+  const imageType = buf[2];
+  const colorMapLength = buf.readUInt16LE(5);
+  const colorMapEntryBits = buf[7];
+  const width = buf.readUInt16LE(12);
+  const height = buf.readUInt16LE(14);
+  const bitsPerPixel = buf[16];
+  const topDown = (buf[17] & 0x20) !== 0;
+
+  const gray = imageType === TYPE_GRAYSCALE || imageType === TYPE_RLE_GRAYSCALE;
+  const rle = imageType === TYPE_RLE_TRUE_COLOR || imageType === TYPE_RLE_GRAYSCALE;
+  if (!gray && imageType !== TYPE_TRUE_COLOR && imageType !== TYPE_RLE_TRUE_COLOR) {
+    throw new Error(`Unsupported TGA image type ${imageType}`);
+  }
+  if (gray ? bitsPerPixel !== 8 : bitsPerPixel !== 24 && bitsPerPixel !== 32) {
+    throw new Error(`Unsupported TGA pixel depth ${bitsPerPixel}`);
+  }
+  if (width === 0 || height === 0) {
+    throw new Error('TGA image is empty');
+  }
+
+  const bytesPerPixel = bitsPerPixel / 8;
+  const pixelCount = width * height;
+  let offset = HEADER_SIZE + idLength + (colorMapType ? colorMapLength * Math.ceil(colorMapEntryBits / 8) : 0);
+
+  // Read every pixel into file order first, then flip rows if the image is stored bottom-up
+  const pixels = Buffer.alloc(pixelCount * bytesPerPixel);
+  if (rle) {
+    let written = 0;
+    while (written < pixels.length) {
+      if (offset >= buf.length) throw new Error('TGA file is truncated');
+      const packet = buf[offset++];
+      const count = (packet & 0x7f) + 1;
+      const bytes = count * bytesPerPixel;
+      if (written + bytes > pixels.length) throw new Error('Corrupt TGA run-length data');
+      if (packet & 0x80) {
+        if (offset + bytesPerPixel > buf.length) throw new Error('TGA file is truncated');
+        for (let i = 0; i < count; i++) {
+          buf.copy(pixels, written + i * bytesPerPixel, offset, offset + bytesPerPixel);
+        }
+        offset += bytesPerPixel;
+      } else {
+        if (offset + bytes > buf.length) throw new Error('TGA file is truncated');
+        buf.copy(pixels, written, offset, offset + bytes);
+        offset += bytes;
+      }
+      written += bytes;
+    }
+  } else {
+    if (offset + pixels.length > buf.length) throw new Error('TGA file is truncated');
+    buf.copy(pixels, 0, offset, offset + pixels.length);
+  }
+
+  const data = Buffer.alloc(pixelCount * 4);
+  for (let y = 0; y < height; y++) {
+    const srcRow = topDown ? y : height - 1 - y;
+    for (let x = 0; x < width; x++) {
+      const src = (srcRow * width + x) * bytesPerPixel;
+      const dst = (y * width + x) * 4;
+      if (gray) {
+        data[dst] = data[dst + 1] = data[dst + 2] = pixels[src];
+        data[dst + 3] = 255;
+      } else {
+        // Stored as BGR(A)
+        data[dst] = pixels[src + 2];
+        data[dst + 1] = pixels[src + 1];
+        data[dst + 2] = pixels[src];
+        data[dst + 3] = bytesPerPixel === 4 ? pixels[src + 3] : 255;
+      }
+    }
+  }
+  return { width, height, data };
+};
+
+module.exports = {
+  decodeTga
+};
@@ -0,0 +1,183 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('./json-store');
+const { CAMERA_FIELDS, isCameraValue } = require('./camera');
+
+// Guided tours live in a JSON sidecar next to the model: "<id>.tours.json".
+// A tour is an ordered list of steps, each a camera view with a caption, a duration
+// and optionally a narration audio file (stored with lib/media-store).
+const TOURS_SUFFIX = '.tours.json';
+
+const MAX_TOURS = 50;
+const MAX_STEPS = 100;
+const MAX_TITLE = 200;
+const MAX_CAPTION = 2000;
+// Step durations in seconds
+const DEFAULT_DURATION = 5;
+const MIN_DURATION = 0.5;
+const MAX_DURATION = 600;
+
+class TourError extends Error {
+  constructor(status, message, errors = []) {
+    super(message);
+    this.name = 'TourError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const toursPath = (modelsDir, id) => path.join(modelsDir, `${id}${TOURS_SUFFIX}`);
+
+const listTours = (modelsDir, id) => readJson(toursPath(modelsDir, id), { tours: [] }).tours;
+
+const writeTours = (modelsDir, id, tours) => {
+  writeJsonAtomic(toursPath(modelsDir, id), { tours });
+};
+
+const newId = () => crypto.randomBytes(6).toString('hex');
+
+const validateStep = (step, index, errors, existingSteps) => {
+  const field = (name) => `steps[${index}].${name}`;
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    errors.push({ field: `steps[${index}]`, message: 'Must be an object' });
+    return null;
+  }
+
+  const result = {};
+  CAMERA_FIELDS.forEach(name => {
+    const value = step[name];
+    if (value === undefined || value === null || value === '') {
+      if (name === 'cameraOrbit') errors.push({ field: field(name), message: 'Required' });
+      result[name] = null;
+    } else if (!isCameraValue(name, value)) {
+      errors.push({ field: field(name), message: 'Invalid camera value' });
+    } else {
+      result[name] = value.trim();
+    }
+  });
+
+  if (step.caption !== undefined && step.caption !== null &&
+    (typeof step.caption !== 'string' || step.caption.length > MAX_CAPTION)) {
+    errors.push({ field: field('caption'), message: `Must be a string of at most ${MAX_CAPTION} characters` });
+  }
+  result.caption = typeof step.caption === 'string' ? step.caption.trim() : '';
+
+  const duration = step.duration === undefined || step.duration === null ? DEFAULT_DURATION : step.duration;
+  if (!Number.isFinite(duration) || duration < MIN_DURATION || duration > MAX_DURATION) {
+    errors.push({ field: field('duration'), message: `Must be between ${MIN_DURATION} and ${MAX_DURATION} seconds` });
+  }
+  result.duration = duration;
+
+  // Steps that keep their id keep their narration; narration itself is uploaded separately
+  const existing = typeof step.id === 'string' ? existingSteps.find(s => s.id === step.id) : null;
+  result.id = existing ? existing.id : newId();
+  result.narration = existing ? existing.narration : null;
+  return result;
+};
+
+// Validate { title, steps } from a client. `existing` is the stored tour when replacing it.
+const validateTour = (input, existing = null) => {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TourError(400, 'Tour must be a JSON object');
+  }
+  const allowed = new Set(['id', 'title', 'steps']);
+  Object.keys(input).forEach(key => {
+    if (!allowed.has(key)) errors.push({ field: key, message: 'Unknown field' });
+  });
+
+  if (typeof input.title !== 'string' || !input.title.trim()) {
+    errors.push({ field: 'title', message: 'Required' });
+  } else if (input.title.length > MAX_TITLE) {
+    errors.push({ field: 'title', message: `Must be at most ${MAX_TITLE} characters` });
+  }
+
+  let steps = [];
+  if (!Array.isArray(input.steps) || input.steps.length > MAX_STEPS) {
+    errors.push({ field: 'steps', message: `Must be an array of at most ${MAX_STEPS} steps` });
+  } else {
+    const existingSteps = existing ? existing.steps : [];
+    steps = input.steps.map((step, index) => validateStep(step, index, errors, existingSteps));
+  }
+
+  if (errors.length > 0) {
+    throw new TourError(400, 'Invalid tour', errors);
+  }
+  return { title: input.title.trim(), steps };
+};
+
+const findIndex = (tours, tourId) => {
+  const index = tours.findIndex(tour => tour.id === tourId);
+  if (index === -1) {
+    throw new TourError(404, 'Tour not found');
+  }
+  return index;
+};
+
+// Narration URLs in `before` that are no longer referenced by `after`
+const droppedNarration = (before, after) => {
+  const kept = new Set(after.steps.filter(step => step.narration).map(step => step.narration.url));
+  return before.steps
+    .filter(step => step.narration && !kept.has(step.narration.url))
+    .map(step => step.narration.url);
+};
+
+const createTour = (modelsDir, id, input) => {
+  const tours = listTours(modelsDir, id);
+  if (tours.length >= MAX_TOURS) {
+    throw new TourError(409, `A model can have at most ${MAX_TOURS} tours`);
+  }
+  const now = new Date().toISOString();
+  const tour = { id: newId(), ...validateTour(input), createdAt: now, updatedAt: now };
+  writeTours(modelsDir, id, [...tours, tour]);
+  return tour;
+};
+
+// Replace a tour's title and steps. Returns { tour, removedMedia } so the caller can
+// delete narration of steps that were dropped.
+const updateTour = (modelsDir, id, tourId, input) => {
+  const tours = listTours(modelsDir, id);
+  const index = findIndex(tours, tourId);
+  const previous = tours[index];
+  const tour = { ...previous, ...validateTour(input, previous), updatedAt: new Date().toISOString() };
+  tours[index] = tour;
+  writeTours(modelsDir, id, tours);
+  return { tour, removedMedia: droppedNarration(previous, tour) };
+};
+
+const deleteTour = (modelsDir, id, tourId) => {
+  const tours = listTours(modelsDir, id);
+  const [removed] = tours.splice(findIndex(tours, tourId), 1);
+  writeTours(modelsDir, id, tours);
+  return { tour: removed, removedMedia: droppedNarration(removed, { steps: [] }) };
+};
+
+// Set (or clear, with null) a step's narration { url, mimeType }.
+// Returns { tour, removedMedia } like updateTour.
+const setStepNarration = (modelsDir, id, tourId, stepId, narration) => {
+  const tours = listTours(modelsDir, id);
+  const index = findIndex(tours, tourId);
+  const previous = tours[index];
+  if (!previous.steps.some(step => step.id === stepId)) {
+    throw new TourError(404, 'Step not found');
+  }
+  const tour = {
+    ...previous,
+    steps: previous.steps.map(step => (step.id === stepId ? { ...step, narration } : step)),
+    updatedAt: new Date().toISOString()
+  };
+  tours[index] = tour;
+  writeTours(modelsDir, id, tours);
+  return { tour, removedMedia: droppedNarration(previous, tour) };
+};
+
+module.exports = {
+  TOURS_SUFFIX,
+  TourError,
+  listTours,
+  validateTour,
+  createTour,
+  updateTour,
+  deleteTour,
+  setStepNarration
+};
@@ -0,0 +1,418 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { Primitive, TextureInfo } = require('@gltf-transform/core');
+const { dequantize, uninstance, metalRough, convertPrimitiveToTriangles } = require('@gltf-transform/functions');
+const { getIO } = require('./gltf-io');
+const { writeStoredZip } = require('./zip');
+const { resolveModelFile, usdzFileName } = require('./model-files');
+
+// Convert GLB models to USDZ for iOS Quick Look. Every mesh primitive becomes a USD
+// Mesh with its node's world transform baked in, materials become UsdPreviewSurface
+// networks and textures are packed as PNG/JPEG next to the .usda layer.
+
+// USDZ entries must start on 64-byte boundaries
+const USDZ_ALIGNMENT = 64;
+
+const WRAP_MODES = {
+  [TextureInfo.WrapMode.REPEAT]: 'repeat',
+  [TextureInfo.WrapMode.CLAMP_TO_EDGE]: 'clamp',
+  [TextureInfo.WrapMode.MIRRORED_REPEAT]: 'mirror'
+};
+
+// USDA number formatting: 7 significant digits by default, no negative zero
+const num = (v, digits = 7) => {
+  const rounded = Number(v.toPrecision(digits));
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+};
+const tuple = (values) => `(${values.map(v => num(v)).join(', ')})`;
+// Vertex arrays dominate the file size, so they are written without spaces and
+// normals/UVs with fewer digits (still well below a texel of a 4K texture)
+const tupleArray = (values, size, digits = 7) => {
+  const items = [];
+  for (let i = 0; i < values.length; i += size) {
+    items.push(`(${values.slice(i, i + size).map(v => num(v, digits)).join(',')})`);
+  }
+  return `[${items.join(',')}]`;
+};
+
+// Upper 3x3 of a column-major mat4, inverted and transposed, for transforming normals
+const normalMatrix = (m) => {
+  const [a, b, c, d, e, f, g, h, i] = [m[0], m[1], m[2], m[4], m[5], m[6], m[8], m[9], m[10]];
+  const det = a * (e * i - f * h) - d * (b * i - c * h) + g * (b * f - c * e);
+  if (!det) return null;
+  const inv = 1 / det;
+  // Rows of the inverse-transpose, applied as n' = N * n
+  return [
+    (e * i - f * h) * inv, (f * g - d * i) * inv, (d * h - e * g) * inv,
+    (c * h - b * i) * inv, (a * i - c * g) * inv, (b * g - a * h) * inv,
+    (b * f - c * e) * inv, (c * d - a * f) * inv, (a * e - b * d) * inv
+  ];
+};
+
+// Pack textures once each. Quick Look only reads PNG and JPEG, so WebP (and anything
+// else sharp can decode) is converted: opaque color textures to JPEG, everything else
+// (alpha, normal and data maps) to lossless PNG. Undecodable formats (KTX2) are dropped.
+const JPEG_QUALITY = 90;
+
+const createTextureTable = (warnings) => {
+  const files = new Map();
+  const entries = [];
+
+  const fileFor = async (texture, { color = false } = {}) => {
+    if (files.has(texture)) return files.get(texture);
+    let file = null;
+    const image = texture.getImage();
+    const mimeType = texture.getMimeType();
+    const index = files.size;
+    if (image) {
+      if (mimeType === 'image/png' || mimeType === 'image/jpeg') {
+        file = `textures/texture_${index}.${mimeType === 'image/png' ? 'png' : 'jpg'}`;
+        entries.push({ name: file, data: Buffer.from(image) });
+      } else {
+        try {
+          const input = sharp(Buffer.from(image));
+          const { hasAlpha } = await input.metadata();
+          const asJpeg = color && !hasAlpha;
+          const data = asJpeg
+            ? await input.jpeg({ quality: JPEG_QUALITY }).toBuffer()
+            : await input.png().toBuffer();
+          file = `textures/texture_${index}.${asJpeg ? 'jpg' : 'png'}`;
+          entries.push({ name: file, data });
+        } catch (e) {
+          warnings.push(`Texture "${texture.getName() || index}" (${mimeType}) could not be converted and was left out`);
+        }
+      }
+    }
+    files.set(texture, file);
+    return file;
+  };
+
+  return { fileFor, entries };
+};
+
+const materialName = (index) => `Material_${index}`;
+
+// Build the Material prim for a glTF material
+const buildMaterial = async (material, index, textures) => {
+  const materialPath = `/Root/Materials/${materialName(index)}`;
+  const shaders = [];
+  const surface = [];
+  const readers = new Set();
+
+  // Connect a surface input to a UsdUVTexture, or return false when the texture is missing
+  const textureInput = async (input, texture, info, { output, scale, bias = [0, 0, 0, 0], colorSpace = 'raw' }) => {
+    if (!texture) return false;
+    const file = await textures.fileFor(texture, { color: colorSpace === 'sRGB' });
+    if (!file) return false;
+    const texCoord = info.getTexCoord();
+    const varname = texCoord === 0 ? 'st' : `st${texCoord}`;
+    readers.add(varname);
+    const shaderName = `${input[0].toUpperCase()}${input.slice(1)}Texture`;
+    shaders.push(`
+        def Shader "${shaderName}"
+        {
+            uniform token info:id = "UsdUVTexture"
+            asset inputs:file = @${file}@
+            float2 inputs:st.connect = <${materialPath}/PrimvarReader_${varname}.outputs:result>
+            token inputs:sourceColorSpace = "${colorSpace}"
+            token inputs:wrapS = "${WRAP_MODES[info.getWrapS()] || 'repeat'}"
+            token inputs:wrapT = "${WRAP_MODES[info.getWrapT()] || 'repeat'}"
+            float4 inputs:scale = ${tuple(scale)}
+            float4 inputs:bias = ${tuple(bias)}
+            float3 outputs:rgb
+            float outputs:r
+            float outputs:g
+            float outputs:b
+            float outputs:a
+        }`);
+    const type = output === 'rgb' ? (input === 'normal' ? 'normal3f' : 'color3f') : 'float';
+    surface.push(`${type} inputs:${input}.connect = <${materialPath}/${shaderName}.outputs:${output}>`);
+    return true;
+  };
+
+  const baseColor = material.getBaseColorFactor();
+  const baseColorTexture = material.getBaseColorTexture();
+  const baseColorInfo = material.getBaseColorTextureInfo();
+  if (!(await textureInput('diffuseColor', baseColorTexture, baseColorInfo, { output: 'rgb', scale: baseColor, colorSpace: 'sRGB' }))) {
+    surface.push(`color3f inputs:diffuseColor = ${tuple(baseColor.slice(0, 3))}`);
+  }
+
+  const alphaMode = material.getAlphaMode();
+  if (alphaMode !== 'OPAQUE') {
+    if (!(await textureInput('opacity', baseColorTexture, baseColorInfo, { output: 'a', scale: baseColor, colorSpace: 'sRGB' }))) {
+      surface.push(`float inputs:opacity = ${num(baseColor[3])}`);
+    }
+    if (alphaMode === 'MASK') {
+      surface.push(`float inputs:opacityThreshold = ${num(material.getAlphaCutoff())}`);
+    }
+  }
+
+  const metallic = material.getMetallicFactor();
+  const roughness = material.getRoughnessFactor();
+  const mrTexture = material.getMetallicRoughnessTexture();
+  const mrInfo = material.getMetallicRoughnessTextureInfo();
+  if (!(await textureInput('metallic', mrTexture, mrInfo, { output: 'b', scale: [1, 1, metallic, 1] }))) {
+    surface.push(`float inputs:metallic = ${num(metallic)}`);
+  }
+  if (!(await textureInput('roughness', mrTexture, mrInfo, { output: 'g', scale: [1, roughness, 1, 1] }))) {
+    surface.push(`float inputs:roughness = ${num(roughness)}`);
+  }
+
+  const normalScale = material.getNormalScale();
+  await textureInput('normal', material.getNormalTexture(), material.getNormalTextureInfo(), {
+    output: 'rgb',
+    scale: [2 * normalScale, 2 * normalScale, 2, 1],
+    bias: [-normalScale, -normalScale, -1, 0]
+  });
+
+  const strength = material.getOcclusionStrength();
+  await textureInput('occlusion', material.getOcclusionTexture(), material.getOcclusionTextureInfo(), {
+    output: 'r',
+    scale: [strength, strength, strength, 1],
+    bias: [1 - strength, 1 - strength, 1 - strength, 0]
+  });
+
+  const emissive = material.getEmissiveFactor();
+  if (!(await textureInput('emissiveColor', material.getEmissiveTexture(), material.getEmissiveTextureInfo(), {
+    output: 'rgb', scale: [...emissive, 1], colorSpace: 'sRGB'
+  })) && emissive.some(v => v > 0)) {
+    surface.push(`color3f inputs:emissiveColor = ${tuple(emissive)}`);
+  }
+
+  const readerShaders = [...readers].map(varname => `
+        def Shader "PrimvarReader_${varname}"
+        {
+            uniform token info:id = "UsdPrimvarReader_float2"
+            string inputs:varname = "${varname}"
+            float2 inputs:fallback = (0, 0)
+            float2 outputs:result
+        }`);
+
+  return `
+    def Material "${materialName(index)}"
+    {
+        token outputs:surface.connect = <${materialPath}/PreviewSurface.outputs:surface>
+
+        def Shader "PreviewSurface"
+        {
+            uniform token info:id = "UsdPreviewSurface"
+            int inputs:useSpecularWorkflow = 0
+            ${surface.join('\n            ')}
+            token outputs:surface
+        }${readerShaders.join('')}${shaders.join('')}
+    }`;
+};
+
+// Build a Mesh prim for one triangle primitive with the world matrix baked in
+const buildMesh = (prim, matrix, name, materialIndex, doubleSided) => {
+  const position = prim.getAttribute('POSITION');
+  const normal = prim.getAttribute('NORMAL');
+  const count = position.getCount();
+  const n = normalMatrix(matrix);
+  const m = matrix;
+
+  const points = new Array(count * 3);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  const el = [0, 0, 0];
+  for (let i = 0; i < count; i++) {
+    position.getElement(i, el);
+    const p = [
+      m[0] * el[0] + m[4] * el[1] + m[8] * el[2] + m[12],
+      m[1] * el[0] + m[5] * el[1] + m[9] * el[2] + m[13],
+      m[2] * el[0] + m[6] * el[1] + m[10] * el[2] + m[14]
+    ];
+    for (let k = 0; k < 3; k++) {
+      points[i * 3 + k] = p[k];
+      min[k] = Math.min(min[k], p[k]);
+      max[k] = Math.max(max[k], p[k]);
+    }
+  }
+
+  const indicesAccessor = prim.getIndices();
+  const indices = indicesAccessor
+    ? Array.from(indicesAccessor.getArray())
+    : Array.from({ length: count }, (_, i) => i);
+  // A mirroring transform flips the winding order
+  if (n && n[0] * (n[4] * n[8] - n[5] * n[7]) - n[1] * (n[3] * n[8] - n[5] * n[6]) + n[2] * (n[3] * n[7] - n[4] * n[6]) < 0) {
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+      const tmp = indices[i + 1];
+      indices[i + 1] = indices[i + 2];
+      indices[i + 2] = tmp;
+    }
+  }
+  const faceCount = Math.floor(indices.length / 3);
+
+  const lines = [
+    `int[] faceVertexCounts = [${new Array(faceCount).fill(3).join(',')}]`,
+    `int[] faceVertexIndices = [${indices.slice(0, faceCount * 3).join(',')}]`,
+    `float3[] extent = [${tuple(min)}, ${tuple(max)}]`,
+    `point3f[] points = ${tupleArray(points, 3)}`
+  ];
+
+  if (normal && n) {
+    const normals = new Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      normal.getElement(i, el);
+      const x = n[0] * el[0] + n[1] * el[1] + n[2] * el[2];
+      const y = n[3] * el[0] + n[4] * el[1] + n[5] * el[2];
+      const z = n[6] * el[0] + n[7] * el[1] + n[8] * el[2];
+      const length = Math.hypot(x, y, z) || 1;
+      normals[i * 3] = x / length;
+      normals[i * 3 + 1] = y / length;
+      normals[i * 3 + 2] = z / length;
+    }
+    lines.push(`normal3f[] normals = ${tupleArray(normals, 3, 4)} (\n            interpolation = "vertex"\n        )`);
+  }
+
+  // glTF UVs have their origin top-left, USD bottom-left
+  [0, 1].forEach(set => {
+    const uv = prim.getAttribute(`TEXCOORD_${set}`);
+    if (!uv) return;
+    const st = new Array(count * 2);
+    const pair = [0, 0];
+    for (let i = 0; i < count; i++) {
+      uv.getElement(i, pair);
+      st[i * 2] = pair[0];
+      st[i * 2 + 1] = 1 - pair[1];
+    }
+    const varname = set === 0 ? 'st' : `st${set}`;
+    lines.push(`texCoord2f[] primvars:${varname} = ${tupleArray(st, 2, 5)} (\n            interpolation = "vertex"\n        )`);
+  });
+
+  if (materialIndex !== null) {
+    lines.push(`rel material:binding = </Root/Materials/${materialName(materialIndex)}>`);
+  }
+  lines.push(`uniform bool doubleSided = ${doubleSided ? 1 : 0}`);
+  lines.push('uniform token subdivisionScheme = "none"');
+
+  return `
+    def Mesh "${name}" (
+        prepend apiSchemas = ["MaterialBindingAPI"]
+    )
+    {
+        ${lines.join('\n        ')}
+    }`;
+};
+
+// Convert a GLB file to a USDZ archive. Resolves with { buffer, warnings }.
+const convertToUsdz = async (srcPath) => {
+  const io = await getIO();
+  const document = await io.read(srcPath);
+  const usesSpecGloss = document.getRoot().listExtensionsUsed()
+    .some(extension => extension.extensionName === 'KHR_materials_pbrSpecularGlossiness');
+  await document.transform(dequantize(), uninstance(), ...(usesSpecGloss ? [metalRough()] : []));
+
+  const warnings = [];
+  const textures = createTextureTable(warnings);
+  const materials = new Map();
+  const meshes = [];
+  let skipped = 0;
+
+  const scene = document.getRoot().getDefaultScene() || document.getRoot().listScenes()[0];
+  const nodes = [];
+  if (scene) scene.traverse(node => nodes.push(node));
+
+  for (const node of nodes) {
+    const mesh = node.getMesh();
+    if (!mesh) continue;
+    const matrix = node.getWorldMatrix();
+    for (const prim of mesh.listPrimitives()) {
+      const mode = prim.getMode();
+      if (mode === Primitive.Mode.TRIANGLE_STRIP || mode === Primitive.Mode.TRIANGLE_FAN) {
+        convertPrimitiveToTriangles(prim);
+      }
+      if (prim.getMode() !== Primitive.Mode.TRIANGLES || !prim.getAttribute('POSITION')) {
+        skipped++;
+        continue;
+      }
+      const material = prim.getMaterial();
+      let materialIndex = null;
+      if (material) {
+        if (!materials.has(material)) {
+          materials.set(material, { index: materials.size, prim: await buildMaterial(material, materials.size, textures) });
+        }
+        materialIndex = materials.get(material).index;
+      }
+      meshes.push(buildMesh(prim, matrix, `Mesh_${meshes.length}`, materialIndex, material && material.getDoubleSided()));
+    }
+  }
+
+  if (skipped > 0) {
+    warnings.push(`${skipped} point or line primitive(s) were left out`);
+  }
+  if (document.getRoot().listAnimations().length > 0) {
+    warnings.push('Animations are not converted');
+  }
+
+  const usda = `#usda 1.0
+(
+    customLayerData = {
+        string creator = "AR-3D-Visualizer"
+    }
+    defaultPrim = "Root"
+    metersPerUnit = 1
+    upAxis = "Y"
+)
+
+def Xform "Root" (
+    kind = "component"
+)
+{
+    def Scope "Materials"
+    {${[...materials.values()].map(m => m.prim).join('\n')}
+    }
+${meshes.join('\n')}
+}
+`;
+
+  const buffer = writeStoredZip([
+    { name: 'model.usda', data: Buffer.from(usda, 'utf8') },
+    ...textures.entries
+  ], { align: USDZ_ALIGNMENT });
+  return { buffer, warnings };
+};
+
+// Conversions are CPU and memory heavy: run one at a time and share in-flight work
+let queue = Promise.resolve();
+const inFlight = new Map();
+
+// Make sure models/<id>.usdz exists and is at least as new as the GLB it is built from
+// (the source when present, otherwise the optimized variant). Resolves with
+// { file, generated, warnings }.
+const ensureUsdz = (modelsDir, id, { force = false } = {}) => {
+  const key = `${modelsDir}\0${id}`;
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const run = async () => {
+    // Prefer the original GLB over the Draco variant; packages are read as .gltf
+    const entry = resolveModelFile(modelsDir, id);
+    if (!entry) {
+      throw new Error(`Model "${id}" not found`);
+    }
+    const srcPath = path.join(modelsDir, entry.sourceFile || entry.file);
+    const outPath = path.join(modelsDir, usdzFileName(id));
+    if (!force && fs.existsSync(outPath) && fs.statSync(outPath).mtimeMs >= fs.statSync(srcPath).mtimeMs) {
+      return { file: outPath, generated: false, warnings: [] };
+    }
+
+    const { buffer, warnings } = await convertToUsdz(srcPath);
+    const tmpPath = path.join(modelsDir, `.${usdzFileName(id)}.${process.pid}.tmp`);
+    fs.writeFileSync(tmpPath, buffer);
+    fs.renameSync(tmpPath, outPath);
+    return { file: outPath, generated: true, warnings };
+  };
+
+  const promise = queue.then(run, run);
+  queue = promise.catch(() => {});
+  inFlight.set(key, promise);
+  const clear = () => inFlight.delete(key);
+  promise.then(clear, clear);
+  return promise;
+};
+
+module.exports = {
+  convertToUsdz,
+  ensureUsdz
+};
@@ -0,0 +1,204 @@
+const zlib = require('zlib');
+
+// Minimal ZIP reader and writer. The writer produces uncompressed ("stored") archives:
+// USDZ requires stored entries whose data starts on a 64-byte boundary, which is done
+// by padding the local header's extra field. The reader handles stored and deflated
+// entries, which covers what desktop zip tools produce (no ZIP64, no encryption).
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIR_SIZE = 22;
+// Extra field id for padding (any unused id works; this one is also used by Apple's tools)
+const PADDING_EXTRA_ID = 0x1986;
+
+// DOS date/time fields; a fixed timestamp keeps the output reproducible
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1; // 1980-01-01
+
+// CRC-32 (the zip/zlib polynomial). zlib.crc32 only exists from Node 20.15 / 22.2.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (data) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// entries: [{ name, data: Buffer }] -> Buffer
+const writeStoredZip = (entries, { align = 1 } = {}) => {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    let extra = Buffer.alloc(0);
+    const dataStart = offset + LOCAL_HEADER_SIZE + nameBuffer.length;
+    if (align > 1 && dataStart % align !== 0) {
+      // An extra field needs at least 4 bytes for its own header
+      let padding = align - (dataStart % align);
+      while (padding < 4) padding += align;
+      extra = Buffer.alloc(padding);
+      extra.writeUInt16LE(PADDING_EXTRA_ID, 0);
+      extra.writeUInt16LE(padding - 4, 2);
+    }
+
+    const local = Buffer.alloc(LOCAL_HEADER_SIZE);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(0, 8); // stored
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(extra.length, 28);
+    chunks.push(local, nameBuffer, extra, data);
+
+    const header = Buffer.alloc(CENTRAL_HEADER_SIZE);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4); // version made by
+    header.writeUInt16LE(20, 6); // version needed
+    header.writeUInt16LE(0x0800, 8);
+    header.writeUInt16LE(0, 10);
+    header.writeUInt16LE(DOS_TIME, 12);
+    header.writeUInt16LE(DOS_DATE, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(data.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(nameBuffer.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, nameBuffer);
+
+    offset += local.length + nameBuffer.length + extra.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+  const end = Buffer.alloc(END_OF_CENTRAL_DIR_SIZE);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...chunks, ...central, end]);
+};
+
+class ZipFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipFormatError';
+  }
+}
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+// The end-of-central-directory record may be followed by a comment of up to 64 KB
+const MAX_COMMENT_SIZE = 0xffff;
+
+const findEndOfCentralDir = (buffer) => {
+  const stop = Math.max(0, buffer.length - END_OF_CENTRAL_DIR_SIZE - MAX_COMMENT_SIZE);
+  for (let i = buffer.length - END_OF_CENTRAL_DIR_SIZE; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) return i;
+  }
+  return -1;
+};
+
+// Buffer -> [{ name, data: Buffer }], directories omitted. Entry names are normalized to
+// forward slashes; entries that would escape the archive root ("../", absolute paths)
+// are rejected. `maxSize` caps the total uncompressed size.
+const readZip = (buffer, { maxSize = Infinity } = {}) => {
+  const end = findEndOfCentralDir(buffer);
+  if (end < 0) {
+    throw new ZipFormatError('Not a zip archive');
+  }
+  const fits = (start, length) => start >= 0 && start + length <= buffer.length;
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new ZipFormatError('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  let total = 0;
+  for (let i = 0; i < count; i++) {
+    if (!fits(offset, CENTRAL_HEADER_SIZE) || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new ZipFormatError('Corrupt zip central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    if (!fits(offset + CENTRAL_HEADER_SIZE, nameLength)) {
+      throw new ZipFormatError('Corrupt zip central directory');
+    }
+    const rawName = buffer.slice(offset + CENTRAL_HEADER_SIZE, offset + CENTRAL_HEADER_SIZE + nameLength);
+    // Names without the UTF-8 flag are CP437; only ASCII names are common there
+    const name = rawName.toString(flags & 0x0800 ? 'utf8' : 'latin1').replace(/\\/g, '/');
+    offset += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (name.startsWith('/') || /^[a-z]:/i.test(name) || name.split('/').includes('..')) {
+      throw new ZipFormatError(`Unsafe path in zip: ${name}`);
+    }
+    if (flags & 0x0001) {
+      throw new ZipFormatError(`Encrypted zip entries are not supported: ${name}`);
+    }
+    total += size;
+    if (total > maxSize) {
+      throw new ZipFormatError('Zip contents exceed the size limit');
+    }
+
+    // Offsets and sizes come from the central directory; a truncated or crafted archive can
+    // point past the end of the buffer
+    if (!fits(localOffset, LOCAL_HEADER_SIZE) || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new ZipFormatError(`Corrupt zip entry: ${name}`);
+    }
+    const dataStart = localOffset + LOCAL_HEADER_SIZE
+      + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (!fits(dataStart, compressedSize)) {
+      throw new ZipFormatError(`Corrupt zip entry: ${name}`);
+    }
+    const raw = buffer.slice(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === METHOD_STORED) {
+      data = raw;
+    } else if (method === METHOD_DEFLATE) {
+      // Sizes come from the central directory, so a lying header can't inflate past it
+      try {
+        data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+      } catch (e) {
+        throw new ZipFormatError(`Corrupt zip entry: ${name}`);
+      }
+    } else {
+      throw new ZipFormatError(`Unsupported compression method ${method} for ${name}`);
+    }
+    if (data.length !== size) {
+      throw new ZipFormatError(`Corrupt zip entry: ${name}`);
+    }
+    entries.push({ name, data });
+  }
+  return entries;
+};
+
+module.exports = {
+  ZipFormatError,
+  readZip,
+  writeStoredZip
+};
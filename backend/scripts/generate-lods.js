@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const { listModelFiles } = require('../lib/model-files');
+const { ensureLods } = require('../lib/model-lods');
+
+// Usage: node scripts/generate-lods.js [--force] [model-id ...]
+const modelsDir = path.join(__dirname, '..', 'models');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const unknown = args.find(arg => arg.startsWith('--') && arg !== '--force');
+if (unknown) {
+  console.error('Unknown argument:', unknown);
+  process.exit(1);
+}
+const requested = args.filter(arg => !arg.startsWith('--'));
+
+if (!fs.existsSync(modelsDir)) {
+  console.error('Models directory does not exist:', modelsDir);
+  process.exit(1);
+}
+
+const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+
+const run = async () => {
+  const ids = requested.length > 0 ? requested : listModelFiles(modelsDir).map(entry => entry.id);
+  let built = 0;
+  let failed = 0;
+  for (const id of ids) {
+    try {
+      const result = await ensureLods(modelsDir, id, { force });
+      if (result.generated) {
+        built++;
+        result.lods.forEach(lod => {
+          const size = formatMB(fs.statSync(path.join(modelsDir, lod.file)).size);
+          console.log('Wrote', lod.file, `${lod.triangles} triangles`, size);
+        });
+      } else if (result.lods.length > 0) {
+        console.log('Up to date', id);
+      } else {
+        console.log('No LODs', id);
+      }
+      result.warnings.forEach(warning => console.warn(`  warning: ${warning}`));
+    } catch (err) {
+      failed++;
+      console.error('Failed', id, err.message);
+    }
+  }
+  console.log(`LODs complete: ${built} built, ${ids.length - built - failed} unchanged, ${failed} failed`);
+  return failed;
+};
+
+run()
+  .then(failed => process.exit(failed > 0 ? 1 : 0))
+  .catch(err => {
+    console.error('LOD generation failed:', err);
+    process.exit(1);
+  });
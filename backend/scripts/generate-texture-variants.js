@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const { listModelFiles } = require('../lib/model-files');
+const { ensureTextureVariants } = require('../lib/texture-variants');
+
+// Usage: node scripts/generate-texture-variants.js [--force] [model-id ...]
+const modelsDir = path.join(__dirname, '..', 'models');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const unknown = args.find(arg => arg.startsWith('--') && arg !== '--force');
+if (unknown) {
+  console.error('Unknown argument:', unknown);
+  process.exit(1);
+}
+const requested = args.filter(arg => !arg.startsWith('--'));
+
+if (!fs.existsSync(modelsDir)) {
+  console.error('Models directory does not exist:', modelsDir);
+  process.exit(1);
+}
+
+const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+
+const run = async () => {
+  const ids = requested.length > 0 ? requested : listModelFiles(modelsDir).map(entry => entry.id);
+  let built = 0;
+  let failed = 0;
+  for (const id of ids) {
+    try {
+      const result = await ensureTextureVariants(modelsDir, id, { force });
+      if (result.generated) {
+        built++;
+        result.variants.forEach(variant => {
+          console.log('Wrote', variant.file, formatMB(fs.statSync(path.join(modelsDir, variant.file)).size));
+        });
+        result.warnings.forEach(warning => console.warn(`  warning: ${warning}`));
+      } else if (result.variants.length > 0) {
+        console.log('Up to date', id);
+      } else {
+        console.log('No variants needed', id);
+      }
+    } catch (err) {
+      failed++;
+      console.error('Failed', id, err.message);
+    }
+  }
+  console.log(`Texture variants complete: ${built} built, ${ids.length - built - failed} unchanged, ${failed} failed`);
+  return failed;
+};
+
+run()
+  .then(failed => process.exit(failed > 0 ? 1 : 0))
+  .catch(err => {
+    console.error('Texture variant generation failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { listModelFiles } = require('../lib/model-files');
+const { ensureUsdz } = require('../lib/usdz');
+
+// Usage: node scripts/generate-usdz.js [--force] [model-id ...]
+const modelsDir = path.join(__dirname, '..', 'models');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const unknown = args.find(arg => arg.startsWith('--') && arg !== '--force');
+if (unknown) {
+  console.error('Unknown argument:', unknown);
+  process.exit(1);
+}
+const requested = args.filter(arg => !arg.startsWith('--'));
+
+if (!fs.existsSync(modelsDir)) {
+  console.error('Models directory does not exist:', modelsDir);
+  process.exit(1);
+}
+
+const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+
+const run = async () => {
+  const ids = requested.length > 0 ? requested : listModelFiles(modelsDir).map(entry => entry.id);
+  let written = 0;
+  let failed = 0;
+  for (const id of ids) {
+    try {
+      const result = await ensureUsdz(modelsDir, id, { force });
+      if (result.generated) {
+        written++;
+        console.log('Wrote', path.basename(result.file), formatMB(fs.statSync(result.file).size));
+        result.warnings.forEach(warning => console.warn(`  warning: ${warning}`));
+      } else {
+        console.log('Up to date', path.basename(result.file));
+      }
+    } catch (err) {
+      failed++;
+      console.error('Failed', id, err.message);
+    }
+  }
+  console.log(`USDZ complete: ${written} written, ${ids.length - written - failed} up to date, ${failed} failed`);
+  return failed;
+};
+
+run()
+  .then(failed => process.exit(failed > 0 ? 1 : 0))
+  .catch(err => {
+    console.error('USDZ generation failed:', err);
+    process.exit(1);
+  });
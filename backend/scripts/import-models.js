@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { isImportableFile, sanitizeModelFileName } = require('../lib/model-files');
+const { ImportError, importModel, saveImportRecord } = require('../lib/model-import');
+const { validateGlb } = require('../lib/model-validation');
+const { hasHistory, replaceModel } = require('../lib/model-versions');
+
+// Usage: node scripts/import-models.js [--overwrite] [--name "Model name"] <file> [<file> ...]
+// Converts OBJ, STL, PLY, FBX, glTF files and zip bundles to GLB in the models directory, the
+// same way /api/upload-model does. --name only applies when a single file is given.
+const modelsDir = path.join(__dirname, '..', 'models');
+
+const args = process.argv.slice(2);
+const files = [];
+let overwrite = false;
+let name = null;
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (arg === '--overwrite') {
+    overwrite = true;
+  } else if (arg === '--name') {
+    name = args[++i];
+  } else if (arg.startsWith('--')) {
+    console.error('Unknown argument:', arg);
+    process.exit(1);
+  } else {
+    files.push(arg);
+  }
+}
+
+if (files.length === 0) {
+  console.error('Usage: node scripts/import-models.js [--overwrite] [--name "Model name"] <file> [<file> ...]');
+  process.exit(1);
+}
+if (name && files.length > 1) {
+  console.error('--name can only be used with a single file');
+  process.exit(1);
+}
+if (!fs.existsSync(modelsDir)) {
+  console.error('Models directory does not exist:', modelsDir);
+  process.exit(1);
+}
+
+const importFile = async (file) => {
+  if (!isImportableFile(file)) {
+    throw new ImportError(`Unsupported model format "${path.extname(file) || file}"`);
+  }
+  const fileName = sanitizeModelFileName(name || file);
+  if (!fileName) {
+    throw new ImportError('Invalid model name');
+  }
+  const id = fileName.replace(/\.glb$/, '');
+  const exists = fs.existsSync(path.join(modelsDir, fileName));
+  if (exists && !overwrite) {
+    return { id, skipped: true };
+  }
+
+  // Convert next to the models so the final rename stays on one filesystem
+  const tmpPath = path.join(modelsDir, `.${fileName}.${process.pid}.tmp`);
+  try {
+    const result = await importModel(file, path.basename(file), tmpPath);
+    const { valid, report } = await validateGlb(fs.readFileSync(tmpPath));
+    if (!valid) {
+      throw new ImportError(`Converted model failed glTF validation (${report.numErrors} errors)`);
+    }
+    if (exists || hasHistory(modelsDir, id)) {
+      replaceModel(modelsDir, id, tmpPath);
+    } else {
+      fs.renameSync(tmpPath, path.join(modelsDir, fileName));
+    }
+    saveImportRecord(modelsDir, id, file, result);
+    return { id, result };
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+};
+
+const run = async () => {
+  let imported = 0;
+  let skipped = 0;
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const { id, skipped: wasSkipped, result } = await importFile(file);
+      if (wasSkipped) {
+        skipped++;
+        console.log(`Exists ${id} (pass --overwrite to replace it)`);
+        continue;
+      }
+      imported++;
+      console.log(`Imported ${path.basename(file)} -> ${id}.glb`);
+      result.warnings.forEach(warning => console.warn(`  warning: ${warning}`));
+    } catch (err) {
+      failed++;
+      console.error('Failed', path.basename(file), err instanceof ImportError ? err.message : err);
+    }
+  }
+  console.log(`Import complete: ${imported} imported, ${skipped} skipped, ${failed} failed`);
+  return failed;
+};
+
+run()
+  .then(failed => process.exit(failed > 0 ? 1 : 0))
+  .catch(err => {
+    console.error('Import failed:', err);
+    process.exit(1);
+  });
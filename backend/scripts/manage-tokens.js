@@ -0,0 +1,51 @@
+const { ROLES, readTokens, issueToken, revokeToken } = require('../lib/auth');
+
+// Usage:
+//   node scripts/manage-tokens.js issue --role editor [--name "Museum laptop"]
+//   node scripts/manage-tokens.js revoke <id>
+//   node scripts/manage-tokens.js list
+const [command, ...args] = process.argv.slice(2);
+
+const flag = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const usage = () => {
+  console.error('Usage: manage-tokens.js issue --role <role> [--name <name>] | revoke <id> | list');
+  console.error(`Roles: ${ROLES.join(', ')}`);
+  process.exit(1);
+};
+
+try {
+  if (command === 'issue') {
+    const role = flag('role');
+    if (!role) usage();
+    const { token, record } = issueToken({ name: flag('name'), role });
+    console.log(`Issued ${record.role} token ${record.id}${record.name ? ` (${record.name})` : ''}`);
+    console.log('Store it now; it cannot be shown again:');
+    console.log(token);
+  } else if (command === 'revoke') {
+    if (!args[0]) usage();
+    const record = revokeToken(args[0]);
+    if (!record) {
+      console.error('No token with id', args[0]);
+      process.exit(1);
+    }
+    console.log(`Revoked token ${record.id}`);
+  } else if (command === 'list') {
+    const tokens = readTokens();
+    if (tokens.length === 0) {
+      console.log('No tokens issued');
+    }
+    tokens.forEach(t => {
+      const status = t.revokedAt ? `revoked ${t.revokedAt}` : 'active';
+      console.log(`${t.id}  ${t.role.padEnd(6)}  ${status.padEnd(34)}  ${t.name || ''}`);
+    });
+  } else {
+    usage();
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
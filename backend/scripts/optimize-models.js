@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_QUANTIZATION, optimizeModels } = require('../lib/model-optimizer');
+
+// Usage: node scripts/optimize-models.js [--force] [--position 14] [--normal 10]
+//        [--texcoord 12] [--color 8] [--generic 12] [--method edgebreaker|sequential]
+const modelsDir = path.join(__dirname, '..', 'models');
+
+const args = process.argv.slice(2);
+const options = { force: false, quantization: {} };
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (arg === '--force') {
+    options.force = true;
+  } else if (arg === '--method') {
+    options.method = args[++i];
+  } else if (arg.startsWith('--') && arg.slice(2) in DEFAULT_QUANTIZATION) {
+    const bits = parseInt(args[++i], 10);
+    if (Number.isNaN(bits) || bits < 1 || bits > 30) {
+      console.error(`Invalid quantization bits for ${arg}`);
+      process.exit(1);
+    }
+    options.quantization[arg.slice(2)] = bits;
+  } else {
+    console.error('Unknown argument:', arg);
+    process.exit(1);
+  }
+}
+
+if (!fs.existsSync(modelsDir)) {
+  console.error('Models directory does not exist:', modelsDir);
+  process.exit(1);
+}
+
+const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+
+options.onResult = (result) => {
+  const name = path.basename(result.source);
+  if (result.error) {
+    console.error('Failed', name, result.error.message);
+  } else if (result.skipped) {
+    console.log('Up to date', name);
+  } else {
+    const saved = 1 - result.optimizedSize / result.originalSize;
+    console.log(
+      'Wrote', path.basename(result.output),
+      `${formatMB(result.originalSize)} -> ${formatMB(result.optimizedSize)}`,
+      `(${(saved * 100).toFixed(1)}% smaller)`
+    );
+  }
+};
+
+optimizeModels(modelsDir, options)
+  .then(results => {
+    const written = results.filter(r => !r.error && !r.skipped);
+    const failed = results.filter(r => r.error);
+    const before = written.reduce((sum, r) => sum + r.originalSize, 0);
+    const after = written.reduce((sum, r) => sum + r.optimizedSize, 0);
+    console.log(`Optimize complete: ${written.length} written, ${results.length - written.length - failed.length} up to date, ${failed.length} failed`);
+    if (written.length > 0) {
+      console.log(`Total ${formatMB(before)} -> ${formatMB(after)}`);
+    }
+    process.exit(failed.length > 0 ? 1 : 0);
+  })
+  .catch(err => {
+    console.error('Optimize failed:', err);
+    process.exit(1);
+  });
@@ -1,58 +1,68 @@
 const fs = require('fs');
 const path = require('path');
-const zlib = require('zlib');
+const { DEFAULT_OPTIONS, precompressModels } = require('../lib/precompress');
 
+// Usage: node scripts/precompress-models.js [--force] [--concurrency 2]
+//        [--brotli-quality 11] [--gzip-level 9] [file.glb ...]
 const modelsDir = path.join(__dirname, '..', 'models');
 
+const args = process.argv.slice(2);
+const options = { ...DEFAULT_OPTIONS };
+const files = [];
+
+const readInt = (flag, value, min, max) => {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n) || n < min || n > max) {
+    console.error(`${flag} must be an integer between ${min} and ${max}`);
+    process.exit(1);
+  }
+  return n;
+};
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (arg === '--force') {
+    options.force = true;
+  } else if (arg === '--concurrency') {
+    options.concurrency = readInt(arg, args[++i], 1, 64);
+  } else if (arg === '--brotli-quality') {
+    options.brotliQuality = readInt(arg, args[++i], 0, 11);
+  } else if (arg === '--gzip-level') {
+    options.gzipLevel = readInt(arg, args[++i], 1, 9);
+  } else if (arg.startsWith('--')) {
+    console.error('Unknown argument:', arg);
+    process.exit(1);
+  } else {
+    files.push(path.basename(arg));
+  }
+}
+
 if (!fs.existsSync(modelsDir)) {
   console.error('Models directory does not exist:', modelsDir);
   process.exit(1);
 }
 
-const files = fs.readdirSync(modelsDir).filter(f => f.toLowerCase().endsWith('.glb'));
-
-files.forEach(file => {
-  const src = path.join(modelsDir, file);
-  const gzPath = src + '.gz';
-  const brPath = src + '.br';
-
-  const stat = fs.statSync(src);
-
-  // Gzip
-  try {
-    let doGzip = true;
-    if (fs.existsSync(gzPath)) {
-      const gzStat = fs.statSync(gzPath);
-      if (gzStat.mtimeMs >= stat.mtimeMs) doGzip = false;
-    }
-    if (doGzip) {
-      const inp = fs.createReadStream(src);
-      const out = fs.createWriteStream(gzPath);
-      const gzip = zlib.createGzip({ level: zlib.constants.Z_BEST_SPEED });
-      inp.pipe(gzip).pipe(out);
-      out.on('finish', () => console.log('Wrote', gzPath));
-    }
-  } catch (e) {
-    console.error('Gzip failed for', src, e);
-  }
+const percent = (part, whole) => `${((part / whole) * 100).toFixed(1)}%`;
 
-  // Brotli
-  try {
-    let doBr = true;
-    if (fs.existsSync(brPath)) {
-      const brStat = fs.statSync(brPath);
-      if (brStat.mtimeMs >= stat.mtimeMs) doBr = false;
-    }
-    if (doBr) {
-      const inp = fs.createReadStream(src);
-      const out = fs.createWriteStream(brPath);
-      const brotli = zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } });
-      inp.pipe(brotli).pipe(out);
-      out.on('finish', () => console.log('Wrote', brPath));
-    }
-  } catch (e) {
-    console.error('Brotli failed for', src, e);
+options.onResult = (result) => {
+  if (result.error) {
+    console.error('Failed', result.file, result.error.message);
+  } else if (result.skipped) {
+    console.log('Up to date', result.file);
+  } else {
+    const { size, gzip, brotli } = result.entry;
+    console.log('Wrote', result.file, `gzip ${percent(gzip.size, size)}, brotli ${percent(brotli.size, size)} of original`);
   }
-});
+};
 
-console.log('Precompress complete');
+precompressModels(modelsDir, files.length > 0 ? files : null, options)
+  .then(results => {
+    const failed = results.filter(r => r.error).length;
+    const written = results.filter(r => !r.error && !r.skipped).length;
+    console.log(`Precompress complete: ${written} written, ${results.length - written - failed} up to date, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+  })
+  .catch(err => {
+    console.error('Precompress failed:', err);
+    process.exit(1);
+  });
@@ -2,12 +2,101 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const portfinder = require('portfinder');
 const compression = require('compression');
+const multer = require('multer');
 const WebSocket = require('ws');
+const { validateGlb } = require('./lib/model-validation');
+const { getModelStats } = require('./lib/model-stats');
+const { GlbFormatError } = require('./lib/glb');
+const {
+  listModelFiles,
+  isSafeModelName,
+  resolveModelFile,
+  canonicalModelId,
+  isGlbFile,
+  isImportableFile,
+  sanitizeModelFileName,
+  findPackageEntry,
+  packageFiles,
+  packageSize,
+  usdzFileName,
+  listTextureVariants,
+  listLods,
+  listPosters
+} = require('./lib/model-files');
+const { MetadataValidationError, readMetadata, writeMetadata } = require('./lib/model-metadata');
+const { QueryError, parseModelQuery, queryModels, modelFacets } = require('./lib/model-query');
+const { watchModels } = require('./lib/model-watcher');
+const { precompressModels, readManifest } = require('./lib/precompress');
+const { getFileHash } = require('./lib/file-hash');
+const { isNotModified, ifRangeMatches, parseRangeHeader } = require('./lib/http-cache');
+const { roleAtLeast, createAuth } = require('./lib/auth');
+const {
+  VersionError,
+  hasHistory,
+  currentVersion,
+  replaceModel,
+  deleteModel,
+  restoreVersion,
+  renameModel,
+  listVersions,
+  archivedFilePath
+} = require('./lib/model-versions');
+const { CollectionError, createCollectionStore } = require('./lib/collections');
+const {
+  AnnotationError,
+  listAnnotations,
+  createAnnotation,
+  updateAnnotation,
+  deleteAnnotation
+} = require('./lib/annotations');
+const { TourError, listTours, createTour, updateTour, deleteTour, setStepNarration } = require('./lib/tours');
+const {
+  SnapshotError,
+  listSnapshots,
+  validateSnapshotFields,
+  checkSnapshotImage,
+  makeThumbnail,
+  createSnapshot,
+  deleteSnapshot
+} = require('./lib/snapshots');
+const {
+  MeasurementError,
+  readMeasurements,
+  createMeasurement,
+  updateMeasurement,
+  deleteMeasurement,
+  setScale
+} = require('./lib/measurements');
+const { detectImage, detectAudio, createMediaStore } = require('./lib/media-store');
+const { createSessionHub } = require('./lib/sessions');
+const { ensureUsdz } = require('./lib/usdz');
+const { ensureTextureVariants } = require('./lib/texture-variants');
+const { LOD_SETTINGS, ensureLods } = require('./lib/model-lods');
+const { ImportError, importModel, saveImportRecord, readImportRecord } = require('./lib/model-import');
+const {
+  PackageError,
+  resourceContentType,
+  resolvePackagePath,
+  extractPackage,
+  validatePackage,
+  packPackage
+} = require('./lib/model-packages');
+const { PosterError, savePoster, removePosters } = require('./lib/model-posters');
+const { createRateLimiter } = require('./lib/rate-limit');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+// Maximum accepted upload size in megabytes
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 200;
+// Maximum size of an uploaded image (annotation images) in megabytes
+const MAX_IMAGE_MB = parseInt(process.env.MAX_IMAGE_MB, 10) || 5;
+// Maximum size of an uploaded audio file (tour narration) in megabytes
+const MAX_AUDIO_MB = parseInt(process.env.MAX_AUDIO_MB, 10) || 20;
+// Maximum size of an uploaded snapshot in megabytes (they may be rendered above screen resolution)
+const MAX_SNAPSHOT_MB = parseInt(process.env.MAX_SNAPSHOT_MB, 10) || 25;
 
 // Middleware
 app.use(compression());
@@ -37,7 +126,7 @@ app.use(cors({
     // Default deny
     return callback(new Error('Not allowed by CORS'));
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'Accept'],
   credentials: true
 }));
@@ -46,17 +135,25 @@ app.use(cors({
 app.options('*', (req, res) => {
   const origin = req.headers.origin || '*';
   res.header('Access-Control-Allow-Origin', origin);
-  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Origin, Accept');
   res.sendStatus(204);
 });
 app.use(express.json());
 
+// API tokens (see scripts/manage-tokens.js). Every request is authenticated if it carries
+// a token; write routes additionally require a role via auth.requireRole().
+const auth = createAuth();
+app.use(auth.authenticate);
+
+const collections = createCollectionStore();
+const media = createMediaStore();
+
 // Middleware to dynamically set CORS headers
 app.use((req, res, next) => {
   const allowedOrigin = req.headers.origin || '*';
   res.header('Access-Control-Allow-Origin', allowedOrigin);
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
   res.header('Access-Control-Allow-Headers', 'Content-Type');
   next();
 });
@@ -67,6 +164,175 @@ if (!fs.existsSync(modelsDir)) {
   fs.mkdirSync(modelsDir, { recursive: true });
 }
 
+// Uploads are written to a staging directory on the same filesystem as modelsDir
+// and renamed into place once validated, so /api/models never sees a partial file.
+const uploadTmpDir = path.join(modelsDir, '.incoming');
+fs.rmSync(uploadTmpDir, { recursive: true, force: true });
+fs.mkdirSync(uploadTmpDir, { recursive: true });
+
+const upload = multer({
+  dest: uploadTmpDir,
+  limits: {
+    fileSize: MAX_UPLOAD_MB * 1024 * 1024,
+    files: 1,
+    fields: 10
+  }
+});
+
+// Media uploads (images, narration) are small, so they are buffered in memory and
+// sniffed before being stored
+const mediaUpload = (limitMb) => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: limitMb * 1024 * 1024,
+    files: 1,
+    fields: 10
+  }
+});
+const imageUpload = mediaUpload(MAX_IMAGE_MB);
+const audioUpload = mediaUpload(MAX_AUDIO_MB);
+const snapshotUpload = mediaUpload(MAX_SNAPSHOT_MB);
+
+// Run a single-file media upload; `handle()` is only called when multer succeeded
+const receiveMedia = (uploader, field, limitMb, req, res, handle) => {
+  uploader.single(field)(req, res, (uploadErr) => {
+    if (!uploadErr) return handle();
+    if (uploadErr instanceof multer.MulterError) {
+      const status = uploadErr.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const message = uploadErr.code === 'LIMIT_FILE_SIZE'
+        ? `File exceeds the ${limitMb} MB limit`
+        : uploadErr.message;
+      return res.status(status).json({ error: message, code: uploadErr.code });
+    }
+    console.error('Media upload failed:', uploadErr);
+    res.status(500).json({ error: 'Upload failed' });
+  });
+};
+
+// Revision of a file on disk: its modification time. Files in models/ can change without a
+// new version (overwritten by hand, derived files rebuilt), so URLs of the current version
+// also carry the revision, and are only cached immutably while it matches.
+const fileRevision = (filePath) => {
+  try {
+    return Math.floor(fs.statSync(filePath).mtimeMs).toString(36);
+  } catch (e) {
+    return null;
+  }
+};
+
+// A package changes whenever any of its files does
+const packageRevision = (id) => {
+  const mtimes = packageFiles(modelsDir, id).map(file => fs.statSync(path.join(modelsDir, file)).mtimeMs);
+  return Math.floor(Math.max(0, ...mtimes)).toString(36);
+};
+
+// URL of a model file pinned to a version (and revision, see fileRevision), so it can be
+// cached immutably
+const versionedModelPath = (file, version, revision = null) => (
+  `/models/${encodeURIComponent(file)}?v=${version}${revision ? `&rev=${revision}` : ''}`
+);
+
+// URL of a glTF package's .gltf. The version (and revision) is a path segment, "v3" or
+// "v3.<revision>", so that the relative URLs of its buffers and images resolve to the same one.
+const packagePath = (id, version, entry, revision = null) => (
+  `/models/${encodeURIComponent(id)}/v${version}${revision ? `.${revision}` : ''}/${entry.split('/').map(encodeURIComponent).join('/')}`
+);
+
+// Whether a request for the current version names the file's current revision
+const isCurrentRevision = (req, revision) => Boolean(revision) && req.query.rev === revision;
+
+// Build the public descriptor for a resolved model (see lib/model-files).
+// `name`/`path` point at the file that should be served, which is the
+// optimized variant when one is current.
+const describeModel = (entry) => {
+  const stats = fs.statSync(path.join(modelsDir, entry.file));
+  const version = currentVersion(modelsDir, entry.id);
+  const sourceRevision = entry.package
+    ? packageRevision(entry.id)
+    : fileRevision(path.join(modelsDir, entry.sourceFile || entry.file));
+  const descriptor = {
+    name: entry.file,
+    path: entry.package
+      ? packagePath(entry.id, version, path.posix.basename(entry.file), packageRevision(entry.id))
+      : versionedModelPath(entry.file, version, fileRevision(path.join(modelsDir, entry.file))),
+    id: entry.id,
+    version,
+    size: entry.package ? packageSize(modelsDir, entry.id) : stats.size,
+    modified: stats.mtime,
+    optimized: entry.optimized,
+    metadata: readMetadata(modelsDir, entry.id),
+    collections: collections.collectionsForModel(entry.id),
+    // Generated on first request (or in the background after ingest) for iOS Quick Look,
+    // from the source file, so it shares that file's revision
+    usdz: { path: versionedModelPath(usdzFileName(entry.id), version, sourceRevision) },
+    // Same model with downscaled textures, largest first; clients choose by device and
+    // connection (built in the background, so empty until then or when textures are small)
+    textureVariants: listTextureVariants(modelsDir, entry).map(variant => ({
+      resolution: variant.resolution,
+      name: variant.file,
+      path: versionedModelPath(variant.file, version, fileRevision(path.join(modelsDir, variant.file))),
+      size: fs.statSync(path.join(modelsDir, variant.file)).size
+    })),
+    // Simplified meshes, finest first: `ratio` is the targeted share of the original
+    // triangles (see lib/model-lods). Empty until built or when a model can't be simplified.
+    lods: listLods(modelsDir, entry).map(lod => ({
+      level: lod.level,
+      ratio: LOD_SETTINGS[lod.level].ratio,
+      name: lod.file,
+      path: versionedModelPath(lod.file, version, fileRevision(path.join(modelsDir, lod.file))),
+      size: fs.statSync(path.join(modelsDir, lod.file)).size
+    })),
+    // Screenshots to show while the model loads, largest first, as WebP and PNG. Empty until
+    // a client has rendered the model and uploaded one. Their revision changes when an
+    // editor replaces them, since the version doesn't.
+    posters: listPosters(modelsDir, entry).map(poster => ({
+      width: poster.width,
+      type: `image/${poster.format}`,
+      name: poster.file,
+      path: versionedModelPath(poster.file, version, fileRevision(path.join(modelsDir, poster.file)))
+    }))
+  };
+  if (entry.package) {
+    // Multi-file glTF: `size` above covers every file of the package
+    descriptor.package = { files: packageFiles(modelsDir, entry.id).length };
+  }
+  if (entry.sourceFile && entry.sourceFile !== entry.file) {
+    descriptor.source = {
+      name: entry.sourceFile,
+      path: versionedModelPath(entry.sourceFile, version, fileRevision(path.join(modelsDir, entry.sourceFile))),
+      size: fs.statSync(path.join(modelsDir, entry.sourceFile)).size
+    };
+  }
+  return descriptor;
+};
+
+// Version history with a pinned download URL per version
+const describeVersions = (id) => {
+  const history = listVersions(modelsDir, id);
+  const versionPath = (v) => {
+    const packageDir = v.current ? path.join(modelsDir, id) : archivedFilePath(modelsDir, id, v.version, id);
+    const entry = packageDir && findPackageEntry(packageDir);
+    if (entry) return packagePath(id, v.version, entry, v.current ? packageRevision(id) : null);
+    return versionedModelPath(`${id}.glb`, v.version, v.current ? fileRevision(path.join(modelsDir, `${id}.glb`)) : null);
+  };
+  return {
+    ...history,
+    versions: history.versions.map(v => ({ ...v, path: versionPath(v) }))
+  };
+};
+
+// Private models are only visible to authenticated callers (any role)
+const canSeeModel = (req, model) => !(model.metadata && model.metadata.private) || Boolean(req.auth);
+
+// Model ids come from the URL (where "/" can arrive as %2F) and are joined into sidecar,
+// version and media paths, so anything but a plain name in the models directory is a 404
+app.use('/api/models/:id', (req, res, next) => {
+  if (!isSafeModelName(modelsDir, req.params.id)) {
+    return res.status(404).json({ error: 'Model not found' });
+  }
+  next();
+});
+
 // Serve Draco decoder files
 // Serve Draco decoder and models with CORS headers set on the static responses
 app.use('/draco', express.static(path.join(__dirname, 'draco'), {
@@ -75,152 +341,1205 @@ app.use('/draco', express.static(path.join(__dirname, 'draco'), {
   }
 }));
 
-// Serve models with support for Range requests and pre-compressed files when available.
-// This streams bytes and allows clients to start rendering sooner without changing model quality.
-app.get('/models/:file', (req, res) => {
-  const fileName = req.params.file;
-  const originalPath = path.join(modelsDir, fileName);
+// Uploaded media files get random names and never change, so they can be cached forever
+app.use('/media', express.static(media.dir, {
+  dotfiles: 'ignore',
+  immutable: true,
+  maxAge: '1y'
+}));
 
-  if (!fs.existsSync(originalPath)) {
+// Serve models with support for conditional and Range requests and pre-compressed files when available.
+// Each representation (identity, gzip, br) gets a strong ETag derived from the content hash,
+// so clients can revalidate with If-None-Match and resume with If-Range. Byte ranges always
+// refer to the identity representation and are never combined with a Content-Encoding.
+const streamRange = (filePath, range, res) => new Promise((resolve, reject) => {
+  const stream = fs.createReadStream(filePath, range || {});
+  // Stop reading if the client goes away mid-transfer
+  const onClose = () => {
+    stream.destroy();
+    resolve();
+  };
+  res.once('close', onClose);
+  stream.on('error', (err) => {
+    res.removeListener('close', onClose);
+    reject(err);
+  });
+  stream.on('end', () => {
+    res.removeListener('close', onClose);
+    resolve();
+  });
+  stream.pipe(res, { end: false });
+});
+
+// USDZ for iOS Quick Look, converted from the GLB on first request and cached next to it
+app.get(/^\/models\/([^/]+)\.usdz$/, async (req, res) => {
+  const id = req.params[0];
+  const entry = resolveModelFile(modelsDir, id);
+  if (!entry) {
+    return res.status(404).send('Not found');
+  }
+  const isPrivate = readMetadata(modelsDir, id).private;
+  if (isPrivate && !req.auth) {
     return res.status(404).send('Not found');
   }
 
-  // Always allow cross-origin requests for model files in dev/tunnel scenarios
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Vary', 'Accept-Encoding');
+  const pinnedVersion = req.query.v !== undefined ? parseInt(req.query.v, 10) : null;
+  if (pinnedVersion !== null && Number.isNaN(pinnedVersion)) {
+    return res.status(404).send('Not found');
+  }
 
-  // Determine if client accepts brotli or gzip
-  const acceptEnc = req.headers['accept-encoding'] || '';
-  let chosenPath = originalPath;
-  let contentEncoding = '';
+  try {
+    let filePath;
+    let immutable = false;
+    if (pinnedVersion !== null && pinnedVersion !== currentVersion(modelsDir, id)) {
+      // Older versions are only available if their USDZ was generated before being replaced
+      filePath = archivedFilePath(modelsDir, id, pinnedVersion, usdzFileName(id));
+      if (!filePath) {
+        return res.status(404).send('Not found');
+      }
+      immutable = true;
+    } else {
+      immutable = pinnedVersion !== null && isCurrentRevision(req, entry.package
+        ? packageRevision(id)
+        : fileRevision(path.join(modelsDir, entry.sourceFile || entry.file)));
+      const result = await ensureUsdz(modelsDir, id);
+      if (result.generated) {
+        console.log('Generated', usdzFileName(id));
+        result.warnings.forEach(warning => console.warn(`USDZ ${id}: ${warning}`));
+      }
+      filePath = result.file;
+    }
+
+    const scope = isPrivate ? 'private' : 'public';
+    res.sendFile(filePath, {
+      headers: {
+        'Content-Type': 'model/vnd.usdz+zip',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': immutable
+          ? `${scope}, max-age=31536000, immutable, no-transform`
+          : `${scope}, max-age=86400, no-transform`
+      }
+    });
+  } catch (err) {
+    console.error('Error generating USDZ:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Poster images (see lib/model-posters); ?v=<version> serves an archived version's posters
+app.get(/^\/models\/([^/]+)\.poster(\d+)\.(webp|png)$/, (req, res) => {
+  const { 0: id, 1: width, 2: format } = req.params;
+  const file = `${id}.poster${width}.${format}`;
+  if (!isSafeModelName(modelsDir, id)) {
+    return res.status(404).send('Not found');
+  }
+  const isPrivate = readMetadata(modelsDir, id).private;
+  if (isPrivate && !req.auth) {
+    return res.status(404).send('Not found');
+  }
 
-  // Prefer brotli if available and accepted
-  if (acceptEnc.includes('br') && fs.existsSync(`${originalPath}.br`)) {
-    chosenPath = `${originalPath}.br`;
-    contentEncoding = 'br';
-  } else if (acceptEnc.includes('gzip') && fs.existsSync(`${originalPath}.gz`)) {
-    chosenPath = `${originalPath}.gz`;
-    contentEncoding = 'gzip';
+  const pinnedVersion = req.query.v !== undefined ? parseInt(req.query.v, 10) : null;
+  if (pinnedVersion !== null && Number.isNaN(pinnedVersion)) {
+    return res.status(404).send('Not found');
+  }
+  const isArchived = pinnedVersion !== null && pinnedVersion !== currentVersion(modelsDir, id);
+  const filePath = isArchived
+    ? archivedFilePath(modelsDir, id, pinnedVersion, file)
+    : path.join(modelsDir, file);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).send('Not found');
   }
+  const immutable = isArchived || (pinnedVersion !== null && isCurrentRevision(req, fileRevision(filePath)));
+
+  const scope = isPrivate ? 'private' : 'public';
+  res.sendFile(filePath, {
+    headers: {
+      'Content-Type': `image/${format}`,
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': immutable
+        ? `${scope}, max-age=31536000, immutable`
+        : `${scope}, max-age=300`
+    }
+  });
+});
 
+// Send a model file (a GLB or a glTF package resource) with content negotiation over its
+// precompressed .br/.gz siblings, ETags and byte ranges. `manifestKey` names the file in the
+// precompress manifest; archived files have none. `pinned` URLs name an archived version or
+// the current file's revision and are cached immutably.
+const sendModelFile = async (req, res, { originalPath, stat, manifestKey, contentType, isPrivate, pinned }) => {
   try {
-    const stat = fs.statSync(chosenPath);
-    const total = stat.size;
-    const range = req.headers.range;
+    const manifestEntry = manifestKey ? readManifest(modelsDir).files[manifestKey] || null : null;
+    const hash = await getFileHash(originalPath, stat, manifestEntry);
+    const lastModified = stat.mtime;
 
-    // Content-Type for GLB (model/gltf-binary)
-    res.setHeader('Content-Type', 'model/gltf-binary');
-    if (contentEncoding) {
-      res.setHeader('Content-Encoding', contentEncoding);
+    // A .br/.gz sibling is only used while it was built from the current bytes
+    const siblingIsCurrent = (ext) => {
+      const siblingPath = `${originalPath}.${ext}`;
+      if (!fs.existsSync(siblingPath)) return false;
+      if (manifestEntry) return manifestEntry.hash === hash;
+      return fs.statSync(siblingPath).mtimeMs >= stat.mtimeMs;
+    };
+
+    const wantsRange = Boolean(req.headers.range);
+    let contentEncoding = 'identity';
+    if (!wantsRange) {
+      const available = [];
+      if (siblingIsCurrent('br')) available.push('br');
+      if (siblingIsCurrent('gz')) available.push('gzip');
+      available.push('identity');
+      contentEncoding = req.acceptsEncodings(available) || 'identity';
     }
 
-    // Caching: long cache for files named optimized, shorter for others
-    if (/-optimized/.test(fileName)) {
-      res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    const chosenPath = contentEncoding === 'br'
+      ? `${originalPath}.br`
+      : contentEncoding === 'gzip' ? `${originalPath}.gz` : originalPath;
+    const total = contentEncoding === 'identity' ? stat.size : fs.statSync(chosenPath).size;
+    const identityETag = `"${hash.slice(0, 32)}"`;
+    const etag = contentEncoding === 'identity' ? identityETag : `"${hash.slice(0, 32)}-${contentEncoding}"`;
+
+    // Always allow cross-origin requests for model files in dev/tunnel scenarios
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified, Content-Range, Accept-Ranges, Content-Length, Content-Encoding');
+    res.setHeader('Vary', 'Accept-Encoding');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    // Caching: long cache for version-pinned URLs, shorter for others.
+    // no-transform keeps the compression middleware and proxies from re-encoding
+    // (which would break byte ranges and the per-representation ETags).
+    // Private models must not be stored by shared caches.
+    const scope = isPrivate ? 'private' : 'public';
+    if (pinned) {
+      res.setHeader('Cache-Control', `${scope}, max-age=31536000, immutable, no-transform`);
     } else {
-      res.setHeader('Cache-Control', 'public, max-age=86400');
+      res.setHeader('Cache-Control', `${scope}, max-age=86400, no-transform`);
     }
 
-    if (range) {
-      // Parse Range header: bytes=start-end
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : total - 1;
-      if (Number.isNaN(start) || Number.isNaN(end) || start > end) {
-        res.status(416).setHeader('Content-Range', `bytes */${total}`);
-        return res.end();
-      }
+    if (isNotModified(req, etag, lastModified)) {
+      return res.status(304).end();
+    }
 
-      const chunkSize = (end - start) + 1;
+    let ranges = null;
+    if (wantsRange && ifRangeMatches(req, identityETag, lastModified)) {
+      ranges = parseRangeHeader(req.headers.range, total);
+    }
+
+    if (ranges && ranges.length === 0) {
+      res.status(416).setHeader('Content-Range', `bytes */${total}`);
+      return res.end();
+    }
+
+    if (ranges && ranges.length === 1) {
+      const [{ start, end }] = ranges;
       res.status(206);
+      res.setHeader('Content-Type', contentType);
       res.setHeader('Content-Range', `bytes ${start}-${end}/${total}`);
-      res.setHeader('Accept-Ranges', 'bytes');
-      res.setHeader('Content-Length', chunkSize);
-
-      const stream = fs.createReadStream(chosenPath, { start, end });
-      stream.on('open', () => stream.pipe(res));
-      stream.on('error', (err) => {
-        console.error('Stream error', err);
-        res.sendStatus(500);
-      });
-    } else {
-      res.setHeader('Accept-Ranges', 'bytes');
-      res.setHeader('Content-Length', total);
-      const stream = fs.createReadStream(chosenPath);
-      stream.on('open', () => stream.pipe(res));
-      stream.on('error', (err) => {
-        console.error('Stream error', err);
-        res.sendStatus(500);
-      });
+      res.setHeader('Content-Length', end - start + 1);
+      if (req.method === 'HEAD') return res.end();
+      await streamRange(chosenPath, { start, end }, res);
+      return res.end();
     }
+
+    if (ranges && ranges.length > 1) {
+      // Several ranges: multipart/byteranges body with one part per range
+      const boundary = crypto.randomBytes(16).toString('hex');
+      const partHeader = ({ start, end }) => Buffer.from(
+        `--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${total}\r\n\r\n`
+      );
+      const closing = Buffer.from(`--${boundary}--\r\n`);
+      const length = ranges.reduce((sum, range) => sum + partHeader(range).length + (range.end - range.start + 1) + 2, 0)
+        + closing.length;
+
+      res.status(206);
+      res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+      res.setHeader('Content-Length', length);
+      if (req.method === 'HEAD') return res.end();
+      for (const range of ranges) {
+        res.write(partHeader(range));
+        await streamRange(chosenPath, range, res);
+        res.write('\r\n');
+      }
+      return res.end(closing);
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    if (contentEncoding !== 'identity') {
+      res.setHeader('Content-Encoding', contentEncoding);
+    }
+    res.setHeader('Content-Length', total);
+    if (req.method === 'HEAD') return res.end();
+    await streamRange(chosenPath, null, res);
+    res.end();
   } catch (err) {
     console.error('Error serving model:', err);
-    res.status(500).send('Server error');
+    if (!res.headersSent) {
+      res.status(500).send('Server error');
+    } else {
+      res.destroy(err);
+    }
+  }
+
+};
+
+app.get('/models/:file', async (req, res, next) => {
+  const fileName = req.params.file;
+  // /models/<id> is also the frontend's viewer route: page loads get the app (see the fallback below)
+  if (!isGlbFile(fileName) && (req.get('Accept') || '').includes('text/html')) {
+    return next();
+  }
+  if (!isSafeModelName(modelsDir, fileName) || !isGlbFile(fileName)) {
+    return res.status(404).send('Not found');
   }
+  const id = canonicalModelId(fileName);
+
+  // ?v=<version> pins the URL to one version: older versions are served from the archive
+  let originalPath = path.join(modelsDir, fileName);
+  let isArchived = false;
+  const pinnedVersion = req.query.v !== undefined ? parseInt(req.query.v, 10) : null;
+  if (pinnedVersion !== null) {
+    if (Number.isNaN(pinnedVersion)) {
+      return res.status(404).send('Not found');
+    }
+    if (pinnedVersion !== currentVersion(modelsDir, id)) {
+      originalPath = archivedFilePath(modelsDir, id, pinnedVersion, fileName);
+      isArchived = true;
+      if (!originalPath) {
+        return res.status(404).send('Not found');
+      }
+    }
+  }
+
+  let stat;
+  try {
+    stat = fs.statSync(originalPath);
+  } catch (e) {
+    stat = null;
+  }
+  if (!stat || !stat.isFile()) {
+    return res.status(404).send('Not found');
+  }
+  const isPrivate = readMetadata(modelsDir, id).private;
+  if (isPrivate && !req.auth) {
+    return res.status(404).send('Not found');
+  }
+
+  await sendModelFile(req, res, {
+    originalPath,
+    stat,
+    manifestKey: isArchived ? null : fileName,
+    contentType: 'model/gltf-binary',
+    isPrivate,
+    pinned: isArchived || (pinnedVersion !== null && isCurrentRevision(req, fileRevision(originalPath)))
+  });
+});
+
+// Files of a multi-file glTF package: /models/<id>/v<version>/<path inside the package>.
+// Older versions are served from the archive. Clients put the API token of a private
+// package in the version segment ("v3.<revision>~<token>"), so the relative URLs of its
+// buffers and images carry it too.
+app.get('/models/:id/:version/*', async (req, res) => {
+  const { id } = req.params;
+  const versionMatch = /^v(\d+)(?:\.([0-9a-z]+))?(?:~([\w-]+))?$/.exec(req.params.version);
+  if (!isSafeModelName(modelsDir, id) || !versionMatch) {
+    return res.status(404).send('Not found');
+  }
+  if (!req.auth && versionMatch[3]) {
+    req.auth = auth.identify(versionMatch[3]);
+  }
+  const version = parseInt(versionMatch[1], 10);
+  const isCurrent = version === currentVersion(modelsDir, id);
+  const revision = versionMatch[2] || null;
+  const packageDir = isCurrent ? path.join(modelsDir, id) : archivedFilePath(modelsDir, id, version, id);
+  const filePath = packageDir && resolvePackagePath(packageDir, req.params[0]);
+  // .gz/.br siblings are only reachable through content negotiation
+  if (!filePath || /\.(gz|br)$/i.test(filePath) || path.basename(filePath).startsWith('.')) {
+    return res.status(404).send('Not found');
+  }
+
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (e) {
+    stat = null;
+  }
+  if (!stat || !stat.isFile()) {
+    return res.status(404).send('Not found');
+  }
+  const isPrivate = readMetadata(modelsDir, id).private;
+  if (isPrivate && !req.auth) {
+    return res.status(404).send('Not found');
+  }
+
+  await sendModelFile(req, res, {
+    originalPath: filePath,
+    stat,
+    manifestKey: isCurrent ? path.relative(modelsDir, filePath).split(path.sep).join('/') : null,
+    contentType: resourceContentType(filePath),
+    isPrivate,
+    pinned: !isCurrent || (revision !== null && revision === packageRevision(id))
+  });
 });
 
 // API Routes
 
-// Get all GLB files
+// Get all GLB files.
+// Supports ?q= (text search), ?category=, ?tag= (repeatable), ?optimized=true|false,
+// ?sort=name|size|date (prefix with "-" for descending), ?limit= and ?cursor=.
+// The body stays a plain array; pagination info is returned in the
+// X-Total-Count and X-Next-Cursor headers.
 app.get('/api/models', (req, res) => {
   try {
-    const files = fs.readdirSync(modelsDir);
-    // Prefer optimized-draco variants when present to reduce client download sizes
-    const glbFilesRaw = files.filter(file => file.toLowerCase().endsWith('.glb'));
-    const optimizedSet = new Set(glbFilesRaw.filter(f => f.toLowerCase().includes('-optimized-draco')));
-    const glbFiles = glbFilesRaw
-      .map(file => {
-        const isOptimized = file.toLowerCase().includes('-optimized-draco') || file.toLowerCase().includes('-optimized');
-        return {
-          name: file,
-          path: `/models/${file}`,
-          id: file.replace('.glb', ''),
-          size: fs.statSync(path.join(modelsDir, file)).size,
-          optimized: isOptimized
-        };
-      })
-      // sort optimized files first
-      .sort((a, b) => (a.optimized === b.optimized ? 0 : a.optimized ? -1 : 1));
-    
-    res.json(glbFiles);
+    const options = parseModelQuery(req.query);
+    const visible = listModelFiles(modelsDir).map(describeModel).filter(model => canSeeModel(req, model));
+    const { items, total, nextCursor } = queryModels(visible, options);
+
+    res.setHeader('Access-Control-Expose-Headers', 'X-Total-Count, X-Next-Cursor');
+    res.setHeader('X-Total-Count', total);
+    if (nextCursor) {
+      res.setHeader('X-Next-Cursor', nextCursor);
+    }
+    res.json(items);
   } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error reading models directory:', error);
     res.status(500).json({ error: 'Failed to read models directory' });
   }
 });
 
+// Categories and tags in use across the collection, with counts
+app.get('/api/model-facets', (req, res) => {
+  try {
+    res.json(modelFacets(listModelFiles(modelsDir).map(describeModel).filter(model => canSeeModel(req, model))));
+  } catch (error) {
+    console.error('Error computing model facets:', error);
+    res.status(500).json({ error: 'Failed to compute model facets' });
+  }
+});
+
 // Get specific model info
 app.get('/api/models/:id', (req, res) => {
   try {
     const { id } = req.params;
-    const fileName = `${id}.glb`;
-    const filePath = path.join(modelsDir, fileName);
-    
-    if (!fs.existsSync(filePath)) {
+    const entry = resolveModelFile(modelsDir, id);
+
+    const model = entry && describeModel(entry);
+    if (!model || !canSeeModel(req, model)) {
       return res.status(404).json({ error: 'Model not found' });
     }
-    
-    const stats = fs.statSync(filePath);
-    res.json({
-      name: fileName,
-      path: `/models/${fileName}`,
-      id: id,
-      size: stats.size,
-      modified: stats.mtime
-    });
+
+    res.json(model);
   } catch (error) {
     console.error('Error getting model info:', error);
     res.status(500).json({ error: 'Failed to get model info' });
   }
 });
 
+// Get geometry / material statistics parsed from the GLB JSON chunk
+app.get('/api/models/:id/stats', (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = resolveModelFile(modelsDir, id);
+
+    if (!entry || !canSeeModel(req, describeModel(entry))) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    const stats = { id, name: entry.file, ...getModelStats(path.join(modelsDir, entry.file)) };
+    // Models converted from OBJ/STL/PLY/FBX report their source and conversion warnings
+    const conversion = readImportRecord(modelsDir, entry.id);
+    res.json(conversion ? { ...stats, conversion } : stats);
+  } catch (error) {
+    if (error instanceof GlbFormatError) {
+      return res.status(422).json({ error: error.message, code: error.code });
+    }
+    console.error('Error computing model stats:', error);
+    res.status(500).json({ error: 'Failed to compute model stats' });
+  }
+});
+
+// Download the file an imported model was converted from
+app.get('/api/models/:id/source', (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = resolveModelFile(modelsDir, id);
+    const conversion = entry && readImportRecord(modelsDir, entry.id);
+
+    if (!conversion || !canSeeModel(req, describeModel(entry))) {
+      return res.status(404).json({ error: 'Source file not found' });
+    }
+
+    res.download(path.join(modelsDir, conversion.sourceFile), conversion.originalName);
+  } catch (error) {
+    console.error('Error sending model source:', error);
+    res.status(500).json({ error: 'Failed to send model source' });
+  }
+});
+
+// Replace a model's metadata (title, description, category, tags, origin, creator, attribution, private)
+app.put('/api/models/:id/metadata', auth.requireRole('editor'), (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = resolveModelFile(modelsDir, id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    res.json(writeMetadata(modelsDir, entry.id, req.body));
+  } catch (error) {
+    if (error instanceof MetadataValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('Error saving model metadata:', error);
+    res.status(500).json({ error: 'Failed to save model metadata' });
+  }
+});
+
+const validationSummary = (report) => ({
+  numErrors: report.numErrors,
+  numWarnings: report.numWarnings,
+  issues: report.issues.filter(issue => issue.severity === 'warning')
+});
+
+// Receive a multipart "model" upload into the staging directory and validate it.
+// OBJ, STL, PLY, FBX and zip bundles are converted to GLB first (see lib/model-import).
+// `store(glbPath, report, imported)` is called for valid files and must send the response;
+// `imported` is the conversion result, or null for GLB uploads. Staged files are
+// discarded if they are still there afterwards.
+const receiveModelUpload = (req, res, store) => {
+  upload.single('model')(req, res, async (uploadErr) => {
+    const tmpPath = req.file && req.file.path;
+    const convertedPath = tmpPath && `${tmpPath}.glb`;
+    const packageDir = tmpPath && `${tmpPath}.package`;
+    const discardTmp = () => {
+      if (tmpPath) fs.rmSync(tmpPath, { force: true });
+      if (convertedPath) fs.rmSync(convertedPath, { force: true });
+      if (packageDir) fs.rmSync(packageDir, { recursive: true, force: true });
+    };
+
+    if (uploadErr) {
+      discardTmp();
+      if (uploadErr instanceof multer.MulterError) {
+        const status = uploadErr.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        const message = uploadErr.code === 'LIMIT_FILE_SIZE'
+          ? `File exceeds the ${MAX_UPLOAD_MB} MB upload limit`
+          : uploadErr.message;
+        return res.status(status).json({ error: message, code: uploadErr.code });
+      }
+      console.error('Upload failed:', uploadErr);
+      return res.status(500).json({ error: 'Upload failed' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded; expected multipart field "model"' });
+    }
+
+    try {
+      // A zipped .gltf is kept as a package directory unless the "pack" field asks for a GLB
+      const isZip = path.extname(req.file.originalname).toLowerCase() === '.zip';
+      const extracted = isZip && req.body.pack !== 'true' ? extractPackage(tmpPath, packageDir) : null;
+      if (extracted) {
+        const { valid, report } = await validatePackage(packageDir, extracted.entry);
+        if (!valid) {
+          return res.status(422).json({ error: 'Model failed glTF validation', report });
+        }
+        return await store(packageDir, report, null);
+      }
+
+      let glbPath = tmpPath;
+      let imported = null;
+      if (isImportableFile(req.file.originalname)) {
+        imported = { ...await importModel(tmpPath, req.file.originalname, convertedPath), sourcePath: tmpPath };
+        glbPath = convertedPath;
+      }
+      const { valid, report } = await validateGlb(fs.readFileSync(glbPath));
+      if (!valid) {
+        return res.status(422).json({ error: 'Model failed glTF validation', report });
+      }
+      await store(glbPath, report, imported);
+    } catch (error) {
+      if (error instanceof ImportError || error instanceof PackageError) {
+        return res.status(error.status).json({ error: error.message, code: 'IMPORT_FAILED' });
+      }
+      console.error('Error storing uploaded model:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to store uploaded model' });
+      }
+    } finally {
+      discardTmp();
+    }
+  });
+};
+
+// Keep the original upload and conversion report of an imported model next to its GLB
+const storeImportRecord = (id, imported) => (
+  imported ? saveImportRecord(modelsDir, id, imported.sourcePath, imported) : null
+);
+
+// Upload a new model (multipart field "model", optional "name", "overwrite" and "pack" fields):
+// a GLB, a zipped multi-file glTF package (packed into a GLB when pack=true), or an
+// OBJ/STL/PLY/FBX file or zip bundle that is converted to GLB.
+// The file is validated before it is moved into the models directory.
+app.post('/api/upload-model', auth.requireRole('editor'), (req, res) => {
+  receiveModelUpload(req, res, (tmpPath, report, imported) => {
+    const fileName = sanitizeModelFileName(req.body.name || req.file.originalname);
+    if (!fileName) {
+      return res.status(400).json({ error: 'Invalid model name' });
+    }
+
+    const id = fileName.replace(/\.glb$/, '');
+    const exists = Boolean(resolveModelFile(modelsDir, id));
+    if (exists && req.body.overwrite !== 'true') {
+      return res.status(409).json({ error: `A model named "${id}" already exists` });
+    }
+
+    if (exists || hasHistory(modelsDir, id)) {
+      // Overwrites (and re-uploads of deleted models) go through the version history
+      replaceModel(modelsDir, id, tmpPath);
+    } else {
+      // Same filesystem, so the rename is atomic. Packages are directories named after the id.
+      const isPackage = fs.statSync(tmpPath).isDirectory();
+      fs.renameSync(tmpPath, path.join(modelsDir, isPackage ? id : fileName));
+    }
+    const conversion = storeImportRecord(id, imported);
+    const model = describeModel(resolveModelFile(modelsDir, id));
+    res.status(201).json({
+      ...model,
+      modelUrl: model.path,
+      validation: validationSummary(report),
+      ...(conversion && { conversion })
+    });
+  });
+});
+
+// Replace a model's GLB with a new upload (any format /api/upload-model accepts);
+// the previous version and its derived files are archived
+app.put('/api/models/:id', auth.requireRole('editor'), (req, res) => {
+  receiveModelUpload(req, res, (tmpPath, report, imported) => {
+    const { id } = req.params;
+    if (!resolveModelFile(modelsDir, id)) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    replaceModel(modelsDir, id, tmpPath);
+    const conversion = storeImportRecord(id, imported);
+    res.json({
+      ...describeModel(resolveModelFile(modelsDir, id)),
+      validation: validationSummary(report),
+      ...(conversion && { conversion })
+    });
+  });
+});
+
+// Rename a model: { "name": "New name" }
+app.patch('/api/models/:id', auth.requireRole('editor'), (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!resolveModelFile(modelsDir, id)) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    const fileName = sanitizeModelFileName(req.body && req.body.name);
+    if (!fileName) {
+      return res.status(400).json({ error: 'Body must include a valid "name"' });
+    }
+    const newId = fileName.replace(/\.glb$/, '');
+    if (newId !== id) {
+      renameModel(modelsDir, id, newId);
+      collections.renameModel(id, newId);
+    }
+    res.json(describeModel(resolveModelFile(modelsDir, newId)));
+  } catch (error) {
+    if (error instanceof VersionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error renaming model:', error);
+    res.status(500).json({ error: 'Failed to rename model' });
+  }
+});
+
+// Delete a model. It is archived in the version history and can be restored.
+app.delete('/api/models/:id', auth.requireRole('editor'), (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!resolveModelFile(modelsDir, id)) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    deleteModel(modelsDir, id);
+    res.json(describeVersions(id));
+  } catch (error) {
+    console.error('Error deleting model:', error);
+    res.status(500).json({ error: 'Failed to delete model' });
+  }
+});
+
+// Pack a multi-file glTF package into a single GLB, which becomes the model's next version
+app.post('/api/models/:id/pack', auth.requireRole('editor'), async (req, res) => {
+  const { id } = req.params;
+  const entry = resolveModelFile(modelsDir, id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Model not found' });
+  }
+  if (!entry.package) {
+    return res.status(409).json({ error: 'Model is already a single GLB' });
+  }
+
+  const tmpPath = path.join(uploadTmpDir, `${crypto.randomBytes(8).toString('hex')}.glb`);
+  try {
+    await packPackage(path.join(modelsDir, id), path.basename(entry.file), tmpPath);
+    const { valid, report } = await validateGlb(fs.readFileSync(tmpPath));
+    if (!valid) {
+      return res.status(422).json({ error: 'Packed model failed glTF validation', report });
+    }
+    replaceModel(modelsDir, id, tmpPath);
+    res.json({
+      ...describeModel(resolveModelFile(modelsDir, id)),
+      validation: validationSummary(report)
+    });
+  } catch (error) {
+    console.error('Error packing model:', error);
+    res.status(500).json({ error: 'Failed to pack model' });
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+});
+
+// Set a model's poster from a screenshot (multipart field "poster": PNG, JPEG or WebP).
+// Anyone who can see the model may provide the first one, so the first client to render it
+// does, signed in or not. Anonymous uploads are rate limited per IP and capped at
+// MAX_ANONYMOUS_POSTER_BYTES; replacing an existing poster requires the editor role.
+const MAX_ANONYMOUS_POSTER_BYTES = 2 * 1024 * 1024;
+const anonymousPosterLimiter = createRateLimiter({ max: 20, windowMs: 60 * 60 * 1000 });
+
+app.post('/api/models/:id/poster', (req, res) => {
+  if (!req.auth && !anonymousPosterLimiter.take(req.ip)) {
+    return res.status(429).json({ error: 'Too many poster uploads; try again later' });
+  }
+  receiveMedia(imageUpload, 'poster', MAX_IMAGE_MB, req, res, async () => {
+    try {
+      const model = findVisibleModel(req, res);
+      if (!model) return;
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded; expected multipart field "poster"' });
+      }
+      const isEditor = Boolean(req.auth) && roleAtLeast(req.auth.role, 'editor');
+      if (model.posters.length > 0 && !isEditor) {
+        return res.status(409).json({ error: 'Model already has a poster; replacing it requires the editor role' });
+      }
+      if (!req.auth && req.file.size > MAX_ANONYMOUS_POSTER_BYTES) {
+        return res.status(413).json({ error: `Posters uploaded without a token must be at most ${MAX_ANONYMOUS_POSTER_BYTES / (1024 * 1024)} MB` });
+      }
+      await savePoster(modelsDir, model.id, req.file.buffer);
+      res.json(describeModel(resolveModelFile(modelsDir, model.id)));
+    } catch (error) {
+      if (error instanceof PosterError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error storing poster:', error);
+      res.status(500).json({ error: 'Failed to store poster' });
+    }
+  });
+});
+
+app.delete('/api/models/:id/poster', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    removePosters(modelsDir, model.id);
+    res.json(describeModel(resolveModelFile(modelsDir, model.id)));
+  } catch (error) {
+    console.error('Error removing poster:', error);
+    res.status(500).json({ error: 'Failed to remove poster' });
+  }
+});
+
+// List a model's versions (including deleted models that still have a history)
+app.get('/api/models/:id/versions', (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = resolveModelFile(modelsDir, id);
+    if (entry ? !canSeeModel(req, describeModel(entry)) : !hasHistory(modelsDir, id)) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+    res.json(describeVersions(id));
+  } catch (error) {
+    console.error('Error listing model versions:', error);
+    res.status(500).json({ error: 'Failed to list model versions' });
+  }
+});
+
+// Make an archived version current again (as a new version number)
+app.post('/api/models/:id/versions/:version/restore', auth.requireRole('editor'), (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version, 10);
+    if (Number.isNaN(version) || !hasHistory(modelsDir, id)) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    restoreVersion(modelsDir, id, version);
+    res.json(describeModel(resolveModelFile(modelsDir, id)));
+  } catch (error) {
+    if (error instanceof VersionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error restoring model version:', error);
+    res.status(500).json({ error: 'Failed to restore model version' });
+  }
+});
+
+// Annotations (hotspots) anchored to a point on the model's surface. Changes are
+// pushed to other viewers over the WebSocket as annotation-added/-updated/-removed.
+const findVisibleModel = (req, res) => {
+  const entry = resolveModelFile(modelsDir, req.params.id);
+  const model = entry && describeModel(entry);
+  if (!model || !canSeeModel(req, model)) {
+    res.status(404).json({ error: 'Model not found' });
+    return null;
+  }
+  return model;
+};
+
+const broadcastAnnotation = (model, type, annotation) => {
+  if (model.metadata && model.metadata.private) return;
+  broadcast({ type, modelId: model.id, annotation });
+};
+
+const sendAnnotationError = (res, error, fallbackMessage) => {
+  if (error instanceof AnnotationError) {
+    return res.status(error.status).json({ error: error.message, errors: error.errors });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+app.get('/api/models/:id/annotations', (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    res.json(listAnnotations(modelsDir, model.id));
+  } catch (error) {
+    sendAnnotationError(res, error, 'Failed to list annotations');
+  }
+});
+
+// Create an annotation: { position, normal, title, body }
+app.post('/api/models/:id/annotations', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    const annotation = createAnnotation(modelsDir, model.id, req.body, req.auth.name);
+    broadcastAnnotation(model, 'annotation-added', annotation);
+    res.status(201).json(annotation);
+  } catch (error) {
+    sendAnnotationError(res, error, 'Failed to create annotation');
+  }
+});
+
+// Edit or move an annotation; only the given fields change
+app.patch('/api/models/:id/annotations/:annotationId', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    const annotation = updateAnnotation(modelsDir, model.id, req.params.annotationId, req.body);
+    broadcastAnnotation(model, 'annotation-updated', annotation);
+    res.json(annotation);
+  } catch (error) {
+    sendAnnotationError(res, error, 'Failed to update annotation');
+  }
+});
+
+app.delete('/api/models/:id/annotations/:annotationId', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    const removed = deleteAnnotation(modelsDir, model.id, req.params.annotationId);
+    if (removed.image) media.remove(removed.image.url);
+    broadcastAnnotation(model, 'annotation-removed', { id: removed.id });
+    res.status(204).end();
+  } catch (error) {
+    sendAnnotationError(res, error, 'Failed to delete annotation');
+  }
+});
+
+// Attach an image to an annotation (multipart field "image": PNG, JPEG or WebP)
+app.put('/api/models/:id/annotations/:annotationId/image', auth.requireRole('editor'), (req, res) => {
+  receiveMedia(imageUpload, 'image', MAX_IMAGE_MB, req, res, () => {
+    try {
+      const model = findVisibleModel(req, res);
+      if (!model) return;
+      const { annotationId } = req.params;
+      const previous = listAnnotations(modelsDir, model.id).find(a => a.id === annotationId);
+      if (!previous) {
+        return res.status(404).json({ error: 'Annotation not found' });
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded; expected multipart field "image"' });
+      }
+      const image = detectImage(req.file.buffer);
+      if (!image) {
+        return res.status(415).json({ error: 'Image must be a PNG, JPEG or WebP file' });
+      }
+
+      const url = media.save('annotations', req.file.buffer, image.ext);
+      const annotation = updateAnnotation(modelsDir, model.id, annotationId, null, {
+        image: { url, width: image.width, height: image.height }
+      });
+      if (previous.image) media.remove(previous.image.url);
+      broadcastAnnotation(model, 'annotation-updated', annotation);
+      res.json(annotation);
+    } catch (error) {
+      sendAnnotationError(res, error, 'Failed to store annotation image');
+    }
+  });
+});
+
+app.delete('/api/models/:id/annotations/:annotationId/image', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    const previous = listAnnotations(modelsDir, model.id).find(a => a.id === req.params.annotationId);
+    const annotation = updateAnnotation(modelsDir, model.id, req.params.annotationId, null, { image: null });
+    if (previous && previous.image) media.remove(previous.image.url);
+    broadcastAnnotation(model, 'annotation-updated', annotation);
+    res.json(annotation);
+  } catch (error) {
+    sendAnnotationError(res, error, 'Failed to remove annotation image');
+  }
+});
+
+// Guided tours: ordered camera steps with captions and optional narration audio
+const sendTourError = (res, error, fallbackMessage) => {
+  if (error instanceof TourError) {
+    return res.status(error.status).json({ error: error.message, errors: error.errors });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+app.get('/api/models/:id/tours', (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    res.json(listTours(modelsDir, model.id));
+  } catch (error) {
+    sendTourError(res, error, 'Failed to list tours');
+  }
+});
+
+app.get('/api/models/:id/tours/:tourId', (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    const tour = listTours(modelsDir, model.id).find(t => t.id === req.params.tourId);
+    if (!tour) {
+      return res.status(404).json({ error: 'Tour not found' });
+    }
+    res.json(tour);
+  } catch (error) {
+    sendTourError(res, error, 'Failed to get tour');
+  }
+});
+
+// Create a tour: { title, steps: [{ cameraOrbit, cameraTarget, fieldOfView, caption, duration }] }
+app.post('/api/models/:id/tours', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    res.status(201).json(createTour(modelsDir, model.id, req.body));
+  } catch (error) {
+    sendTourError(res, error, 'Failed to create tour');
+  }
+});
+
+// Replace a tour's title and steps. Steps sent with their existing id keep their narration.
+app.put('/api/models/:id/tours/:tourId', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    const { tour, removedMedia } = updateTour(modelsDir, model.id, req.params.tourId, req.body);
+    removedMedia.forEach(media.remove);
+    res.json(tour);
+  } catch (error) {
+    sendTourError(res, error, 'Failed to update tour');
+  }
+});
+
+app.delete('/api/models/:id/tours/:tourId', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    deleteTour(modelsDir, model.id, req.params.tourId).removedMedia.forEach(media.remove);
+    res.status(204).end();
+  } catch (error) {
+    sendTourError(res, error, 'Failed to delete tour');
+  }
+});
+
+// Attach narration to a step (multipart field "audio": MP3, Ogg, WAV, M4A or WebM)
+app.put('/api/models/:id/tours/:tourId/steps/:stepId/narration', auth.requireRole('editor'), (req, res) => {
+  receiveMedia(audioUpload, 'audio', MAX_AUDIO_MB, req, res, () => {
+    let url = null;
+    try {
+      const model = findVisibleModel(req, res);
+      if (!model) return;
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded; expected multipart field "audio"' });
+      }
+      const audio = detectAudio(req.file.buffer);
+      if (!audio) {
+        return res.status(415).json({ error: 'Narration must be an MP3, Ogg, WAV, M4A or WebM audio file' });
+      }
+
+      url = media.save('narration', req.file.buffer, audio.ext);
+      const { tour, removedMedia } = setStepNarration(modelsDir, model.id, req.params.tourId, req.params.stepId, {
+        url,
+        mimeType: audio.mimeType,
+        size: req.file.size
+      });
+      removedMedia.forEach(media.remove);
+      res.json(tour);
+    } catch (error) {
+      // Don't leave an orphaned file behind when the tour or step doesn't exist
+      if (url) media.remove(url);
+      sendTourError(res, error, 'Failed to store narration');
+    }
+  });
+});
+
+app.delete('/api/models/:id/tours/:tourId/steps/:stepId/narration', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    const { tour, removedMedia } = setStepNarration(modelsDir, model.id, req.params.tourId, req.params.stepId, null);
+    removedMedia.forEach(media.remove);
+    res.json(tour);
+  } catch (error) {
+    sendTourError(res, error, 'Failed to remove narration');
+  }
+});
+
+// Snapshot gallery: renders of the viewer uploaded by signed-in users, newest first
+const sendSnapshotError = (res, error, fallbackMessage) => {
+  if (error instanceof SnapshotError) {
+    return res.status(error.status).json({ error: error.message, errors: error.errors });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+app.get('/api/models/:id/snapshots', (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    res.json(listSnapshots(modelsDir, model.id));
+  } catch (error) {
+    sendSnapshotError(res, error, 'Failed to list snapshots');
+  }
+});
+
+// Upload a snapshot (multipart field "image": PNG, JPEG or WebP) with optional "caption",
+// "cameraOrbit", "cameraTarget" and "fieldOfView" fields
+app.post('/api/models/:id/snapshots', auth.requireRole('viewer'), (req, res) => {
+  receiveMedia(snapshotUpload, 'image', MAX_SNAPSHOT_MB, req, res, async () => {
+    const stored = [];
+    try {
+      const model = findVisibleModel(req, res);
+      if (!model) return;
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded; expected multipart field "image"' });
+      }
+      const fields = validateSnapshotFields(req.body);
+      const image = detectImage(req.file.buffer);
+      checkSnapshotImage(image);
+      const thumbnail = await makeThumbnail(req.file.buffer);
+
+      const imageUrl = media.save('snapshots', req.file.buffer, image.ext);
+      stored.push(imageUrl);
+      const thumbnailUrl = media.save('snapshots', thumbnail.buffer, 'webp');
+      stored.push(thumbnailUrl);
+      const snapshot = createSnapshot(modelsDir, model.id, {
+        image: { url: imageUrl, width: image.width, height: image.height },
+        thumbnail: { url: thumbnailUrl, width: thumbnail.width, height: thumbnail.height },
+        fields,
+        author: req.auth
+      });
+      res.status(201).json(snapshot);
+    } catch (error) {
+      stored.forEach(media.remove);
+      sendSnapshotError(res, error, 'Failed to store snapshot');
+    }
+  });
+});
+
+app.delete('/api/models/:id/snapshots/:snapshotId', auth.requireRole('viewer'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    const removed = deleteSnapshot(modelsDir, model.id, req.params.snapshotId, (snapshot) => (
+      snapshot.authorId === req.auth.id || roleAtLeast(req.auth.role, 'editor')
+    ));
+    media.remove(removed.image.url);
+    media.remove(removed.thumbnail.url);
+    res.status(204).end();
+  } catch (error) {
+    sendSnapshotError(res, error, 'Failed to delete snapshot');
+  }
+});
+
+// Measurements: point-to-point lines on the model's surface and the model's scale
+// (real-world metres per model unit), used to show distances in real units
+const sendMeasurementError = (res, error, fallbackMessage) => {
+  if (error instanceof MeasurementError) {
+    return res.status(error.status).json({ error: error.message, errors: error.errors });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+// { scale: { factor, unit }, measurements: [{ id, label, points, author, createdAt, updatedAt }] }
+app.get('/api/models/:id/measurements', (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    res.json(readMeasurements(modelsDir, model.id));
+  } catch (error) {
+    sendMeasurementError(res, error, 'Failed to list measurements');
+  }
+});
+
+// Save a measurement: { label, points: [{ x, y, z }, { x, y, z }] }
+app.post('/api/models/:id/measurements', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    res.status(201).json(createMeasurement(modelsDir, model.id, req.body, req.auth.name));
+  } catch (error) {
+    sendMeasurementError(res, error, 'Failed to save measurement');
+  }
+});
+
+app.patch('/api/models/:id/measurements/:measurementId', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    res.json(updateMeasurement(modelsDir, model.id, req.params.measurementId, req.body));
+  } catch (error) {
+    sendMeasurementError(res, error, 'Failed to update measurement');
+  }
+});
+
+app.delete('/api/models/:id/measurements/:measurementId', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    deleteMeasurement(modelsDir, model.id, req.params.measurementId);
+    res.status(204).end();
+  } catch (error) {
+    sendMeasurementError(res, error, 'Failed to delete measurement');
+  }
+});
+
+// Set the model's scale: { factor, unit }
+app.put('/api/models/:id/measurements/scale', auth.requireRole('editor'), (req, res) => {
+  try {
+    const model = findVisibleModel(req, res);
+    if (!model) return;
+    res.json(setScale(modelsDir, model.id, req.body));
+  } catch (error) {
+    sendMeasurementError(res, error, 'Failed to set scale');
+  }
+});
+
+// Collections (curated exhibits). A model can belong to any number of collections;
+// members that are missing or hidden from the caller are skipped.
+const visibleModel = (req, id) => {
+  const entry = resolveModelFile(modelsDir, id);
+  if (!entry) return null;
+  const model = describeModel(entry);
+  return canSeeModel(req, model) ? model : null;
+};
+
+const describeCollection = (req, collection, withModels = false) => {
+  const models = collection.models.map(id => visibleModel(req, id)).filter(Boolean);
+  const cover = (collection.coverModelId && visibleModel(req, collection.coverModelId)) || models[0] || null;
+  return {
+    ...collection,
+    modelCount: models.length,
+    cover,
+    ...(withModels ? { models } : {})
+  };
+};
+
+const sendCollectionError = (res, error, fallbackMessage) => {
+  if (error instanceof CollectionError) {
+    return res.status(error.status).json({ error: error.message, errors: error.errors });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+app.get('/api/collections', (req, res) => {
+  try {
+    res.json(collections.list().map(collection => describeCollection(req, collection)));
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to list collections');
+  }
+});
+
+// A single collection with its models as full descriptors, in collection order
+app.get('/api/collections/:id', (req, res) => {
+  try {
+    const collection = collections.get(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    res.json(describeCollection(req, collection, true));
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to get collection');
+  }
+});
+
+app.post('/api/collections', auth.requireRole('editor'), (req, res) => {
+  try {
+    res.status(201).json(describeCollection(req, collections.create(req.body), true));
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to create collection');
+  }
+});
+
+app.put('/api/collections/:id', auth.requireRole('editor'), (req, res) => {
+  try {
+    res.json(describeCollection(req, collections.update(req.params.id, req.body), true));
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to update collection');
+  }
+});
+
+app.delete('/api/collections/:id', auth.requireRole('editor'), (req, res) => {
+  try {
+    collections.remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to delete collection');
+  }
+});
+
+// Identity behind the caller's token; the frontend uses it to check an editor sign-in
+app.get('/api/auth/me', auth.requireRole('viewer'), (req, res) => {
+  res.json(req.auth);
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', message: 'GLB Viewer Backend is running' });
 });
 
 
-// Serve frontend build (React app) for all non-API/static routes
+// Serve frontend build (React app) for all non-API/static routes, including the client-side
+// routes /collections/:id and /models/:id
 app.use(express.static(path.join(__dirname, '..', 'frontend', 'build')));
 app.get('*', (req, res) => {
   res.sendFile(path.resolve(__dirname, '..', 'frontend', 'build', 'index.html'));
@@ -233,22 +1552,115 @@ const server = app.listen(PORT, () => {
   console.log(`Place your GLB files in the models directory`);
 });
 
-// Create WebSocket server
-const wss = new WebSocket.Server({ server });
+// Create WebSocket server. Messages are small JSON control frames (see lib/sessions).
+const wss = new WebSocket.Server({ server, maxPayload: 16 * 1024 });
 
-wss.on('connection', (ws) => {
-  console.log('New WebSocket connection established');
+const broadcast = (event) => {
+  const payload = JSON.stringify(event);
+  wss.clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(payload);
+    }
+  });
+};
 
-  ws.on('message', (message) => {
-    console.log(`Received message: ${message}`);
+// Model events go to every socket, except that sockets without a token (see the
+// connection handler) are told a private model was removed, as they can't list it
+const broadcastModelEvent = (event) => {
+  const payload = JSON.stringify(event);
+  const isPrivate = Boolean(event.model.metadata && event.model.metadata.private);
+  const anonymousPayload = isPrivate ? JSON.stringify({ type: 'model-removed', model: { id: event.model.id } }) : payload;
+  wss.clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(client.auth ? payload : anonymousPayload);
+    }
+  });
+};
 
-    // Broadcast the message to all connected clients
-    wss.clients.forEach((client) => {
-      if (client !== ws && client.readyState === WebSocket.OPEN) {
-        client.send(message);
+// Build .gz/.br siblings for newly ingested files in the background; a removal
+// only prunes the manifest and orphaned siblings
+const precompressForEvent = (event) => {
+  let files = [];
+  if (event.type !== 'model-removed') {
+    files = [
+      ...(event.model.package
+        ? packageFiles(modelsDir, event.model.id)
+        : [event.model.name, event.model.source && event.model.source.name].filter(Boolean)),
+      ...event.model.textureVariants.map(variant => variant.name),
+      ...event.model.lods.map(lod => lod.name)
+    ];
+  }
+  precompressModels(modelsDir, files, { concurrency: 1 })
+    .then(results => results.forEach(result => {
+      if (result.error) {
+        console.error('Precompress failed for', result.file, result.error);
+      } else if (!result.skipped) {
+        console.log('Precompressed', result.file);
       }
-    });
-  });
+    }))
+    .catch(err => console.error('Precompress failed:', err));
+};
+
+// Convert new and replaced models to USDZ in the background so the first AR tap is fast
+const usdzForEvent = (event) => {
+  if (event.type === 'model-removed') return;
+  const { id } = event.model;
+  ensureUsdz(modelsDir, id)
+    .then(result => {
+      if (!result.generated) return;
+      console.log('Generated', usdzFileName(id));
+      result.warnings.forEach(warning => console.warn(`USDZ ${id}: ${warning}`));
+    })
+    .catch(err => console.error('USDZ generation failed for', id, err));
+};
+
+// Build derived GLBs (texture variants, LODs) of new and replaced models with `ensure`.
+// Each file shows up in the descriptor as it is written, and the resulting model-updated
+// event precompresses it (those events join the build already running instead of
+// reporting it again). `summarize` describes what was built for the log.
+const backgroundBuilds = new Set();
+const buildForEvent = (event, label, ensure, summarize) => {
+  const { id } = event.model;
+  const key = `${label}\0${id}`;
+  if (event.type === 'model-removed' || backgroundBuilds.has(key)) return;
+  backgroundBuilds.add(key);
+  ensure(modelsDir, id)
+    .then(result => {
+      if (result.generated) console.log(`Built ${label} for ${id}:`, summarize(result));
+      result.warnings.forEach(warning => console.warn(`${label} ${id}: ${warning}`));
+    })
+    .catch(err => console.error(`Building ${label} failed for`, id, err))
+    .finally(() => backgroundBuilds.delete(key));
+};
+
+// Push gallery changes when files in the models directory are added, replaced or removed
+watchModels(modelsDir, {
+  describe: describeModel,
+  onEvent: (event) => {
+    console.log(`${event.type}: ${event.model.id}`);
+    broadcastModelEvent(event);
+    precompressForEvent(event);
+    usdzForEvent(event);
+    buildForEvent(event, 'texture variants', ensureTextureVariants, result => (
+      result.variants.map(variant => `${variant.resolution}px`).join(', ')
+    ));
+    buildForEvent(event, 'LODs', ensureLods, result => (
+      result.lods.map(lod => `level ${lod.level} (${lod.triangles} triangles)`).join(', ')
+    ));
+  }
+});
+
+// Shared viewing sessions: presenter camera state is streamed to followers
+const sessions = createSessionHub();
+sessions.startHeartbeat(wss);
+
+wss.on('connection', (ws, req) => {
+  console.log('New WebSocket connection established');
+  // Browsers can't set headers on a WebSocket, so signed-in pages pass their token as
+  // ?access_token=
+  const token = new URL(req.url, 'http://localhost').searchParams.get('access_token');
+  ws.auth = auth.identify(token);
+  sessions.handleConnection(ws);
 
   ws.on('close', () => {
     console.log('WebSocket connection closed');
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ROLES, roleAtLeast, readTokens, issueToken, revokeToken, createAuth } = require('../lib/auth');
+
+const makeTokensFile = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'tokens.json');
+};
+
+// Minimal stand-ins for Express' req and res
+const request = ({ headers = {}, query = {} } = {}) => ({ headers, query });
+const response = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+// Run `middleware` and report whether it called next()
+const run = (middleware, req, res = response()) => {
+  let nextCalled = false;
+  middleware(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+};
+
+test('roleAtLeast orders viewer < editor < admin', () => {
+  assert.deepEqual(ROLES, ['viewer', 'editor', 'admin']);
+  assert.equal(roleAtLeast('admin', 'editor'), true);
+  assert.equal(roleAtLeast('editor', 'editor'), true);
+  assert.equal(roleAtLeast('editor', 'admin'), false);
+  assert.equal(roleAtLeast('viewer', 'editor'), false);
+});
+
+test('issueToken stores only the SHA-256 of the token', (t) => {
+  const tokensFile = makeTokensFile(t);
+  const { token, record } = issueToken({ name: 'Curator laptop', role: 'editor' }, tokensFile);
+
+  assert.match(token, /^arv_[\w-]{43}$/);
+  assert.equal(record.hash, crypto.createHash('sha256').update(token).digest('hex'));
+  assert.deepEqual(readTokens(tokensFile), [record]);
+  assert.equal(fs.readFileSync(tokensFile, 'utf8').includes(token), false);
+});
+
+test('issueToken rejects unknown roles', (t) => {
+  assert.throws(() => issueToken({ name: 'x', role: 'owner' }, makeTokensFile(t)), /Role must be one of/);
+});
+
+test('authenticate resolves a bearer token or the access_token parameter', (t) => {
+  const tokensFile = makeTokensFile(t);
+  const { token, record } = issueToken({ name: 'Kiosk', role: 'viewer' }, tokensFile);
+  const { authenticate } = createAuth(tokensFile);
+  const expected = { id: record.id, name: 'Kiosk', role: 'viewer' };
+
+  assert.deepEqual(run(authenticate, request({ headers: { authorization: `Bearer ${token}` } })).req.auth, expected);
+  assert.deepEqual(run(authenticate, request({ query: { access_token: token } })).req.auth, expected);
+  assert.equal(run(authenticate, request({ headers: { authorization: 'Bearer arv_wrong' } })).req.auth, null);
+  assert.equal(run(authenticate, request({ query: { access_token: [token, token] } })).req.auth, null);
+  assert.equal(run(authenticate, request()).req.auth, null);
+});
+
+test('authenticate prefers the Authorization header over the query parameter', (t) => {
+  const tokensFile = makeTokensFile(t);
+  const viewer = issueToken({ name: 'viewer', role: 'viewer' }, tokensFile);
+  const editor = issueToken({ name: 'editor', role: 'editor' }, tokensFile);
+  const { authenticate } = createAuth(tokensFile);
+
+  const req = request({ headers: { authorization: `Bearer ${viewer.token}` }, query: { access_token: editor.token } });
+  assert.equal(run(authenticate, req).req.auth.role, 'viewer');
+});
+
+test('authenticate stops accepting a token once it is revoked', (t) => {
+  const tokensFile = makeTokensFile(t);
+  const { token, record } = issueToken({ name: 'old', role: 'admin' }, tokensFile);
+  const { authenticate } = createAuth(tokensFile);
+  const req = () => request({ headers: { authorization: `Bearer ${token}` } });
+
+  assert.equal(run(authenticate, req()).req.auth.role, 'admin');
+  assert.ok(revokeToken(record.id, tokensFile).revokedAt);
+  assert.equal(run(authenticate, req()).req.auth, null);
+  assert.equal(revokeToken('missing', tokensFile), null);
+});
+
+test('authenticate treats everyone as anonymous without a token file', (t) => {
+  const { authenticate } = createAuth(makeTokensFile(t));
+  assert.equal(run(authenticate, request({ headers: { authorization: 'Bearer arv_x' } })).req.auth, null);
+});
+
+test('requireRole answers 401 without a token and 403 below the role', (t) => {
+  const { requireRole } = createAuth(makeTokensFile(t));
+  const requireEditor = requireRole('editor');
+
+  const anonymous = run(requireEditor, { auth: null });
+  assert.equal(anonymous.nextCalled, false);
+  assert.equal(anonymous.res.statusCode, 401);
+  assert.equal(anonymous.res.headers['www-authenticate'], 'Bearer');
+
+  const viewer = run(requireEditor, { auth: { role: 'viewer' } });
+  assert.equal(viewer.nextCalled, false);
+  assert.equal(viewer.res.statusCode, 403);
+  assert.deepEqual(viewer.res.body, { error: 'Requires the editor role' });
+
+  assert.equal(run(requireEditor, { auth: { role: 'editor' } }).nextCalled, true);
+  assert.equal(run(requireEditor, { auth: { role: 'admin' } }).nextCalled, true);
+});
+
+test('identify resolves a plaintext token for sockets and package URLs', (t) => {
+  const tokensFile = makeTokensFile(t);
+  const { token, record } = issueToken({ name: 'Curator', role: 'editor' }, tokensFile);
+  const { identify } = createAuth(tokensFile);
+
+  assert.deepEqual(identify(token), { id: record.id, name: 'Curator', role: 'editor' });
+  assert.equal(identify('arv_wrong'), null);
+  assert.equal(identify(null), null);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CollectionError, createCollectionStore } = require('../lib/collections');
+
+const makeDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collections-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const makeStore = (t) => createCollectionStore(path.join(makeDir(t), 'collections.json'), null);
+
+const assertCollectionError = (fn, status, fields = []) => {
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof CollectionError);
+    assert.equal(error.status, status);
+    assert.deepEqual(error.errors.map(e => e.field), fields);
+    return true;
+  });
+};
+
+test('collections round-trip through the file', (t) => {
+  const file = path.join(makeDir(t), 'data', 'collections.json');
+  const store = createCollectionStore(file, null);
+  const created = store.create({
+    title: '  Temples of Jharkhand ',
+    description: 'Stone and terracotta',
+    models: ['Jagannath temple', 'Kauleshwari Temple', 'Jagannath temple']
+  });
+
+  assert.equal(created.id, 'temples-of-jharkhand');
+  assert.equal(created.title, 'Temples of Jharkhand');
+  assert.deepEqual(created.models, ['Jagannath temple', 'Kauleshwari Temple']);
+  assert.equal(created.coverModelId, 'Jagannath temple');
+  assert.equal(created.order, 1);
+
+  // A second store on the same file sees the same data
+  assert.deepEqual(createCollectionStore(file, null).get('temples-of-jharkhand'), created);
+});
+
+test('collections are listed by order, then title', (t) => {
+  const store = makeStore(t);
+  store.create({ title: 'Tribal Crafts', order: 2 });
+  store.create({ title: 'Forts', order: 1 });
+  store.create({ title: 'Bridges', order: 2 });
+  assert.deepEqual(store.list().map(c => c.id), ['forts', 'bridges', 'tribal-crafts']);
+});
+
+test('update keeps the id and order unless given; remove deletes', (t) => {
+  const store = makeStore(t);
+  const created = store.create({ title: 'Forts', models: ['Palamu Fort'] });
+  const updated = store.update('forts', { id: 'castles', title: 'Forts and Palaces', models: [] });
+
+  assert.equal(updated.id, 'forts');
+  assert.equal(updated.order, created.order);
+  assert.equal(updated.coverModelId, null);
+  assert.equal(updated.createdAt, created.createdAt);
+
+  store.remove('forts');
+  assert.equal(store.get('forts'), null);
+  assertCollectionError(() => store.remove('forts'), 404);
+  assertCollectionError(() => store.update('forts', { title: 'x' }), 404);
+});
+
+test('create rejects invalid input with field errors', (t) => {
+  const store = makeStore(t);
+  assertCollectionError(() => store.create(null), 400);
+  assertCollectionError(() => store.create([]), 400);
+  assertCollectionError(() => store.create({ title: ' ' }), 400, ['title']);
+  assertCollectionError(() => store.create({ title: 'x'.repeat(201) }), 400, ['title']);
+  assertCollectionError(
+    () => store.create({ title: 'Forts', models: 'Palamu Fort', order: 'first', colour: 'red' }),
+    400,
+    ['colour', 'models', 'order']
+  );
+  assertCollectionError(() => store.create({ title: 'Forts', coverModelId: 3 }), 400, ['coverModelId']);
+  assertCollectionError(() => store.create({ title: '!!!' }), 400, ['id']);
+
+  store.create({ title: 'Forts' });
+  assertCollectionError(() => store.create({ title: 'Forts' }), 409);
+});
+
+test('renameModel updates memberships and covers', (t) => {
+  const store = makeStore(t);
+  store.create({ title: 'Forts', models: ['Palamu Fort', 'Rohtas Fort'] });
+  store.create({ title: 'Temples', models: ['Jagannath temple'] });
+
+  store.renameModel('Palamu Fort', 'Palamu Fort (restored)');
+  assert.deepEqual(store.get('forts').models, ['Palamu Fort (restored)', 'Rohtas Fort']);
+  assert.equal(store.get('forts').coverModelId, 'Palamu Fort (restored)');
+  assert.deepEqual(store.collectionsForModel('Palamu Fort (restored)'), ['forts']);
+  assert.deepEqual(store.collectionsForModel('Palamu Fort'), []);
+});
+
+test('the seed is copied to the runtime file on first use', (t) => {
+  const dir = makeDir(t);
+  const seedFile = path.join(dir, 'collections.default.json');
+  const file = path.join(dir, 'collections.json');
+  const seed = { collections: [{ id: 'forts', title: 'Forts', description: null, coverModelId: null, models: [], order: 1 }] };
+  fs.writeFileSync(seedFile, JSON.stringify(seed));
+
+  const store = createCollectionStore(file, seedFile);
+  assert.deepEqual(store.list().map(c => c.id), ['forts']);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), seed);
+
+  // Edits go to the runtime file; the seed is left alone
+  store.remove('forts');
+  assert.deepEqual(store.list(), []);
+  assert.deepEqual(JSON.parse(fs.readFileSync(seedFile, 'utf8')), seed);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GlbFormatError, parseGlb } = require('../lib/glb');
+
+const JSON_TYPE = 0x4e4f534a;
+const BIN_TYPE = 0x004e4942;
+
+const chunk = (type, data) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32LE(data.length, 0);
+  header.writeUInt32LE(type, 4);
+  return Buffer.concat([header, data]);
+};
+
+// JSON padded with spaces to a multiple of 4, as the spec requires
+const jsonData = (value) => {
+  const text = JSON.stringify(value);
+  return Buffer.from(text.padEnd(Math.ceil(text.length / 4) * 4, ' '));
+};
+
+const glb = (chunks, { magic = 0x46546c67, version = 2, length } = {}) => {
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(magic, 0);
+  header.writeUInt32LE(version, 4);
+  header.writeUInt32LE(length === undefined ? 12 + body.length : length, 8);
+  return Buffer.concat([header, body]);
+};
+
+const GLTF = { asset: { version: '2.0' } };
+
+const assertCode = (buffer, code) => {
+  assert.throws(() => parseGlb(buffer), (error) => {
+    assert.ok(error instanceof GlbFormatError);
+    assert.equal(error.code, code);
+    return true;
+  });
+};
+
+test('parseGlb returns the JSON and BIN chunks', () => {
+  const bin = Buffer.from([1, 2, 3, 4, 5, 6, 7, 8]);
+  const buffer = glb([chunk(JSON_TYPE, jsonData(GLTF)), chunk(BIN_TYPE, bin)]);
+  const result = parseGlb(buffer);
+  assert.equal(result.version, 2);
+  assert.equal(result.length, buffer.length);
+  assert.deepEqual(result.json, GLTF);
+  assert.deepEqual(result.bin, bin);
+});
+
+test('parseGlb accepts a JSON-only file and skips unknown chunks', () => {
+  const result = parseGlb(glb([chunk(JSON_TYPE, jsonData(GLTF)), chunk(0x12345678, Buffer.alloc(4))]));
+  assert.deepEqual(result.json, GLTF);
+  assert.equal(result.bin, null);
+});
+
+test('parseGlb rejects broken headers', () => {
+  assertCode(undefined, 'GLB_TOO_SHORT');
+  assertCode(Buffer.alloc(8), 'GLB_TOO_SHORT');
+  assertCode(glb([chunk(JSON_TYPE, jsonData(GLTF))], { magic: 0 }), 'GLB_INVALID_MAGIC');
+  assertCode(glb([chunk(JSON_TYPE, jsonData(GLTF))], { version: 1 }), 'GLB_UNSUPPORTED_VERSION');
+  assertCode(glb([chunk(JSON_TYPE, jsonData(GLTF))], { length: 12 }), 'GLB_LENGTH_MISMATCH');
+});
+
+test('parseGlb rejects broken chunks', () => {
+  const json = chunk(JSON_TYPE, jsonData(GLTF));
+  assertCode(glb([]), 'GLB_MISSING_JSON');
+  assertCode(glb([json, Buffer.alloc(4)]), 'GLB_CHUNK_TOO_SHORT');
+  assertCode(glb([chunk(JSON_TYPE, Buffer.from('{} '))]), 'GLB_CHUNK_LENGTH_UNALIGNED');
+
+  const tooLong = chunk(JSON_TYPE, jsonData(GLTF));
+  tooLong.writeUInt32LE(tooLong.length, 0);
+  assertCode(glb([tooLong]), 'GLB_CHUNK_TOO_LONG');
+
+  assertCode(glb([chunk(BIN_TYPE, Buffer.alloc(4))]), 'GLB_UNEXPECTED_FIRST_CHUNK');
+  assertCode(glb([chunk(JSON_TYPE, Buffer.from('{ no'))]), 'GLB_INVALID_JSON');
+  assertCode(
+    glb([json, chunk(0x12345678, Buffer.alloc(4)), chunk(BIN_TYPE, Buffer.alloc(4))]),
+    'GLB_UNEXPECTED_BIN_CHUNK'
+  );
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isNotModified, ifRangeMatches, parseRangeHeader } = require('../lib/http-cache');
+
+const ETAG = '"abc-123"';
+const LAST_MODIFIED = new Date('2024-05-01T12:00:00.500Z');
+const request = (headers) => ({ headers });
+
+test('isNotModified compares If-None-Match weakly', () => {
+  assert.equal(isNotModified(request({ 'if-none-match': ETAG }), ETAG, LAST_MODIFIED), true);
+  assert.equal(isNotModified(request({ 'if-none-match': 'W/"abc-123"' }), ETAG, LAST_MODIFIED), true);
+  assert.equal(isNotModified(request({ 'if-none-match': '"other", "abc-123"' }), ETAG, LAST_MODIFIED), true);
+  assert.equal(isNotModified(request({ 'if-none-match': '*' }), ETAG, LAST_MODIFIED), true);
+  assert.equal(isNotModified(request({ 'if-none-match': '"other"' }), ETAG, LAST_MODIFIED), false);
+});
+
+test('isNotModified ignores If-Modified-Since when If-None-Match is present', () => {
+  const headers = { 'if-none-match': '"other"', 'if-modified-since': 'Wed, 01 May 2030 00:00:00 GMT' };
+  assert.equal(isNotModified(request(headers), ETAG, LAST_MODIFIED), false);
+});
+
+test('isNotModified compares If-Modified-Since at one-second resolution', () => {
+  const same = LAST_MODIFIED.toUTCString();
+  assert.equal(isNotModified(request({ 'if-modified-since': same }), ETAG, LAST_MODIFIED), true);
+  const earlier = new Date(LAST_MODIFIED.getTime() - 1000).toUTCString();
+  assert.equal(isNotModified(request({ 'if-modified-since': earlier }), ETAG, LAST_MODIFIED), false);
+  assert.equal(isNotModified(request({ 'if-modified-since': 'not a date' }), ETAG, LAST_MODIFIED), false);
+  assert.equal(isNotModified(request({}), ETAG, LAST_MODIFIED), false);
+});
+
+test('ifRangeMatches uses the strong comparison for entity tags', () => {
+  assert.equal(ifRangeMatches(request({}), ETAG, LAST_MODIFIED), true);
+  assert.equal(ifRangeMatches(request({ 'if-range': ETAG }), ETAG, LAST_MODIFIED), true);
+  assert.equal(ifRangeMatches(request({ 'if-range': 'W/"abc-123"' }), ETAG, LAST_MODIFIED), false);
+  assert.equal(ifRangeMatches(request({ 'if-range': '"other"' }), ETAG, LAST_MODIFIED), false);
+});
+
+test('ifRangeMatches requires an exact Last-Modified date', () => {
+  const same = LAST_MODIFIED.toUTCString();
+  assert.equal(ifRangeMatches(request({ 'if-range': same }), ETAG, LAST_MODIFIED), true);
+  const later = new Date(LAST_MODIFIED.getTime() + 1000).toUTCString();
+  assert.equal(ifRangeMatches(request({ 'if-range': later }), ETAG, LAST_MODIFIED), false);
+  assert.equal(ifRangeMatches(request({ 'if-range': 'garbage' }), ETAG, LAST_MODIFIED), false);
+});
+
+test('parseRangeHeader parses closed, open and suffix ranges', () => {
+  assert.deepEqual(parseRangeHeader('bytes=0-99', 1000), [{ start: 0, end: 99 }]);
+  assert.deepEqual(parseRangeHeader('bytes=900-', 1000), [{ start: 900, end: 999 }]);
+  assert.deepEqual(parseRangeHeader('bytes=-100', 1000), [{ start: 900, end: 999 }]);
+  assert.deepEqual(parseRangeHeader('bytes=-5000', 1000), [{ start: 0, end: 999 }]);
+  assert.deepEqual(parseRangeHeader('bytes=990-5000', 1000), [{ start: 990, end: 999 }]);
+  assert.deepEqual(parseRangeHeader(' Bytes = 0-0', 1000), [{ start: 0, end: 0 }]);
+});
+
+test('parseRangeHeader sorts and merges overlapping or adjacent ranges', () => {
+  assert.deepEqual(parseRangeHeader('bytes=500-599,0-99,100-199,550-700', 1000), [
+    { start: 0, end: 199 },
+    { start: 500, end: 700 }
+  ]);
+});
+
+test('parseRangeHeader returns an empty list when nothing is satisfiable', () => {
+  assert.deepEqual(parseRangeHeader('bytes=1000-', 1000), []);
+  assert.deepEqual(parseRangeHeader('bytes=-0', 1000), []);
+  assert.deepEqual(parseRangeHeader('bytes=0-', 0), []);
+});
+
+test('parseRangeHeader returns null for headers that should be ignored', () => {
+  assert.equal(parseRangeHeader(undefined, 1000), null);
+  assert.equal(parseRangeHeader('items=0-1', 1000), null);
+  assert.equal(parseRangeHeader('bytes=', 1000), null);
+  assert.equal(parseRangeHeader('bytes=-', 1000), null);
+  assert.equal(parseRangeHeader('bytes=abc', 1000), null);
+  assert.equal(parseRangeHeader('bytes=100-50', 1000), null);
+  const tooMany = Array.from({ length: 33 }, (_, i) => `${i * 10}-${i * 10 + 1}`).join(',');
+  assert.equal(parseRangeHeader(`bytes=${tooMany}`, 1000), null);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MeasurementError,
+  readMeasurements,
+  createMeasurement,
+  updateMeasurement,
+  deleteMeasurement,
+  setScale
+} = require('../lib/measurements');
+
+const makeModelsDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'measurements-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const assertMeasurementError = (fn, status, fields = []) => {
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof MeasurementError);
+    assert.equal(error.status, status);
+    assert.deepEqual(error.errors.map(e => e.field), fields);
+    return true;
+  });
+};
+
+const POINTS = [{ x: 0, y: 0, z: 0 }, { x: 1.5, y: 2, z: -3 }];
+
+test('a model without a sidecar has the default scale and no measurements', (t) => {
+  const dir = makeModelsDir(t);
+  assert.deepEqual(readMeasurements(dir, 'fort'), { scale: { factor: 1, unit: 'm' }, measurements: [] });
+});
+
+test('measurements and the scale round-trip through the sidecar file', (t) => {
+  const dir = makeModelsDir(t);
+  const created = createMeasurement(dir, 'fort', { label: ' Gate width ', points: POINTS }, 'Asha');
+  assert.equal(created.label, 'Gate width');
+  assert.equal(created.author, 'Asha');
+  assert.deepEqual(created.points, POINTS);
+  assert.deepEqual(setScale(dir, 'fort', { factor: 0.01, unit: 'cm' }), { factor: 0.01, unit: 'cm' });
+  assert.ok(fs.existsSync(path.join(dir, 'fort.measurements.json')));
+
+  assert.deepEqual(readMeasurements(dir, 'fort'), {
+    scale: { factor: 0.01, unit: 'cm' },
+    measurements: [created]
+  });
+});
+
+test('updating relabels a measurement and deleting removes it', (t) => {
+  const dir = makeModelsDir(t);
+  const created = createMeasurement(dir, 'fort', { points: POINTS });
+  assert.equal(created.label, '');
+
+  const updated = updateMeasurement(dir, 'fort', created.id, { label: 'Wall height' });
+  assert.equal(updated.label, 'Wall height');
+  assert.deepEqual(updated.points, POINTS);
+  assert.deepEqual(readMeasurements(dir, 'fort').measurements, [updated]);
+
+  assert.deepEqual(deleteMeasurement(dir, 'fort', created.id), updated);
+  assert.deepEqual(readMeasurements(dir, 'fort').measurements, []);
+});
+
+test('invalid measurements and scales are rejected with field errors', (t) => {
+  const dir = makeModelsDir(t);
+  assertMeasurementError(() => createMeasurement(dir, 'fort', []), 400);
+  assertMeasurementError(
+    () => createMeasurement(dir, 'fort', { label: 42, points: [POINTS[0]], colour: 'red' }),
+    400,
+    ['colour', 'points', 'label']
+  );
+  assertMeasurementError(
+    () => createMeasurement(dir, 'fort', { points: [POINTS[0], { x: 1, y: 'two', z: 3 }] }),
+    400,
+    ['points']
+  );
+
+  const created = createMeasurement(dir, 'fort', { points: POINTS });
+  assertMeasurementError(() => updateMeasurement(dir, 'fort', created.id, { points: POINTS }), 400, ['points']);
+  assertMeasurementError(() => setScale(dir, 'fort', { factor: 0, unit: 'yd' }), 400, ['factor', 'unit']);
+  assert.deepEqual(readMeasurements(dir, 'fort').measurements, [created]);
+  assert.deepEqual(readMeasurements(dir, 'fort').scale, { factor: 1, unit: 'm' });
+});
+
+test('missing measurements are 404s', (t) => {
+  const dir = makeModelsDir(t);
+  assertMeasurementError(() => updateMeasurement(dir, 'fort', 'missing', { label: 'x' }), 404);
+  assertMeasurementError(() => deleteMeasurement(dir, 'fort', 'missing'), 404);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeModelFileName } = require('../lib/model-files');
+
+test('sanitizeModelFileName keeps readable names', () => {
+  assert.equal(sanitizeModelFileName('Palamu Fort.glb'), 'Palamu Fort.glb');
+  assert.equal(sanitizeModelFileName('chair.OBJ'), 'chair.glb');
+  assert.equal(sanitizeModelFileName('  Sun   Temple (v2).zip'), 'Sun Temple (v2).glb');
+  assert.equal(sanitizeModelFileName('texture pack.glb'), 'texture pack.glb');
+});
+
+test('sanitizeModelFileName strips directories and unsafe characters', () => {
+  assert.equal(sanitizeModelFileName('../../etc/passwd'), 'passwd.glb');
+  assert.equal(sanitizeModelFileName('..hidden.glb'), 'hidden.glb');
+  assert.equal(sanitizeModelFileName('a<b>|c?.glb'), 'abc.glb');
+  assert.equal(sanitizeModelFileName(''), null);
+  assert.equal(sanitizeModelFileName(undefined), null);
+  assert.equal(sanitizeModelFileName('???.glb'), null);
+});
+
+test('sanitizeModelFileName rejects names of texture variants', () => {
+  assert.equal(sanitizeModelFileName('Palamu Fort.tex1024.glb'), null);
+  assert.equal(sanitizeModelFileName('Palamu Fort.TEX512'), null);
+  assert.equal(sanitizeModelFileName('Palamu Fort.texture.glb'), 'Palamu Fort.texture.glb');
+});
+
+test('sanitizeModelFileName rejects names of LODs, optimized variants and posters', () => {
+  assert.equal(sanitizeModelFileName('Palamu Fort.lod2.glb'), null);
+  assert.equal(sanitizeModelFileName('Palamu Fort-optimized-draco.glb'), null);
+  assert.equal(sanitizeModelFileName('Palamu Fort-Optimized-Draco'), null);
+  assert.equal(sanitizeModelFileName('Palamu Fort.poster512.obj'), null);
+  assert.equal(sanitizeModelFileName('Palamu Fort.lodge.glb'), 'Palamu Fort.lodge.glb');
+  assert.equal(sanitizeModelFileName('Palamu Fort optimized.glb'), 'Palamu Fort optimized.glb');
+});
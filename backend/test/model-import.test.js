@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseGlb } = require('../lib/glb');
+const { ImportError, importModel, saveImportRecord, readImportRecord } = require('../lib/model-import');
+
+const makeDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-import-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const facet = (normal, a, b, c) => [
+  `  facet normal ${normal.join(' ')}`,
+  '    outer loop',
+  ...[a, b, c].map(v => `      vertex ${v.join(' ')}`),
+  '    endloop',
+  '  endfacet'
+].join('\n');
+
+// A tetrahedron; the last facet leaves its normal for the importer to compute
+const TETRAHEDRON_STL = [
+  'solid tetra',
+  facet([0, 0, -1], [0, 0, 0], [0, 1, 0], [1, 0, 0]),
+  facet([0, -1, 0], [0, 0, 0], [1, 0, 0], [0, 0, 1]),
+  facet([-1, 0, 0], [0, 0, 0], [0, 0, 1], [0, 1, 0]),
+  facet([0, 0, 0], [1, 0, 0], [0, 1, 0], [0, 0, 1]),
+  'endsolid tetra'
+].join('\n');
+
+const QUAD_OBJ = [
+  'mtllib quad.mtl',
+  'v 0 0 0',
+  'v 1 0 0',
+  'v 1 1 0',
+  'v 0 1 0',
+  'usemtl stone',
+  'f 1 2 3 4'
+].join('\n');
+
+const writeSource = (dir, name, text) => {
+  const srcPath = path.join(dir, `upload-${name}`);
+  fs.writeFileSync(srcPath, text);
+  return srcPath;
+};
+
+const readPrimitive = (outPath) => {
+  const { json } = parseGlb(fs.readFileSync(outPath));
+  assert.equal(json.meshes.length, 1);
+  assert.equal(json.meshes[0].primitives.length, 1);
+  const primitive = json.meshes[0].primitives[0];
+  return {
+    json,
+    vertexCount: json.accessors[primitive.attributes.POSITION].count,
+    indexCount: json.accessors[primitive.indices].count,
+    hasNormals: primitive.attributes.NORMAL !== undefined
+  };
+};
+
+test('an ASCII STL converts to a GLB with one welded mesh', async (t) => {
+  const dir = makeDir(t);
+  const srcPath = writeSource(dir, 'tetra.stl', TETRAHEDRON_STL);
+  const outPath = path.join(dir, 'tetra.glb');
+
+  const result = await importModel(srcPath, 'tetra.stl', outPath);
+  assert.equal(result.format, 'stl');
+  assert.equal(result.originalName, 'tetra.stl');
+  assert.ok(result.warnings.some(warning => /no materials or units/.test(warning)));
+
+  const { json, indexCount, hasNormals } = readPrimitive(outPath);
+  assert.equal(indexCount, 12);
+  assert.ok(hasNormals);
+  assert.equal(json.nodes[0].name, 'tetra');
+});
+
+test('an OBJ without its MTL file still converts and reports the missing file', async (t) => {
+  const dir = makeDir(t);
+  const srcPath = writeSource(dir, 'quad.obj', QUAD_OBJ);
+  const outPath = path.join(dir, 'quad.glb');
+
+  const result = await importModel(srcPath, 'quad.obj', outPath);
+  assert.equal(result.format, 'obj');
+  assert.ok(result.warnings.some(warning => / was not found$/.test(warning)));
+  assert.ok(result.warnings.some(warning => /Upload a \.zip/.test(warning)));
+
+  const { vertexCount, indexCount } = readPrimitive(outPath);
+  assert.equal(vertexCount, 4);
+  assert.equal(indexCount, 6);
+});
+
+test('unsupported and empty uploads are rejected with ImportError', async (t) => {
+  const dir = makeDir(t);
+  const outPath = path.join(dir, 'out.glb');
+
+  await assert.rejects(importModel(writeSource(dir, 'model.dae', '<COLLADA/>'), 'model.dae', outPath),
+    (err) => err instanceof ImportError && err.status === 422 && /Unsupported model format/.test(err.message));
+  await assert.rejects(importModel(writeSource(dir, 'empty.stl', 'solid empty\nendsolid empty\n'), 'empty.stl', outPath),
+    (err) => err instanceof ImportError && /No geometry found in empty\.stl/.test(err.message));
+  assert.equal(fs.existsSync(outPath), false);
+});
+
+test('the import record keeps the original upload next to the model', async (t) => {
+  const dir = makeDir(t);
+  const srcPath = writeSource(dir, 'tetra.stl', TETRAHEDRON_STL);
+  const result = await importModel(srcPath, 'Tetra.STL', path.join(dir, 'Tetra.glb'));
+
+  const record = saveImportRecord(dir, 'Tetra', srcPath, result);
+  assert.equal(record.format, 'stl');
+  assert.equal(record.originalName, 'Tetra.STL');
+  assert.equal(fs.readFileSync(path.join(dir, record.sourceFile), 'utf8'), TETRAHEDRON_STL);
+  assert.deepEqual(readImportRecord(dir, 'Tetra'), record);
+  assert.equal(readImportRecord(dir, 'Other'), null);
+});
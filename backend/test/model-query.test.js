@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QueryError, parseModelQuery, queryModels, modelFacets } = require('../lib/model-query');
+
+const MODELS = [
+  {
+    id: 'palamu-fort',
+    size: 3000,
+    modified: '2024-03-01T00:00:00Z',
+    optimized: true,
+    metadata: { title: 'Palamu Fort', category: 'Architecture', tags: ['Fort', 'Jharkhand'], creator: 'Survey team' }
+  },
+  {
+    id: 'chair',
+    size: 1000,
+    modified: '2024-01-01T00:00:00Z',
+    optimized: false,
+    metadata: { title: 'Carved Chair', category: 'Furniture', tags: ['wood'] }
+  },
+  {
+    id: 'temple',
+    size: 2000,
+    modified: '2024-02-01T00:00:00Z',
+    optimized: true,
+    metadata: { title: 'Sun Temple', category: 'Architecture', tags: ['temple', 'stone'], description: 'Carved stone' }
+  },
+  { id: 'bench', size: 2000, modified: '2024-04-01T00:00:00Z', optimized: false }
+];
+
+const ids = (result) => result.items.map(model => model.id);
+const run = (query) => queryModels(MODELS, parseModelQuery(query));
+
+test('parseModelQuery fills in defaults', () => {
+  assert.deepEqual(parseModelQuery({}), {
+    terms: [],
+    categories: [],
+    tags: [],
+    optimized: null,
+    sort: 'name',
+    descending: false,
+    limit: null,
+    cursor: null
+  });
+});
+
+test('parseModelQuery accepts repeated and comma separated lists', () => {
+  const options = parseModelQuery({ tag: ['Fort', 'stone, wood'], category: 'Architecture' });
+  assert.deepEqual(options.tags, ['fort', 'stone', 'wood']);
+  assert.deepEqual(options.categories, ['architecture']);
+});
+
+test('parseModelQuery rejects invalid values with a QueryError', () => {
+  [
+    { optimized: 'yes' },
+    { sort: 'colour' },
+    { sort: '-' },
+    { limit: '0' },
+    { limit: '101' },
+    { limit: 'ten' },
+    { cursor: 'not-a-cursor' },
+    { cursor: Buffer.from(JSON.stringify(['a'])).toString('base64url') }
+  ].forEach(query => {
+    assert.throws(() => parseModelQuery(query), QueryError, JSON.stringify(query));
+  });
+});
+
+test('queryModels sorts by name by default, falling back to the id', () => {
+  assert.deepEqual(ids(run({})), ['bench', 'chair', 'palamu-fort', 'temple']);
+});
+
+test('queryModels sorts by size and date in either direction', () => {
+  assert.deepEqual(ids(run({ sort: 'size' })), ['chair', 'bench', 'temple', 'palamu-fort']);
+  // Equal sizes keep the id order even when descending
+  assert.deepEqual(ids(run({ sort: '-size' })), ['palamu-fort', 'bench', 'temple', 'chair']);
+  assert.deepEqual(ids(run({ sort: '-date' })), ['bench', 'palamu-fort', 'temple', 'chair']);
+});
+
+test('queryModels filters by search terms, category, tags and optimization', () => {
+  assert.deepEqual(ids(run({ q: 'carved' })), ['chair', 'temple']);
+  assert.deepEqual(ids(run({ q: 'carved stone' })), ['temple']);
+  assert.deepEqual(ids(run({ q: 'survey' })), ['palamu-fort']);
+  assert.deepEqual(ids(run({ category: 'architecture' })), ['palamu-fort', 'temple']);
+  assert.deepEqual(ids(run({ category: 'furniture,architecture' })), ['chair', 'palamu-fort', 'temple']);
+  assert.deepEqual(ids(run({ tag: 'fort,jharkhand' })), ['palamu-fort']);
+  assert.deepEqual(ids(run({ tag: ['fort', 'stone'] })), []);
+  assert.deepEqual(ids(run({ optimized: 'false' })), ['bench', 'chair']);
+});
+
+test('queryModels pages with a cursor and reports the total', () => {
+  const first = run({ sort: 'size', limit: '2' });
+  assert.deepEqual(ids(first), ['chair', 'bench']);
+  assert.equal(first.total, 4);
+  assert.ok(first.nextCursor);
+
+  const second = run({ sort: 'size', limit: '2', cursor: first.nextCursor });
+  assert.deepEqual(ids(second), ['temple', 'palamu-fort']);
+  assert.equal(second.total, 4);
+  assert.equal(second.nextCursor, null);
+});
+
+test('queryModels continues after the cursor position when that model is gone', () => {
+  const first = run({ limit: '2' });
+  const remaining = MODELS.filter(model => model.id !== 'chair');
+  const second = queryModels(remaining, parseModelQuery({ limit: '2', cursor: first.nextCursor }));
+  assert.deepEqual(ids(second), ['palamu-fort', 'temple']);
+});
+
+test('modelFacets counts distinct categories and tags', () => {
+  assert.deepEqual(modelFacets(MODELS), {
+    categories: [
+      { name: 'Architecture', count: 2 },
+      { name: 'Furniture', count: 1 }
+    ],
+    tags: [
+      { name: 'Fort', count: 1 },
+      { name: 'Jharkhand', count: 1 },
+      { name: 'stone', count: 1 },
+      { name: 'temple', count: 1 },
+      { name: 'wood', count: 1 }
+    ]
+  });
+});
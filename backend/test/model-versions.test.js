@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  VersionError,
+  replaceModel,
+  deleteModel,
+  restoreVersion,
+  renameModel,
+  listVersions
+} = require('../lib/model-versions');
+const { resolveModelFile } = require('../lib/model-files');
+
+const makeModelsDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-versions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+// Model files only need to exist for the version store; their bytes are opaque to it
+const writeModel = (dir, name, content) => fs.writeFileSync(path.join(dir, name), content);
+
+const upload = (dir, content) => {
+  const file = path.join(dir, `.incoming-${content}.glb`);
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+const read = (dir, name) => fs.readFileSync(path.join(dir, name), 'utf8');
+
+test('replaceModel archives the previous version', (t) => {
+  const dir = makeModelsDir(t);
+  writeModel(dir, 'chair.glb', 'v1');
+  assert.equal(replaceModel(dir, 'chair', upload(dir, 'v2')), 2);
+
+  assert.equal(read(dir, 'chair.glb'), 'v2');
+  const { current, versions } = listVersions(dir, 'chair');
+  assert.equal(current, 2);
+  assert.deepEqual(versions.map(v => [v.version, v.current]), [[1, false], [2, true]]);
+});
+
+test('restoreVersion brings back a version archived before a rename', (t) => {
+  const dir = makeModelsDir(t);
+  writeModel(dir, 'A.glb', 'v1');
+  replaceModel(dir, 'A', upload(dir, 'v2'));
+  renameModel(dir, 'A', 'B');
+
+  assert.equal(restoreVersion(dir, 'B', 1), 3);
+  assert.equal(read(dir, 'B.glb'), 'v1');
+  assert.equal(fs.existsSync(path.join(dir, 'A.glb')), false);
+  assert.equal(resolveModelFile(dir, 'B').file, 'B.glb');
+  const { current, versions } = listVersions(dir, 'B');
+  assert.equal(current, 3);
+  assert.deepEqual(versions.map(v => v.version), [1, 2, 3]);
+});
+
+test('restoreVersion undoes a delete', (t) => {
+  const dir = makeModelsDir(t);
+  writeModel(dir, 'chair.glb', 'v1');
+  writeModel(dir, 'chair.metadata.json', '{}');
+  deleteModel(dir, 'chair');
+  assert.equal(resolveModelFile(dir, 'chair'), null);
+  assert.equal(listVersions(dir, 'chair').deleted, true);
+
+  restoreVersion(dir, 'chair', 1);
+  assert.equal(read(dir, 'chair.glb'), 'v1');
+  assert.equal(fs.existsSync(path.join(dir, 'chair.metadata.json')), true);
+  assert.equal(listVersions(dir, 'chair').deleted, false);
+});
+
+test('listVersions and restoreVersion handle versions that do not exist', (t) => {
+  const dir = makeModelsDir(t);
+  assert.deepEqual(listVersions(dir, 'missing'), { id: 'missing', current: 1, deleted: false, versions: [] });
+
+  writeModel(dir, 'chair.glb', 'v1');
+  assert.throws(() => restoreVersion(dir, 'chair', 7), (error) => {
+    assert.ok(error instanceof VersionError);
+    assert.equal(error.status, 404);
+    return true;
+  });
+  assert.equal(read(dir, 'chair.glb'), 'v1');
+});
+
+test('restoreVersion leaves the live model alone when the version has no source', (t) => {
+  const dir = makeModelsDir(t);
+  writeModel(dir, 'chair.glb', 'v1');
+  replaceModel(dir, 'chair', upload(dir, 'v2'));
+  fs.rmSync(path.join(dir, '.versions', 'chair', '1', 'chair.glb'));
+
+  assert.throws(() => restoreVersion(dir, 'chair', 1), (error) => {
+    assert.ok(error instanceof VersionError);
+    assert.equal(error.status, 409);
+    return true;
+  });
+  assert.equal(read(dir, 'chair.glb'), 'v2');
+  assert.equal(listVersions(dir, 'chair').current, 2);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../lib/rate-limit');
+
+test('createRateLimiter allows max attempts per key and window', () => {
+  const limiter = createRateLimiter({ max: 2, windowMs: 1000 });
+  assert.equal(limiter.take('a', 0), true);
+  assert.equal(limiter.take('a', 10), true);
+  assert.equal(limiter.take('a', 20), false);
+  // Other keys have their own budget
+  assert.equal(limiter.take('b', 20), true);
+});
+
+test('createRateLimiter starts a new window once the old one is over', () => {
+  const limiter = createRateLimiter({ max: 1, windowMs: 1000 });
+  assert.equal(limiter.take('a', 0), true);
+  assert.equal(limiter.take('a', 999), false);
+  assert.equal(limiter.take('a', 1000), true);
+  assert.equal(limiter.take('a', 1500), false);
+});
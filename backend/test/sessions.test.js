@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { createSessionHub } = require('../lib/sessions');
+
+// Stand-in for a ws connection: records what the hub sends and lets the test send messages
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.received = [];
+  }
+
+  send(data) {
+    this.received.push(JSON.parse(data));
+  }
+
+  say(message) {
+    this.emit('message', typeof message === 'string' ? message : JSON.stringify(message));
+  }
+
+  last(type) {
+    return [...this.received].reverse().find(message => message.type === type);
+  }
+}
+
+const connect = (hub) => {
+  const ws = new FakeSocket();
+  hub.handleConnection(ws);
+  return ws;
+};
+
+// A presenter with a fresh session and one follower in it
+const startSession = () => {
+  const hub = createSessionHub();
+  const presenter = connect(hub);
+  presenter.say({ type: 'session:create' });
+  const { code } = presenter.last('session:joined');
+  const follower = connect(hub);
+  follower.say({ type: 'session:join', code: code.toLowerCase() });
+  return { hub, presenter, follower, code };
+};
+
+test('session:create makes the creator the presenter', () => {
+  const { presenter, code } = startSession();
+  const joined = presenter.received.find(message => message.type === 'session:joined');
+  assert.match(code, /^[A-HJ-NP-Z2-9]{6}$/);
+  assert.equal(joined.role, 'presenter');
+  assert.equal(joined.presenterId, joined.clientId);
+  assert.deepEqual(joined.state, {});
+});
+
+test('the presenter view state reaches followers and late joiners', () => {
+  const { hub, presenter, follower, code } = startSession();
+  assert.equal(follower.last('session:joined').role, 'follower');
+  assert.equal(presenter.last('session:presence').participants.length, 2);
+
+  presenter.say({ type: 'session:state', modelId: 'Palamu Fort', cameraOrbit: '30deg 75deg 2.5m' });
+  const { state, from } = follower.last('session:state');
+  assert.equal(from, presenter.last('session:joined').clientId);
+  assert.equal(state.modelId, 'Palamu Fort');
+  assert.equal(state.cameraOrbit, '30deg 75deg 2.5m');
+
+  // Omitted fields keep their value
+  presenter.say({ type: 'session:state', fieldOfView: '30deg' });
+  assert.equal(follower.last('session:state').state.modelId, 'Palamu Fort');
+
+  const late = connect(hub);
+  late.say({ type: 'session:join', code });
+  assert.equal(late.last('session:joined').state.fieldOfView, '30deg');
+});
+
+test('invalid messages are answered with error codes', () => {
+  const { hub, follower, presenter } = startSession();
+  const errorCode = (ws) => ws.last('error').code;
+
+  follower.say('not json');
+  assert.equal(errorCode(follower), 'INVALID_JSON');
+  follower.say({ type: 'session:explode' });
+  assert.equal(errorCode(follower), 'UNKNOWN_TYPE');
+  follower.say({ type: 'session:state', modelId: 'x' });
+  assert.equal(errorCode(follower), 'NOT_PRESENTER');
+  presenter.say({ type: 'session:state', cameraOrbit: 'far away' });
+  assert.equal(errorCode(presenter), 'INVALID_FIELD');
+  presenter.say({ type: 'session:state' });
+  assert.equal(errorCode(presenter), 'EMPTY_STATE');
+  presenter.say({ type: 'session:handoff', to: 'nobody' });
+  assert.equal(errorCode(presenter), 'UNKNOWN_PARTICIPANT');
+
+  const outsider = connect(hub);
+  outsider.say({ type: 'session:join', code: 'ZZZZZZ' });
+  assert.equal(errorCode(outsider), 'UNKNOWN_SESSION');
+  outsider.say({ type: 'session:state', modelId: 'x' });
+  assert.equal(errorCode(outsider), 'NOT_IN_SESSION');
+});
+
+test('the presenter role can be handed off and passes on when the presenter leaves', () => {
+  const { hub, presenter, follower, code } = startSession();
+  const followerId = follower.last('session:joined').clientId;
+
+  presenter.say({ type: 'session:handoff', to: followerId });
+  assert.equal(presenter.last('session:presence').presenterId, followerId);
+  follower.say({ type: 'session:state', modelId: 'Palamu Fort' });
+  assert.equal(presenter.last('session:state').state.modelId, 'Palamu Fort');
+
+  const third = connect(hub);
+  third.say({ type: 'session:join', code });
+  const thirdId = third.last('session:joined').clientId;
+  follower.emit('close');
+  // The longest-connected remaining member takes over
+  assert.equal(third.last('session:presence').presenterId, presenter.last('session:joined').clientId);
+  presenter.say({ type: 'session:leave' });
+  assert.ok(presenter.last('session:left'));
+  assert.equal(third.last('session:presence').presenterId, thirdId);
+});
+
+test('a session ends when its last member leaves', () => {
+  const { hub, presenter, follower, code } = startSession();
+  presenter.say({ type: 'session:leave' });
+  follower.say({ type: 'session:leave' });
+
+  const latecomer = connect(hub);
+  latecomer.say({ type: 'session:join', code });
+  assert.equal(latecomer.last('error').code, 'UNKNOWN_SESSION');
+});
+
+test('ping is answered with pong', () => {
+  const ws = connect(createSessionHub());
+  ws.say({ type: 'ping' });
+  assert.deepEqual(ws.received, [{ type: 'pong' }]);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TourError, listTours, createTour, updateTour, deleteTour, setStepNarration } = require('../lib/tours');
+
+const makeModelsDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tours-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const assertTourError = (fn, status, fields = []) => {
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof TourError);
+    assert.equal(error.status, status);
+    assert.deepEqual(error.errors.map(e => e.field), fields);
+    return true;
+  });
+};
+
+const STEPS = [
+  { cameraOrbit: '0deg 75deg 4m', caption: ' Main gate ', duration: 4 },
+  { cameraOrbit: '90deg 60deg 2m', cameraTarget: '0m 1m 0m', fieldOfView: '30deg' }
+];
+
+test('tours round-trip through the sidecar file', (t) => {
+  const dir = makeModelsDir(t);
+  const tour = createTour(dir, 'Palamu Fort', { title: 'Walkthrough', steps: STEPS });
+
+  assert.equal(tour.steps.length, 2);
+  assert.equal(tour.steps[0].caption, 'Main gate');
+  assert.equal(tour.steps[0].cameraTarget, null);
+  assert.equal(tour.steps[1].duration, 5);
+  assert.equal(tour.steps[1].narration, null);
+  assert.ok(fs.existsSync(path.join(dir, 'Palamu Fort.tours.json')));
+  assert.deepEqual(listTours(dir, 'Palamu Fort'), [tour]);
+  assert.deepEqual(listTours(dir, 'Other'), []);
+});
+
+test('updating a tour keeps the narration of steps that keep their id', (t) => {
+  const dir = makeModelsDir(t);
+  const created = createTour(dir, 'fort', { title: 'Walkthrough', steps: STEPS });
+  const [first, second] = created.steps;
+  const narration = (name) => ({ url: `/media/${name}.mp3`, mimeType: 'audio/mpeg' });
+  setStepNarration(dir, 'fort', created.id, first.id, narration('gate'));
+  setStepNarration(dir, 'fort', created.id, second.id, narration('tower'));
+
+  const { tour, removedMedia } = updateTour(dir, 'fort', created.id, {
+    title: 'Short walkthrough',
+    steps: [{ id: first.id, cameraOrbit: '10deg 75deg 4m' }]
+  });
+  assert.equal(tour.steps[0].id, first.id);
+  assert.deepEqual(tour.steps[0].narration, narration('gate'));
+  assert.deepEqual(removedMedia, ['/media/tower.mp3']);
+
+  assert.deepEqual(deleteTour(dir, 'fort', created.id).removedMedia, ['/media/gate.mp3']);
+  assert.deepEqual(listTours(dir, 'fort'), []);
+});
+
+test('invalid tours are rejected with field errors', (t) => {
+  const dir = makeModelsDir(t);
+  assertTourError(() => createTour(dir, 'fort', null), 400);
+  assertTourError(() => createTour(dir, 'fort', { title: '', steps: 'none', extra: 1 }), 400, ['extra', 'title', 'steps']);
+  assertTourError(
+    () => createTour(dir, 'fort', {
+      title: 'Walkthrough',
+      steps: [
+        { caption: 'no orbit' },
+        { cameraOrbit: 'sideways', duration: 0 },
+        'step'
+      ]
+    }),
+    400,
+    ['steps[0].cameraOrbit', 'steps[1].cameraOrbit', 'steps[1].duration', 'steps[2]']
+  );
+  assert.deepEqual(listTours(dir, 'fort'), []);
+});
+
+test('missing tours and steps are 404s', (t) => {
+  const dir = makeModelsDir(t);
+  const tour = createTour(dir, 'fort', { title: 'Walkthrough', steps: STEPS });
+  assertTourError(() => updateTour(dir, 'fort', 'missing', { title: 'x', steps: [] }), 404);
+  assertTourError(() => deleteTour(dir, 'fort', 'missing'), 404);
+  assertTourError(() => setStepNarration(dir, 'fort', tour.id, 'missing', null), 404);
+});
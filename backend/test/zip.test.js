@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { ZipFormatError, readZip, writeStoredZip } = require('../lib/zip');
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+
+// Single-entry archive with a deflated body; writeStoredZip only writes stored entries
+const deflatedZip = (name, data) => {
+  const stored = writeStoredZip([{ name, data }]);
+  const compressed = zlib.deflateRawSync(data);
+  const nameLength = Buffer.byteLength(name);
+  const local = Buffer.from(stored.subarray(0, LOCAL_HEADER_SIZE + nameLength));
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(compressed.length, 18);
+  const centralStart = LOCAL_HEADER_SIZE + nameLength + data.length;
+  const central = Buffer.from(stored.subarray(centralStart, centralStart + CENTRAL_HEADER_SIZE + nameLength));
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(compressed.length, 20);
+  const end = Buffer.from(stored.subarray(centralStart + central.length));
+  end.writeUInt32LE(local.length + compressed.length, 16);
+  return Buffer.concat([local, compressed, central, end]);
+};
+
+// Offset of the first central directory header in a single-entry stored archive
+const centralOffset = (zip) => zip.readUInt32LE(zip.length - 22 + 16);
+
+test('readZip reads back what writeStoredZip wrote', () => {
+  const entries = [
+    { name: 'model.obj', data: Buffer.from('v 0 0 0\n') },
+    { name: 'textures/wood.png', data: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+    { name: 'empty.txt', data: Buffer.alloc(0) }
+  ];
+  const zip = writeStoredZip(entries);
+  assert.deepEqual(readZip(zip), entries);
+});
+
+test('writeStoredZip writes the standard CRC-32', () => {
+  const zip = writeStoredZip([{ name: 'check.txt', data: Buffer.from('123456789') }]);
+  assert.equal(zip.readUInt32LE(14), 0xcbf43926);
+  assert.equal(zip.readUInt32LE(centralOffset(zip) + 16), 0xcbf43926);
+});
+
+test('writeStoredZip aligns entry data when asked to', () => {
+  const entries = [
+    { name: 'a.usdc', data: Buffer.alloc(10, 1) },
+    { name: 'textures/b.png', data: Buffer.alloc(7, 2) }
+  ];
+  const zip = writeStoredZip(entries, { align: 64 });
+  entries.forEach(({ data }) => {
+    const start = zip.indexOf(data);
+    assert.equal(start % 64, 0);
+  });
+  assert.deepEqual(readZip(zip), entries);
+});
+
+test('readZip inflates deflated entries', () => {
+  const data = Buffer.from('solid cube\n'.repeat(50));
+  assert.deepEqual(readZip(deflatedZip('cube.stl', data)), [{ name: 'cube.stl', data }]);
+});
+
+test('readZip skips directories and normalizes backslashes', () => {
+  const zip = writeStoredZip([
+    { name: 'textures/', data: Buffer.alloc(0) },
+    { name: 'textures\\wood.png', data: Buffer.from('png') }
+  ]);
+  assert.deepEqual(readZip(zip), [{ name: 'textures/wood.png', data: Buffer.from('png') }]);
+});
+
+test('readZip rejects entries that escape the archive root', () => {
+  ['../evil.obj', 'a/../../evil.obj', '/etc/passwd', 'C:/evil.obj', '..\\evil.obj'].forEach(name => {
+    const zip = writeStoredZip([{ name, data: Buffer.from('x') }]);
+    assert.throws(() => readZip(zip), ZipFormatError, name);
+  });
+});
+
+test('readZip enforces maxSize across all entries', () => {
+  const zip = writeStoredZip([
+    { name: 'a.bin', data: Buffer.alloc(60) },
+    { name: 'b.bin', data: Buffer.alloc(60) }
+  ]);
+  assert.equal(readZip(zip, { maxSize: 120 }).length, 2);
+  assert.throws(() => readZip(zip, { maxSize: 100 }), /size limit/);
+});
+
+test('readZip rejects encrypted entries and unknown compression methods', () => {
+  const encrypted = writeStoredZip([{ name: 'a.obj', data: Buffer.from('x') }]);
+  encrypted.writeUInt16LE(0x0801, centralOffset(encrypted) + 8);
+  assert.throws(() => readZip(encrypted), /Encrypted/);
+
+  const bzip2 = writeStoredZip([{ name: 'a.obj', data: Buffer.from('x') }]);
+  bzip2.writeUInt16LE(12, centralOffset(bzip2) + 10);
+  assert.throws(() => readZip(bzip2), /Unsupported compression method 12/);
+});
+
+test('readZip rejects data that is not a zip archive', () => {
+  assert.throws(() => readZip(Buffer.from('definitely not a zip archive')), /Not a zip archive/);
+  assert.throws(() => readZip(Buffer.alloc(0)), ZipFormatError);
+});
+
+test('readZip rejects offsets and sizes that point past the end of the archive', () => {
+  const build = () => writeStoredZip([{ name: 'model.obj', data: Buffer.from('v 0 0 0\n') }]);
+  const cases = {
+    'central directory offset': (zip) => zip.writeUInt32LE(zip.length, zip.length - 22 + 16),
+    'entry count': (zip) => zip.writeUInt16LE(2, zip.length - 22 + 10),
+    'name length': (zip) => zip.writeUInt16LE(0xfff0, centralOffset(zip) + 28),
+    'local header offset': (zip) => zip.writeUInt32LE(zip.length - 10, centralOffset(zip) + 42),
+    'compressed size': (zip) => zip.writeUInt32LE(0xffff, centralOffset(zip) + 20)
+  };
+  Object.entries(cases).forEach(([field, corrupt]) => {
+    const zip = build();
+    corrupt(zip);
+    assert.throws(() => readZip(zip), ZipFormatError, field);
+  });
+});
+
+test('readZip rejects a truncated archive', () => {
+  const zip = writeStoredZip([{ name: 'model.obj', data: Buffer.alloc(100, 7) }]);
+  // Drop the middle of the entry but keep the central directory and end record
+  const truncated = Buffer.concat([zip.subarray(0, 60), zip.subarray(centralOffset(zip))]);
+  assert.throws(() => readZip(truncated), ZipFormatError);
+});
@@ -0,0 +1,334 @@
+/* eslint-disable no-restricted-globals */
+// Offline support (registered by src/utils/offlineCache.js in production builds).
+//
+// - The app shell (index.html and the bundles listed in asset-manifest.json, which include
+//   the <model-viewer> chunk) and the backend's Draco decoder are cached when the worker
+//   installs.
+// - Model files (/models/...) are cached as they are loaded and served from the cache
+//   afterwards; their URLs are pinned to a version and file revision, so a cached copy
+//   never goes stale.
+//   Caching a new version of a file drops the old one.
+// - API responses are fetched from the network and fall back to the last cached copy.
+// - Responses to requests with an API token (private models, editor data) are not cached.
+// - Pages can pin models (see the "pin" message) so they are downloaded in full and never
+//   evicted. Unpinned models are evicted least recently used first once the origin uses
+//   more than MAX_USAGE_SHARE of its storage quota.
+
+const SHELL_CACHE = 'arv-shell-v1';
+const MODEL_CACHE = 'arv-models-v1';
+const API_CACHE = 'arv-api-v1';
+const CACHES = [SHELL_CACHE, MODEL_CACHE, API_CACHE];
+
+const MAX_USAGE_SHARE = 0.6;
+const DRACO_FILES = ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js'];
+
+// The backend may live on another origin in development; the page passes it in the
+// registration URL
+const BACKEND_URL = new URL(self.location).searchParams.get('backend') || self.location.origin;
+
+// Which model a cached file belongs to, and when it was last used, is kept in the model
+// cache under this key: { models: { [id]: { name, pinned, lastUsed, files: { [url]: size } } } }
+const INDEX_KEY = new URL('__offline-index.json', self.registration.scope).href;
+
+const isBackendUrl = (url) => url.origin === BACKEND_URL || url.origin === self.location.origin;
+
+// "/models/Palamu%20Fort.lod3.glb" or "/models/Palamu%20Fort/v2.<revision>/scene.bin" -> "Palamu Fort"
+const modelIdForUrl = (url) => {
+  const match = /^\/models\/([^/]+)(\/v\d+(?:\.[0-9a-z]+)?(?:~[^/]+)?\/.+)?$/.exec(url.pathname);
+  if (!match) return null;
+  const file = decodeURIComponent(match[1]);
+  if (match[2]) return file;
+  return file
+    .replace(/\.(tex|lod)\d+\.glb$/i, '')
+    .replace(/\.poster\d+\.(webp|png)$/i, '')
+    .replace(/\.(usdz|glb)$/i, '')
+    .replace(/-optimized-draco$/i, '');
+};
+
+// The same file in any version: version-pinned URLs differ only in ?v=&rev= or /v<n>.<rev>/
+const fileKey = (href) => {
+  const url = new URL(href);
+  return url.pathname.replace(/^(\/models\/[^/]+)\/v\d+(?:\.[0-9a-z]+)?(?:~[^/]+)?\//, '$1/');
+};
+
+const isPinnedUrl = (url) => url.searchParams.has('v') || /^\/models\/[^/]+\/v\d+(?:\.[0-9a-z]+)?(?:~[^/]+)?\//.test(url.pathname);
+
+// Index updates are serialized so concurrent fetches don't overwrite each other's changes
+let indexQueue = Promise.resolve();
+
+const readIndex = async () => {
+  const cache = await caches.open(MODEL_CACHE);
+  const response = await cache.match(INDEX_KEY);
+  return response ? response.json() : { models: {} };
+};
+
+const updateIndex = (change) => {
+  const run = async () => {
+    const index = await readIndex();
+    const result = await change(index);
+    const cache = await caches.open(MODEL_CACHE);
+    await cache.put(INDEX_KEY, new Response(JSON.stringify(index), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+    return result;
+  };
+  const promise = indexQueue.then(run, run);
+  indexQueue = promise.catch(() => {});
+  return promise;
+};
+
+const notifyClients = async () => {
+  const clients = await self.clients.matchAll();
+  clients.forEach(client => client.postMessage({ type: 'offline-cache-changed' }));
+};
+
+const modelEntry = (index, id) => {
+  if (!index.models[id]) {
+    index.models[id] = { name: null, pinned: false, lastUsed: Date.now(), files: {} };
+  }
+  return index.models[id];
+};
+
+const deleteFiles = async (urls) => {
+  const cache = await caches.open(MODEL_CACHE);
+  await Promise.all(urls.map(url => cache.delete(url, { ignoreVary: true })));
+};
+
+// Evict unpinned models, least recently used first, until the origin is back under its
+// share of the quota
+const evictIfNeeded = () => updateIndex(async (index) => {
+  if (!self.navigator.storage || !self.navigator.storage.estimate) return false;
+  const { usage, quota } = await self.navigator.storage.estimate();
+  let excess = usage - quota * MAX_USAGE_SHARE;
+  if (excess <= 0) return false;
+
+  const candidates = Object.entries(index.models)
+    .filter(([, entry]) => !entry.pinned)
+    .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+  for (const [id, entry] of candidates) {
+    if (excess <= 0) break;
+    await deleteFiles(Object.keys(entry.files));
+    excess -= Object.values(entry.files).reduce((sum, size) => sum + size, 0);
+    delete index.models[id];
+  }
+  return true;
+});
+
+// Store a model file and record it in the index, replacing other versions of it
+const storeModelFile = async (request, response) => {
+  const cache = await caches.open(MODEL_CACHE);
+  const id = modelIdForUrl(new URL(request.url));
+  try {
+    await cache.put(request.url, response);
+  } catch (err) {
+    // Over quota: make room and give up on this file; it is fetched again next time
+    await evictIfNeeded();
+    return;
+  }
+  const cached = await cache.match(request.url);
+  const size = cached ? (await cached.blob()).size : 0;
+  const stale = await updateIndex((index) => {
+    const entry = modelEntry(index, id);
+    const key = fileKey(request.url);
+    const replaced = Object.keys(entry.files).filter(url => url !== request.url && fileKey(url) === key);
+    replaced.forEach(url => delete entry.files[url]);
+    entry.files[request.url] = size;
+    entry.lastUsed = Date.now();
+    return replaced;
+  });
+  await deleteFiles(stale);
+  await evictIfNeeded();
+  await notifyClients();
+};
+
+const touchModel = (id) => updateIndex((index) => {
+  if (index.models[id]) index.models[id].lastUsed = Date.now();
+});
+
+// Cache first for version-pinned model files, network first for anything else under /models
+const handleModelRequest = async (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  const cache = await caches.open(MODEL_CACHE);
+
+  if (isPinnedUrl(url)) {
+    const cached = await cache.match(request.url, { ignoreVary: true });
+    if (cached) {
+      event.waitUntil(touchModel(modelIdForUrl(url)));
+      return cached;
+    }
+  }
+  try {
+    const response = await fetch(request);
+    if (response.status === 200 && (response.type === 'basic' || response.type === 'cors') && modelIdForUrl(url)
+      && !isAuthenticated(request)) {
+      event.waitUntil(storeModelFile(request, response.clone()));
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request.url, { ignoreVary: true });
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+// Requests that carry an API token (a header, ?access_token= or the "~<token>" version
+// segment of a package URL). Their responses can include private models and other
+// editor-only data, and the cache is keyed by URL only, so they are never stored.
+const isAuthenticated = (request) => {
+  const url = new URL(request.url);
+  return request.headers.has('authorization') || url.searchParams.has('access_token')
+    || /^\/models\/[^/]+\/v[^/]*~/.test(url.pathname);
+};
+
+// Network first, falling back to the cache while offline
+const networkFirst = async (event, cacheName) => {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.status === 200 && !isAuthenticated(request)) {
+      event.waitUntil(cache.put(request, response.clone()));
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+const cacheFirst = async (event, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request, { ignoreVary: true });
+  if (cached) return cached;
+  const response = await fetch(event.request);
+  if (response.status === 200 && !isAuthenticated(event.request)) {
+    event.waitUntil(cache.put(event.request, response.clone()));
+  }
+  return response;
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const manifest = await fetch('asset-manifest.json').then(response => response.json());
+    const shellFiles = Object.values(manifest.files || {}).filter(file => !file.endsWith('.map'));
+    await cache.addAll(['./', ...shellFiles]);
+    // The Draco decoder comes from the backend, which may be unreachable (or not send CORS
+    // headers) right now. It is also cached on first use, so the install doesn't depend on it.
+    await cache.addAll(DRACO_FILES.map(file => new Request(`${BACKEND_URL}/draco/${file}`, { mode: 'cors' })))
+      .catch(err => console.warn('Unable to precache the Draco decoder:', err));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('arv-') && !CACHES.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Every route of the single page app gets index.html, fresh when online
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      return cache.match('./');
+    }));
+    return;
+  }
+  if (!isBackendUrl(url)) return;
+
+  // Byte ranges go straight to the network; model-viewer loads whole files
+  if (url.pathname.startsWith('/models/') && !request.headers.has('range')) {
+    event.respondWith(handleModelRequest(event));
+  } else if (url.pathname.startsWith('/api/')) {
+    event.respondWith(networkFirst(event, API_CACHE));
+  } else if (url.pathname.startsWith('/media/')) {
+    event.respondWith(cacheFirst(event, API_CACHE));
+  } else if (url.pathname.startsWith('/static/') || url.pathname.startsWith('/draco/')) {
+    event.respondWith(cacheFirst(event, SHELL_CACHE));
+  }
+});
+
+// Download every URL of a model into the cache; .gltf files bring the buffers and images
+// they reference
+const downloadModel = async (urls) => {
+  const queue = [...urls];
+  while (queue.length > 0) {
+    const url = queue.shift();
+    const cache = await caches.open(MODEL_CACHE);
+    let response = await cache.match(url, { ignoreVary: true });
+    if (!response) {
+      response = await fetch(url, { mode: 'cors' });
+      if (!response.ok) {
+        throw new Error(`Download failed (${response.status}): ${url}`);
+      }
+      await storeModelFile(new Request(url), response.clone());
+    }
+    if (new URL(url).pathname.toLowerCase().endsWith('.gltf')) {
+      const gltf = await response.json();
+      [...(gltf.buffers || []), ...(gltf.images || [])]
+        .filter(resource => resource.uri && !/^[a-z][a-z0-9+.-]*:/i.test(resource.uri))
+        .forEach(resource => queue.push(new URL(resource.uri, url).href));
+    }
+  }
+};
+
+// Messages from the page (src/utils/offlineCache.js); the reply goes to event.ports[0]
+const MESSAGE_HANDLERS = {
+  list: async () => {
+    const index = await readIndex();
+    return Object.entries(index.models).map(([id, entry]) => ({
+      id,
+      name: entry.name,
+      pinned: entry.pinned,
+      lastUsed: entry.lastUsed,
+      files: Object.keys(entry.files).length,
+      size: Object.values(entry.files).reduce((sum, size) => sum + size, 0)
+    }));
+  },
+  pin: async ({ id, name, urls }) => {
+    await updateIndex((index) => {
+      const entry = modelEntry(index, id);
+      entry.pinned = true;
+      entry.name = name || entry.name;
+    });
+    await downloadModel(urls);
+    await notifyClients();
+  },
+  unpin: async ({ id }) => {
+    await updateIndex((index) => {
+      if (index.models[id]) index.models[id].pinned = false;
+    });
+    await evictIfNeeded();
+    await notifyClients();
+  },
+  remove: async ({ id }) => {
+    const files = await updateIndex((index) => {
+      const entry = index.models[id];
+      delete index.models[id];
+      return entry ? Object.keys(entry.files) : [];
+    });
+    await deleteFiles(files);
+    await notifyClients();
+  }
+};
+
+self.addEventListener('message', (event) => {
+  const { type, ...payload } = event.data || {};
+  const handler = MESSAGE_HANDLERS[type];
+  const port = event.ports[0];
+  if (!handler || !port) return;
+  event.waitUntil(handler(payload)
+    .then(result => port.postMessage({ result }))
+    .catch(err => port.postMessage({ error: err.message })));
+});
@@ -1,40 +1,106 @@
-import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useLocation, useMatch, useNavigate } from 'react-router-dom';
 import ModelCard from './components/ModelCard';
+import ModelGrid from './components/ModelGrid';
+import GalleryToolbar from './components/GalleryToolbar';
+import CollectionTabs from './components/CollectionTabs';
+import SessionControls from './components/SessionControls';
+import EditorSignIn from './components/EditorSignIn';
 import InteractiveViewer from './components/InteractiveViewer';
+import DownloadsPanel from './components/DownloadsPanel';
+import useModelEvents from './hooks/useModelEvents';
+import useViewingSession from './hooks/useViewingSession';
+import useEditorAccess from './hooks/useEditorAccess';
+import useOfflineModels from './hooks/useOfflineModels';
+import { resolveBackendUrl } from './utils/backendUrl';
+import { apiGet } from './utils/api';
+import { withAccessToken } from './utils/auth';
+import { modelPath, collectionPath, readViewLink, viewLinkSearch } from './utils/viewLink';
 import anime from 'animejs/lib/anime.es.js';
 import './App.css';
 
+// Number of models requested per page of the infinite-scroll gallery
+const PAGE_SIZE = 12;
+
+const DEFAULT_FILTERS = {
+  q: '',
+  category: '',
+  tag: '',
+  optimizedOnly: false,
+  sort: 'name'
+};
+
+// API paths are relative to the backend; the viewer needs absolute URLs. Private models'
+// files also need the API token.
+const withFullPath = (model) => {
+  const isPrivate = Boolean(model.metadata && model.metadata.private);
+  const fullPath = (assetPath) => {
+    const url = `${resolveBackendUrl()}${assetPath}`;
+    return isPrivate ? withAccessToken(url) : url;
+  };
+  return {
+    ...model,
+    path: fullPath(model.path),
+    usdz: model.usdz && { ...model.usdz, path: fullPath(model.usdz.path) },
+    textureVariants: (model.textureVariants || []).map(variant => ({ ...variant, path: fullPath(variant.path) })),
+    lods: (model.lods || []).map(lod => ({ ...lod, path: fullPath(lod.path) })),
+    posters: (model.posters || []).map(poster => ({ ...poster, path: fullPath(poster.path) }))
+  };
+};
+
 function App() {
+  // Routes: / (gallery), /collections/:id (collection landing page) and /models/:id (viewer,
+  // with the camera and active annotation in the query string, see utils/viewLink)
+  const location = useLocation();
+  const navigate = useNavigate();
+  const modelMatch = useMatch('/models/:id');
+  const collectionMatch = useMatch('/collections/:id');
+  const routeModelId = modelMatch ? modelMatch.params.id : null;
+  const activeCollectionId = collectionMatch ? collectionMatch.params.id : '';
+  const isInteracting = Boolean(routeModelId);
+  // navigate changes with the location; effects and callbacks below use the latest one
+  const navigateRef = useRef(navigate);
+  navigateRef.current = navigate;
+  const locationRef = useRef(location);
+  locationRef.current = location;
+  const routeModelIdRef = useRef(routeModelId);
+  routeModelIdRef.current = routeModelId;
+
   const [models, setModels] = useState([]);
+  // The model shown at /models/:id, once it has been found or fetched
   const [selectedModel, setSelectedModel] = useState(null);
-  const [isInteracting, setIsInteracting] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [facets, setFacets] = useState({ categories: [], tags: [] });
+  const [totalCount, setTotalCount] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isFetchingPage, setIsFetchingPage] = useState(false);
+  const [collections, setCollections] = useState([]);
+  const [activeCollection, setActiveCollection] = useState(null);
+  // The one gallery card showing a live 3D preview; the others show static posters
+  const [liveModelId, setLiveModelId] = useState(null);
+  const editor = useEditorAccess();
+  const offline = useOfflineModels();
+  const [showDownloads, setShowDownloads] = useState(false);
+  const sentinelRef = useRef(null);
+  // Incremented for every request so responses for outdated filters are dropped
+  const requestIdRef = useRef(0);
 
-  useEffect(() => {
-    fetchModels();
-  }, []);
-
-  const fetchModels = async () => {
+  // Fetch the first page for the current filters, or the next page when `cursor` is given
+  const fetchModels = useCallback(async (cursor = null) => {
+    const requestId = ++requestIdRef.current;
     try {
-      setLoading(true);
-      let response;
-      try {
-        // Prefer the proxied endpoint in dev
-        response = await axios.get('/api/models', { headers: { Accept: 'application/json' } });
-      } catch (relErr) {
-        // If the proxied request fails (proxy not active / dev-server not restarted), try the backend directly
-        console.warn('Relative /api/models request failed, attempting direct backend:', relErr);
-        response = await axios.get('http://localhost:5000/api/models', { headers: { Accept: 'application/json' } });
-      }
+      setIsFetchingPage(true);
+      const params = { limit: PAGE_SIZE, sort: filters.sort };
+      if (filters.q.trim()) params.q = filters.q.trim();
+      if (filters.category) params.category = filters.category;
+      if (filters.tag) params.tag = filters.tag;
+      if (filters.optimizedOnly) params.optimized = 'true';
+      if (cursor) params.cursor = cursor;
 
-      // If the server returned HTML (for example index.html) axios may still give us a string.
-      // Detect that and try the backend directly as a fallback.
-      if (typeof response.data === 'string' && response.data.trim().startsWith('<')) {
-        console.warn('Received HTML from /api/models (probably index.html). Falling back to backend absolute URL.');
-        response = await axios.get('http://localhost:5000/api/models', { headers: { Accept: 'application/json' } });
-      }
+      const response = await apiGet('/api/models', params);
+      if (requestId !== requestIdRef.current) return;
 
       // Ensure we have the expected JSON shape (an array of models)
       if (!Array.isArray(response.data)) {
@@ -42,42 +108,196 @@ function App() {
         throw new Error('Unexpected API response shape; expected JSON array of models.');
       }
 
-      // Compute backend URL robustly: prefer explicit env var, else map tunnel hostnames
-      let backendUrl = process.env.REACT_APP_BACKEND_URL;
-      if (!backendUrl) {
-        const protocol = window.location.protocol === 'https:' ? 'https' : 'http';
-        const hostname = window.location.hostname || '';
-        if (hostname.includes('-3000')) {
-          // Dev tunnel mapping: map frontend tunnel host -> backend tunnel host
-          const guessed = hostname.replace(/-3000/g, '-5000');
-          backendUrl = `${protocol}://${guessed}`;
-        } else {
-          // Use current origin which preserves https and port if present
-          backendUrl = window.location.origin;
-        }
-      }
-
-      const modelsWithFullPaths = response.data.map(model => ({
-        ...model,
-        path: `${backendUrl}${model.path}`
-      }));
+      const modelsWithFullPaths = response.data.map(withFullPath);
 
-      setModels(modelsWithFullPaths);
+      const total = parseInt(response.headers['x-total-count'], 10);
+      setTotalCount(Number.isNaN(total) ? null : total);
+      setNextCursor(response.headers['x-next-cursor'] || null);
+      setModels(prev => (cursor ? [...prev, ...modelsWithFullPaths] : modelsWithFullPaths));
       setError(null);
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
       console.error('Error fetching models:', err);
       const protocol = window.location.protocol === 'https:' ? 'https' : 'http';
       const backendHint = process.env.REACT_APP_BACKEND_URL || `${protocol}://${window.location.hostname}${window.location.port ? `:${window.location.port}` : ''}`;
       setError(`Failed to load 3D models. Check that the backend is running (${backendHint}) and restart the React dev server so the proxy (if used) takes effect.`);
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setIsFetchingPage(false);
+      }
     }
-  };
+  }, [filters]);
+
+  // Refetch from the first page whenever the filters change (debounced for typing), and
+  // when signing in or out changes which private models are listed
+  const identityId = editor.identity ? editor.identity.id : null;
+  useEffect(() => {
+    const timer = setTimeout(() => fetchModels(), 300);
+    return () => clearTimeout(timer);
+  }, [fetchModels, identityId]);
+
+  useEffect(() => {
+    apiGet('/api/model-facets')
+      .then(response => {
+        if (response.data && Array.isArray(response.data.categories)) {
+          setFacets(response.data);
+        }
+      })
+      .catch(err => console.warn('Unable to load model facets:', err));
+  }, []);
+
+  useEffect(() => {
+    apiGet('/api/collections')
+      .then(response => {
+        if (Array.isArray(response.data)) setCollections(response.data);
+      })
+      .catch(err => console.warn('Unable to load collections:', err));
+  }, []);
+
+  // Load the selected collection's landing page (models come back in collection order)
+  useEffect(() => {
+    if (!activeCollectionId) {
+      setActiveCollection(null);
+      return undefined;
+    }
+    let cancelled = false;
+    apiGet(`/api/collections/${encodeURIComponent(activeCollectionId)}`)
+      .then(response => {
+        if (cancelled) return;
+        setActiveCollection({
+          ...response.data,
+          models: (response.data.models || []).map(withFullPath)
+        });
+      })
+      .catch(err => {
+        console.warn('Unable to load collection:', err);
+        if (!cancelled) navigateRef.current('/', { replace: true });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [activeCollectionId, identityId]);
+
+  // Infinite scroll: load the next page when the sentinel below the grid becomes visible
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || isFetchingPage || isInteracting || activeCollectionId) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        fetchModels(nextCursor);
+      }
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, isFetchingPage, isInteracting, activeCollectionId, fetchModels]);
+
+  // Patch the loaded models in place as the backend reports changes to the models directory.
+  // New models are only inserted into the unfiltered gallery, since the server decides what matches a filter.
+  const modelsRef = useRef(models);
+  modelsRef.current = models;
+  const filtersRef = useRef(filters);
+  filtersRef.current = filters;
+
+  useModelEvents(useCallback((event) => {
+    const model = withFullPath(event.model);
+    const isLoaded = modelsRef.current.some(m => m.id === model.id);
+
+    if (event.type === 'model-removed') {
+      if (!isLoaded) return;
+      setModels(prev => prev.filter(m => m.id !== model.id));
+      setTotalCount(count => (count === null ? count : Math.max(0, count - 1)));
+    } else if (event.type === 'model-updated') {
+      setModels(prev => prev.map(m => (m.id === model.id ? model : m)));
+      setSelectedModel(prev => (prev && prev.id === model.id ? model : prev));
+    } else if (event.type === 'model-added') {
+      const current = filtersRef.current;
+      const isFiltered = Boolean(current.q.trim() || current.category || current.tag || current.optimizedOnly);
+      if (isLoaded || isFiltered) return;
+      setModels(prev => [...prev, model]);
+      setTotalCount(count => (count === null ? count : count + 1));
+    }
+  }, []));
+
+  // Shared viewing sessions: the presenter's model selection drives every follower
+  const viewingSession = useViewingSession();
+  const { session, view: sessionView, publishView } = viewingSession;
+  const sessionRole = session ? session.role : null;
+  const sessionCode = session ? session.code : null;
+  const selectedModelRef = useRef(selectedModel);
+  selectedModelRef.current = selectedModel;
+  const activeCollectionRef = useRef(activeCollection);
+  activeCollectionRef.current = activeCollection;
+
+  useEffect(() => {
+    if (sessionRole !== 'presenter') return;
+    publishView({ modelId: selectedModel ? selectedModel.id : null });
+  }, [sessionRole, sessionCode, selectedModel, publishView]);
+
+  // Followers open whatever the presenter opened; `undefined` means nothing was shared yet
+  const followedModelId = sessionRole === 'follower' && sessionView ? sessionView.modelId : undefined;
+
+  useEffect(() => {
+    if (followedModelId === undefined) return;
+    if (followedModelId === null) {
+      if (routeModelIdRef.current) navigateRef.current('/');
+      return;
+    }
+    if (routeModelIdRef.current !== followedModelId) {
+      navigateRef.current(modelPath(followedModelId));
+    }
+  }, [followedModelId]);
+
+  // Find the model for /models/:id among the loaded ones, or fetch it (links and history)
+  useEffect(() => {
+    if (!routeModelId) {
+      setSelectedModel(null);
+      return undefined;
+    }
+    const current = selectedModelRef.current;
+    if (current && current.id === routeModelId) return undefined;
+    const loaded = [...modelsRef.current, ...(activeCollectionRef.current ? activeCollectionRef.current.models : [])]
+      .find(m => m.id === routeModelId);
+    if (loaded) {
+      setSelectedModel(loaded);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setSelectedModel(null);
+    apiGet(`/api/models/${encodeURIComponent(routeModelId)}`)
+      .then(response => {
+        if (!cancelled) setSelectedModel(withFullPath(response.data));
+      })
+      .catch(err => {
+        console.warn('Unable to load model:', err);
+        if (!cancelled) navigateRef.current('/', { replace: true });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [routeModelId]);
+
+  const hasActiveFilters = Boolean(filters.q.trim() || filters.category || filters.tag || filters.optimizedOnly);
+
+  const handleLiveChange = useCallback((modelId, isLive) => {
+    setLiveModelId(current => (isLive ? modelId : (current === modelId ? null : current)));
+  }, []);
+
+  // Keep the viewer's camera and annotation in the address bar without adding history entries
+  const handleViewLinkChange = useCallback((changes) => {
+    const { pathname, search } = locationRef.current;
+    navigateRef.current(
+      { pathname, search: viewLinkSearch({ ...readViewLink(search), ...changes }) },
+      { replace: true }
+    );
+  }, []);
 
   const handleInteract = (model) => {
+    setLiveModelId(null);
     setSelectedModel(model);
-    setIsInteracting(true);
-    
+    navigate(modelPath(model.id));
+
     // Animate transition
     anime({
       targets: '.model-grid',
@@ -99,9 +319,13 @@ function App() {
       duration: 500,
       easing: 'easeInOutQuad',
       complete: () => {
-        setIsInteracting(false);
-        setSelectedModel(null);
-        
+        // Return to the page the viewer was opened from, or to the gallery for a shared link
+        if (window.history.state && window.history.state.idx > 0) {
+          navigate(-1);
+        } else {
+          navigate('/');
+        }
+
         // Animate grid back in
         anime({
           targets: '.model-grid',
@@ -115,7 +339,8 @@ function App() {
     });
   };
 
-  if (loading) {
+  // A linked model opens without waiting for the gallery
+  if (loading && !isInteracting) {
     return (
       <div className="loading-container">
         <div className="loading-spinner"></div>
@@ -124,47 +349,139 @@ function App() {
     );
   }
 
-  if (error) {
+  if (error && !isInteracting) {
     return (
       <div className="error-container">
         <h2>Error Loading Models</h2>
         <p>{error}</p>
-        <button onClick={fetchModels} className="retry-btn">
+        <button onClick={() => { setLoading(true); fetchModels(); }} className="retry-btn">
           Retry
         </button>
       </div>
     );
   }
 
+  const renderCard = (model, index, { animate }) => (
+    <ModelCard
+      model={model}
+      onInteract={handleInteract}
+      animationDelay={(index % PAGE_SIZE) * 100}
+      animate={animate}
+      isLive={model.id === liveModelId}
+      onLiveChange={handleLiveChange}
+    />
+  );
+
+  const renderCollection = () => (
+    <>
+      {activeCollection && (
+        <section className="collection-landing">
+          <h2>{activeCollection.title}</h2>
+          {activeCollection.description && <p>{activeCollection.description}</p>}
+          <span className="collection-count">
+            {activeCollection.modelCount} {activeCollection.modelCount === 1 ? 'model' : 'models'}
+          </span>
+        </section>
+      )}
+      <ModelGrid models={activeCollection ? activeCollection.models : []} renderCard={renderCard} />
+    </>
+  );
+
+  const renderGallery = () => (
+    <>
+      <GalleryToolbar
+        filters={filters}
+        facets={facets}
+        total={totalCount}
+        onChange={setFilters}
+      />
+      {models.length === 0 ? (
+        <div className="model-grid">
+          <div className="no-models">
+            {!hasActiveFilters ? (
+              <>
+                <h3>No GLB files found</h3>
+                <p>Add .glb files to the backend/models directory</p>
+              </>
+            ) : (
+              <>
+                <h3>No matching models</h3>
+                <p>Try a different search or clear the filters</p>
+              </>
+            )}
+          </div>
+        </div>
+      ) : (
+        <ModelGrid models={models} renderCard={renderCard} />
+      )}
+      <div ref={sentinelRef} className="gallery-sentinel">
+        {isFetchingPage && models.length > 0 && <div className="loading-spinner"></div>}
+      </div>
+    </>
+  );
+
   return (
     <div className="App">
       <header className="app-header">
         <h1>AR Visualizer</h1>
         <p>WebXR • WebGL • 3D Scene</p>
+        <SessionControls
+          session={session}
+          error={viewingSession.error}
+          onStart={viewingSession.startSession}
+          onJoin={viewingSession.joinSession}
+          onLeave={viewingSession.leaveSession}
+          onHandOff={viewingSession.handOff}
+        />
+        <EditorSignIn
+          identity={editor.identity}
+          error={editor.error}
+          onSignIn={editor.signIn}
+          onSignOut={editor.signOut}
+        />
+        <div className="downloads-toggle">
+          <button type="button" className="session-btn" onClick={() => setShowDownloads(!showDownloads)}>
+            Downloads{offline.cachedModels.length > 0 && ` (${offline.cachedModels.length})`}
+          </button>
+        </div>
       </header>
 
+      {showDownloads && (
+        <DownloadsPanel
+          offline={offline}
+          models={[...models, ...(activeCollection ? activeCollection.models : [])]}
+          onClose={() => setShowDownloads(false)}
+        />
+      )}
+
       {!isInteracting ? (
-        <div className="model-grid">
-          {models.length === 0 ? (
-            <div className="no-models">
-              <h3>No GLB files found</h3>
-              <p>Add .glb files to the backend/models directory</p>
-            </div>
-          ) : (
-            models.map((model, index) => (
-              <ModelCard
-                key={model.id}
-                model={model}
-                onInteract={handleInteract}
-                animationDelay={index * 100}
-              />
-            ))
-          )}
+        <>
+          <CollectionTabs
+            collections={collections}
+            activeId={activeCollectionId}
+            onSelect={(id) => navigate(collectionPath(id))}
+          />
+          {activeCollectionId ? renderCollection() : renderGallery()}
+        </>
+      ) : !selectedModel ? (
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Loading 3D Model...</p>
         </div>
       ) : (
         <InteractiveViewer
+          // Remount per model so the linked view and annotation apply to the model they belong to
+          key={selectedModel.id}
           model={selectedModel}
+          initialView={readViewLink(location.search)}
+          onViewLinkChange={handleViewLinkChange}
           onBack={handleBackToGrid}
+          canEdit={editor.canEdit}
+          identity={editor.identity}
+          sessionRole={sessionRole}
+          sessionView={sessionView}
+          onViewChange={publishView}
+          offline={offline}
         />
       )}
     </div>
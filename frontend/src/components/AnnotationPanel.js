@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from 'react';
+import { renderRichText } from '../utils/richText';
+import { resolveBackendUrl } from '../utils/backendUrl';
+
+const AnnotationForm = ({ annotation, onSave, onCancel, isSaving }) => {
+  const [title, setTitle] = useState(annotation ? annotation.title : '');
+  const [body, setBody] = useState(annotation ? annotation.body : '');
+  const [imageFile, setImageFile] = useState(null);
+  const [removeImage, setRemoveImage] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (title.trim()) onSave({ title, body, imageFile, removeImage });
+  };
+
+  return (
+    <form className="annotation-form" onSubmit={handleSubmit}>
+      <input
+        className="annotation-input"
+        placeholder="Title"
+        value={title}
+        maxLength={200}
+        onChange={(e) => setTitle(e.target.value)}
+        autoFocus
+      />
+      <textarea
+        className="annotation-input"
+        placeholder="Description"
+        rows={6}
+        value={body}
+        maxLength={10000}
+        onChange={(e) => setBody(e.target.value)}
+      />
+      <p className="annotation-hint">Supports **bold**, *italic*, [links](https://…) and "- " lists</p>
+      <label className="annotation-file">
+        Image
+        <input
+          type="file"
+          accept="image/png,image/jpeg,image/webp"
+          onChange={(e) => setImageFile(e.target.files[0] || null)}
+        />
+      </label>
+      {annotation && annotation.image && !imageFile && (
+        <label className="toolbar-toggle">
+          <input type="checkbox" checked={removeImage} onChange={(e) => setRemoveImage(e.target.checked)} />
+          Remove current image
+        </label>
+      )}
+      <div className="annotation-actions">
+        <button type="submit" className="session-btn" disabled={!title.trim() || isSaving}>
+          {isSaving ? 'Saving…' : 'Save'}
+        </button>
+        <button type="button" className="session-btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+};
+
+// Side panel for the selected hotspot. `annotation` is null while a new one is
+// being placed (the form is shown instead).
+const AnnotationPanel = ({
+  annotation,
+  canEdit,
+  isMoving,
+  error,
+  onSave,
+  onDelete,
+  onStartMove,
+  onClose
+}) => {
+  const isNew = !annotation;
+  const annotationId = annotation ? annotation.id : null;
+  const [isEditing, setIsEditing] = useState(isNew);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Switching to another hotspot leaves edit mode
+  useEffect(() => {
+    setIsEditing(isNew);
+  }, [annotationId, isNew]);
+
+  const handleSave = async (values) => {
+    setIsSaving(true);
+    try {
+      if (await onSave(values)) setIsEditing(false);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <aside className="annotation-panel">
+      <button className="annotation-close" onClick={onClose} aria-label="Close annotation">×</button>
+      {isEditing ? (
+        <>
+          <h3>{annotation ? 'Edit annotation' : 'New annotation'}</h3>
+          <AnnotationForm
+            annotation={annotation}
+            onSave={handleSave}
+            onCancel={annotation ? () => setIsEditing(false) : onClose}
+            isSaving={isSaving}
+          />
+        </>
+      ) : (
+        <>
+          <h3>{annotation.title}</h3>
+          {annotation.image && (
+            <img
+              className="annotation-image"
+              src={`${resolveBackendUrl()}${annotation.image.url}`}
+              width={annotation.image.width}
+              height={annotation.image.height}
+              alt={annotation.title}
+            />
+          )}
+          <div className="annotation-body">{renderRichText(annotation.body)}</div>
+          {canEdit && (
+            <div className="annotation-actions">
+              <button className="session-btn" onClick={() => setIsEditing(true)}>Edit</button>
+              <button className="session-btn" onClick={onStartMove} disabled={isMoving}>
+                {isMoving ? 'Click the model…' : 'Move'}
+              </button>
+              <button className="session-btn danger" onClick={onDelete}>Delete</button>
+            </div>
+          )}
+        </>
+      )}
+      {error && <p className="session-error">{error}</p>}
+    </aside>
+  );
+};
+
+export default AnnotationPanel;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+// Tabs above the gallery: "All models" plus one tab per curated collection
+const CollectionTabs = ({ collections, activeId, onSelect }) => {
+  if (collections.length === 0) return null;
+
+  return (
+    <nav className="collection-tabs" aria-label="Collections">
+      <button
+        className={`collection-tab${!activeId ? ' active' : ''}`}
+        onClick={() => onSelect('')}
+      >
+        All models
+      </button>
+      {collections.map(collection => (
+        <button
+          key={collection.id}
+          className={`collection-tab${activeId === collection.id ? ' active' : ''}`}
+          onClick={() => onSelect(collection.id)}
+          title={collection.description || collection.title}
+        >
+          {collection.title}
+          <span className="collection-count">{collection.modelCount}</span>
+        </button>
+      ))}
+    </nav>
+  );
+};
+
+export default CollectionTabs;
@@ -0,0 +1,84 @@
+import React from 'react';
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 MB';
+  const mb = bytes / (1024 * 1024);
+  return mb >= 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${mb.toFixed(1)} MB`;
+};
+
+// Models kept for offline use (see hooks/useOfflineModels): pinned models stay until they
+// are unpinned or removed; the others are evicted when storage runs low
+const DownloadsPanel = ({ offline, models, onClose }) => {
+  const { supported, cachedModels, estimate, busyIds, error, pin, unpin, remove } = offline;
+  const titleOf = (entry) => {
+    const model = models.find(m => m.id === entry.id);
+    return (model && model.metadata && model.metadata.title) || entry.name || entry.id;
+  };
+
+  return (
+    <aside className="downloads-panel" aria-label="Downloads">
+      <button type="button" className="annotation-close" onClick={onClose} aria-label="Close">×</button>
+      <h3>Downloads</h3>
+      {!supported ? (
+        <p className="downloads-empty">
+          Offline downloads are not available yet. They need a browser with service workers and start
+          once the app has finished installing.
+        </p>
+      ) : (
+        <>
+          {estimate && (
+            <div className="downloads-usage">
+              <div className="downloads-usage-bar">
+                <span style={{ width: `${Math.min(100, (estimate.usage / estimate.quota) * 100)}%` }} />
+              </div>
+              {formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} used
+            </div>
+          )}
+          {error && <p className="session-error">{error}</p>}
+          {cachedModels.length === 0 ? (
+            <p className="downloads-empty">
+              Models you open are kept here for offline use. Use “Save offline” in the viewer to pin one.
+            </p>
+          ) : (
+            <ul className="downloads-list">
+              {cachedModels.map(entry => {
+                const model = models.find(m => m.id === entry.id);
+                const isBusy = busyIds.includes(entry.id);
+                return (
+                  <li key={entry.id} className="downloads-item">
+                    <div className="downloads-info">
+                      <span className="downloads-title">{titleOf(entry)}</span>
+                      <span className="downloads-meta">
+                        {formatBytes(entry.size)} • {entry.pinned ? 'Pinned' : 'Cached'}
+                      </span>
+                    </div>
+                    {entry.pinned ? (
+                      <button type="button" className="session-btn" disabled={isBusy} onClick={() => unpin(entry.id)}>
+                        Unpin
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        className="session-btn"
+                        disabled={isBusy || !model}
+                        onClick={() => pin(model)}
+                        title={model ? 'Keep this model offline' : 'Not in the current listing'}
+                      >
+                        Pin
+                      </button>
+                    )}
+                    <button type="button" className="session-btn" disabled={isBusy} onClick={() => remove(entry.id)}>
+                      Remove
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default DownloadsPanel;
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+
+// Paste an API token to unlock the editing tools; shows who is signed in
+const EditorSignIn = ({ identity, error, onSignIn, onSignOut }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [token, setToken] = useState('');
+
+  if (identity) {
+    return (
+      <div className="editor-signin">
+        <span className="editor-identity">{identity.name} ({identity.role})</span>
+        <button type="button" className="session-btn" onClick={onSignOut}>Sign out</button>
+      </div>
+    );
+  }
+
+  if (!isOpen) {
+    return (
+      <div className="editor-signin">
+        <button type="button" className="session-btn" onClick={() => setIsOpen(true)}>
+          Editor sign-in
+        </button>
+      </div>
+    );
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!token.trim()) return;
+    await onSignIn(token);
+    setToken('');
+  };
+
+  return (
+    <form className="editor-signin" onSubmit={handleSubmit}>
+      <input
+        type="password"
+        className="session-code-input editor-token-input"
+        placeholder="API token"
+        value={token}
+        onChange={(e) => setToken(e.target.value)}
+        aria-label="API token"
+        autoComplete="off"
+      />
+      <button type="submit" className="session-btn" disabled={!token.trim()}>Sign in</button>
+      <button type="button" className="session-btn" onClick={() => setIsOpen(false)}>Cancel</button>
+      {error && <span className="session-error">{error}</span>}
+    </form>
+  );
+};
+
+export default EditorSignIn;
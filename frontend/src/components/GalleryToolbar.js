@@ -0,0 +1,82 @@
+import React from 'react';
+
+const SORT_OPTIONS = [
+  { value: 'name', label: 'Name (A–Z)' },
+  { value: '-name', label: 'Name (Z–A)' },
+  { value: '-date', label: 'Newest first' },
+  { value: 'date', label: 'Oldest first' },
+  { value: 'size', label: 'Smallest first' },
+  { value: '-size', label: 'Largest first' }
+];
+
+// Search / filter / sort controls for the gallery. Fully controlled by App.
+const GalleryToolbar = ({ filters, facets, total, onChange }) => {
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  return (
+    <div className="gallery-toolbar">
+      <input
+        type="search"
+        className="toolbar-search"
+        placeholder="Search models, places, tags..."
+        value={filters.q}
+        onChange={(e) => update({ q: e.target.value })}
+        aria-label="Search models"
+      />
+
+      <select
+        className="toolbar-select"
+        value={filters.category}
+        onChange={(e) => update({ category: e.target.value })}
+        aria-label="Filter by category"
+      >
+        <option value="">All categories</option>
+        {facets.categories.map(category => (
+          <option key={category.name} value={category.name}>
+            {category.name} ({category.count})
+          </option>
+        ))}
+      </select>
+
+      <select
+        className="toolbar-select"
+        value={filters.tag}
+        onChange={(e) => update({ tag: e.target.value })}
+        aria-label="Filter by tag"
+      >
+        <option value="">All tags</option>
+        {facets.tags.map(tag => (
+          <option key={tag.name} value={tag.name}>
+            {tag.name} ({tag.count})
+          </option>
+        ))}
+      </select>
+
+      <select
+        className="toolbar-select"
+        value={filters.sort}
+        onChange={(e) => update({ sort: e.target.value })}
+        aria-label="Sort models"
+      >
+        {SORT_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      <label className="toolbar-toggle">
+        <input
+          type="checkbox"
+          checked={filters.optimizedOnly}
+          onChange={(e) => update({ optimizedOnly: e.target.checked })}
+        />
+        Optimized only
+      </label>
+
+      {total !== null && (
+        <span className="toolbar-count">{total} {total === 1 ? 'model' : 'models'}</span>
+      )}
+    </div>
+  );
+};
+
+export default GalleryToolbar;
@@ -1,7 +1,52 @@
 import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import anime from 'animejs/lib/anime.es.js';
+import AnnotationPanel from './AnnotationPanel';
+import TourPanel from './TourPanel';
+import TourPlayer from './TourPlayer';
+import SnapshotPanel from './SnapshotPanel';
+import MeasurementPanel from './MeasurementPanel';
+import MeasurementOverlay from './MeasurementOverlay';
+import useAnnotations from '../hooks/useAnnotations';
+import useTours from '../hooks/useTours';
+import useMeasurements from '../hooks/useMeasurements';
+import { apiErrorMessage } from '../utils/api';
+import { readCamera, applyCamera } from '../utils/camera';
+import { viewLinkSearch } from '../utils/viewLink';
+import { distance, formatLength, boundingBoxEdges } from '../utils/measure';
+import { loadModelViewer } from '../utils/modelViewer';
+import { renderPoster, renderSnapshot } from '../utils/posterCapture';
+import { fetchFraming } from '../utils/framing';
+import { pickPoster, uploadPoster, claimFirstPoster } from '../utils/posters';
+import {
+  TEXTURE_QUALITY_AUTO,
+  TEXTURE_QUALITY_FULL,
+  readTextureQuality,
+  storeTextureQuality,
+  pickModelSource
+} from '../utils/textureQuality';
 
-const InteractiveViewer = ({ model, onBack }) => {
+// Size of the canonical poster rendered for upload once the full model has loaded
+const CANONICAL_POSTER_SIZE = { width: 1024, height: 640 };
+
+// How long the camera has to rest before the address bar is updated with it
+const LINK_UPDATE_DELAY = 500;
+
+// model-viewer's Vector3D -> plain { x, y, z } for the API
+const toVector = (v) => ({ x: v.x, y: v.y, z: v.z });
+const toAttribute = (v) => `${v.x} ${v.y} ${v.z}`;
+
+const InteractiveViewer = ({
+  model,
+  onBack,
+  canEdit = false,
+  identity = null,
+  sessionRole = null,
+  sessionView = null,
+  onViewChange,
+  offline = null,
+  initialView = {},
+  onViewLinkChange
+}) => {
   const viewerRef = useRef(null);
   const containerRef = useRef(null);
   const pinchRef = useRef({ active: false, initialDistance: 0, initialRadius: 0 });
@@ -11,6 +56,109 @@ const InteractiveViewer = ({ model, onBack }) => {
   const [isMobile, setIsMobile] = useState(false);
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [isModelReady, setIsModelReady] = useState(false);
+  const metadata = model.metadata || {};
+  const credits = [metadata.creator, metadata.attribution].filter(Boolean);
+  const isPresenting = sessionRole === 'presenter';
+  const isFollowing = sessionRole === 'follower';
+
+  // The camera and annotation from the link the viewer was opened with (see utils/viewLink).
+  // A linked camera replaces the default orbit and stops the turntable rotation.
+  const [linkedView] = useState(initialView);
+  const hasLinkedCamera = Boolean(linkedView.cameraOrbit || linkedView.cameraTarget || linkedView.fieldOfView);
+
+  // Annotations: `placement` is 'add' or 'move' while waiting for a click on the model;
+  // `draft` holds the surface point of a new annotation until it is saved
+  const { annotations, create, update, remove, setImage } = useAnnotations(model.id);
+  const [activeAnnotationId, setActiveAnnotationId] = useState(linkedView.annotationId || null);
+  const [placement, setPlacement] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [annotationError, setAnnotationError] = useState(null);
+  const activeAnnotation = annotations.find(a => a.id === activeAnnotationId) || null;
+
+  // Texture quality: which of the model's texture variants is loaded. Switching keeps the
+  // camera where it is once the new file has loaded.
+  const [textureQuality, setTextureQuality] = useState(readTextureQuality);
+  const pendingCameraRef = useRef(null);
+  const textureVariants = model.textureVariants || [];
+  const source = useMemo(
+    () => pickModelSource(model, textureQuality, Math.max(window.innerWidth, window.innerHeight)),
+    [model, textureQuality]
+  );
+
+  // Progressive loading: show the coarsest LOD right away and switch to `source` once it
+  // has downloaded (into the HTTP cache, so model-viewer's own request is served from there).
+  // `shown` is the detailed file on screen, so a later source change keeps it until the
+  // next one has downloaded.
+  const lowestLod = model.lods && model.lods[model.lods.length - 1];
+  const lowestLodPath = lowestLod ? lowestLod.path : null;
+  const [shown, setShown] = useState(null);
+  const viewerSrc = shown && shown.modelId === model.id ? shown.path : (lowestLodPath || source.path);
+  const isUpgrading = viewerSrc !== source.path;
+
+  // Posters: the stored one shows while the model loads; the first client to load the full
+  // model renders and uploads one, and editors can replace it with the current view
+  const posterPath = pickPoster(model.posters, Math.max(window.innerWidth, window.innerHeight));
+  const [isSavingPoster, setIsSavingPoster] = useState(false);
+  // Brief confirmation or error shown over the model (poster saved, link copied)
+  const [viewerMessage, setViewerMessage] = useState(null);
+
+  // Offline: pinned models are downloaded in full and kept by the service worker
+  const cachedEntry = offline && offline.cachedModels.find(entry => entry.id === model.id);
+  const isPinned = Boolean(cachedEntry && cachedEntry.pinned);
+  const isPinning = Boolean(offline && offline.busyIds.includes(model.id));
+
+  // Guided tours
+  const { tours, saveTour, deleteTour, setNarration } = useTours(model.id);
+  const [showTours, setShowTours] = useState(false);
+  const [playingTour, setPlayingTour] = useState(null);
+
+  // Snapshots are rendered from the full-detail file by a separate element, so they can be
+  // larger than the viewer
+  const [showSnapshots, setShowSnapshots] = useState(false);
+
+  // Measuring: two clicks on the model make a draft line, which editors can save with the
+  // model. The dimensions overlay shows the bounding box's width, height and depth.
+  const measure = useMeasurements(model.id);
+  const [measuring, setMeasuring] = useState(false);
+  const [pendingPoint, setPendingPoint] = useState(null);
+  const [measureUnit, setMeasureUnit] = useState(null);
+  const [showDimensions, setShowDimensions] = useState(false);
+  const [boxEdges, setBoxEdges] = useState([]);
+  const displayUnit = measureUnit || measure.scale.unit;
+
+  // Read the bounding box from the viewer's load event: when the model (or a more detailed
+  // copy of it) has loaded, so the overlay can be switched on before the model is ready
+  useEffect(() => {
+    const mv = viewerRef.current;
+    if (!showDimensions || !mv) return undefined;
+    const readBox = () => setBoxEdges(boundingBoxEdges(mv.getBoundingBoxCenter(), mv.getDimensions()));
+    if (mv.loaded) readBox();
+    mv.addEventListener('load', readBox);
+    return () => mv.removeEventListener('load', readBox);
+  }, [showDimensions]);
+
+  // Lines for the overlay: the bounding box, then (in measure mode) saved measurements and drafts
+  const measureSegments = useMemo(() => {
+    const segments = showDimensions
+      ? boxEdges.map(edge => ({
+        key: `box-${edge.axis}`,
+        from: edge.from,
+        to: edge.to,
+        text: formatLength(edge.length, measure.scale, displayUnit),
+        variant: 'dimension'
+      }))
+      : [];
+    if (!measuring) return segments;
+    const lines = [
+      ...measure.measurements.map(m => ({ ...m, variant: 'saved' })),
+      ...measure.drafts.map(d => ({ ...d, variant: 'draft' }))
+    ].map(line => {
+      const [from, to] = line.points;
+      const length = formatLength(distance(from, to), measure.scale, displayUnit);
+      return { key: line.id, from, to, text: line.label ? `${line.label}: ${length}` : length, variant: line.variant };
+    });
+    return [...segments, ...lines];
+  }, [showDimensions, boxEdges, measuring, measure.measurements, measure.drafts, measure.scale, displayUnit]);
 
   // Detect mobile device
   const detectMobile = useCallback(() => {
@@ -71,12 +219,7 @@ const InteractiveViewer = ({ model, onBack }) => {
     checkWebXRSupport();
 
     // Load model-viewer script if not already loaded
-    if (!window.customElements.get('model-viewer')) {
-      const script = document.createElement('script');
-      script.type = 'module';
-      script.src = 'https://unpkg.com/@google/model-viewer/dist/model-viewer.min.js';
-      document.head.appendChild(script);
-    }
+    loadModelViewer();
 
     // Add keyboard controls
     const handleKeyPress = (event) => {
@@ -169,23 +312,20 @@ const InteractiveViewer = ({ model, onBack }) => {
     });
   };
 
-  const formatModelId = (id) => {
-    return id
-      .replace(/_/g, ' ')
-      .replace(/texture/gi, '')
-      .replace(/\d+/g, '')
-      .trim()
-      .split(' ')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-      .join(' ');
-  };
-
-  // Handle model load progress
-  const handleModelLoad = useCallback((event) => {
-    setLoadingProgress(event.detail.progress * 100);
-    if (event.detail.progress === 1) {
-      setIsModelReady(true);
-    }
+  // Track load progress. React doesn't attach function props to custom elements, so these
+  // are registered by hand (as in ModelCard).
+  useEffect(() => {
+    const mv = viewerRef.current;
+    if (!mv) return undefined;
+    const handleProgress = (event) => setLoadingProgress(event.detail.totalProgress * 100);
+    const handleLoad = () => setIsModelReady(true);
+    if (mv.loaded) handleLoad();
+    mv.addEventListener('progress', handleProgress);
+    mv.addEventListener('load', handleLoad);
+    return () => {
+      mv.removeEventListener('progress', handleProgress);
+      mv.removeEventListener('load', handleLoad);
+    };
   }, []);
 
   // Helper to parse cameraOrbit string (same format as ModelCard)
@@ -219,6 +359,294 @@ const InteractiveViewer = ({ model, onBack }) => {
 
 
 
+  // Presenter: stream camera changes to the session
+  useEffect(() => {
+    const mv = viewerRef.current;
+    if (!mv || !isPresenting || !onViewChange) return undefined;
+    const publishCamera = () => {
+      if (!mv.getCameraOrbit) return;
+      onViewChange({ modelId: model.id, ...readCamera(mv) });
+    };
+    publishCamera();
+    mv.addEventListener('camera-change', publishCamera);
+    mv.addEventListener('load', publishCamera);
+    return () => {
+      mv.removeEventListener('camera-change', publishCamera);
+      mv.removeEventListener('load', publishCamera);
+    };
+  }, [isPresenting, onViewChange, model.id]);
+
+  // Follower: move towards the presenter's camera. model-viewer eases between
+  // goals (see interpolation-decay); after a (re)load we jump straight there.
+  const followedView = isFollowing && sessionView && sessionView.modelId === model.id ? sessionView : null;
+
+  useEffect(() => {
+    const mv = viewerRef.current;
+    if (!mv || !followedView) return undefined;
+    const handleLoad = () => applyCamera(mv, followedView, { jump: true });
+    applyCamera(mv, followedView);
+    mv.addEventListener('load', handleLoad);
+    return () => mv.removeEventListener('load', handleLoad);
+  }, [followedView]);
+
+  // Keep the address bar on the current view, so reloading or sharing it reopens it. Only
+  // the user's own camera moves count, not the turntable or a presenter's.
+  useEffect(() => {
+    const mv = viewerRef.current;
+    if (!mv || !onViewLinkChange) return undefined;
+    let timer = null;
+    const handleCameraChange = (event) => {
+      if (event.detail.source !== 'user-interaction') return;
+      clearTimeout(timer);
+      timer = setTimeout(() => onViewLinkChange(readCamera(mv)), LINK_UPDATE_DELAY);
+    };
+    mv.addEventListener('camera-change', handleCameraChange);
+    return () => {
+      clearTimeout(timer);
+      mv.removeEventListener('camera-change', handleCameraChange);
+    };
+  }, [onViewLinkChange]);
+
+  useEffect(() => {
+    if (onViewLinkChange) onViewLinkChange({ annotationId: activeAnnotationId });
+  }, [onViewLinkChange, activeAnnotationId]);
+
+  useEffect(() => {
+    const mv = viewerRef.current;
+    if (!mv) return undefined;
+    const restoreCamera = () => {
+      if (!pendingCameraRef.current) return;
+      applyCamera(mv, pendingCameraRef.current, { jump: true });
+      pendingCameraRef.current = null;
+    };
+    mv.addEventListener('load', restoreCamera);
+    return () => mv.removeEventListener('load', restoreCamera);
+  }, []);
+
+  useEffect(() => {
+    const showSource = () => {
+      const mv = viewerRef.current;
+      if (mv && mv.loaded) pendingCameraRef.current = readCamera(mv);
+      setShown({ modelId: model.id, path: source.path });
+    };
+    if (!lowestLodPath) {
+      setShown({ modelId: model.id, path: source.path });
+      return undefined;
+    }
+    const controller = new AbortController();
+    fetch(source.path, { signal: controller.signal })
+      .then(response => response.arrayBuffer())
+      .then(showSource)
+      .catch(err => {
+        // Let model-viewer report the error if the file really can't be loaded
+        if (err.name !== 'AbortError') showSource();
+      });
+    return () => controller.abort();
+  }, [model.id, source.path, lowestLodPath]);
+
+  // Capture the first poster once the viewer has loaded the full model (not a coarse LOD)
+  useEffect(() => {
+    const mv = viewerRef.current;
+    if (!mv || isUpgrading) return undefined;
+    const capturePoster = () => {
+      if (!claimFirstPoster(model)) return;
+      fetchFraming(model.id, model.path)
+        .then(camera => renderPoster(source.path, { ...CANONICAL_POSTER_SIZE, camera: camera || undefined }))
+        .then(blob => uploadPoster(model.id, blob))
+        .catch(err => console.warn('Unable to store a poster for this model:', err));
+    };
+    mv.addEventListener('load', capturePoster);
+    return () => mv.removeEventListener('load', capturePoster);
+  }, [model, source.path, isUpgrading]);
+
+  useEffect(() => {
+    if (!viewerMessage) return undefined;
+    const timer = setTimeout(() => setViewerMessage(null), 3000);
+    return () => clearTimeout(timer);
+  }, [viewerMessage]);
+
+  // Editors: make the current view the model's poster
+  const saveViewAsPoster = async () => {
+    const mv = viewerRef.current;
+    if (!mv || !mv.loaded) return;
+    setIsSavingPoster(true);
+    try {
+      const blob = await mv.toBlob({ mimeType: 'image/webp', qualityArgument: 0.9 });
+      await uploadPoster(model.id, blob);
+      setViewerMessage('Poster saved');
+    } catch (err) {
+      setViewerMessage(apiErrorMessage(err, 'Unable to save the poster'));
+    } finally {
+      setIsSavingPoster(false);
+    }
+  };
+
+  // Copy a link that reopens this model with the current camera and annotation
+  const copyViewLink = async () => {
+    const camera = getCamera() || {};
+    const url = `${window.location.origin}${window.location.pathname}${viewLinkSearch({ ...camera, annotationId: activeAnnotationId })}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setViewerMessage('Link copied');
+    } catch (err) {
+      // No clipboard access (e.g. plain http): let the user copy it by hand
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  const changeTextureQuality = (quality) => {
+    pendingCameraRef.current = getCamera();
+    setTextureQuality(quality);
+    storeTextureQuality(quality);
+  };
+
+  const handleViewerClick = async (event) => {
+    const mv = viewerRef.current;
+    if ((!placement && !measuring) || !mv || !mv.positionAndNormalFromPoint) return;
+    const hit = mv.positionAndNormalFromPoint(event.clientX, event.clientY);
+    if (!hit) return;
+    if (!placement) {
+      addMeasurePoint(toVector(hit.position));
+      return;
+    }
+    const point = { position: toVector(hit.position), normal: toVector(hit.normal) };
+    setPlacement(null);
+    if (placement === 'add') {
+      setActiveAnnotationId(null);
+      setDraft(point);
+      return;
+    }
+    try {
+      await update(activeAnnotationId, point);
+      setAnnotationError(null);
+    } catch (err) {
+      setAnnotationError(apiErrorMessage(err, 'Failed to move annotation'));
+    }
+  };
+
+  const addMeasurePoint = (point) => {
+    if (!pendingPoint) {
+      setPendingPoint(point);
+      return;
+    }
+    measure.addDraft([pendingPoint, point]);
+    setPendingPoint(null);
+  };
+
+  const toggleMeasuring = () => {
+    closeAnnotation();
+    setShowTours(false);
+    setShowSnapshots(false);
+    setPendingPoint(null);
+    setMeasuring(!measuring);
+  };
+
+  const selectAnnotation = (id) => {
+    if (id) {
+      setShowTours(false);
+      setShowSnapshots(false);
+      setMeasuring(false);
+    }
+    setDraft(null);
+    setPlacement(null);
+    setAnnotationError(null);
+    setActiveAnnotationId(id);
+  };
+
+  const closeAnnotation = () => selectAnnotation(null);
+
+  // Resolves to true when saved, so the panel can leave edit mode
+  const saveAnnotation = async ({ title, body, imageFile, removeImage }) => {
+    try {
+      let saved = draft
+        ? await create({ ...draft, title, body })
+        : await update(activeAnnotationId, { title, body });
+      if (imageFile) {
+        saved = await setImage(saved.id, imageFile);
+      } else if (removeImage) {
+        saved = await setImage(saved.id, null);
+      }
+      setDraft(null);
+      setActiveAnnotationId(saved.id);
+      setAnnotationError(null);
+      return true;
+    } catch (err) {
+      setAnnotationError(apiErrorMessage(err, 'Failed to save annotation'));
+      return false;
+    }
+  };
+
+  const deleteActiveAnnotation = async () => {
+    if (!window.confirm(`Delete the annotation "${activeAnnotation.title}"?`)) return;
+    try {
+      await remove(activeAnnotationId);
+      closeAnnotation();
+    } catch (err) {
+      setAnnotationError(apiErrorMessage(err, 'Failed to delete annotation'));
+    }
+  };
+
+  const getCamera = () => {
+    const mv = viewerRef.current;
+    return mv && mv.getCameraOrbit ? readCamera(mv) : null;
+  };
+
+  // Save the tour, then upload or remove narration per step (the server returns
+  // the steps in the order they were sent, with their ids)
+  const saveTourDraft = async ({ id, title, steps }) => {
+    const saved = await saveTour({
+      id,
+      title,
+      steps: steps.map(step => ({
+        id: step.id,
+        cameraOrbit: step.cameraOrbit,
+        cameraTarget: step.cameraTarget,
+        fieldOfView: step.fieldOfView,
+        caption: step.caption,
+        duration: step.duration
+      }))
+    });
+    for (let i = 0; i < steps.length; i++) {
+      const stepId = saved.steps[i].id;
+      if (steps[i].narrationFile) {
+        await setNarration(saved.id, stepId, steps[i].narrationFile);
+      } else if (steps[i].removeNarration && steps[i].narration) {
+        await setNarration(saved.id, stepId, null);
+      }
+    }
+  };
+
+  const deleteTourWithConfirm = async (tour) => {
+    if (!window.confirm(`Delete the tour "${tour.title}"?`)) return;
+    try {
+      await deleteTour(tour.id);
+    } catch (err) {
+      window.alert(apiErrorMessage(err, 'Failed to delete tour'));
+    }
+  };
+
+  const renderViewSnapshot = async (size) => {
+    const camera = getCamera();
+    const blob = await renderSnapshot(source.path, { ...size, camera });
+    return { blob, camera };
+  };
+
+  // The viewer's size in device pixels, the snapshot panel's "Screen" size
+  const viewerPixelSize = () => {
+    const dpr = window.devicePixelRatio || 1;
+    const mv = viewerRef.current;
+    return {
+      width: Math.round((mv ? mv.clientWidth : window.innerWidth) * dpr),
+      height: Math.round((mv ? mv.clientHeight : window.innerHeight) * dpr)
+    };
+  };
+
+  const playTour = (tour) => {
+    setShowTours(false);
+    setPlacement(null);
+    setPlayingTour(tour);
+  };
+
   const handleInteract = () => {
     if (viewerRef.current) {
       // Example interaction: Change the object's color
@@ -240,7 +668,12 @@ const InteractiveViewer = ({ model, onBack }) => {
         </button>
         
         <div className="model-info">
-          <h2>{formatModelId(model.id)}</h2>
+          <h2>{metadata.title || model.id}</h2>
+          {(metadata.category || metadata.origin) && (
+            <p className="model-filename">
+              {[metadata.category, metadata.origin].filter(Boolean).join(' • ')}
+            </p>
+          )}
         </div>
 
         <div className="viewer-controls">
@@ -283,6 +716,119 @@ const InteractiveViewer = ({ model, onBack }) => {
             </button>
           )}
 
+          {!isFollowing && (tours.length > 0 || canEdit) && (
+            <button
+              className={`control-btn${showTours ? ' active' : ''}`}
+              onClick={() => {
+                closeAnnotation();
+                setShowSnapshots(false);
+                setMeasuring(false);
+                setShowTours(!showTours);
+              }}
+              title="Guided Tours"
+            >
+              <span className="icon">🎬</span>
+              <span>Tours</span>
+            </button>
+          )}
+
+          {canEdit && !isFollowing && (
+            <button
+              className={`control-btn${placement === 'add' ? ' active' : ''}`}
+              onClick={() => setPlacement(placement === 'add' ? null : 'add')}
+              title="Add Annotation"
+            >
+              <span className="icon">📍</span>
+              <span>Annotate</span>
+            </button>
+          )}
+
+          {canEdit && !isFollowing && (
+            <button
+              className="control-btn"
+              onClick={saveViewAsPoster}
+              disabled={!isModelReady || isSavingPoster}
+              title="Use This View as the Poster"
+            >
+              <span className="icon">📸</span>
+              <span>{isSavingPoster ? 'Saving…' : 'Poster'}</span>
+            </button>
+          )}
+
+          <button
+            className={`control-btn${showSnapshots ? ' active' : ''}`}
+            onClick={() => {
+              closeAnnotation();
+              setShowTours(false);
+              setMeasuring(false);
+              setShowSnapshots(!showSnapshots);
+            }}
+            disabled={!isModelReady}
+            title="Snapshot"
+          >
+            <span className="icon">📷</span>
+            <span>Snapshot</span>
+          </button>
+
+          <button
+            className={`control-btn${measuring ? ' active' : ''}`}
+            onClick={toggleMeasuring}
+            title="Measure"
+          >
+            <span className="icon">📏</span>
+            <span>Measure</span>
+          </button>
+
+          <button
+            className={`control-btn${showDimensions ? ' active' : ''}`}
+            onClick={() => setShowDimensions(!showDimensions)}
+            title="Show Dimensions"
+          >
+            <span className="icon">📦</span>
+            <span>Dimensions</span>
+          </button>
+
+          <button
+            className="control-btn"
+            onClick={copyViewLink}
+            title="Copy a Link to This View"
+          >
+            <span className="icon">🔗</span>
+            <span>Copy link</span>
+          </button>
+
+          {offline && offline.supported && (
+            <button
+              className={`control-btn${isPinned ? ' active' : ''}`}
+              onClick={() => (isPinned ? offline.unpin(model.id) : offline.pin(model))}
+              disabled={isPinning}
+              title={isPinned ? 'Saved for offline use (click to unpin)' : 'Save for offline use'}
+            >
+              <span className="icon">📥</span>
+              <span>{isPinning ? 'Saving…' : isPinned ? 'Saved offline' : 'Save offline'}</span>
+            </button>
+          )}
+
+          {textureVariants.length > 0 && (
+            <select
+              className="toolbar-select"
+              value={textureQuality}
+              onChange={(e) => changeTextureQuality(e.target.value)}
+              title="Texture Quality"
+              aria-label="Texture quality"
+            >
+              <option value={TEXTURE_QUALITY_AUTO}>
+                Auto{textureQuality === TEXTURE_QUALITY_AUTO && ` (${source.resolution ? `${source.resolution}px` : 'full'})`}
+              </option>
+              <option value={TEXTURE_QUALITY_FULL}>Full textures</option>
+              {textureVariants.map(variant => (
+                <option key={variant.resolution} value={String(variant.resolution)}>
+                  {variant.resolution}px
+                </option>
+              ))}
+            </select>
+          )}
+
           <button 
             className="control-btn"
             onClick={handleInteract}
@@ -297,32 +843,147 @@ const InteractiveViewer = ({ model, onBack }) => {
       <div className="viewer-container">
         <model-viewer
           ref={viewerRef}
-          src={model.path}
+          src={viewerSrc}
           alt={`Interactive 3D model: ${model.name}`}
-          camera-controls
+          camera-controls={isFollowing ? undefined : true}
           touch-action="none"
           style={{ width: '100%', height: '100%', backgroundColor: 'transparent' }}
-          camera-orbit="0deg 75deg 12m"
-          auto-rotate
+          camera-orbit={linkedView.cameraOrbit || '0deg 75deg 12m'}
+          camera-target={linkedView.cameraTarget}
+          field-of-view={linkedView.fieldOfView}
+          auto-rotate={sessionRole || hasLinkedCamera ? undefined : true}
+          interpolation-decay={isFollowing ? '200' : undefined}
           auto-rotate-delay="3000"
           rotation-per-second="10deg"
           interaction-prompt="none"
           interaction-prompt-threshold="0"
           loading="eager"
           reveal="auto"
+          poster={posterPath || undefined}
           seamless-poster
           shadow-intensity="1"
           shadow-softness="0.75"
           exposure="1"
           tone-mapping="neutral"
           draco-decoder-path={`${(process.env.REACT_APP_BACKEND_URL || (window.location.hostname.includes('-3000') ? `${window.location.protocol}//${window.location.hostname.replace(/-3000/g, '-5000')}` : window.location.origin))}/draco/`}
-          ar={isARSupported}
+          ar={isARSupported || Boolean(model.usdz)}
           ar-modes="webxr scene-viewer quick-look"
-          ios-src=""
+          ios-src={model.usdz ? model.usdz.path : undefined}
           xr-environment
           power-preference="high-performance"
-          on-progress={handleModelLoad}
-        />
+          onClick={handleViewerClick}
+        >
+          {annotations.map((annotation, index) => (
+            <button
+              // Remount when moved so model-viewer picks up the new anchor
+              key={`${annotation.id}-${annotation.updatedAt}`}
+              slot={`hotspot-${annotation.id}`}
+              className={`hotspot${annotation.id === activeAnnotationId ? ' active' : ''}`}
+              data-position={toAttribute(annotation.position)}
+              data-normal={toAttribute(annotation.normal)}
+              title={annotation.title}
+              onClick={(e) => {
+                e.stopPropagation();
+                selectAnnotation(annotation.id);
+              }}
+            >
+              {index + 1}
+            </button>
+          ))}
+          {draft && (
+            <div
+              slot="hotspot-draft"
+              className="hotspot draft"
+              data-position={toAttribute(draft.position)}
+              data-normal={toAttribute(draft.normal)}
+            />
+          )}
+          {(measureSegments.length > 0 || pendingPoint) && (
+            <MeasurementOverlay
+              viewerRef={viewerRef}
+              segments={measureSegments}
+              pendingPoint={measuring ? pendingPoint : null}
+            />
+          )}
+        </model-viewer>
+
+        {isUpgrading && isModelReady && (
+          <div className="detail-badge">Loading full detail…</div>
+        )}
+        {viewerMessage && !isUpgrading && (
+          <div className="detail-badge">{viewerMessage}</div>
+        )}
+
+        {placement && (
+          <div className="placement-hint">
+            {placement === 'add' ? 'Click on the model to place the annotation' : 'Click on the model to move the annotation'}
+            <button className="session-btn" onClick={() => setPlacement(null)}>Cancel</button>
+          </div>
+        )}
+
+        {showTours && (
+          <TourPanel
+            tours={tours}
+            canEdit={canEdit}
+            getCamera={getCamera}
+            onPlay={playTour}
+            onSave={saveTourDraft}
+            onDelete={deleteTourWithConfirm}
+            onClose={() => setShowTours(false)}
+          />
+        )}
+
+        {showSnapshots && (
+          <SnapshotPanel
+            modelId={model.id}
+            title={metadata.title || model.id}
+            screenSize={viewerPixelSize()}
+            onRender={renderViewSnapshot}
+            identity={identity}
+            canEdit={canEdit}
+            onClose={() => setShowSnapshots(false)}
+          />
+        )}
+
+        {measuring && (
+          <MeasurementPanel
+            scale={measure.scale}
+            measurements={measure.measurements}
+            drafts={measure.drafts}
+            unit={displayUnit}
+            onUnitChange={setMeasureUnit}
+            hasPendingPoint={Boolean(pendingPoint)}
+            canEdit={canEdit && !isFollowing}
+            onSaveDraft={measure.saveDraft}
+            onDiscardDraft={measure.discardDraft}
+            onRename={measure.rename}
+            onDelete={measure.remove}
+            onSaveScale={measure.saveScale}
+            onClose={toggleMeasuring}
+          />
+        )}
+
+        {playingTour && (
+          <TourPlayer
+            key={playingTour.id}
+            tour={playingTour}
+            viewerRef={viewerRef}
+            onExit={() => setPlayingTour(null)}
+          />
+        )}
+
+        {(activeAnnotation || draft) && (
+          <AnnotationPanel
+            annotation={draft ? null : activeAnnotation}
+            canEdit={canEdit && !isFollowing}
+            isMoving={placement === 'move'}
+            error={annotationError}
+            onSave={saveAnnotation}
+            onDelete={deleteActiveAnnotation}
+            onStartMove={() => setPlacement('move')}
+            onClose={closeAnnotation}
+          />
+        )}
         
         {/* Loading Progress Indicator */}
         {!isModelReady && (
@@ -342,6 +1003,24 @@ const InteractiveViewer = ({ model, onBack }) => {
       </div>
 
       <div className="viewer-footer">
+        {(metadata.description || credits.length > 0 || (metadata.tags && metadata.tags.length > 0)) && (
+          <div className="model-details">
+            {metadata.description && <p className="model-description">{metadata.description}</p>}
+            {metadata.tags && metadata.tags.length > 0 && (
+              <div className="model-tags">
+                {metadata.tags.map(tag => (
+                  <span key={tag} className="model-tag">{tag}</span>
+                ))}
+              </div>
+            )}
+            {credits.length > 0 && (
+              <p className="model-credits">{credits.join(' — ')}</p>
+            )}
+          </div>
+        )}
+        {isFollowing && (
+          <p className="session-banner">Following the presenter's view</p>
+        )}
         <div className="hotkeys">
           <span><kbd>ESC</kbd> Back/Exit Fullscreen</span>
           <span><kbd>F</kbd> Fullscreen</span>
@@ -0,0 +1,87 @@
+import React, { useEffect, useRef } from 'react';
+import { midpoint } from '../utils/measure';
+
+const toAttribute = (v) => `${v.x} ${v.y} ${v.z}`;
+const slotName = (segment, end) => `hotspot-measure-${segment.key}-${end}`;
+
+// Lines between points on the model, rendered inside <model-viewer>. Each end is a hotspot;
+// model-viewer tracks where hotspots are on screen, and the SVG in the default slot draws a
+// line between each pair and is redrawn as the camera moves. Segments: [{ key, from, to,
+// text, variant }], with `text` shown at the middle of the line.
+const MeasurementOverlay = ({ viewerRef, segments, pendingPoint }) => {
+  const linesRef = useRef({});
+
+  useEffect(() => {
+    const mv = viewerRef.current;
+    if (!mv || !mv.queryHotspot) return undefined;
+
+    const redraw = () => {
+      segments.forEach(segment => {
+        const line = linesRef.current[segment.key];
+        if (!line) return;
+        const from = mv.queryHotspot(slotName(segment, 'from'));
+        const to = mv.queryHotspot(slotName(segment, 'to'));
+        if (!from || !to) {
+          line.setAttribute('visibility', 'hidden');
+          return;
+        }
+        line.setAttribute('x1', from.canvasPosition.x);
+        line.setAttribute('y1', from.canvasPosition.y);
+        line.setAttribute('x2', to.canvasPosition.x);
+        line.setAttribute('y2', to.canvasPosition.y);
+        line.setAttribute('visibility', 'visible');
+      });
+    };
+
+    // New hotspots only have a screen position after model-viewer's next frame
+    const frame = requestAnimationFrame(() => requestAnimationFrame(redraw));
+    mv.addEventListener('camera-change', redraw);
+    mv.addEventListener('load', redraw);
+    return () => {
+      cancelAnimationFrame(frame);
+      mv.removeEventListener('camera-change', redraw);
+      mv.removeEventListener('load', redraw);
+    };
+  }, [viewerRef, segments]);
+
+  return (
+    <>
+      {segments.map(segment => (
+        <React.Fragment key={`${segment.key}-${toAttribute(segment.from)}-${toAttribute(segment.to)}`}>
+          <div slot={slotName(segment, 'from')} className={`measure-point ${segment.variant}`} data-position={toAttribute(segment.from)} />
+          <div slot={slotName(segment, 'to')} className={`measure-point ${segment.variant}`} data-position={toAttribute(segment.to)} />
+          <div
+            slot={slotName(segment, 'label')}
+            className={`measure-label ${segment.variant}`}
+            data-position={toAttribute(midpoint(segment.from, segment.to))}
+          >
+            {segment.text}
+          </div>
+        </React.Fragment>
+      ))}
+      {pendingPoint && (
+        <div
+          key={toAttribute(pendingPoint)}
+          slot="hotspot-measure-pending"
+          className="measure-point draft"
+          data-position={toAttribute(pendingPoint)}
+        />
+      )}
+      <svg className="measure-lines">
+        {segments.map(segment => (
+          <line
+            key={segment.key}
+            ref={(el) => {
+              if (el) linesRef.current[segment.key] = el;
+              else delete linesRef.current[segment.key];
+            }}
+            className={segment.variant}
+            visibility="hidden"
+          />
+        ))}
+      </svg>
+    </>
+  );
+};
+
+export default MeasurementOverlay;
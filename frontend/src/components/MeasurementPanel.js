@@ -0,0 +1,182 @@
+import React, { useEffect, useState } from 'react';
+import { apiErrorMessage } from '../utils/api';
+import { LENGTH_UNITS, distance, formatLength, calibratedFactor } from '../utils/measure';
+
+const UNIT_OPTIONS = Object.keys(LENGTH_UNITS);
+
+// Side panel for measure mode: the lines measured in this viewer (drafts) and those saved
+// with the model, the unit lengths are shown in, and (for editors) the model's scale
+const MeasurementPanel = ({
+  scale,
+  measurements,
+  drafts,
+  unit,
+  onUnitChange,
+  hasPendingPoint,
+  canEdit,
+  onSaveDraft,
+  onDiscardDraft,
+  onRename,
+  onDelete,
+  onSaveScale,
+  onClose
+}) => {
+  const [labels, setLabels] = useState({});
+  const [factor, setFactor] = useState(String(scale.factor));
+  const [defaultUnit, setDefaultUnit] = useState(scale.unit);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setFactor(String(scale.factor));
+    setDefaultUnit(scale.unit);
+  }, [scale]);
+
+  const run = async (action, failure) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(apiErrorMessage(err, failure));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveDraft = (draft) => run(async () => {
+    await onSaveDraft(draft, (labels[draft.id] || '').trim());
+    setLabels(prev => {
+      const { [draft.id]: _saved, ...rest } = prev;
+      return rest;
+    });
+  }, 'Failed to save measurement');
+
+  const renameMeasurement = (measurement) => {
+    const label = window.prompt('Label for this measurement:', measurement.label);
+    if (label === null) return;
+    run(() => onRename(measurement.id, label.trim()), 'Failed to rename measurement');
+  };
+
+  const deleteMeasurement = (measurement) => {
+    if (!window.confirm('Delete this measurement?')) return;
+    run(() => onDelete(measurement.id), 'Failed to delete measurement');
+  };
+
+  const saveScale = () => {
+    const value = parseFloat(factor);
+    if (!(value > 0)) {
+      setError('Scale must be a positive number');
+      return;
+    }
+    run(() => onSaveScale({ factor: value, unit: defaultUnit }), 'Failed to save scale');
+  };
+
+  // Set the scale so that this line is as long as the user says it is
+  const calibrate = (points) => {
+    const answer = window.prompt(`How long is this in ${unit}?`);
+    if (answer === null) return;
+    const realLength = parseFloat(answer);
+    const modelLength = distance(points[0], points[1]);
+    if (!(realLength > 0) || !(modelLength > 0)) {
+      setError('Length must be a positive number');
+      return;
+    }
+    run(() => onSaveScale({ factor: calibratedFactor(modelLength, realLength, unit), unit }), 'Failed to save scale');
+  };
+
+  const lengthOf = (points) => formatLength(distance(points[0], points[1]), scale, unit);
+
+  return (
+    <aside className="annotation-panel measurement-panel">
+      <button className="annotation-close" onClick={onClose} aria-label="Close measurements">×</button>
+      <h3>Measure</h3>
+      <p className="annotation-hint">
+        {hasPendingPoint ? 'Click the second point.' : 'Click two points on the model to measure between them.'}
+      </p>
+      <label className="tour-step-field">
+        Show lengths in
+        <select className="toolbar-select" value={unit} onChange={(e) => onUnitChange(e.target.value)}>
+          {UNIT_OPTIONS.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </label>
+
+      {drafts.length > 0 && (
+        <ul className="measurement-list">
+          {drafts.map(draft => (
+            <li key={draft.id} className="draft">
+              <strong>{lengthOf(draft.points)}</strong>
+              {canEdit && (
+                <input
+                  className="annotation-input"
+                  placeholder="Label (optional)"
+                  value={labels[draft.id] || ''}
+                  maxLength={200}
+                  onChange={(e) => setLabels({ ...labels, [draft.id]: e.target.value })}
+                />
+              )}
+              <div className="annotation-actions">
+                {canEdit && (
+                  <>
+                    <button className="session-btn" onClick={() => saveDraft(draft)} disabled={busy}>Save</button>
+                    <button className="session-btn" onClick={() => calibrate(draft.points)} disabled={busy}>Set length…</button>
+                  </>
+                )}
+                <button className="session-btn" onClick={() => onDiscardDraft(draft.id)}>Discard</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3 className="measurement-saved-title">Saved</h3>
+      {measurements.length === 0 && <p className="annotation-hint">No saved measurements for this model.</p>}
+      <ul className="measurement-list">
+        {measurements.map(measurement => (
+          <li key={measurement.id}>
+            <strong>{lengthOf(measurement.points)}</strong>
+            {measurement.label && <span>{measurement.label}</span>}
+            {canEdit && (
+              <div className="annotation-actions">
+                <button className="session-btn" onClick={() => renameMeasurement(measurement)} disabled={busy}>Rename</button>
+                <button className="session-btn" onClick={() => calibrate(measurement.points)} disabled={busy}>Set length…</button>
+                <button className="session-btn" onClick={() => deleteMeasurement(measurement)} disabled={busy}>Delete</button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canEdit && (
+        <div className="annotation-form">
+          <h3>Scale</h3>
+          <label className="tour-step-field">
+            Metres per model unit
+            <input
+              type="number"
+              className="annotation-input"
+              min={0}
+              step="any"
+              value={factor}
+              onChange={(e) => setFactor(e.target.value)}
+            />
+          </label>
+          <label className="tour-step-field">
+            Default unit
+            <select className="toolbar-select" value={defaultUnit} onChange={(e) => setDefaultUnit(e.target.value)}>
+              {UNIT_OPTIONS.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          </label>
+          <button className="session-btn" onClick={saveScale} disabled={busy}>Save scale</button>
+        </div>
+      )}
+      {error && <p className="session-error">{error}</p>}
+    </aside>
+  );
+};
+
+export default MeasurementPanel;
@@ -0,0 +1,55 @@
+import React, { useEffect, useRef } from 'react';
+import useInView from '../hooks/useInView';
+
+// How far outside the viewport cards stay mounted. Wider than ModelCard's poster margin, so a
+// card exists before it needs its poster.
+const WINDOW_MARGIN = '1200px 0px';
+
+// One grid cell. The card is mounted while the cell is near the viewport; otherwise the cell
+// is an empty box at the card's last height, so the grid keeps its layout and scroll height.
+const GridSlot = ({ render }) => {
+  const slotRef = useRef(null);
+  const isNear = useInView(slotRef, WINDOW_MARGIN);
+  const heightRef = useRef(null);
+  const wasShownRef = useRef(false);
+  // Only the first appearance of a card plays its entrance animation
+  const animate = !wasShownRef.current;
+
+  useEffect(() => {
+    const slot = slotRef.current;
+    if (!isNear || !slot) return undefined;
+    wasShownRef.current = true;
+    if (typeof ResizeObserver === 'undefined') {
+      heightRef.current = slot.offsetHeight;
+      return undefined;
+    }
+    const observer = new ResizeObserver(([entry]) => {
+      heightRef.current = entry.target.offsetHeight;
+    });
+    observer.observe(slot);
+    return () => observer.disconnect();
+  }, [isNear]);
+
+  return (
+    <div
+      ref={slotRef}
+      className="model-grid-slot"
+      style={!isNear && heightRef.current ? { minHeight: heightRef.current } : undefined}
+    >
+      {isNear && render({ animate })}
+    </div>
+  );
+};
+
+// Gallery grid of `models` that only mounts the cards near the viewport, so the number of
+// cards (and their posters, previews and memory) stays bounded however large the collection.
+// `renderCard(model, index, { animate })` renders one card.
+const ModelGrid = ({ models, renderCard }) => (
+  <div className="model-grid">
+    {models.map((model, index) => (
+      <GridSlot key={model.id} render={(options) => renderCard(model, index, options)} />
+    ))}
+  </div>
+);
+
+export default ModelGrid;
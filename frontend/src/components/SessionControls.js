@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+
+// Start, join and leave shared viewing sessions. The presenter can hand the
+// role to any other participant.
+const SessionControls = ({ session, error, onStart, onJoin, onLeave, onHandOff }) => {
+  const [code, setCode] = useState('');
+
+  if (!session) {
+    const handleJoin = (e) => {
+      e.preventDefault();
+      if (code.trim()) onJoin(code.trim().toUpperCase());
+    };
+
+    return (
+      <form className="session-controls" onSubmit={handleJoin}>
+        <button type="button" className="session-btn" onClick={onStart}>
+          Start shared session
+        </button>
+        <input
+          className="session-code-input"
+          placeholder="Session code"
+          value={code}
+          maxLength={6}
+          onChange={(e) => setCode(e.target.value)}
+          aria-label="Session code"
+        />
+        <button type="submit" className="session-btn" disabled={!code.trim()}>
+          Join
+        </button>
+        {error && <span className="session-error">{error}</span>}
+      </form>
+    );
+  }
+
+  const isPresenter = session.role === 'presenter';
+  const others = session.participants.filter(id => id !== session.clientId);
+
+  return (
+    <div className="session-controls active">
+      <span className="session-code" title="Share this code with followers">{session.code}</span>
+      <span className={`session-role ${session.role}`}>
+        {isPresenter ? 'Presenting' : 'Following'}
+      </span>
+      <span className="session-count">
+        {session.participants.length} {session.participants.length === 1 ? 'viewer' : 'viewers'}
+      </span>
+      {isPresenter && others.length > 0 && (
+        <select
+          className="toolbar-select"
+          value=""
+          onChange={(e) => e.target.value && onHandOff(e.target.value)}
+          aria-label="Hand presenter role to"
+        >
+          <option value="">Hand off to…</option>
+          {others.map((id, index) => (
+            <option key={id} value={id}>Viewer {index + 1}</option>
+          ))}
+        </select>
+      )}
+      <button type="button" className="session-btn" onClick={onLeave}>
+        Leave
+      </button>
+    </div>
+  );
+};
+
+export default SessionControls;
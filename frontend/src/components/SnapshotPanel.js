@@ -0,0 +1,301 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useSnapshots from '../hooks/useSnapshots';
+import { apiErrorMessage } from '../utils/api';
+import { resolveBackendUrl } from '../utils/backendUrl';
+import {
+  MAX_SNAPSHOT_SIDE,
+  drawMarkup,
+  composeSnapshot,
+  snapshotFileName,
+  downloadSnapshot,
+  canShareFiles,
+  shareSnapshot
+} from '../utils/snapshots';
+
+const SIZE_PRESETS = [
+  { value: '1', label: 'Screen' },
+  { value: '2', label: '2× screen' },
+  { value: '4', label: '4× screen' },
+  { value: 'custom', label: 'Custom' }
+];
+
+// Scale width x height down to fit MAX_SNAPSHOT_SIDE, keeping the aspect ratio
+const fitSize = ({ width, height }) => {
+  const scale = Math.min(1, MAX_SNAPSHOT_SIDE / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Preview of a captured snapshot with its markup. Arrows are dragged out; text is placed
+// with a click.
+const SnapshotMarkup = ({ capture, background, markup, tool, color, text, onAdd }) => {
+  const canvasRef = useRef(null);
+  // The arrow being dragged: { from, to }
+  const [dragging, setDragging] = useState(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(rect.width * dpr);
+    canvas.height = Math.round(rect.height * dpr);
+    const shapes = dragging ? [...markup, { type: 'arrow', ...dragging, color }] : markup;
+    drawMarkup(canvas.getContext('2d'), shapes, canvas.width, canvas.height);
+  }, [markup, dragging, color]);
+
+  const pointAt = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: clamp01((event.clientX - rect.left) / rect.width), y: clamp01((event.clientY - rect.top) / rect.height) };
+  };
+
+  const handlePointerDown = (event) => {
+    const point = pointAt(event);
+    if (tool === 'text') {
+      if (text.trim()) onAdd({ type: 'text', at: point, text: text.trim(), color });
+      return;
+    }
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDragging({ from: point, to: point });
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragging) setDragging({ ...dragging, to: pointAt(event) });
+  };
+
+  const handlePointerUp = () => {
+    if (!dragging) return;
+    const { from, to } = dragging;
+    if (Math.hypot(to.x - from.x, to.y - from.y) > 0.01) onAdd({ type: 'arrow', from, to, color });
+    setDragging(null);
+  };
+
+  return (
+    <div
+      className={`snapshot-preview${background ? '' : ' transparent'}`}
+      style={{ aspectRatio: `${capture.width} / ${capture.height}`, background: background || undefined }}
+    >
+      <img src={capture.url} alt="Snapshot preview" />
+      <canvas
+        ref={canvasRef}
+        className={`snapshot-markup ${tool}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => setDragging(null)}
+      />
+    </div>
+  );
+};
+
+// Side panel for snapshots of the current view: pick a size and background, capture, mark
+// up, then download, share or upload to the model's gallery (listed below)
+const SnapshotPanel = ({ modelId, title, screenSize, onRender, identity, canEdit, onClose }) => {
+  const { snapshots, upload, remove } = useSnapshots(modelId);
+  const [sizePreset, setSizePreset] = useState('1');
+  const [customSize, setCustomSize] = useState(screenSize);
+  const [transparent, setTransparent] = useState(true);
+  const [backgroundColor, setBackgroundColor] = useState('#ffffff');
+  // The rendered view: { blob, url, width, height, camera }
+  const [capture, setCapture] = useState(null);
+  const [markup, setMarkup] = useState([]);
+  const [tool, setTool] = useState('arrow');
+  const [color, setColor] = useState('#ffd60a');
+  const [text, setText] = useState('');
+  const [caption, setCaption] = useState('');
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const size = fitSize(sizePreset === 'custom'
+    ? customSize
+    : { width: screenSize.width * Number(sizePreset), height: screenSize.height * Number(sizePreset) });
+  const background = transparent ? null : backgroundColor;
+  const fileName = snapshotFileName(title);
+
+  useEffect(() => () => {
+    if (capture) URL.revokeObjectURL(capture.url);
+  }, [capture]);
+
+  // Run one of the panel's actions, reporting its outcome under the buttons
+  const run = async (name, action, failure) => {
+    setBusy(name);
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(apiErrorMessage(err, `${failure}: ${err.message}`));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const takeSnapshot = () => run('capture', async () => {
+    const { blob, camera } = await onRender(size);
+    setMarkup([]);
+    setCapture({ blob, url: URL.createObjectURL(blob), ...size, camera });
+  }, 'Unable to render the snapshot');
+
+  const finalImage = () => composeSnapshot(capture.blob, {
+    width: capture.width,
+    height: capture.height,
+    background,
+    markup
+  });
+
+  const download = () => run('download', async () => {
+    downloadSnapshot(await finalImage(), fileName);
+  }, 'Unable to save the snapshot');
+
+  const share = () => run('share', async () => {
+    if (await shareSnapshot(await finalImage(), fileName, title)) setMessage('Shared');
+  }, 'Unable to share the snapshot');
+
+  const uploadToGallery = () => run('upload', async () => {
+    await upload(await finalImage(), { caption: caption.trim(), camera: capture.camera });
+    setCaption('');
+    setMessage('Added to the gallery');
+  }, 'Unable to upload the snapshot');
+
+  const deleteSnapshot = (snapshot) => {
+    if (!window.confirm('Delete this snapshot from the gallery?')) return;
+    run('delete', () => remove(snapshot.id), 'Unable to delete the snapshot');
+  };
+
+  return (
+    <aside className="annotation-panel snapshot-panel">
+      <button className="annotation-close" onClick={onClose} aria-label="Close snapshots">×</button>
+      <h3>Snapshot</h3>
+      {!capture ? (
+        <div className="annotation-form">
+          <label className="tour-step-field">
+            Size
+            <select className="toolbar-select" value={sizePreset} onChange={(e) => setSizePreset(e.target.value)}>
+              {SIZE_PRESETS.map(preset => (
+                <option key={preset.value} value={preset.value}>{preset.label}</option>
+              ))}
+            </select>
+          </label>
+          {sizePreset === 'custom' && (
+            <div className="snapshot-size">
+              <input
+                type="number"
+                className="annotation-input"
+                min={1}
+                max={MAX_SNAPSHOT_SIDE}
+                value={customSize.width}
+                onChange={(e) => setCustomSize({ ...customSize, width: parseInt(e.target.value, 10) || 1 })}
+                aria-label="Width in pixels"
+              />
+              ×
+              <input
+                type="number"
+                className="annotation-input"
+                min={1}
+                max={MAX_SNAPSHOT_SIDE}
+                value={customSize.height}
+                onChange={(e) => setCustomSize({ ...customSize, height: parseInt(e.target.value, 10) || 1 })}
+                aria-label="Height in pixels"
+              />
+            </div>
+          )}
+          <span className="annotation-hint">{size.width} × {size.height} px</span>
+          <label className="toolbar-toggle">
+            <input type="checkbox" checked={transparent} onChange={(e) => setTransparent(e.target.checked)} />
+            Transparent background
+          </label>
+          {!transparent && (
+            <label className="tour-step-field">
+              Background
+              <input type="color" value={backgroundColor} onChange={(e) => setBackgroundColor(e.target.value)} />
+            </label>
+          )}
+          <button className="session-btn" onClick={takeSnapshot} disabled={busy === 'capture'}>
+            {busy === 'capture' ? 'Rendering…' : '📷 Take snapshot'}
+          </button>
+        </div>
+      ) : (
+        <div className="annotation-form">
+          <SnapshotMarkup
+            capture={capture}
+            background={background}
+            markup={markup}
+            tool={tool}
+            color={color}
+            text={text}
+            onAdd={(shape) => setMarkup(prev => [...prev, shape])}
+          />
+          <div className="snapshot-tools">
+            <button className={`session-btn${tool === 'arrow' ? ' active' : ''}`} onClick={() => setTool('arrow')}>↗ Arrow</button>
+            <button className={`session-btn${tool === 'text' ? ' active' : ''}`} onClick={() => setTool('text')}>T Text</button>
+            <input type="color" value={color} onChange={(e) => setColor(e.target.value)} aria-label="Markup color" />
+            <button className="session-btn" onClick={() => setMarkup(prev => prev.slice(0, -1))} disabled={markup.length === 0}>Undo</button>
+          </div>
+          {tool === 'text' && (
+            <input
+              className="annotation-input"
+              placeholder="Text, then click on the image"
+              value={text}
+              maxLength={200}
+              onChange={(e) => setText(e.target.value)}
+            />
+          )}
+          <div className="annotation-actions">
+            <button className="session-btn" onClick={download} disabled={Boolean(busy)}>Download</button>
+            {canShareFiles() && (
+              <button className="session-btn" onClick={share} disabled={Boolean(busy)}>Share</button>
+            )}
+            <button className="session-btn" onClick={() => setCapture(null)} disabled={Boolean(busy)}>Retake</button>
+          </div>
+          {identity ? (
+            <>
+              <input
+                className="annotation-input"
+                placeholder="Caption (optional)"
+                value={caption}
+                maxLength={500}
+                onChange={(e) => setCaption(e.target.value)}
+              />
+              <button className="session-btn" onClick={uploadToGallery} disabled={Boolean(busy)}>
+                {busy === 'upload' ? 'Uploading…' : 'Add to gallery'}
+              </button>
+            </>
+          ) : (
+            <p className="annotation-hint">Sign in to add snapshots to the gallery.</p>
+          )}
+        </div>
+      )}
+      {message && <p className="annotation-hint">{message}</p>}
+      {error && <p className="session-error">{error}</p>}
+
+      <h3 className="snapshot-gallery-title">Gallery</h3>
+      {snapshots.length === 0 && <p className="annotation-hint">No snapshots of this model yet.</p>}
+      <ul className="snapshot-gallery">
+        {snapshots.map(snapshot => (
+          <li key={snapshot.id}>
+            <a href={`${resolveBackendUrl()}${snapshot.image.url}`} target="_blank" rel="noreferrer">
+              <img
+                src={`${resolveBackendUrl()}${snapshot.thumbnail.url}`}
+                alt={snapshot.caption || 'Snapshot'}
+                width={snapshot.thumbnail.width}
+                height={snapshot.thumbnail.height}
+                loading="lazy"
+              />
+            </a>
+            {snapshot.caption && <p>{snapshot.caption}</p>}
+            <span className="annotation-hint">
+              {snapshot.author || 'Anonymous'} • {new Date(snapshot.createdAt).toLocaleDateString()}
+              {' '}• {snapshot.image.width} × {snapshot.image.height}
+            </span>
+            {identity && (snapshot.authorId === identity.id || canEdit) && (
+              <button className="tour-step-btn" onClick={() => deleteSnapshot(snapshot)} title="Delete snapshot">✕</button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+};
+
+export default SnapshotPanel;
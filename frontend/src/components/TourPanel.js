@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { apiErrorMessage } from '../utils/api';
+
+const DEFAULT_DURATION = 5;
+
+let nextStepKey = 0;
+const toDraftStep = (step) => ({ ...step, key: nextStepKey++, narrationFile: null, removeNarration: false });
+
+// Author a tour: each "Record view" captures the viewer's current camera as a step
+const TourEditor = ({ tour, getCamera, onSave, onCancel }) => {
+  const [title, setTitle] = useState(tour ? tour.title : '');
+  const [steps, setSteps] = useState(tour ? tour.steps.map(toDraftStep) : []);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateStep = (key, changes) => setSteps(prev => prev.map(s => (s.key === key ? { ...s, ...changes } : s)));
+
+  const moveStep = (index, offset) => setSteps(prev => {
+    const next = [...prev];
+    const [step] = next.splice(index, 1);
+    next.splice(index + offset, 0, step);
+    return next;
+  });
+
+  const recordStep = () => {
+    const camera = getCamera();
+    if (camera) {
+      setSteps(prev => [...prev, toDraftStep({ ...camera, caption: '', duration: DEFAULT_DURATION, narration: null })]);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await onSave({ id: tour ? tour.id : null, title, steps });
+    } catch (err) {
+      setError(apiErrorMessage(err, 'Failed to save tour'));
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="annotation-form" onSubmit={handleSubmit}>
+      <input
+        className="annotation-input"
+        placeholder="Tour title"
+        value={title}
+        maxLength={200}
+        onChange={(e) => setTitle(e.target.value)}
+      />
+      <ol className="tour-steps">
+        {steps.map((step, index) => (
+          <li key={step.key} className="tour-step">
+            <div className="tour-step-header">
+              <span>Step {index + 1}</span>
+              <button type="button" className="tour-step-btn" onClick={() => moveStep(index, -1)} disabled={index === 0} title="Move up">↑</button>
+              <button type="button" className="tour-step-btn" onClick={() => moveStep(index, 1)} disabled={index === steps.length - 1} title="Move down">↓</button>
+              <button type="button" className="tour-step-btn" onClick={() => updateStep(step.key, getCamera())} title="Replace with the current view">⟳</button>
+              <button type="button" className="tour-step-btn" onClick={() => setSteps(prev => prev.filter(s => s.key !== step.key))} title="Remove step">✕</button>
+            </div>
+            <textarea
+              className="annotation-input"
+              placeholder="Caption"
+              rows={2}
+              value={step.caption}
+              maxLength={2000}
+              onChange={(e) => updateStep(step.key, { caption: e.target.value })}
+            />
+            <label className="tour-step-field">
+              Duration (s)
+              <input
+                type="number"
+                className="annotation-input"
+                min={0.5}
+                max={600}
+                step={0.5}
+                value={step.duration}
+                onChange={(e) => updateStep(step.key, { duration: parseFloat(e.target.value) || DEFAULT_DURATION })}
+              />
+            </label>
+            <label className="annotation-file">
+              Narration{step.narration && !step.removeNarration ? ' (uploaded)' : ''}
+              <input
+                type="file"
+                accept="audio/*"
+                onChange={(e) => updateStep(step.key, { narrationFile: e.target.files[0] || null })}
+              />
+            </label>
+            {step.narration && !step.narrationFile && (
+              <label className="toolbar-toggle">
+                <input
+                  type="checkbox"
+                  checked={step.removeNarration}
+                  onChange={(e) => updateStep(step.key, { removeNarration: e.target.checked })}
+                />
+                Remove narration
+              </label>
+            )}
+          </li>
+        ))}
+      </ol>
+      <button type="button" className="session-btn" onClick={recordStep}>● Record current view</button>
+      <div className="annotation-actions">
+        <button type="submit" className="session-btn" disabled={!title.trim() || steps.length === 0 || isSaving}>
+          {isSaving ? 'Saving…' : 'Save tour'}
+        </button>
+        <button type="button" className="session-btn" onClick={onCancel}>Cancel</button>
+      </div>
+      {error && <p className="session-error">{error}</p>}
+    </form>
+  );
+};
+
+// Side panel listing a model's tours; editors can create, edit and delete them
+const TourPanel = ({ tours, canEdit, getCamera, onPlay, onSave, onDelete, onClose }) => {
+  // null: list, 'new': new tour, otherwise the tour being edited
+  const [editing, setEditing] = useState(null);
+
+  const handleSave = async (draft) => {
+    await onSave(draft);
+    setEditing(null);
+  };
+
+  return (
+    <aside className="annotation-panel">
+      <button className="annotation-close" onClick={onClose} aria-label="Close tours">×</button>
+      {editing ? (
+        <>
+          <h3>{editing === 'new' ? 'New tour' : 'Edit tour'}</h3>
+          <TourEditor
+            tour={editing === 'new' ? null : editing}
+            getCamera={getCamera}
+            onSave={handleSave}
+            onCancel={() => setEditing(null)}
+          />
+        </>
+      ) : (
+        <>
+          <h3>Guided tours</h3>
+          {tours.length === 0 && <p className="annotation-hint">No tours for this model yet.</p>}
+          <ul className="tour-list">
+            {tours.map(tour => (
+              <li key={tour.id} className="tour-list-item">
+                <div>
+                  <strong>{tour.title}</strong>
+                  <span className="annotation-hint">
+                    {' '}{tour.steps.length} {tour.steps.length === 1 ? 'step' : 'steps'}
+                  </span>
+                </div>
+                <div className="annotation-actions">
+                  <button className="session-btn" onClick={() => onPlay(tour)} disabled={tour.steps.length === 0}>▶ Play</button>
+                  {canEdit && (
+                    <>
+                      <button className="session-btn" onClick={() => setEditing(tour)}>Edit</button>
+                      <button className="session-btn danger" onClick={() => onDelete(tour)}>Delete</button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+          {canEdit && (
+            <button className="session-btn" onClick={() => setEditing('new')}>+ New tour</button>
+          )}
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default TourPanel;
@@ -0,0 +1,115 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { applyCamera } from '../utils/camera';
+import { resolveBackendUrl } from '../utils/backendUrl';
+
+// Slower easing than normal orbiting so transitions between steps read as camera moves
+const TOUR_INTERPOLATION_DECAY = 400;
+
+// Plays a tour in the viewer: moves the camera to each step, shows its caption and
+// plays its narration. A step lasts its duration or until the narration ends,
+// whichever is longer.
+const TourPlayer = ({ tour, viewerRef, onExit }) => {
+  const [index, setIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(true);
+  const audioRef = useRef(null);
+  const step = tour.steps[index];
+  const isLast = index === tour.steps.length - 1;
+
+  // Take over the camera for the length of the tour
+  useEffect(() => {
+    const mv = viewerRef.current;
+    if (!mv) return undefined;
+    const previous = { decay: mv.interpolationDecay, autoRotate: mv.autoRotate };
+    mv.interpolationDecay = TOUR_INTERPOLATION_DECAY;
+    mv.autoRotate = false;
+    return () => {
+      mv.interpolationDecay = previous.decay;
+      mv.autoRotate = previous.autoRotate;
+    };
+  }, [viewerRef]);
+
+  useEffect(() => {
+    if (viewerRef.current && step) applyCamera(viewerRef.current, step, { resetMissing: true });
+  }, [viewerRef, step]);
+
+  // Timing and narration for the current step while playing
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!isPlaying || !step) return undefined;
+
+    let timerDone = false;
+    let audioDone = !step.narration;
+    const advance = () => {
+      if (!timerDone || !audioDone) return;
+      if (isLast) {
+        setIsPlaying(false);
+      } else {
+        setIndex(i => i + 1);
+      }
+    };
+    const timer = setTimeout(() => {
+      timerDone = true;
+      advance();
+    }, step.duration * 1000);
+    const handleAudioEnd = () => {
+      audioDone = true;
+      advance();
+    };
+
+    if (step.narration && audio) {
+      const src = `${resolveBackendUrl()}${step.narration.url}`;
+      if (audio.getAttribute('src') !== src) audio.setAttribute('src', src);
+      audio.addEventListener('ended', handleAudioEnd);
+      audio.addEventListener('error', handleAudioEnd);
+      audio.play().catch(handleAudioEnd);
+    }
+
+    return () => {
+      clearTimeout(timer);
+      if (audio) {
+        audio.removeEventListener('ended', handleAudioEnd);
+        audio.removeEventListener('error', handleAudioEnd);
+        audio.pause();
+      }
+    };
+  }, [isPlaying, step, isLast]);
+
+  const goTo = (nextIndex) => {
+    if (audioRef.current) audioRef.current.removeAttribute('src');
+    setIndex(nextIndex);
+  };
+
+  if (!step) return null;
+
+  return (
+    <div className="tour-player">
+      <audio ref={audioRef} preload="auto" />
+      <div className="tour-caption">
+        <span className="tour-title">{tour.title}</span>
+        {step.caption && <p>{step.caption}</p>}
+      </div>
+      <div className="tour-controls">
+        <button className="control-btn" onClick={() => goTo(index - 1)} disabled={index === 0} title="Previous step">
+          ⏮
+        </button>
+        <button
+          className="control-btn"
+          onClick={() => {
+            if (!isPlaying && isLast) goTo(0);
+            setIsPlaying(!isPlaying);
+          }}
+          title={isPlaying ? 'Pause' : 'Play'}
+        >
+          {isPlaying ? '⏸' : '▶'}
+        </button>
+        <button className="control-btn" onClick={() => goTo(index + 1)} disabled={isLast} title="Next step">
+          ⏭
+        </button>
+        <span className="tour-progress">{index + 1} / {tour.steps.length}</span>
+        <button className="control-btn" onClick={onExit} title="End tour">✕</button>
+      </div>
+    </div>
+  );
+};
+
+export default TourPlayer;
@@ -0,0 +1,70 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiGet, apiSend } from '../utils/api';
+import { subscribe } from '../utils/realtime';
+
+const upsert = (list, annotation) => (list.some(a => a.id === annotation.id)
+  ? list.map(a => (a.id === annotation.id ? annotation : a))
+  : [...list, annotation]);
+
+// A model's annotations, kept in sync with edits made by other viewers
+// (annotation-added / -updated / -removed events on the shared socket)
+const useAnnotations = (modelId) => {
+  const [annotations, setAnnotations] = useState([]);
+  const basePath = `/api/models/${encodeURIComponent(modelId)}/annotations`;
+
+  useEffect(() => {
+    let cancelled = false;
+    setAnnotations([]);
+    apiGet(basePath)
+      .then(response => {
+        if (!cancelled && Array.isArray(response.data)) setAnnotations(response.data);
+      })
+      .catch(err => console.warn('Unable to load annotations:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [basePath]);
+
+  useEffect(() => subscribe((event) => {
+    if (event.modelId !== modelId || !event.annotation) return;
+    if (event.type === 'annotation-added' || event.type === 'annotation-updated') {
+      setAnnotations(prev => upsert(prev, event.annotation));
+    } else if (event.type === 'annotation-removed') {
+      setAnnotations(prev => prev.filter(a => a.id !== event.annotation.id));
+    }
+  }), [modelId]);
+
+  const create = useCallback(async (input) => {
+    const response = await apiSend('post', basePath, input);
+    setAnnotations(prev => upsert(prev, response.data));
+    return response.data;
+  }, [basePath]);
+
+  const update = useCallback(async (id, changes) => {
+    const response = await apiSend('patch', `${basePath}/${id}`, changes);
+    setAnnotations(prev => upsert(prev, response.data));
+    return response.data;
+  }, [basePath]);
+
+  const remove = useCallback(async (id) => {
+    await apiSend('delete', `${basePath}/${id}`);
+    setAnnotations(prev => prev.filter(a => a.id !== id));
+  }, [basePath]);
+
+  const setImage = useCallback(async (id, file) => {
+    let response;
+    if (file) {
+      const form = new FormData();
+      form.append('image', file);
+      response = await apiSend('put', `${basePath}/${id}/image`, form);
+    } else {
+      response = await apiSend('delete', `${basePath}/${id}/image`);
+    }
+    setAnnotations(prev => upsert(prev, response.data));
+    return response.data;
+  }, [basePath]);
+
+  return { annotations, create, update, remove, setImage };
+};
+
+export default useAnnotations;
@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiGet } from '../utils/api';
+import { getApiToken, setApiToken } from '../utils/auth';
+import { reconnect } from '../utils/realtime';
+
+const EDIT_ROLES = ['editor', 'admin'];
+
+// The identity behind the stored API token ({ id, name, role } or null) and
+// whether it may use the editing tools
+const useEditorAccess = () => {
+  const [identity, setIdentity] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Check the stored token: 'valid', 'rejected' or 'unreachable'. Only a rejected token is
+  // forgotten; while offline or when the backend is down it is kept for the next check.
+  const verify = useCallback(async () => {
+    if (!getApiToken()) {
+      setIdentity(null);
+      return 'rejected';
+    }
+    try {
+      const response = await apiGet('/api/auth/me');
+      setIdentity(response.data);
+      setError(null);
+      return 'valid';
+    } catch (err) {
+      const status = err.response && err.response.status;
+      if (status === 401 || status === 403) {
+        setApiToken(null);
+        setIdentity(null);
+        return 'rejected';
+      }
+      return 'unreachable';
+    }
+  }, []);
+
+  // Check again when the connection comes back, e.g. after starting offline
+  useEffect(() => {
+    verify();
+    window.addEventListener('online', verify);
+    return () => window.removeEventListener('online', verify);
+  }, [verify]);
+
+  // The realtime socket is reopened so the server sees the new token
+  const signIn = useCallback(async (token) => {
+    setApiToken(token.trim());
+    const result = await verify();
+    if (result === 'rejected') setError('That token was not accepted');
+    if (result === 'unreachable') setError('Could not reach the server to check that token');
+    reconnect();
+  }, [verify]);
+
+  const signOut = useCallback(() => {
+    setApiToken(null);
+    setIdentity(null);
+    reconnect();
+  }, []);
+
+  return {
+    identity,
+    error,
+    canEdit: Boolean(identity && EDIT_ROLES.includes(identity.role)),
+    signIn,
+    signOut
+  };
+};
+
+export default useEditorAccess;
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+import { fetchFraming } from '../utils/framing';
+
+// Framing camera of a model from its bounds while `enabled` (see utils/framing). Returns
+// { ready, camera }: camera is null when the bounds are unknown.
+const useFraming = (modelId, modelPath, enabled) => {
+  const [state, setState] = useState({ path: null, camera: null });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let active = true;
+    fetchFraming(modelId, modelPath).then(camera => {
+      if (active) setState({ path: modelPath, camera });
+    });
+    return () => {
+      active = false;
+    };
+  }, [modelId, modelPath, enabled]);
+
+  return state.path === modelPath ? { ready: true, camera: state.camera } : { ready: false, camera: null };
+};
+
+export default useFraming;
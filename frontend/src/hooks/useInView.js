@@ -0,0 +1,50 @@
+import { useEffect, useState } from 'react';
+
+// One IntersectionObserver per rootMargin, shared by every element watched with that
+// margin, so a gallery of hundreds of cards doesn't create hundreds of observers
+const observers = new Map();
+
+const observe = (element, rootMargin, onChange) => {
+  let entry = observers.get(rootMargin);
+  if (!entry) {
+    const callbacks = new Map();
+    const observer = new IntersectionObserver((changes) => {
+      changes.forEach(change => {
+        const callback = callbacks.get(change.target);
+        if (callback) callback(change.isIntersecting);
+      });
+    }, { rootMargin });
+    entry = { observer, callbacks };
+    observers.set(rootMargin, entry);
+  }
+  entry.callbacks.set(element, onChange);
+  entry.observer.observe(element);
+
+  return () => {
+    entry.observer.unobserve(element);
+    entry.callbacks.delete(element);
+    if (entry.callbacks.size === 0) {
+      entry.observer.disconnect();
+      observers.delete(rootMargin);
+    }
+  };
+};
+
+// Whether the element in `ref` is within `rootMargin` of the viewport
+const useInView = (ref, rootMargin = '0px') => {
+  const [inView, setInView] = useState(false);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) return undefined;
+    if (typeof IntersectionObserver === 'undefined') {
+      setInView(true);
+      return undefined;
+    }
+    return observe(element, rootMargin, setInView);
+  }, [ref, rootMargin]);
+
+  return inView;
+};
+
+export default useInView;
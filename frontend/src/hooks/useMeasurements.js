@@ -0,0 +1,67 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiGet, apiSend } from '../utils/api';
+import { DEFAULT_SCALE } from '../utils/measure';
+
+let nextDraftId = 1;
+
+// A model's saved measurements and scale, plus drafts: lines measured in this viewer that
+// haven't been saved (only editors can save them)
+const useMeasurements = (modelId) => {
+  const [scale, setScale] = useState(DEFAULT_SCALE);
+  const [measurements, setMeasurements] = useState([]);
+  const [drafts, setDrafts] = useState([]);
+  const basePath = `/api/models/${encodeURIComponent(modelId)}/measurements`;
+
+  useEffect(() => {
+    let cancelled = false;
+    setScale(DEFAULT_SCALE);
+    setMeasurements([]);
+    setDrafts([]);
+    apiGet(basePath)
+      .then(response => {
+        if (cancelled || !response.data || !Array.isArray(response.data.measurements)) return;
+        setScale(response.data.scale);
+        setMeasurements(response.data.measurements);
+      })
+      .catch(err => console.warn('Unable to load measurements:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [basePath]);
+
+  const addDraft = useCallback((points) => {
+    setDrafts(prev => [...prev, { id: `draft-${nextDraftId++}`, label: '', points }]);
+  }, []);
+
+  const discardDraft = useCallback((id) => {
+    setDrafts(prev => prev.filter(d => d.id !== id));
+  }, []);
+
+  const saveDraft = useCallback(async (draft, label) => {
+    const response = await apiSend('post', basePath, { label, points: draft.points });
+    setMeasurements(prev => [...prev, response.data]);
+    setDrafts(prev => prev.filter(d => d.id !== draft.id));
+    return response.data;
+  }, [basePath]);
+
+  const rename = useCallback(async (id, label) => {
+    const response = await apiSend('patch', `${basePath}/${id}`, { label });
+    setMeasurements(prev => prev.map(m => (m.id === id ? response.data : m)));
+    return response.data;
+  }, [basePath]);
+
+  const remove = useCallback(async (id) => {
+    await apiSend('delete', `${basePath}/${id}`);
+    setMeasurements(prev => prev.filter(m => m.id !== id));
+  }, [basePath]);
+
+  const saveScale = useCallback(async (next) => {
+    const response = await apiSend('put', `${basePath}/scale`, next);
+    setScale(response.data);
+    return response.data;
+  }, [basePath]);
+
+  return { scale, measurements, drafts, addDraft, discardDraft, saveDraft, rename, remove, saveScale };
+};
+
+export default useMeasurements;
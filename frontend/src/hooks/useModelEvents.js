@@ -0,0 +1,19 @@
+import { useEffect, useRef } from 'react';
+import { subscribe } from '../utils/realtime';
+
+const MODEL_EVENT_TYPES = ['model-added', 'model-updated', 'model-removed'];
+
+// Subscribe to the backend's model-added / model-updated / model-removed events
+// over the shared realtime socket.
+const useModelEvents = (onEvent) => {
+  const handlerRef = useRef(onEvent);
+  handlerRef.current = onEvent;
+
+  useEffect(() => subscribe((event) => {
+    if (MODEL_EVENT_TYPES.includes(event.type) && event.model) {
+      handlerRef.current(event);
+    }
+  }), []);
+};
+
+export default useModelEvents;
@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  isOfflineCacheSupported,
+  isOfflineCacheActive,
+  listCachedModels,
+  pinModel,
+  unpinModel,
+  removeCachedModel,
+  storageEstimate
+} from '../utils/offlineCache';
+
+// Models in the offline cache and the origin's storage use, kept current as the service
+// worker caches, evicts or downloads files. `supported` is false until the service worker
+// controls the page; `busyIds` are models with a pin or removal in progress.
+const useOfflineModels = () => {
+  const [cachedModels, setCachedModels] = useState([]);
+  const [estimate, setEstimate] = useState(null);
+  const [busyIds, setBusyIds] = useState([]);
+  const [error, setError] = useState(null);
+  const [supported, setSupported] = useState(isOfflineCacheActive);
+
+  const refresh = useCallback(async () => {
+    setSupported(isOfflineCacheActive());
+    if (!isOfflineCacheActive()) return;
+    try {
+      const [models, usage] = await Promise.all([listCachedModels(), storageEstimate()]);
+      setCachedModels(models.sort((a, b) => b.lastUsed - a.lastUsed));
+      setEstimate(usage);
+    } catch (err) {
+      console.warn('Unable to read the offline cache:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isOfflineCacheSupported()) return undefined;
+    refresh();
+    const handleMessage = (event) => {
+      if (event.data && event.data.type === 'offline-cache-changed') refresh();
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    navigator.serviceWorker.addEventListener('controllerchange', refresh);
+    return () => {
+      navigator.serviceWorker.removeEventListener('message', handleMessage);
+      navigator.serviceWorker.removeEventListener('controllerchange', refresh);
+    };
+  }, [refresh]);
+
+  const track = useCallback(async (id, action, failure) => {
+    setBusyIds(prev => [...prev, id]);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(`${failure}: ${err.message}`);
+    } finally {
+      setBusyIds(prev => prev.filter(busyId => busyId !== id));
+      refresh();
+    }
+  }, [refresh]);
+
+  const pin = useCallback((model) => track(model.id, () => pinModel(model), 'Download failed'), [track]);
+  const unpin = useCallback((id) => track(id, () => unpinModel(id), 'Unable to unpin'), [track]);
+  const remove = useCallback((id) => track(id, () => removeCachedModel(id), 'Unable to remove'), [track]);
+
+  return { supported, cachedModels, estimate, busyIds, error, pin, unpin, remove };
+};
+
+export default useOfflineModels;
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { acquirePoster, cachedPoster, releasePoster } from '../utils/posterCapture';
+
+const NO_POSTER = { url: null, failed: false };
+
+// Static poster of the model file at `src`, seen from `camera` (if given), while `enabled`
+// (see utils/posterCapture). Returns { url, failed }; url is null until the poster has been
+// rendered.
+const usePoster = (src, enabled, camera) => {
+  const [state, setState] = useState({ src: null, ...NO_POSTER });
+
+  useEffect(() => {
+    if (!enabled || !src) return undefined;
+    let active = true;
+    setState({ src, url: cachedPoster(src), failed: false });
+    acquirePoster(src, camera || undefined).then(
+      url => { if (active) setState({ src, url, failed: false }); },
+      () => { if (active) setState({ src, url: null, failed: true }); }
+    );
+    return () => {
+      active = false;
+      releasePoster(src);
+    };
+  }, [src, enabled, camera]);
+
+  return enabled && state.src === src ? state : NO_POSTER;
+};
+
+export default usePoster;
@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiGet, apiSend } from '../utils/api';
+
+// A model's snapshot gallery, newest first, plus uploading and deleting snapshots
+const useSnapshots = (modelId) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const basePath = `/api/models/${encodeURIComponent(modelId)}/snapshots`;
+
+  useEffect(() => {
+    let cancelled = false;
+    setSnapshots([]);
+    apiGet(basePath)
+      .then(response => {
+        if (!cancelled && Array.isArray(response.data)) setSnapshots(response.data);
+      })
+      .catch(err => console.warn('Unable to load snapshots:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [basePath]);
+
+  // Upload a PNG with an optional caption and the camera it was taken from
+  const upload = useCallback(async (blob, { caption, camera }) => {
+    const form = new FormData();
+    form.append('image', blob, 'snapshot.png');
+    if (caption) form.append('caption', caption);
+    Object.entries(camera || {}).forEach(([field, value]) => {
+      if (value) form.append(field, value);
+    });
+    const response = await apiSend('post', basePath, form);
+    setSnapshots(prev => [response.data, ...prev]);
+    return response.data;
+  }, [basePath]);
+
+  const remove = useCallback(async (id) => {
+    await apiSend('delete', `${basePath}/${id}`);
+    setSnapshots(prev => prev.filter(s => s.id !== id));
+  }, [basePath]);
+
+  return { snapshots, upload, remove };
+};
+
+export default useSnapshots;
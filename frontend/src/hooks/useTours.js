@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiGet, apiSend } from '../utils/api';
+
+const replaceTour = (list, tour) => (list.some(t => t.id === tour.id)
+  ? list.map(t => (t.id === tour.id ? tour : t))
+  : [...list, tour]);
+
+// A model's guided tours plus the editor operations on them
+const useTours = (modelId) => {
+  const [tours, setTours] = useState([]);
+  const basePath = `/api/models/${encodeURIComponent(modelId)}/tours`;
+
+  useEffect(() => {
+    let cancelled = false;
+    setTours([]);
+    apiGet(basePath)
+      .then(response => {
+        if (!cancelled && Array.isArray(response.data)) setTours(response.data);
+      })
+      .catch(err => console.warn('Unable to load tours:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [basePath]);
+
+  // Create (no id) or replace a tour's title and steps
+  const saveTour = useCallback(async ({ id, title, steps }) => {
+    const response = id
+      ? await apiSend('put', `${basePath}/${id}`, { title, steps })
+      : await apiSend('post', basePath, { title, steps });
+    setTours(prev => replaceTour(prev, response.data));
+    return response.data;
+  }, [basePath]);
+
+  const deleteTour = useCallback(async (id) => {
+    await apiSend('delete', `${basePath}/${id}`);
+    setTours(prev => prev.filter(t => t.id !== id));
+  }, [basePath]);
+
+  // Upload narration for a step, or remove it when `file` is null
+  const setNarration = useCallback(async (tourId, stepId, file) => {
+    const narrationPath = `${basePath}/${tourId}/steps/${stepId}/narration`;
+    let response;
+    if (file) {
+      const form = new FormData();
+      form.append('audio', file);
+      response = await apiSend('put', narrationPath, form);
+    } else {
+      response = await apiSend('delete', narrationPath);
+    }
+    setTours(prev => replaceTour(prev, response.data));
+    return response.data;
+  }, [basePath]);
+
+  return { tours, saveTour, deleteTour, setNarration };
+};
+
+export default useTours;
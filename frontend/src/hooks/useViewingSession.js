@@ -0,0 +1,108 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { subscribe, send } from '../utils/realtime';
+
+// Presenter camera updates are throttled to this interval
+const PUBLISH_INTERVAL_MS = 100;
+
+// Shared viewing sessions (see backend/lib/sessions.js). `session` is null outside a
+// session, otherwise { code, clientId, role, presenterId, participants }. `view` is
+// the latest presenter state: { modelId, cameraOrbit, cameraTarget, fieldOfView }.
+const useViewingSession = () => {
+  const [session, setSession] = useState(null);
+  const [view, setView] = useState(null);
+  const [error, setError] = useState(null);
+  const codeRef = useRef(null);
+  const pendingRef = useRef(null);
+  const publishTimerRef = useRef(null);
+  const lastPublishRef = useRef(0);
+
+  useEffect(() => subscribe((event) => {
+    switch (event.type) {
+      case 'session:joined':
+        codeRef.current = event.code;
+        setError(null);
+        setSession({
+          code: event.code,
+          clientId: event.clientId,
+          role: event.role,
+          presenterId: event.presenterId,
+          participants: event.participants
+        });
+        setView(event.state || {});
+        break;
+      case 'session:presence':
+        setSession(prev => prev && {
+          ...prev,
+          role: event.presenterId === prev.clientId ? 'presenter' : 'follower',
+          presenterId: event.presenterId,
+          participants: event.participants
+        });
+        break;
+      case 'session:state':
+        setView(event.state);
+        break;
+      case 'session:left':
+        codeRef.current = null;
+        setSession(null);
+        setView(null);
+        break;
+      case 'error':
+        // A session that vanished (e.g. backend restart) can't be rejoined
+        if (event.code === 'UNKNOWN_SESSION') {
+          codeRef.current = null;
+          setSession(null);
+          setView(null);
+        }
+        setError(event.message);
+        break;
+      default:
+        break;
+    }
+  }, () => {
+    // Rejoin after a reconnect; the server hands out a new client id
+    if (codeRef.current) send({ type: 'session:join', code: codeRef.current });
+  }), []);
+
+  useEffect(() => () => clearTimeout(publishTimerRef.current), []);
+
+  const startSession = useCallback(() => {
+    if (!send({ type: 'session:create' })) setError('Not connected to the server');
+  }, []);
+
+  const joinSession = useCallback((code) => {
+    if (!send({ type: 'session:join', code })) setError('Not connected to the server');
+  }, []);
+
+  const leaveSession = useCallback(() => {
+    codeRef.current = null;
+    send({ type: 'session:leave' });
+    setSession(null);
+    setView(null);
+  }, []);
+
+  const handOff = useCallback((clientId) => {
+    send({ type: 'session:handoff', to: clientId });
+  }, []);
+
+  // Stream part of the presenter's view; bursts of camera changes are coalesced
+  const publishView = useCallback((partial) => {
+    pendingRef.current = { ...pendingRef.current, ...partial };
+    const flush = () => {
+      publishTimerRef.current = null;
+      lastPublishRef.current = Date.now();
+      send({ type: 'session:state', ...pendingRef.current });
+      pendingRef.current = null;
+    };
+    if (publishTimerRef.current) return;
+    const wait = PUBLISH_INTERVAL_MS - (Date.now() - lastPublishRef.current);
+    if (wait <= 0) {
+      flush();
+    } else {
+      publishTimerRef.current = setTimeout(flush, wait);
+    }
+  }, []);
+
+  return { session, view, error, startSession, joinSession, leaveSession, handOff, publishView };
+};
+
+export default useViewingSession;
@@ -0,0 +1,48 @@
+import axios from 'axios';
+import { authHeaders } from './auth';
+
+const DIRECT_BACKEND_URL = 'http://localhost:5000';
+
+// GET an API path, falling back to the backend directly when the dev proxy isn't active
+export const apiGet = async (apiPath, params) => {
+  const config = { params, headers: { Accept: 'application/json', ...authHeaders() } };
+  let response;
+  try {
+    // Prefer the proxied endpoint in dev
+    response = await axios.get(apiPath, config);
+  } catch (relErr) {
+    // Authentication errors come from the backend itself, so there is nothing to retry
+    const status = relErr.response && relErr.response.status;
+    if (status === 401 || status === 403) throw relErr;
+    // If the proxied request fails (proxy not active / dev-server not restarted), try the backend directly
+    console.warn(`Relative ${apiPath} request failed, attempting direct backend:`, relErr);
+    response = await axios.get(`${DIRECT_BACKEND_URL}${apiPath}`, config);
+  }
+
+  // If the server returned HTML (for example index.html) axios may still give us a string.
+  // Detect that and try the backend directly as a fallback.
+  if (typeof response.data === 'string' && response.data.trim().startsWith('<')) {
+    console.warn(`Received HTML from ${apiPath} (probably index.html). Falling back to backend absolute URL.`);
+    response = await axios.get(`${DIRECT_BACKEND_URL}${apiPath}`, config);
+  }
+  return response;
+};
+
+// Authenticated write (POST/PUT/PATCH/DELETE). Only retries against the backend
+// directly when the proxy is unreachable; API errors are passed through.
+export const apiSend = async (method, apiPath, data) => {
+  const config = { method, data, headers: { Accept: 'application/json', ...authHeaders() } };
+  try {
+    return await axios({ ...config, url: apiPath });
+  } catch (err) {
+    const proxyMissing = !err.response ||
+      String(err.response.headers['content-type'] || '').includes('text/html');
+    if (!proxyMissing) throw err;
+    return axios({ ...config, url: `${DIRECT_BACKEND_URL}${apiPath}` });
+  }
+};
+
+// Human readable message for a failed API call
+export const apiErrorMessage = (err, fallback) => (
+  (err.response && err.response.data && err.response.data.error) || fallback
+);
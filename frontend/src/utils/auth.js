@@ -0,0 +1,40 @@
+// Editor API token (see backend/scripts/manage-tokens.js), kept in localStorage so
+// an editor only has to sign in once per browser
+const TOKEN_KEY = 'arv.apiToken';
+
+export const getApiToken = () => {
+  try {
+    return window.localStorage.getItem(TOKEN_KEY);
+  } catch (e) {
+    return null;
+  }
+};
+
+export const setApiToken = (token) => {
+  try {
+    if (token) {
+      window.localStorage.setItem(TOKEN_KEY, token);
+    } else {
+      window.localStorage.removeItem(TOKEN_KEY);
+    }
+  } catch (e) {
+    // Storage unavailable (private mode); the token only lasts for this page
+  }
+};
+
+export const authHeaders = () => {
+  const token = getApiToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Private models are only served with a token, and <model-viewer>, <img> and Quick Look
+// links can't send headers, so it goes in the asset URL. glTF packages take it in their
+// version segment ("/v3.<revision>~<token>/") so that the relative URLs of their buffers
+// and images carry it too.
+export const withAccessToken = (url) => {
+  const token = getApiToken();
+  if (!token) return url;
+  const packageUrl = url.replace(/(\/models\/[^/?]+\/v\d+(?:\.[0-9a-z]+)?)\//, `$1~${encodeURIComponent(token)}/`);
+  if (packageUrl !== url) return packageUrl;
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`;
+};
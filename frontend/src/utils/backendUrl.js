@@ -0,0 +1,20 @@
+// Compute backend URL robustly: prefer explicit env var, else map tunnel hostnames
+export const resolveBackendUrl = () => {
+  let backendUrl = process.env.REACT_APP_BACKEND_URL;
+  if (!backendUrl) {
+    const protocol = window.location.protocol === 'https:' ? 'https' : 'http';
+    const hostname = window.location.hostname || '';
+    if (hostname.includes('-3000')) {
+      // Dev tunnel mapping: map frontend tunnel host -> backend tunnel host
+      const guessed = hostname.replace(/-3000/g, '-5000');
+      backendUrl = `${protocol}://${guessed}`;
+    } else {
+      // Use current origin which preserves https and port if present
+      backendUrl = window.location.origin;
+    }
+  }
+  return backendUrl;
+};
+
+// WebSocket endpoint on the backend (same host, ws:// or wss://)
+export const resolveSocketUrl = () => resolveBackendUrl().replace(/^http/, 'ws');
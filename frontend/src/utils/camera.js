@@ -0,0 +1,21 @@
+// Read and apply model-viewer camera state using its attribute syntax
+// ("30deg 75deg 2.5m", "0m 1m 0m", "30deg"), as stored by sessions and tours.
+
+export const readCamera = (mv) => ({
+  cameraOrbit: mv.getCameraOrbit().toString(),
+  cameraTarget: mv.getCameraTarget().toString(),
+  fieldOfView: `${mv.getFieldOfView()}deg`
+});
+
+// Move the camera towards `view`; model-viewer eases there according to its
+// interpolation-decay unless `jump` is set. Missing fields fall back to automatic.
+export const applyCamera = (mv, view, { jump = false, resetMissing = false } = {}) => {
+  ['cameraOrbit', 'cameraTarget', 'fieldOfView'].forEach(field => {
+    if (view[field]) {
+      mv[field] = view[field];
+    } else if (resetMissing) {
+      mv[field] = 'auto';
+    }
+  });
+  if (jump && mv.jumpCameraToGoal) mv.jumpCameraToGoal();
+};
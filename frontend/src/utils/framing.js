@@ -0,0 +1,38 @@
+import { apiGet } from './api';
+
+// Camera framing for gallery previews and posters from the model's bounds (reported by
+// /api/models/:id/stats): look at the center of the bounds from far enough away to fit the
+// largest side, instead of relying on model-viewer's automatic framing.
+
+// Orbit radius as a multiple of the largest side, and never closer than MIN_RADIUS (metres)
+const RADIUS_PER_SIZE = 1.6;
+const MIN_RADIUS = 0.8;
+
+// Model file path -> Promise of its camera (or null), so remounted cards don't refetch
+const framings = new Map();
+
+// { cameraOrbit, cameraTarget } framing `bounds` ({ size, center }), or null
+export const framingCamera = (bounds) => {
+  if (!bounds || !Array.isArray(bounds.size) || !Array.isArray(bounds.center)) return null;
+  const maxDim = Math.max(...bounds.size);
+  if (!(maxDim > 0)) return null;
+  const radius = Math.max(MIN_RADIUS, maxDim * RADIUS_PER_SIZE);
+  return {
+    cameraOrbit: `0deg 75deg ${radius}m`,
+    cameraTarget: bounds.center.map(value => `${value}m`).join(' ')
+  };
+};
+
+// Resolves with the framing camera of model `modelId` (whose file is at `modelPath`), or
+// null when its bounds are unknown
+export const fetchFraming = (modelId, modelPath) => {
+  if (!framings.has(modelPath)) {
+    framings.set(modelPath, apiGet(`/api/models/${encodeURIComponent(modelId)}/stats`)
+      .then(response => framingCamera(response.data && response.data.bounds))
+      .catch(err => {
+        console.warn('Unable to fetch model bounds:', err);
+        return null;
+      }));
+  }
+  return framings.get(modelPath);
+};
@@ -0,0 +1,35 @@
+// Lengths on the model. Points are in model coordinates (the units of positionAndNormalFromPoint
+// and hotspots); a model's scale says how many real-world metres one model unit is.
+
+// Units lengths can be shown in, as multiples of a metre (the backend accepts the same keys)
+export const LENGTH_UNITS = { m: 1, cm: 100, mm: 1000, ft: 3.28084, in: 39.3701 };
+
+export const DEFAULT_SCALE = { factor: 1, unit: 'm' };
+
+export const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+
+export const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 });
+
+// "2.35 m", "48.2 cm", "312 mm": fewer decimals for larger values
+export const formatLength = (modelLength, scale, unit) => {
+  const value = modelLength * scale.factor * LENGTH_UNITS[unit];
+  const digits = value >= 100 ? 0 : value >= 10 ? 1 : 2;
+  return `${value.toFixed(digits)} ${unit}`;
+};
+
+// The scale factor under which `modelLength` measures `realLength` in `unit`
+export const calibratedFactor = (modelLength, realLength, unit) => realLength / LENGTH_UNITS[unit] / modelLength;
+
+// Three edges of the model's bounding box, meeting at its front bottom right corner:
+// [{ axis, from, to, length }] for the dimensions overlay. `center` and `size` come from
+// model-viewer's getBoundingBoxCenter() and getDimensions().
+export const boundingBoxEdges = (center, size) => {
+  const min = { x: center.x - size.x / 2, y: center.y - size.y / 2, z: center.z - size.z / 2 };
+  const max = { x: center.x + size.x / 2, y: center.y + size.y / 2, z: center.z + size.z / 2 };
+  const corner = { x: max.x, y: min.y, z: max.z };
+  return [
+    { axis: 'x', from: { ...corner, x: min.x }, to: corner, length: size.x },
+    { axis: 'y', from: corner, to: { ...corner, y: max.y }, length: size.y },
+    { axis: 'z', from: { ...corner, z: min.z }, to: corner, length: size.z }
+  ];
+};
@@ -0,0 +1,15 @@
+// Load the <model-viewer> web component once, however many components ask for it. It is
+// bundled with the app as a separate chunk, so the service worker precaches it with the
+// app shell and models can be viewed offline.
+let definedPromise = null;
+
+// Resolves once <model-viewer> is defined
+export const loadModelViewer = () => {
+  if (!definedPromise) {
+    if (!window.customElements.get('model-viewer')) {
+      import('@google/model-viewer').catch(err => console.error('Unable to load <model-viewer>:', err));
+    }
+    definedPromise = window.customElements.whenDefined('model-viewer');
+  }
+  return definedPromise;
+};
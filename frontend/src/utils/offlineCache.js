@@ -0,0 +1,77 @@
+import { resolveBackendUrl } from './backendUrl';
+import { readTextureQuality, pickModelSource } from './textureQuality';
+import { pickPoster } from './posters';
+
+// Page side of the offline cache kept by public/service-worker.js
+
+export const isOfflineCacheSupported = () => 'serviceWorker' in navigator && 'caches' in window;
+
+// Whether the service worker controls this page (not on the first visit, nor in development)
+export const isOfflineCacheActive = () => isOfflineCacheSupported() && Boolean(navigator.serviceWorker.controller);
+
+// Register the service worker. Only production builds have the asset manifest it
+// precaches, so the development server runs without it.
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !isOfflineCacheSupported()) return;
+  window.addEventListener('load', () => {
+    const url = `${process.env.PUBLIC_URL}/service-worker.js?backend=${encodeURIComponent(resolveBackendUrl())}`;
+    navigator.serviceWorker.register(url).catch(err => {
+      console.warn('Service worker registration failed:', err);
+    });
+  });
+};
+
+// Send a message to the service worker and resolve with its reply
+const ask = async (type, payload = {}) => {
+  if (!isOfflineCacheActive()) {
+    throw new Error('Offline storage is not available');
+  }
+  const worker = navigator.serviceWorker.controller;
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = ({ data }) => {
+      if (data.error) {
+        reject(new Error(data.error));
+      } else {
+        resolve(data.result);
+      }
+    };
+    worker.postMessage({ type, ...payload }, [channel.port2]);
+  });
+};
+
+// Files the viewer loads for `model` on this device: the full-detail file, the coarsest
+// LOD it shows first and a poster
+export const offlineUrls = (model) => {
+  const viewport = Math.max(window.innerWidth, window.innerHeight);
+  const lowestLod = model.lods && model.lods[model.lods.length - 1];
+  return [
+    pickModelSource(model, readTextureQuality(), viewport).path,
+    lowestLod && lowestLod.path,
+    pickPoster(model.posters, viewport)
+  ].filter((url, index, urls) => url && urls.indexOf(url) === index);
+};
+
+// [{ id, name, pinned, lastUsed, files, size }] for every model with cached files
+export const listCachedModels = () => ask('list');
+
+// Download a model for offline use and keep it until it is unpinned or removed
+export const pinModel = async (model) => {
+  // Ask the browser not to clear the origin's storage under pressure
+  if (navigator.storage && navigator.storage.persist) {
+    await navigator.storage.persist().catch(() => false);
+  }
+  const metadata = model.metadata || {};
+  return ask('pin', { id: model.id, name: metadata.title || null, urls: offlineUrls(model) });
+};
+
+export const unpinModel = (id) => ask('unpin', { id });
+
+export const removeCachedModel = (id) => ask('remove', { id });
+
+// { usage, quota } in bytes for this origin, or null when the browser can't tell
+export const storageEstimate = async () => {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+};
@@ -0,0 +1,191 @@
+import { loadModelViewer } from './modelViewer';
+import { applyCamera } from './camera';
+
+// Static gallery posters. Every card used to keep its own live <model-viewer>, and browsers
+// run out of WebGL contexts after a dozen or so. Instead, posters are rendered one at a time
+// by a single hidden <model-viewer> and kept as image object URLs. At most MAX_POSTERS are
+// cached; the least recently used poster no card is showing is dropped first. The same
+// element renders the canonical posters uploaded to the backend (see renderPoster) and
+// viewer snapshots at sizes the screen can't show (see renderSnapshot).
+
+const MAX_POSTERS = 48;
+const POSTER_WIDTH = 480;
+const POSTER_HEIGHT = 300;
+const LOAD_TIMEOUT_MS = 30000;
+// Remove the capture element (and free its scene) once nothing has been queued for a while
+const IDLE_RELEASE_MS = 5000;
+// Posters frame the whole model from the front, unless given its framing (see utils/framing)
+const POSTER_CAMERA = { cameraOrbit: '0deg 75deg 105%' };
+
+// src -> { url, refs, promise, job, lastUsed }
+const entries = new Map();
+// Renders waiting for the capture element: { src, width, height, camera, mimeType, resolve, reject }.
+// width and height are in CSS pixels.
+const pending = [];
+let capturing = false;
+let captureElement = null;
+let idleTimer = null;
+
+const getCaptureElement = () => {
+  if (!captureElement) {
+    captureElement = document.createElement('model-viewer');
+    captureElement.setAttribute('aria-hidden', 'true');
+    captureElement.setAttribute('loading', 'eager');
+    captureElement.setAttribute('interaction-prompt', 'none');
+    captureElement.setAttribute('shadow-intensity', '0.5');
+    captureElement.setAttribute('shadow-softness', '0.5');
+    // Kept inside the viewport (model-viewer doesn't render what it considers off-screen)
+    // but invisible and out of the way
+    Object.assign(captureElement.style, {
+      position: 'fixed',
+      left: '0',
+      top: '0',
+      opacity: '0',
+      pointerEvents: 'none',
+      zIndex: '-1'
+    });
+    document.body.appendChild(captureElement);
+  }
+  return captureElement;
+};
+
+const releaseCaptureElement = () => {
+  if (captureElement) {
+    captureElement.remove();
+    captureElement = null;
+  }
+};
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => resolve()));
+
+// Load `src` into the capture element and render it to an image Blob
+const capture = async ({ src, width, height, camera = POSTER_CAMERA, mimeType = 'image/webp' }) => {
+  await loadModelViewer();
+  const mv = getCaptureElement();
+  mv.style.width = `${width}px`;
+  mv.style.height = `${height}px`;
+  if (mv.getAttribute('src') !== src || !mv.loaded) {
+    await new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        mv.removeEventListener('load', onLoad);
+        mv.removeEventListener('error', onError);
+      };
+      const onLoad = () => { cleanup(); resolve(); };
+      const onError = () => { cleanup(); reject(new Error(`Unable to load ${src}`)); };
+      const timer = setTimeout(onError, LOAD_TIMEOUT_MS);
+      mv.addEventListener('load', onLoad);
+      mv.addEventListener('error', onError);
+      mv.setAttribute('src', src);
+    });
+  }
+  applyCamera(mv, camera, { jump: true, resetMissing: true });
+  // Let the first frame with the model (at this size and camera) render before reading it back
+  await nextFrame();
+  await nextFrame();
+  return mv.toBlob({ mimeType, qualityArgument: 0.85 });
+};
+
+// Drop the least recently used posters no card holds beyond MAX_POSTERS
+const evict = () => {
+  const captured = [...entries.entries()].filter(([, entry]) => entry.url);
+  const unused = captured
+    .filter(([, entry]) => entry.refs === 0)
+    .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+  let excess = captured.length - MAX_POSTERS;
+  for (const [src, entry] of unused) {
+    if (excess <= 0) break;
+    URL.revokeObjectURL(entry.url);
+    entries.delete(src);
+    excess -= 1;
+  }
+};
+
+const pump = () => {
+  if (capturing) return;
+  if (pending.length === 0) {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(releaseCaptureElement, IDLE_RELEASE_MS);
+    return;
+  }
+  clearTimeout(idleTimer);
+  capturing = true;
+  const job = pending.shift();
+  capture(job)
+    .then(job.resolve, job.reject)
+    .finally(() => {
+      capturing = false;
+      evict();
+      pump();
+    });
+};
+
+// The cached poster URL for `src`, or null
+export const cachedPoster = (src) => {
+  const entry = entries.get(src);
+  return entry && entry.url ? entry.url : null;
+};
+
+// Resolves with an object URL of the poster for the model file at `src`, seen from `camera`
+// (the first caller's camera is used). Each call must be paired with releasePoster(src) once
+// the poster is no longer shown.
+export const acquirePoster = (src, camera = POSTER_CAMERA) => {
+  let entry = entries.get(src);
+  if (!entry) {
+    const created = { url: null, refs: 0 };
+    created.promise = new Promise((resolve, reject) => {
+      created.job = { src, width: POSTER_WIDTH, height: POSTER_HEIGHT, camera, resolve, reject };
+    }).then(
+      blob => {
+        created.url = URL.createObjectURL(blob);
+        return created.url;
+      },
+      err => {
+        // Forget failures so the poster is tried again the next time it's needed
+        entries.delete(src);
+        throw err;
+      }
+    );
+    // Callers that let go before the capture failed don't need to hear about it
+    created.promise.catch(() => {});
+    entry = created;
+    entries.set(src, entry);
+    pending.push(entry.job);
+    pump();
+  }
+  entry.refs += 1;
+  entry.lastUsed = Date.now();
+  return entry.promise;
+};
+
+export const releasePoster = (src) => {
+  const entry = entries.get(src);
+  if (!entry) return;
+  entry.refs = Math.max(0, entry.refs - 1);
+  entry.lastUsed = Date.now();
+  if (entry.refs === 0 && !entry.url) {
+    // Not captured yet: skip it if it's still waiting (it scrolled away)
+    const index = pending.indexOf(entry.job);
+    if (index !== -1) {
+      pending.splice(index, 1);
+      entries.delete(src);
+    }
+  }
+  evict();
+};
+
+// Render the model file at `src` at width x height from `camera` (by default the front
+// framing), for upload as its canonical poster. Resolves with an image Blob; not cached.
+export const renderPoster = (src, { width, height, camera = POSTER_CAMERA }) => new Promise((resolve, reject) => {
+  pending.push({ src, width, height, camera, resolve, reject });
+  pump();
+});
+
+// Render the model file at `src` from `camera` ({ cameraOrbit, cameraTarget, fieldOfView })
+// at about width x height device pixels, which may be more than the screen has. Resolves
+// with a PNG Blob, transparent where the model isn't; not cached.
+export const renderSnapshot = (src, { width, height, camera }) => new Promise((resolve, reject) => {
+  const dpr = window.devicePixelRatio || 1;
+  pending.push({ src, width: width / dpr, height: height / dpr, camera, mimeType: 'image/png', resolve, reject });
+  pump();
+});
@@ -0,0 +1,55 @@
+import { apiSend } from './api';
+
+// Posters stored by the backend (see `posters` in /api/models): screenshots at several
+// widths, largest first, each as WebP and PNG
+
+// Widest poster the backend keeps; uploads are scaled down to it
+const MAX_POSTER_WIDTH = 1024;
+
+// Models this page has set out to capture the first poster of, so a model isn't rendered
+// and uploaded twice while the listing catches up
+const claimed = new Set();
+
+// srcset for the posters of one type, e.g. "…poster1024.webp 1024w, …poster512.webp 512w"
+export const posterSrcSet = (posters, type) => (posters || [])
+  .filter(poster => poster.type === type)
+  .map(poster => `${poster.path} ${poster.width}w`)
+  .join(', ');
+
+// URL of the smallest poster at least `displayPixels` CSS pixels wide on this screen (the
+// largest one when none is), preferring WebP; null when the model has none
+export const pickPoster = (posters, displayPixels) => {
+  const candidates = (posters || []).filter(poster => poster.type === 'image/webp');
+  const list = candidates.length > 0 ? candidates : posters || [];
+  if (list.length === 0) return null;
+  const wanted = displayPixels * (window.devicePixelRatio || 1);
+  const covering = list.filter(poster => poster.width >= wanted);
+  return (covering[covering.length - 1] || list[0]).path;
+};
+
+const scaleDown = async (blob, maxWidth) => {
+  if (typeof createImageBitmap === 'undefined') return blob;
+  const bitmap = await createImageBitmap(blob);
+  if (bitmap.width <= maxWidth) return blob;
+  const canvas = document.createElement('canvas');
+  canvas.width = maxWidth;
+  canvas.height = Math.round(bitmap.height * (maxWidth / bitmap.width));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  return new Promise(resolve => canvas.toBlob(scaled => resolve(scaled || blob), 'image/webp', 0.9));
+};
+
+// Store `blob` as the poster of `modelId`. Anyone can upload the first poster of a model
+// (anonymous uploads are rate limited); replacing one requires an editor token.
+export const uploadPoster = async (modelId, blob) => {
+  const form = new FormData();
+  form.append('poster', await scaleDown(blob, MAX_POSTER_WIDTH), 'poster');
+  const response = await apiSend('post', `/api/models/${encodeURIComponent(modelId)}/poster`, form);
+  return response.data;
+};
+
+// Whether this page should capture the first poster of `model`: true at most once per model
+export const claimFirstPoster = (model) => {
+  if ((model.posters || []).length > 0 || claimed.has(model.id)) return false;
+  claimed.add(model.id);
+  return true;
+};
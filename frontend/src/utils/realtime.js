@@ -0,0 +1,97 @@
+import { resolveSocketUrl } from './backendUrl';
+import { getApiToken } from './auth';
+
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+// The backend answers `ping` with `pong`; a socket that has been silent this long is
+// treated as dead and reopened (browsers don't surface protocol-level pings)
+const PING_INTERVAL_MS = 25000;
+const STALE_AFTER_MS = 60000;
+
+// One WebSocket shared by every subscriber (model events, viewing sessions).
+// Opens on the first subscription, closes after the last one goes away and
+// reconnects with exponential backoff (plus jitter) whenever it drops.
+const subscribers = new Set();
+let socket = null;
+let retryTimer = null;
+let pingTimer = null;
+let retryDelay = INITIAL_RETRY_MS;
+let lastMessageAt = 0;
+
+const connect = () => {
+  retryTimer = null;
+  // The server only sends private model events to sockets opened with a token
+  const token = getApiToken();
+  socket = new WebSocket(token ? `${resolveSocketUrl()}?access_token=${encodeURIComponent(token)}` : resolveSocketUrl());
+
+  socket.onopen = () => {
+    retryDelay = INITIAL_RETRY_MS;
+    lastMessageAt = Date.now();
+    clearInterval(pingTimer);
+    pingTimer = setInterval(() => {
+      if (Date.now() - lastMessageAt > STALE_AFTER_MS) {
+        socket.close();
+        return;
+      }
+      send({ type: 'ping' });
+    }, PING_INTERVAL_MS);
+    subscribers.forEach(subscriber => subscriber.onOpen && subscriber.onOpen());
+  };
+
+  socket.onmessage = (message) => {
+    lastMessageAt = Date.now();
+    let event;
+    try {
+      event = JSON.parse(message.data);
+    } catch (e) {
+      return;
+    }
+    if (event && typeof event.type === 'string') {
+      subscribers.forEach(subscriber => subscriber.onMessage(event));
+    }
+  };
+
+  socket.onclose = () => {
+    clearInterval(pingTimer);
+    socket = null;
+    if (subscribers.size === 0) return;
+    const delay = retryDelay + Math.random() * 500;
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+    retryTimer = setTimeout(connect, delay);
+  };
+
+  // Errors are followed by a close event, which schedules the reconnect
+  socket.onerror = () => {};
+};
+
+// Register `onMessage(event)` for every JSON message and `onOpen()` for every
+// (re)connect. Returns the unsubscribe function.
+export const subscribe = (onMessage, onOpen) => {
+  const subscriber = { onMessage, onOpen };
+  subscribers.add(subscriber);
+  if (!socket && !retryTimer) {
+    connect();
+  } else if (socket && socket.readyState === WebSocket.OPEN && onOpen) {
+    onOpen();
+  }
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size > 0) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (socket) socket.close();
+  };
+};
+
+// Send a JSON message; returns false when the socket isn't connected
+export const send = (message) => {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+  socket.send(JSON.stringify(message));
+  return true;
+};
+
+// Reopen the socket (subscribers get onOpen again), e.g. after signing in or out
+export const reconnect = () => {
+  if (socket) socket.close();
+};
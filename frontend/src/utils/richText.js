@@ -0,0 +1,49 @@
+import React from 'react';
+
+// Render annotation bodies: a small Markdown subset (paragraphs, "- " lists,
+// **bold**, *italic* and [links](https://...)). Everything is built as React
+// elements, so user text is never interpreted as HTML.
+const INLINE_RE = /\*\*([^*]+)\*\*|\*([^*]+)\*|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
+
+const renderInline = (text, keyPrefix) => {
+  const nodes = [];
+  let lastIndex = 0;
+  let match;
+  INLINE_RE.lastIndex = 0;
+  while ((match = INLINE_RE.exec(text)) !== null) {
+    if (match.index > lastIndex) nodes.push(text.slice(lastIndex, match.index));
+    const key = `${keyPrefix}-${match.index}`;
+    if (match[1]) {
+      nodes.push(<strong key={key}>{match[1]}</strong>);
+    } else if (match[2]) {
+      nodes.push(<em key={key}>{match[2]}</em>);
+    } else {
+      nodes.push(<a key={key} href={match[4]} target="_blank" rel="noopener noreferrer">{match[3]}</a>);
+    }
+    lastIndex = INLINE_RE.lastIndex;
+  }
+  if (lastIndex < text.length) nodes.push(text.slice(lastIndex));
+  return nodes;
+};
+
+const renderLines = (lines, keyPrefix) => lines.flatMap((line, index) => [
+  ...(index > 0 ? [<br key={`${keyPrefix}-br-${index}`} />] : []),
+  ...renderInline(line, `${keyPrefix}-${index}`)
+]);
+
+export const renderRichText = (text) => {
+  if (!text) return null;
+  return text.split(/\n\s*\n/).map((block, blockIndex) => {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length > 0 && lines.every(line => line.startsWith('- '))) {
+      return (
+        <ul key={blockIndex}>
+          {lines.map((line, index) => (
+            <li key={index}>{renderInline(line.slice(2), `${blockIndex}-${index}`)}</li>
+          ))}
+        </ul>
+      );
+    }
+    return <p key={blockIndex}>{renderLines(lines, String(blockIndex))}</p>;
+  });
+};
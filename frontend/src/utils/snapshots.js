@@ -0,0 +1,113 @@
+// Viewer snapshots: composing a render with a background and markup, and handing the
+// result to the user (download, Web Share). Rendering is done by utils/posterCapture.
+
+// Longest side a snapshot may have; the backend rejects larger images
+export const MAX_SNAPSHOT_SIDE = 8192;
+
+// Markup shapes use coordinates relative to the image (0..1), so the preview and the
+// full-size image draw them the same way:
+// { type: 'arrow', from: { x, y }, to: { x, y }, color } or { type: 'text', at: { x, y }, text, color }
+
+const drawArrow = (ctx, { from, to, color }, width, height) => {
+  const lineWidth = Math.max(2, width * 0.004);
+  const x1 = from.x * width;
+  const y1 = from.y * height;
+  const x2 = to.x * width;
+  const y2 = to.y * height;
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const head = lineWidth * 5;
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2 - Math.cos(angle) * head * 0.8, y2 - Math.sin(angle) * head * 0.8);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(x2, y2);
+  ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 7), y2 - head * Math.sin(angle - Math.PI / 7));
+  ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 7), y2 - head * Math.sin(angle + Math.PI / 7));
+  ctx.closePath();
+  ctx.fill();
+};
+
+const drawText = (ctx, { at, text, color }, width, height) => {
+  const fontSize = Math.max(12, Math.min(width, height) * 0.05);
+  ctx.font = `600 ${fontSize}px system-ui, sans-serif`;
+  ctx.textBaseline = 'middle';
+  // A dark outline keeps light text readable on any background
+  ctx.lineWidth = fontSize / 8;
+  ctx.lineJoin = 'round';
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.strokeText(text, at.x * width, at.y * height);
+  ctx.fillStyle = color;
+  ctx.fillText(text, at.x * width, at.y * height);
+};
+
+// Draw `markup` onto a canvas context covering width x height pixels
+export const drawMarkup = (ctx, markup, width, height) => {
+  markup.forEach(shape => {
+    ctx.save();
+    if (shape.type === 'arrow') drawArrow(ctx, shape, width, height);
+    if (shape.type === 'text') drawText(ctx, shape, width, height);
+    ctx.restore();
+  });
+};
+
+// The final PNG: `image` (a rendered Blob) scaled to exactly width x height over
+// `background` (a CSS color, or null to keep it transparent), with the markup on top
+export const composeSnapshot = async (image, { width, height, background = null, markup = [] }) => {
+  const bitmap = await createImageBitmap(image);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  drawMarkup(ctx, markup, width, height);
+  return new Promise((resolve, reject) => canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error('Unable to encode the snapshot'))),
+    'image/png'
+  ));
+};
+
+// "Palamu Fort 2026-10-19 14-05-09.png"
+export const snapshotFileName = (title) => {
+  const stamp = new Date().toISOString().slice(0, 19).replace('T', ' ').replace(/:/g, '-');
+  return `${title.replace(/[\\/:*?"<>|]+/g, ' ').trim() || 'snapshot'} ${stamp}.png`;
+};
+
+export const downloadSnapshot = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Whether the browser can share image files (Web Share API level 2)
+export const canShareFiles = () => {
+  if (!navigator.share || !navigator.canShare) return false;
+  const probe = new File([new Blob()], 'snapshot.png', { type: 'image/png' });
+  return navigator.canShare({ files: [probe] });
+};
+
+// Open the system share sheet; resolves false when the user cancels it
+export const shareSnapshot = async (blob, fileName, title) => {
+  const file = new File([blob], fileName, { type: 'image/png' });
+  try {
+    await navigator.share({ files: [file], title });
+    return true;
+  } catch (err) {
+    if (err.name === 'AbortError') return false;
+    throw err;
+  }
+};
@@ -0,0 +1,71 @@
+// Choose which of a model's texture variants (see textureVariants in /api/models) to load.
+// The quality setting is 'auto', 'full' or a resolution such as '1024'; 'auto' looks at
+// Save-Data, Device-Memory, the device class and how many pixels the model will cover.
+
+const STORAGE_KEY = 'textureQuality';
+
+export const TEXTURE_QUALITY_AUTO = 'auto';
+export const TEXTURE_QUALITY_FULL = 'full';
+
+// Device performance detection: 4 or fewer logical processors or a mobile user agent
+export const isLowEndDevice = () => (
+  (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 4) ||
+  /android|iphone|ipad|ipod|mobile|opera mini|iemobile|wpdesktop/i.test(navigator.userAgent)
+);
+
+export const readTextureQuality = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) || TEXTURE_QUALITY_AUTO;
+  } catch (e) {
+    return TEXTURE_QUALITY_AUTO;
+  }
+};
+
+export const storeTextureQuality = (quality) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, quality);
+  } catch (e) {
+    // Private mode or storage disabled: the choice lasts for this page only
+  }
+};
+
+// Largest texture resolution worth downloading on this device, or Infinity for full size.
+// `displayPixels` is the on-screen size of the model in CSS pixels (its longest side).
+export const autoTextureResolution = (displayPixels) => {
+  const connection = navigator.connection || {};
+  if (connection.saveData || /(^|-)2g$/.test(connection.effectiveType || '')) return 512;
+
+  let limit = Infinity;
+  const memory = navigator.deviceMemory;
+  if (memory && memory < 2) {
+    limit = 512;
+  } else if (memory && memory < 4) {
+    limit = 1024;
+  } else if (memory && memory < 8) {
+    limit = 2048;
+  }
+  if (isLowEndDevice()) limit = Math.min(limit, 1024);
+
+  // Textures rarely map 1:1 to the screen, so aim for about one texel per device pixel
+  const needed = displayPixels * (window.devicePixelRatio || 1);
+  return Math.min(limit, needed);
+};
+
+// { path, resolution } of the file to load for `model`: the smallest variant that covers
+// the wanted resolution, or the full-size model (resolution null)
+export const pickModelSource = (model, quality, displayPixels) => {
+  const variants = model.textureVariants || [];
+  const full = { path: model.path, resolution: null };
+  if (variants.length === 0 || quality === TEXTURE_QUALITY_FULL) return full;
+
+  if (quality !== TEXTURE_QUALITY_AUTO) {
+    const exact = variants.find(variant => String(variant.resolution) === String(quality));
+    return exact ? { path: exact.path, resolution: exact.resolution } : full;
+  }
+
+  // Variants are listed largest first; when none is large enough the original is
+  const wanted = autoTextureResolution(displayPixels);
+  const covering = variants.filter(variant => variant.resolution >= wanted);
+  const choice = covering[covering.length - 1];
+  return choice ? { path: choice.path, resolution: choice.resolution } : full;
+};
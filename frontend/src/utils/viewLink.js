@@ -0,0 +1,42 @@
+// Viewer state in the query string of /models/:id links:
+// ?orbit=0.5236rad%201.309rad%202.5m&target=0m%201m%200m&fov=30deg&annotation=<id>
+
+const CAMERA_PARAMS = {
+  cameraOrbit: 'orbit',
+  cameraTarget: 'target',
+  fieldOfView: 'fov'
+};
+
+// Space-separated numbers with model-viewer units, e.g. "30deg 75deg 2.5m" or "auto"
+const CAMERA_NUMBER = '(auto|-?[\\d.]+(e[-+]?\\d+)?(deg|rad|m|cm|mm|%)?)';
+const CAMERA_VALUE = new RegExp(`^${CAMERA_NUMBER}( ${CAMERA_NUMBER}){0,2}$`);
+
+export const modelPath = (id) => `/models/${encodeURIComponent(id)}`;
+
+export const collectionPath = (id) => (id ? `/collections/${encodeURIComponent(id)}` : '/');
+
+// Four decimals are well below what can be seen and keep links short
+const roundValue = (value) => value.replace(/-?\d+(\.\d+)?(e[-+]?\d+)?/g, number => String(parseFloat(Number(number).toFixed(4))));
+
+// { cameraOrbit, cameraTarget, fieldOfView, annotationId }, with missing or malformed fields left out
+export const readViewLink = (search) => {
+  const params = new URLSearchParams(search);
+  const view = {};
+  Object.entries(CAMERA_PARAMS).forEach(([field, param]) => {
+    const value = params.get(param);
+    if (value && CAMERA_VALUE.test(value.trim())) view[field] = value.trim();
+  });
+  if (params.get('annotation')) view.annotationId = params.get('annotation');
+  return view;
+};
+
+// "?orbit=...&annotation=..." for `view`, or "" when there is nothing to keep
+export const viewLinkSearch = (view) => {
+  const params = new URLSearchParams();
+  Object.entries(CAMERA_PARAMS).forEach(([field, param]) => {
+    if (view[field]) params.set(param, roundValue(view[field]));
+  });
+  if (view.annotationId) params.set('annotation', view.annotationId);
+  const search = params.toString().replace(/\+/g, '%20');
+  return search ? `?${search}` : '';
+};